@@ -4,10 +4,10 @@ import "jsvectormap/dist/css/jsvectormap.min.css";
 import "react-datepicker/dist/react-datepicker.min.css";
 import '@/assets/scss/Default.scss';
 import "@/assets/scss/Icons.scss";
-import configureFakeBackend from "@/helpers/fake-backend.js";
+import configureFakeBackend, { isFakeBackendEnabled } from "@/helpers/fake-backend.js";
 import AllRoutes from "@/routes/Routes.jsx";
 import AppProvidersWrapper from "@/components/AppProvidersWrapper.jsx";
-configureFakeBackend();
+if (isFakeBackendEnabled) configureFakeBackend();
 function App() {
   return <>
             <Fragment>
@@ -0,0 +1,29 @@
+/**
+ * Normalized error thrown by every call made through the API client.
+ *
+ * `status` is the HTTP status (0 when the request never reached the server)
+ * and `data` is the parsed response body, if any, so callers that need the
+ * backend's extra details (e.g. bulk upload summaries) can still read them.
+ */
+export default class ApiError extends Error {
+  constructor(message, status = 0, data = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+
+  /**
+   * Builds an ApiError from whatever axios rejected with.
+   */
+  static from(error) {
+    if (error instanceof ApiError) return error;
+    const response = error?.response;
+    if (!response) {
+      return new ApiError(error?.message || 'Network error. Please check your connection.', 0, null);
+    }
+    const body = response.data;
+    const message = body?.error || body?.message || `Server returned status ${response.status}`;
+    return new ApiError(message, response.status, body ?? null);
+  }
+}
@@ -0,0 +1,33 @@
+import client from './axios';
+import ApiError from './ApiError';
+import { unwrap } from './envelope';
+import { createSession } from './session';
+
+// Auth endpoints differ between backends, so both paths are configurable.
+export const AUTH_LOGIN_PATH = import.meta.env.VITE_AUTH_LOGIN_PATH || '/auth/login';
+export const AUTH_REFRESH_PATH = import.meta.env.VITE_AUTH_REFRESH_PATH || '/auth/refresh';
+
+const toSession = (response) => {
+  const body = unwrap(response) || {};
+  const token = body.token || body.accessToken || body.access_token;
+  if (!token) {
+    throw new ApiError('The server did not return an access token.', response.status, body);
+  }
+  return createSession({
+    token,
+    refreshToken: body.refreshToken || body.refresh_token || null,
+    user: body.user || body,
+  });
+};
+
+const authApi = {
+  /**
+   * @param {{ email: string, password: string }} credentials
+   * @returns {Promise<import('./session').Session>}
+   */
+  login: (credentials) => client.post(AUTH_LOGIN_PATH, credentials, { skipAuth: true }).then(toSession),
+  /** @returns {Promise<import('./session').Session>} */
+  refresh: (refreshToken) => client.post(AUTH_REFRESH_PATH, { refreshToken }, { skipAuth: true }).then(toSession),
+};
+
+export default authApi;
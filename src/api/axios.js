@@ -1,21 +1,56 @@
 import axios from 'axios';
+import ApiError from './ApiError';
+import { expireSession, getAccessToken, getSession, isTokenExpired, refreshSession } from './session';
+
+// Root of the store backend; the REST API lives under `/api` and uploaded
+// assets (product images, banners) are served from the root itself.
+export const API_ROOT = (import.meta.env.VITE_API_BASE_URL || 'https://ecomm.braventra.in').replace(/\/+$/, '');
 
 const instance = axios.create({
-  baseURL: import.meta.env.VITE_API_BASE_URL || 'https://ecomm.braventra.in',
+  baseURL: `${API_ROOT}/api`,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+/**
+ * Turns a relative asset path returned by the backend into an absolute URL.
+ * @param {string} path - e.g. `/uploads/products/abc.jpg`
+ * @returns {string|null}
+ */
+export const getAssetUrl = (path) => {
+  if (!path) return null;
+  if (/^(https?:|blob:|data:)/.test(path)) return path;
+  return `${API_ROOT}${path.startsWith('/') ? path : `/${path}`}`;
+};
+
+// Refresh this long before the access token actually expires
+const EXPIRY_LEEWAY_MS = 30 * 1000;
+
 // Request interceptor
 instance.interceptors.request.use(
-  (config) => {
+  async (config) => {
+    // Login/refresh calls set `skipAuth` so they never wait on a refresh themselves
+    if (!config.skipAuth) {
+      let token = getAccessToken();
+      if (token && isTokenExpired(token, EXPIRY_LEEWAY_MS)) {
+        try {
+          token = (await refreshSession()).token;
+        } catch (error) {
+          expireSession();
+          throw ApiError.from(error);
+        }
+      }
+      if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+      }
+    }
     console.log(`Making ${config.method?.toUpperCase()} request to: ${config.url}`);
     return config;
   },
   (error) => {
     console.error('Request error:', error);
-    return Promise.reject(error);
+    return Promise.reject(ApiError.from(error));
   }
 );
 
@@ -25,10 +60,25 @@ instance.interceptors.response.use(
     console.log('Response received:', response.status);
     return response;
   },
-  (error) => {
+  async (error) => {
     console.error('Response error:', error.message);
-    return Promise.reject(error);
+    const { config, response } = error;
+    if (response?.status === 401 && config && !config.skipAuth && getSession()) {
+      // The token was rejected before its own expiry (revoked, clock skew):
+      // try one silent refresh and replay the request, otherwise sign out.
+      if (!config._retried && getSession().refreshToken) {
+        config._retried = true;
+        try {
+          await refreshSession();
+          return instance(config);
+        } catch {
+          // fall through to sign out
+        }
+      }
+      expireSession();
+    }
+    return Promise.reject(ApiError.from(error));
   }
 );
 
-export default instance;
\ No newline at end of file
+export default instance;
@@ -0,0 +1,24 @@
+import client from './axios';
+import { multipart, unwrap } from './envelope';
+
+/**
+ * @typedef {object} Banner
+ * @property {number} id
+ * @property {string} title
+ * @property {string} description
+ * @property {string} image_url
+ */
+
+const bannersApi = {
+  /** @returns {Promise<Banner[]>} */
+  list: async () => {
+    const data = await client.get('/banners').then(unwrap);
+    return data ?? [];
+  },
+  /** @param {FormData} formData - title, description and the image file */
+  upload: (formData) => client.post('/banners/upload', formData, multipart).then(unwrap),
+  update: (id, payload) => client.put(`/banners/update/${id}`, payload).then(unwrap),
+  remove: (id) => client.delete(`/banners/delete/${id}`).then(unwrap),
+};
+
+export default bannersApi;
@@ -0,0 +1,23 @@
+import client from './axios';
+import { multipart, unwrap } from './envelope';
+
+const bulkUploadApi = {
+  /**
+   * Uploads a product CSV. Resolves with the full response body (message,
+   * summary and per-row errors); a rejected upload throws an ApiError whose
+   * `data` carries the same shape.
+   * @param {File} file
+   */
+  uploadProducts: (file) => {
+    const formData = new FormData();
+    // The field name must match the backend's upload.single('csvFile')
+    formData.append('csvFile', file);
+    return client.post('/bulk-upload/products', formData, multipart).then((response) => response.data);
+  },
+  /** @returns {Promise<Blob>} */
+  downloadTemplate: () => client.get('/bulk-upload/download-template', { responseType: 'blob' }).then((response) => response.data),
+  /** Column spec for the upload template. */
+  getTemplateInfo: () => client.get('/bulk-upload/template').then(unwrap),
+};
+
+export default bulkUploadApi;
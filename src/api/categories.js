@@ -0,0 +1,41 @@
+import client from './axios';
+import { unwrap } from './envelope';
+
+/**
+ * @typedef {object} CategoryNode
+ * @property {number} id
+ * @property {string} name
+ * @property {CategoryNode[]} [children]
+ * @property {string} [slug] - storefront URL segment, unique across all levels
+ * @property {string} [meta_title]
+ * @property {string} [meta_description]
+ * @property {string} [canonical_url]
+ * @property {string} [og_image_url]
+ */
+
+const categoriesApi = {
+  /** @returns {Promise<CategoryNode[]>} the L1 -> L2 -> L3 hierarchy */
+  nested: async () => {
+    const data = await client.get('/category/all-nested').then(unwrap);
+    return data?.hierarchy ?? [];
+  },
+  create: (payload) => client.post('/category/add', payload).then(unwrap),
+  update: (id, payload) => client.put(`/category/edit/${id}`, payload).then(unwrap),
+  remove: (id) => client.delete(`/category/delete/${id}`).then(unwrap),
+  // Subcategories (L2) and product groups (L3) share the same endpoints.
+  createSub: (payload) => client.post('/category/sub/add', payload).then(unwrap),
+  updateSub: (id, payload) => client.put(`/category/sub/edit/${id}`, payload).then(unwrap),
+  removeSub: (id) => client.delete(`/category/sub/delete/${id}`).then(unwrap),
+  /**
+   * Slugs are shared by categories, subcategories and product groups.
+   * @param {{ type: 'category'|'subcategory', id: number }} [exclude] - the item being edited
+   * @returns {Promise<boolean>}
+   */
+  isSlugAvailable: async (slug, exclude) => {
+    const params = { slug, exclude_type: exclude?.type, exclude_id: exclude?.id };
+    const data = await client.get('/category/slug-available', { params }).then(unwrap);
+    return Boolean(data?.available);
+  },
+};
+
+export default categoriesApi;
@@ -0,0 +1,24 @@
+import client from './axios';
+import { unwrap } from './envelope';
+
+/**
+ * @typedef {object} Customer
+ * @property {number} user_id
+ * @property {string} name
+ * @property {string} email
+ * @property {string} [phone]
+ * @property {object|null} [address] - last used shipping address
+ */
+
+const customersApi = {
+  /**
+   * Customers whose name, email or phone matches `term`.
+   * @returns {Promise<Customer[]>}
+   */
+  search: async (term) => {
+    const data = await client.get('/customers', { params: { search: term } }).then(unwrap);
+    return Array.isArray(data) ? data : data?.customers ?? [];
+  },
+};
+
+export default customersApi;
@@ -0,0 +1,25 @@
+import ApiError from './ApiError';
+
+/**
+ * The store backend wraps every payload as `{ status, data, message?, error? }`.
+ * Returns `data` when the envelope is present, otherwise the raw body, and
+ * throws an ApiError when the envelope itself reports a failure status.
+ * @param {import('axios').AxiosResponse} response
+ */
+export const unwrap = (response) => {
+  const body = response.data;
+  if (body && typeof body === 'object' && !Array.isArray(body)) {
+    if (typeof body.status === 'number' && body.status >= 400) {
+      throw new ApiError(body.error || body.message || `Server returned status ${body.status}`, body.status, body);
+    }
+    if ('data' in body) return body.data;
+  }
+  return body;
+};
+
+// Lets axios/the browser set the multipart boundary instead of the instance's JSON default.
+export const multipart = {
+  headers: {
+    'Content-Type': 'multipart/form-data',
+  },
+};
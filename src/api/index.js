@@ -0,0 +1,20 @@
+export { default as client, API_ROOT, getAssetUrl } from './axios';
+export { default as ApiError } from './ApiError';
+export { default as productsApi } from './products';
+export { default as productTemplatesApi } from './productTemplates';
+export { default as inventoryApi } from './inventory';
+export { default as warehousesApi } from './warehouses';
+export { default as stockTransfersApi } from './stockTransfers';
+export { default as suppliersApi } from './suppliers';
+export { default as purchaseOrdersApi } from './purchaseOrders';
+export { default as categoriesApi } from './categories';
+export { default as variationsApi } from './variations';
+export { default as bannersApi } from './banners';
+export { default as ordersApi } from './orders';
+export { default as shipmentsApi } from './shipments';
+export { default as invoicesApi } from './invoices';
+export { default as returnsApi } from './returns';
+export { default as refundsApi } from './refunds';
+export { default as customersApi } from './customers';
+export { default as bulkUploadApi } from './bulkUpload';
+export { default as authApi } from './auth';
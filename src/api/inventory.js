@@ -0,0 +1,100 @@
+import client from './axios';
+import { unwrap } from './envelope';
+
+/**
+ * Stock of one product SKU in one warehouse.
+ * @typedef {object} InventoryRecord
+ * @property {number} id
+ * @property {number} product_id
+ * @property {string|null} sku - variation SKU; null for products without variations
+ * @property {number|null} warehouse_id - null on records from before warehouses existed
+ * @property {number} quantity_in_stock
+ * @property {number} reorder_point
+ * @property {string|null} [warehouse_location] - bin or aisle within the warehouse
+ */
+
+/**
+ * One change to the stock of an inventory record. The backend records the
+ * user from the session, and writes transfer, sale and return movements
+ * itself when those documents change stock.
+ * @typedef {object} StockMovement
+ * @property {number} id
+ * @property {number} inventory_id
+ * @property {number} product_id
+ * @property {string|null} sku
+ * @property {number|null} warehouse_id
+ * @property {string} type - one of MOVEMENT_TYPE
+ * @property {number} quantity - the change in stock, negative for stock going out
+ * @property {string} [reason]
+ * @property {string} [reference] - invoice, order, RMA or transfer number
+ * @property {number|null} [batch_id]
+ * @property {string|null} [batch_number]
+ * @property {string} [user_name]
+ * @property {string} created_at
+ */
+
+/**
+ * Stock of an inventory record from one manufacturing lot. Receipts create
+ * batches; sales and write-offs take stock out of them, and the backend
+ * refuses to sell from a batch on or after its expiry date.
+ * @typedef {object} Batch
+ * @property {number} id
+ * @property {number} inventory_id
+ * @property {number} product_id
+ * @property {string|null} sku
+ * @property {number|null} warehouse_id
+ * @property {string} batch_number
+ * @property {string|null} manufactured_on - `YYYY-MM-DD`
+ * @property {string|null} expires_on - `YYYY-MM-DD`
+ * @property {number} quantity - units left
+ */
+
+const inventoryApi = {
+  /** @returns {Promise<InventoryRecord[]>} */
+  list: async () => {
+    const data = await client.get('/inventory').then(unwrap);
+    return data?.inventory ?? [];
+  },
+  /** @returns {Promise<InventoryRecord[]>} records below their reorder point, so each SKU in each warehouse is checked on its own */
+  lowStock: async () => {
+    const data = await client.get('/inventory/low-stock').then(unwrap);
+    return data?.lowStock ?? [];
+  },
+  /**
+   * Adds a record with no stock. An `opening_stock` is received into it as a
+   * batch in the same request, so the record is only kept if the receipt is.
+   * @param {{ product_id: number, sku?: string|null, warehouse_id?: number|null, warehouse_location?: string|null, reorder_point: number, opening_stock?: { quantity: number, batch: { batch_number: string, manufactured_on?: string, expires_on: string } }|null }} payload
+   * @returns {Promise<InventoryRecord>}
+   */
+  create: (payload) => client.post('/inventory/add', payload).then(unwrap),
+  /** Changes the reorder point and bin; the quantity only changes through movements. */
+  update: (id, payload) => client.put(`/inventory/edit/${id}`, payload).then(unwrap),
+  remove: (id) => client.delete(`/inventory/delete/${id}`).then(unwrap),
+  /**
+   * @param {{ product_id?: number, warehouse_id?: number, from?: string, to?: string }} [filters] - dates as YYYY-MM-DD, inclusive
+   * @returns {Promise<StockMovement[]>} oldest first
+   */
+  movements: async (filters = {}) => {
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== '' && value != null));
+    const data = await client.get('/inventory/movements', { params }).then(unwrap);
+    return Array.isArray(data) ? data : data?.movements ?? [];
+  },
+  /**
+   * @param {{ product_id?: number, warehouse_id?: number }} [filters]
+   * @returns {Promise<Batch[]>}
+   */
+  batches: async (filters = {}) => {
+    const data = await client.get('/inventory/batches', { params: filters }).then(unwrap);
+    return Array.isArray(data) ? data : data?.batches ?? [];
+  },
+  /**
+   * Changes a record's stock by `movement.quantity` and logs why. A receipt
+   * brings its `batch` in (adding to it if the batch number already exists);
+   * stock going out comes from `batch_id`, or earliest expiry first without one.
+   * @param {{ type: string, quantity: number, reason?: string, reference?: string, batch_id?: number, batch?: { batch_number: string, manufactured_on?: string, expires_on: string } }} movement
+   * @returns {Promise<InventoryRecord>} the record with its new quantity
+   */
+  recordMovement: (id, movement) => client.post(`/inventory/${id}/movements`, movement).then(unwrap),
+};
+
+export default inventoryApi;
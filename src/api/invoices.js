@@ -0,0 +1,62 @@
+import client from './axios';
+import { unwrap } from './envelope';
+
+/**
+ * A GST tax invoice or credit note. The backend allots `invoice_number` from
+ * a sequence that restarts every financial year (e.g. `INV/2026-27/00042`,
+ * `CN/2026-27/00003`) and stores the document as issued, so re-printing
+ * always shows the same figures even if the order or products change later.
+ * @typedef {object} Invoice
+ * @property {number} id
+ * @property {number} order_id
+ * @property {'invoice'|'credit_note'} type
+ * @property {string} invoice_number
+ * @property {string} invoice_date
+ * @property {string} financial_year - e.g. `2026-27`
+ * @property {number|null} [original_invoice_id] - credit notes only
+ * @property {string|null} [original_invoice_number] - credit notes only
+ * @property {string|null} [reason] - credit notes only
+ * @property {{ name: string, address: string, gstin: string, state_code: string }} seller
+ * @property {{ name: string, email: string, address: string, gstin: string|null }} buyer
+ * @property {string} place_of_supply - GST state code
+ * @property {boolean} inter_state - IGST when true, CGST + SGST otherwise
+ * @property {InvoiceLine[]} lines
+ * @property {{ taxable_value: number, cgst: number, sgst: number, igst: number, total: number }} totals
+ */
+
+/**
+ * @typedef {object} InvoiceLine
+ * @property {string} description
+ * @property {string} sku
+ * @property {string} hsn_code - HSN for goods, SAC for services
+ * @property {number} quantity
+ * @property {number} unit_price - GST inclusive
+ * @property {number} taxable_value
+ * @property {number} gst_rate - percent
+ * @property {number} cgst
+ * @property {number} sgst
+ * @property {number} igst
+ * @property {number} total
+ */
+
+const invoicesApi = {
+  /** @returns {Promise<Invoice[]>} invoices and credit notes of the order, oldest first */
+  listByOrder: async (orderId) => {
+    const data = await client.get(`/orders/${orderId}/invoices`).then(unwrap);
+    return Array.isArray(data) ? data : data?.invoices ?? [];
+  },
+  /**
+   * Issues the tax invoice of an order. The backend rejects a second invoice for the same order.
+   * @returns {Promise<Invoice>}
+   */
+  create: (orderId, payload) => client.post(`/orders/${orderId}/invoices`, payload).then(unwrap),
+  /**
+   * Issues a credit note reversing an invoice.
+   * @returns {Promise<Invoice>}
+   */
+  createCreditNote: (invoiceId, payload) => client.post(`/invoices/${invoiceId}/credit-notes`, payload).then(unwrap),
+  /** @returns {Promise<Blob>} the document rendered as PDF by the backend */
+  downloadPdf: (invoiceId) => client.get(`/invoices/${invoiceId}/pdf`, { responseType: 'blob' }).then((response) => response.data),
+};
+
+export default invoicesApi;
@@ -0,0 +1,80 @@
+import client from './axios';
+import { unwrap } from './envelope';
+
+/**
+ * @typedef {object} Order
+ * @property {number} order_id
+ * @property {string} user_email
+ * @property {string} order_date
+ * @property {string} order_source
+ * @property {number|string} total_amount
+ * @property {string} status
+ * @property {string|null} [assigned_to] - staff member handling the order
+ * @property {object[]} [items]
+ */
+
+/**
+ * @typedef {object} OrderStatusChange
+ * @property {string|null} from_status - null for the entry recorded at checkout
+ * @property {string} to_status
+ * @property {string} [changed_by] - email or name of whoever made the change
+ * @property {string} changed_at
+ * @property {string} [note]
+ */
+
+/**
+ * Query params understood by `GET /orders`. Empty values are left out.
+ * @typedef {object} OrderQuery
+ * @property {number} [page] - 1-based
+ * @property {number} [limit]
+ * @property {string} [sort] - column to sort by, e.g. `order_date`
+ * @property {'asc'|'desc'} [order]
+ * @property {string} [search]
+ * @property {string} [status]
+ * @property {string} [from] - order date lower bound, `YYYY-MM-DD`
+ * @property {string} [to] - order date upper bound, `YYYY-MM-DD`
+ * @property {string} [source] - order_source
+ * @property {string} [email] - customer email
+ * @property {number} [min_amount]
+ * @property {number} [max_amount]
+ */
+
+const ordersApi = {
+  /**
+   * One page of orders plus the total number of matches.
+   * @param {OrderQuery} [query]
+   * @returns {Promise<{ orders: Order[], total: number }>}
+   */
+  list: async (query = {}) => {
+    const params = Object.fromEntries(Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+    const data = await client.get('/orders', { params }).then(unwrap);
+    // Older backends ignore the params and return every order as a bare array
+    if (Array.isArray(data)) return { orders: data, total: data.length };
+    const orders = data?.orders ?? [];
+    return { orders, total: data?.total ?? data?.pagination?.total ?? orders.length };
+  },
+  /**
+   * Places an order on behalf of a customer, e.g. one taken over the phone.
+   * @returns {Promise<Order>}
+   */
+  create: (payload) => client.post('/orders/create', payload).then(unwrap),
+  /** @returns {Promise<Order>} */
+  get: (id) => client.get(`/orders/${id}`).then(unwrap),
+  update: (id, payload) => client.put(`/orders/${id}`, payload).then(unwrap),
+  /**
+   * @param {string} [note] - reason for the change, kept in the status history
+   */
+  updateStatus: (id, status, note) => ordersApi.update(id, note ? { status, note } : { status }),
+  /**
+   * @param {string} staff - email of the staff member handling the order, empty to unassign
+   */
+  assign: (id, staff) => ordersApi.update(id, { assigned_to: staff || null }),
+  /** @returns {Promise<OrderStatusChange[]>} oldest first */
+  history: async (id) => {
+    const data = await client.get(`/orders/${id}/history`).then(unwrap);
+    return Array.isArray(data) ? data : data?.history ?? [];
+  },
+  remove: (id) => client.delete(`/orders/delete/${id}`).then(unwrap),
+};
+
+export default ordersApi;
@@ -0,0 +1,27 @@
+import client from './axios';
+import { unwrap } from './envelope';
+
+/**
+ * @typedef {object} ProductTemplate
+ * @property {number} id
+ * @property {string} name
+ * @property {number|string|null} category_id
+ * @property {string} description_skeleton - sanitized HTML the long description starts from
+ * @property {string} sku_prefix - generated variation SKUs start with this
+ * @property {{ type: string, values: string[] }[]} variation_matrix - one variation per combination of values
+ */
+
+const productTemplatesApi = {
+  /** @returns {Promise<ProductTemplate[]>} */
+  list: async () => {
+    const data = await client.get('/product-templates').then(unwrap);
+    return data ?? [];
+  },
+  /** @param {Omit<ProductTemplate, 'id'>} payload */
+  create: (payload) => client.post('/product-templates', payload).then(unwrap),
+  /** @param {Omit<ProductTemplate, 'id'>} payload */
+  update: (id, payload) => client.put(`/product-templates/${id}`, payload).then(unwrap),
+  remove: (id) => client.delete(`/product-templates/${id}`).then(unwrap),
+};
+
+export default productTemplatesApi;
@@ -0,0 +1,95 @@
+import client from './axios';
+import { multipart, unwrap } from './envelope';
+
+/**
+ * @typedef {object} Product
+ * @property {number} product_id
+ * @property {string} name
+ * @property {string} [description]
+ * @property {string} [long_description]
+ * @property {number|string} price
+ * @property {number} stock_quantity
+ * @property {number|string} [category_id]
+ * @property {string} [image_url] - primary image, mirrored by the backend from `images`
+ * @property {ProductImage[]} [images]
+ * @property {'draft'|'scheduled'|'published'|'archived'} [status] - see PRODUCT_STATUS; missing on legacy rows, which are live
+ * @property {string|null} [publish_at] - ISO time a scheduled product goes live
+ * @property {string} [slug] - storefront URL segment, unique across products
+ * @property {string} [meta_title]
+ * @property {string} [meta_description]
+ * @property {string} [canonical_url]
+ * @property {string} [og_image_url] - image shown when the page is shared
+ */
+
+/**
+ * @typedef {object} ProductImage
+ * @property {number} id
+ * @property {string} url
+ * @property {string} [alt_text]
+ * @property {number} position - 0-based display order
+ * @property {boolean} is_primary
+ * @property {string|null} [variation_sku] - shown for this variation only
+ */
+
+/**
+ * @typedef {object} ProductCatalog
+ * @property {Product[]} products
+ * @property {{ id: number, name: string }[]} categories
+ */
+
+const productsApi = {
+  /** @returns {Promise<ProductCatalog>} every product, drafts and archived ones included */
+  list: async () => {
+    const data = await client.get('/products').then(unwrap);
+    return {
+      products: data?.products ?? [],
+      categories: data?.categories ?? [],
+    };
+  },
+  /** @returns {Promise<object>} product with `base_price`, `base_stock` and `variations` */
+  get: (id) => client.get(`/products/${id}`).then(unwrap),
+  /** @param {FormData} formData */
+  create: (formData) => client.post('/products/create', formData, multipart).then(unwrap),
+  /** @param {FormData} formData */
+  update: (id, formData) => client.put(`/products/edit/${id}`, formData, multipart).then(unwrap),
+  remove: (id) => client.delete(`/products/delete/${id}`).then(unwrap),
+  /**
+   * Saves a few plain fields without resending the whole product form.
+   * @param {{ price?: number, category_id?: number|string }} fields
+   */
+  updateFields: (id, fields) => client.patch(`/products/${id}`, fields).then(unwrap),
+  /**
+   * Moves a product through its lifecycle; archiving replaces deletion.
+   * @param {string} status - one of PRODUCT_STATUS
+   * @param {string|null} [publishAt] - required for 'scheduled'
+   */
+  updateStatus: (id, status, publishAt = null) => client.put(`/products/${id}/status`, { status, publish_at: publishAt }).then(unwrap),
+  /**
+   * @param {string} slug
+   * @param {number|string} [excludeId] - the product being edited, which may keep its own slug
+   * @returns {Promise<boolean>}
+   */
+  isSlugAvailable: async (slug, excludeId) => {
+    const data = await client.get('/products/slug-available', { params: { slug, exclude_id: excludeId } }).then(unwrap);
+    return Boolean(data?.available);
+  },
+  /**
+   * Adds images to a product's gallery, appended in the given order.
+   * @param {File[]} files
+   * @returns {Promise<ProductImage[]>}
+   */
+  uploadImages: async (id, files) => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append('images', file));
+    const data = await client.post(`/products/${id}/images`, formData, multipart).then(unwrap);
+    return Array.isArray(data) ? data : data?.images ?? [];
+  },
+  /**
+   * Saves order, primary flag, alt text and variation of every gallery image.
+   * @param {{ id: number, position: number, is_primary: boolean, alt_text: string, variation_sku: string|null }[]} images
+   */
+  updateImages: (id, images) => client.put(`/products/${id}/images`, { images }).then(unwrap),
+  removeImage: (id, imageId) => client.delete(`/products/${id}/images/${imageId}`).then(unwrap),
+};
+
+export default productsApi;
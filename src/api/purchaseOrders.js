@@ -0,0 +1,53 @@
+import client from './axios';
+import { unwrap } from './envelope';
+
+/**
+ * Stock ordered from a supplier. Only drafts can be edited; receiving posts
+ * a receipt movement per item into the destination warehouse, referencing
+ * the PO number, and moves the order to partially received or received.
+ * @typedef {object} PurchaseOrder
+ * @property {number} id
+ * @property {string} po_number
+ * @property {number} supplier_id
+ * @property {number|null} warehouse_id - where the stock is delivered
+ * @property {string} status - one of PO_STATUS
+ * @property {string|null} [expected_on] - `YYYY-MM-DD`
+ * @property {string} [note]
+ * @property {string} created_at
+ * @property {PurchaseOrderItem[]} items
+ */
+
+/**
+ * @typedef {object} PurchaseOrderItem
+ * @property {number} id
+ * @property {number} product_id
+ * @property {string|null} sku
+ * @property {number} quantity - ordered
+ * @property {number} received_quantity - received so far
+ * @property {number} unit_cost
+ */
+
+const purchaseOrdersApi = {
+  /** @returns {Promise<PurchaseOrder[]>} newest first */
+  list: async () => {
+    const data = await client.get('/purchase-orders').then(unwrap);
+    return Array.isArray(data) ? data : data?.purchaseOrders ?? [];
+  },
+  /**
+   * @param {{ supplier_id: number, warehouse_id: number|null, expected_on: string|null, note?: string, items: { product_id: number, sku: string|null, quantity: number, unit_cost: number }[] }} payload
+   * @returns {Promise<PurchaseOrder>} a draft
+   */
+  create: (payload) => client.post('/purchase-orders', payload).then(unwrap),
+  update: (id, payload) => client.put(`/purchase-orders/${id}`, payload).then(unwrap),
+  remove: (id) => client.delete(`/purchase-orders/${id}`).then(unwrap),
+  /** Marks a draft as sent to the supplier. */
+  updateStatus: (id, status) => client.patch(`/purchase-orders/${id}/status`, { status }).then(unwrap),
+  /**
+   * Records a delivery against the order.
+   * @param {{ warehouse_id: number|null, items: { id: number, quantity: number, batch: { batch_number: string, manufactured_on?: string|null, expires_on: string } }[] }} receipt
+   * @returns {Promise<PurchaseOrder>}
+   */
+  receive: (id, receipt) => client.post(`/purchase-orders/${id}/receive`, receipt).then(unwrap),
+};
+
+export default purchaseOrdersApi;
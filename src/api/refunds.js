@@ -0,0 +1,28 @@
+import client from './axios';
+import { unwrap } from './envelope';
+
+/**
+ * Money paid back on an order, in full or in part.
+ * @typedef {object} Refund
+ * @property {number} id
+ * @property {number} order_id
+ * @property {number|null} [return_id] - set when refunding a return
+ * @property {number} amount
+ * @property {string} method - see constants/returns REFUND_METHODS
+ * @property {string|null} [reference] - UTR, transaction or cheque number
+ * @property {string|null} [note]
+ * @property {string} refunded_at
+ * @property {string} [refunded_by]
+ */
+
+const refundsApi = {
+  /** @returns {Promise<Refund[]>} */
+  listByOrder: async (orderId) => {
+    const data = await client.get(`/orders/${orderId}/refunds`).then(unwrap);
+    return Array.isArray(data) ? data : data?.refunds ?? [];
+  },
+  /** @returns {Promise<Refund>} */
+  create: (orderId, payload) => client.post(`/orders/${orderId}/refunds`, payload).then(unwrap),
+};
+
+export default refundsApi;
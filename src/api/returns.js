@@ -0,0 +1,51 @@
+import client from './axios';
+import { unwrap } from './envelope';
+
+/**
+ * A return merchandise authorisation (RMA) against some items of an order.
+ * @typedef {object} ReturnRequest
+ * @property {number} id
+ * @property {number} order_id
+ * @property {string} rma_number
+ * @property {string} status - see constants/returns RETURN_STATUS
+ * @property {string} reason
+ * @property {string|null} [note]
+ * @property {string} created_at
+ * @property {string|null} [received_at]
+ * @property {ReturnItem[]} items
+ */
+
+/**
+ * @typedef {object} ReturnItem
+ * @property {number|null} order_item_id
+ * @property {number|null} product_id
+ * @property {string} sku
+ * @property {string} product_name
+ * @property {number} quantity
+ * @property {string|null} [condition] - recorded on receipt
+ * @property {boolean} [restocked]
+ */
+
+const returnsApi = {
+  /** @returns {Promise<ReturnRequest[]>} */
+  listByOrder: async (orderId) => {
+    const data = await client.get(`/orders/${orderId}/returns`).then(unwrap);
+    return Array.isArray(data) ? data : data?.returns ?? [];
+  },
+  /** @returns {Promise<ReturnRequest>} */
+  create: (orderId, payload) => client.post(`/orders/${orderId}/returns`, payload).then(unwrap),
+  /**
+   * @param {string} [note] - e.g. why a return was rejected
+   */
+  updateStatus: (returnId, status, note) => client.put(`/returns/${returnId}`, note ? { status, note } : { status }).then(unwrap),
+  /**
+   * Records the goods as received, with the condition of each item. Items
+   * marked `restock` are put back in the same call, as a return movement
+   * into the batch and warehouse they shipped from.
+   * @param {{ order_item_id: number|null, sku: string, condition: string, restock: boolean }[]} items
+   * @returns {Promise<ReturnRequest>} with `restocked` set on each item
+   */
+  receive: (returnId, items) => client.post(`/returns/${returnId}/receive`, { items }).then(unwrap),
+};
+
+export default returnsApi;
@@ -0,0 +1,118 @@
+import { jwtDecode } from 'jwt-decode';
+import ApiError from './ApiError';
+
+// The signed-in session lives here so the axios interceptors can read the
+// token outside React. AuthProvider keeps it in sync with the auth cookie and
+// registers the handlers used for silent refresh and forced logout.
+let currentSession;
+let handlers = {};
+let refreshPromise = null;
+
+/**
+ * @typedef {object} Session
+ * @property {string} token - JWT access token
+ * @property {string|null} refreshToken
+ * @property {number|null} expiresAt - access token expiry, epoch ms
+ * @property {string} [role]
+ * @property {string} [email]
+ */
+
+export const decodeToken = (token) => {
+  if (!token) return null;
+  try {
+    return jwtDecode(token);
+  } catch {
+    return null;
+  }
+};
+
+export const getTokenExpiry = (token) => {
+  const claims = decodeToken(token);
+  return claims?.exp ? claims.exp * 1000 : null;
+};
+
+/**
+ * @param {string} token
+ * @param {number} [leewayMs] - treat the token as expired this long before `exp`
+ */
+export const isTokenExpired = (token, leewayMs = 0) => {
+  const expiresAt = getTokenExpiry(token);
+  return expiresAt !== null && expiresAt - leewayMs <= Date.now();
+};
+
+/**
+ * Builds the session object stored in the auth cookie from a login/refresh response.
+ * Role and expiry always come from the token claims when present.
+ * @returns {Session}
+ */
+export const createSession = ({ token, refreshToken = null, user = {} }) => {
+  const { password, token: _token, accessToken, access_token, refreshToken: _refresh, refresh_token, ...profile } = user;
+  const claims = decodeToken(token) || {};
+  const session = {
+    ...profile,
+    id: profile.id ?? claims.sub ?? claims.id,
+    email: profile.email ?? claims.email ?? claims.Email,
+    role: claims.role ?? claims.Role ?? profile.role,
+    permissions: claims.permissions ?? profile.permissions,
+    token,
+    refreshToken,
+    expiresAt: getTokenExpiry(token),
+  };
+  // Drop missing fields so a refresh response never blanks out the stored profile
+  return Object.fromEntries(Object.entries(session).filter(([, value]) => value !== undefined));
+};
+
+export const getSession = () => currentSession;
+
+export const setSession = (session) => {
+  currentSession = session || undefined;
+};
+
+export const getAccessToken = () => currentSession?.token ?? null;
+
+/**
+ * @param {object} config
+ * @param {(session: Session) => Promise<Session>} config.refresh - exchanges the refresh token
+ * @param {(session: Session) => void} config.onChange - persists a refreshed session
+ * @param {() => void} config.onExpired - signs the user out
+ */
+export const configureSessionHandlers = (config) => {
+  handlers = config || {};
+  return () => {
+    handlers = {};
+  };
+};
+
+/**
+ * Refreshes the access token. Concurrent callers share a single request.
+ * @returns {Promise<Session>}
+ */
+export const refreshSession = () => {
+  if (!currentSession?.refreshToken || !handlers.refresh) {
+    return Promise.reject(new ApiError('Your session has expired. Please sign in again.', 401));
+  }
+  if (!refreshPromise) {
+    const previous = currentSession;
+    refreshPromise = handlers.refresh(previous)
+      .then((next) => {
+        const session = {
+          ...previous,
+          ...next,
+          refreshToken: next.refreshToken ?? previous.refreshToken,
+        };
+        setSession(session);
+        handlers.onChange?.(session);
+        return session;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+export const expireSession = () => {
+  if (!currentSession) return;
+  setSession(undefined);
+  handlers.onExpired?.();
+};
@@ -0,0 +1,34 @@
+import client from './axios';
+import { unwrap } from './envelope';
+
+/**
+ * One parcel of an order. Multi-item orders may ship in several.
+ * @typedef {object} Shipment
+ * @property {number} id
+ * @property {number} order_id
+ * @property {string} carrier - id from constants/shipping CARRIERS
+ * @property {string} tracking_number - AWB / consignment number
+ * @property {string|null} [tracking_url] - only for carriers without a template
+ * @property {number|null} [weight_kg]
+ * @property {number|null} [length_cm]
+ * @property {number|null} [width_cm]
+ * @property {number|null} [height_cm]
+ * @property {string} shipped_at - `YYYY-MM-DD`
+ * @property {string|null} [expected_delivery] - `YYYY-MM-DD`
+ * @property {string} status
+ * @property {{ order_item_id: number|null, sku: string, product_name: string, quantity: number, batches?: { batch_id: number, quantity: number }[] }[]} items - `batches` the item is picked from, for batch-tracked stock
+ */
+
+const shipmentsApi = {
+  /** @returns {Promise<Shipment[]>} */
+  listByOrder: async (orderId) => {
+    const data = await client.get(`/orders/${orderId}/shipments`).then(unwrap);
+    return Array.isArray(data) ? data : data?.shipments ?? [];
+  },
+  /** @returns {Promise<Shipment>} */
+  create: (orderId, payload) => client.post(`/orders/${orderId}/shipments`, payload).then(unwrap),
+  update: (orderId, shipmentId, payload) => client.put(`/orders/${orderId}/shipments/${shipmentId}`, payload).then(unwrap),
+  updateStatus: (orderId, shipmentId, status) => shipmentsApi.update(orderId, shipmentId, { status }),
+};
+
+export default shipmentsApi;
@@ -0,0 +1,48 @@
+import client from './axios';
+import { unwrap } from './envelope';
+
+/**
+ * Stock moving between warehouses. Creating a transfer takes the stock out of
+ * the source at once; it is added to the destination when received. The
+ * backend logs both steps as transfer movements in the stock ledger.
+ * @typedef {object} StockTransfer
+ * @property {number} id
+ * @property {number} source_warehouse_id
+ * @property {number} destination_warehouse_id
+ * @property {string} status - one of TRANSFER_STATUS
+ * @property {string} [note]
+ * @property {string} created_at
+ * @property {string|null} [received_at]
+ * @property {StockTransferItem[]} items
+ */
+
+/**
+ * @typedef {object} StockTransferItem
+ * @property {number} id
+ * @property {number} product_id
+ * @property {string|null} sku
+ * @property {number} quantity - sent
+ * @property {number|null} [received_quantity] - set on receipt; less than sent when stock was lost on the way
+ */
+
+const stockTransfersApi = {
+  /** @returns {Promise<StockTransfer[]>} newest first */
+  list: async () => {
+    const data = await client.get('/stock-transfers').then(unwrap);
+    return Array.isArray(data) ? data : data?.transfers ?? [];
+  },
+  /**
+   * @param {{ source_warehouse_id: number, destination_warehouse_id: number, note?: string, items: { product_id: number, sku: string|null, quantity: number }[] }} payload
+   * @returns {Promise<StockTransfer>}
+   */
+  create: (payload) => client.post('/stock-transfers', payload).then(unwrap),
+  /**
+   * Confirms arrival at the destination.
+   * @param {{ id: number, received_quantity: number }[]} items
+   */
+  receive: (id, items) => client.post(`/stock-transfers/${id}/receive`, { items }).then(unwrap),
+  /** Returns the stock of a transfer still in transit to its source. */
+  cancel: (id) => client.post(`/stock-transfers/${id}/cancel`).then(unwrap),
+};
+
+export default stockTransfersApi;
@@ -0,0 +1,31 @@
+import client from './axios';
+import { unwrap } from './envelope';
+
+/**
+ * A distributor or manufacturer stock is bought from.
+ * @typedef {object} Supplier
+ * @property {number} id
+ * @property {string} name
+ * @property {string} [contact_name]
+ * @property {string} [phone]
+ * @property {string} [email]
+ * @property {string} [gstin]
+ * @property {string} [address]
+ * @property {number} lead_time_days - usual days from order to delivery
+ * @property {number[]} product_ids - products bought from this supplier
+ */
+
+const suppliersApi = {
+  /** @returns {Promise<Supplier[]>} */
+  list: async () => {
+    const data = await client.get('/suppliers').then(unwrap);
+    return Array.isArray(data) ? data : data?.suppliers ?? [];
+  },
+  /** @returns {Promise<Supplier>} */
+  create: (payload) => client.post('/suppliers', payload).then(unwrap),
+  update: (id, payload) => client.put(`/suppliers/${id}`, payload).then(unwrap),
+  /** Rejected by the backend while the supplier has open purchase orders. */
+  remove: (id) => client.delete(`/suppliers/${id}`).then(unwrap),
+};
+
+export default suppliersApi;
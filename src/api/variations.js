@@ -0,0 +1,23 @@
+import client from './axios';
+import { unwrap } from './envelope';
+
+/**
+ * @typedef {object} VariantSku
+ * @property {string} sku
+ * @property {number} product_id
+ * @property {number|string} price_modifier
+ * @property {{ id: number, variation_type: string, variation_value: string }[]} attributes
+ */
+
+const variationsApi = {
+  /** @returns {Promise<VariantSku[]>} variants grouped by SKU */
+  listByProduct: async (productId) => {
+    const data = await client.get(`/variations/${productId}`).then(unwrap);
+    return data ?? [];
+  },
+  create: (payload) => client.post('/variations/create', payload).then(unwrap),
+  updateAttribute: (attributeId, payload) => client.put(`/variations/edit/${attributeId}`, payload).then(unwrap),
+  removeSku: (sku) => client.delete(`/variations/delete/${encodeURIComponent(sku)}`).then(unwrap),
+};
+
+export default variationsApi;
@@ -0,0 +1,26 @@
+import client from './axios';
+import { unwrap } from './envelope';
+
+/**
+ * A godown or store that holds stock.
+ * @typedef {object} Warehouse
+ * @property {number} id
+ * @property {string} code - short unique code shown in stock tables, e.g. `BLR-1`
+ * @property {string} name
+ * @property {string} [address]
+ */
+
+const warehousesApi = {
+  /** @returns {Promise<Warehouse[]>} */
+  list: async () => {
+    const data = await client.get('/warehouses').then(unwrap);
+    return Array.isArray(data) ? data : data?.warehouses ?? [];
+  },
+  /** @returns {Promise<Warehouse>} */
+  create: (payload) => client.post('/warehouses', payload).then(unwrap),
+  update: (id, payload) => client.put(`/warehouses/${id}`, payload).then(unwrap),
+  /** Rejected by the backend while the warehouse still holds stock. */
+  remove: (id) => client.delete(`/warehouses/${id}`).then(unwrap),
+};
+
+export default warehousesApi;
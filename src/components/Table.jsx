@@ -10,9 +10,10 @@ const GlobalFilter = ({
   preGlobalFilteredRows,
   globalFilter,
   setGlobalFilter,
-  searchBoxClass
+  searchBoxClass,
+  totalCount
 }) => {
-  const count = preGlobalFilteredRows.length;
+  const count = totalCount ?? preGlobalFilteredRows.length;
   const [value, setValue] = useState(globalFilter);
   const onChange = useAsyncDebounce(value => {
     setGlobalFilter(value || undefined);
@@ -50,6 +51,15 @@ const Table = props => {
   const isSelectable = props["isSelectable"] || false;
   const isExpandable = props["isExpandable"] || false;
   const sizePerPageList = props["sizePerPageList"] || [];
+  // Manual mode leaves paging, sorting and searching to the server: the
+  // table only keeps the state and reports it through onFetchData
+  const isManual = props["manual"] || false;
+  const onFetchData = props["onFetchData"];
+  const onSelectedRowsChange = props["onSelectedRowsChange"];
+  const onSortByChange = props["onSortByChange"];
+  // Rows edited in place should not send the user back to the first page or
+  // clear their selection; pair with getRowId so selection follows the rows
+  const keepStateOnDataChange = props["keepStateOnDataChange"] || false;
   let otherProps = {};
   if (isSearchable) {
     otherProps["useGlobalFilter"] = useGlobalFilter;
@@ -70,8 +80,31 @@ const Table = props => {
     columns: props["columns"],
     data: props["data"],
     initialState: {
-      pageSize: props["pageSize"] || 10
-    }
+      pageSize: props["pageSize"] || 10,
+      ...props["initialState"]
+    },
+    ...(props["getRowId"] && {
+      getRowId: props["getRowId"]
+    }),
+    ...(keepStateOnDataChange && {
+      autoResetPage: false,
+      autoResetSortBy: false,
+      autoResetSelectedRows: false
+    }),
+    ...(isManual && {
+      manualPagination: true,
+      manualSortBy: true,
+      manualGlobalFilter: true,
+      pageCount: props["pageCount"] ?? -1,
+      autoResetPage: false,
+      autoResetSortBy: false,
+      autoResetGlobalFilter: false,
+      // A new sort order or search term starts again from the first page
+      stateReducer: (newState, action) => ["toggleSortBy", "setSortBy", "setGlobalFilter"].includes(action.type) ? {
+        ...newState,
+        pageIndex: 0
+      } : newState
+    })
   }, otherProps.hasOwnProperty("useGlobalFilter") && otherProps["useGlobalFilter"], otherProps.hasOwnProperty("useSortBy") && otherProps["useSortBy"], otherProps.hasOwnProperty("useExpanded") && otherProps["useExpanded"], otherProps.hasOwnProperty("usePagination") && otherProps["usePagination"], otherProps.hasOwnProperty("useRowSelect") && otherProps["useRowSelect"], hooks => {
     isSelectable && hooks.visibleColumns.push(columns => [
     // Let's make a column for selection
@@ -121,9 +154,42 @@ const Table = props => {
                 </span> : null
     }, ...columns]);
   });
+  const {
+    pageIndex,
+    pageSize,
+    sortBy,
+    globalFilter
+  } = dataTable.state;
+  useEffect(() => {
+    if (isManual && onFetchData) {
+      onFetchData({
+        pageIndex,
+        pageSize,
+        sortBy,
+        globalFilter
+      });
+    }
+  }, [isManual, pageIndex, pageSize, sortBy, globalFilter]);
+  useEffect(() => {
+    if (isSortable && onSortByChange) {
+      onSortByChange(sortBy);
+    }
+  }, [isSortable, sortBy]);
+  const selectedRowIds = dataTable.state.selectedRowIds;
+  useEffect(() => {
+    if (isSelectable && onSelectedRowsChange) {
+      onSelectedRowsChange(dataTable.selectedFlatRows.map(row => row.original));
+    }
+  }, [isSelectable, selectedRowIds, props["data"]]);
+  // Filtering can leave the kept page past the end
+  useEffect(() => {
+    if (keepStateOnDataChange && pagination && pageIndex > 0 && pageIndex >= dataTable.pageCount) {
+      dataTable.gotoPage(Math.max(dataTable.pageCount - 1, 0));
+    }
+  }, [keepStateOnDataChange, pageIndex, dataTable.pageCount]);
   let rows = pagination ? dataTable.page : dataTable.rows;
   return <>
-            {isSearchable && <GlobalFilter preGlobalFilteredRows={dataTable.preGlobalFilteredRows} globalFilter={dataTable.state.globalFilter} setGlobalFilter={dataTable.setGlobalFilter} searchBoxClass={props["searchBoxClass"]} />}
+            {isSearchable && <GlobalFilter preGlobalFilteredRows={dataTable.preGlobalFilteredRows} globalFilter={dataTable.state.globalFilter} setGlobalFilter={dataTable.setGlobalFilter} searchBoxClass={props["searchBoxClass"]} totalCount={props["totalCount"]} />}
 
             <div className="table-responsive">
                 <table {...dataTable.getTableProps()} className={classNames("table table-centered react-table", props["tableClass"])}>
@@ -0,0 +1,19 @@
+// Batches expiring within this many days show in the expiry alert
+const DEFAULT_EXPIRY_WINDOW_DAYS = 30;
+const EXPIRY_WINDOW_OPTIONS = [7, 30, 60, 90];
+const BATCH_STATUS = {
+  ACTIVE: "active",
+  EXPIRING: "expiring",
+  EXPIRED: "expired"
+};
+const BATCH_STATUS_LABELS = {
+  [BATCH_STATUS.ACTIVE]: "Active",
+  [BATCH_STATUS.EXPIRING]: "Expiring Soon",
+  [BATCH_STATUS.EXPIRED]: "Expired"
+};
+const BATCH_STATUS_VARIANTS = {
+  [BATCH_STATUS.ACTIVE]: "success",
+  [BATCH_STATUS.EXPIRING]: "warning",
+  [BATCH_STATUS.EXPIRED]: "danger"
+};
+export { DEFAULT_EXPIRY_WINDOW_DAYS, EXPIRY_WINDOW_OPTIONS, BATCH_STATUS, BATCH_STATUS_LABELS, BATCH_STATUS_VARIANTS };
@@ -0,0 +1,48 @@
+// Options for orders created by staff from the portal (phone/WhatsApp orders)
+const ORDER_SOURCE_ADMIN = "admin";
+const PAYMENT_MODE = {
+  COD: "cod",
+  UPI: "upi",
+  OFFLINE: "offline"
+};
+const PAYMENT_MODES = [{
+  id: PAYMENT_MODE.COD,
+  label: "Cash on Delivery",
+  description: "Customer pays the courier when the order is delivered.",
+  icon: "mdi-cash",
+  paid: false
+}, {
+  id: PAYMENT_MODE.UPI,
+  label: "UPI",
+  description: "Customer has paid by UPI; record the transaction reference.",
+  icon: "mdi-qrcode",
+  paid: true
+}, {
+  id: PAYMENT_MODE.OFFLINE,
+  label: "Paid Offline",
+  description: "Payment received by cash, bank transfer or cheque.",
+  icon: "mdi-bank",
+  paid: true
+}];
+const OFFLINE_PAYMENT_METHODS = ["Cash", "Bank transfer", "Cheque"];
+const SHIPPING_METHODS = [{
+  id: "standard",
+  label: "Standard Delivery",
+  description: "Estimated 5-7 days",
+  charge: 0
+}, {
+  id: "express",
+  label: "Express Delivery",
+  description: "Estimated 1-2 days",
+  charge: 100
+}, {
+  id: "pickup",
+  label: "Store Pickup",
+  description: "Customer collects the order",
+  charge: 0
+}];
+const DISCOUNT_TYPE = {
+  PERCENT: "percent",
+  AMOUNT: "amount"
+};
+export { ORDER_SOURCE_ADMIN, PAYMENT_MODE, PAYMENT_MODES, OFFLINE_PAYMENT_METHODS, SHIPPING_METHODS, DISCOUNT_TYPE };
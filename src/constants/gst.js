@@ -0,0 +1,66 @@
+// Seller identity printed on every tax invoice. Set per deployment in .env.
+const SELLER = {
+  name: import.meta.env.VITE_SELLER_NAME || "Ecomm Store",
+  address: import.meta.env.VITE_SELLER_ADDRESS || "",
+  gstin: import.meta.env.VITE_SELLER_GSTIN || "",
+  // First two digits of the GSTIN, e.g. "29" for Karnataka
+  stateCode: import.meta.env.VITE_SELLER_STATE_CODE || (import.meta.env.VITE_SELLER_GSTIN || "").slice(0, 2)
+};
+
+// GST state/UT codes used for the place of supply
+const GST_STATES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  "10": "Bihar",
+  "11": "Sikkim",
+  "12": "Arunachal Pradesh",
+  "13": "Nagaland",
+  "14": "Manipur",
+  "15": "Mizoram",
+  "16": "Tripura",
+  "17": "Meghalaya",
+  "18": "Assam",
+  "19": "West Bengal",
+  "20": "Jharkhand",
+  "21": "Odisha",
+  "22": "Chhattisgarh",
+  "23": "Madhya Pradesh",
+  "24": "Gujarat",
+  "26": "Dadra and Nagar Haveli and Daman and Diu",
+  "27": "Maharashtra",
+  "29": "Karnataka",
+  "30": "Goa",
+  "31": "Lakshadweep",
+  "32": "Kerala",
+  "33": "Tamil Nadu",
+  "34": "Puducherry",
+  "35": "Andaman and Nicobar Islands",
+  "36": "Telangana",
+  "37": "Andhra Pradesh",
+  "38": "Ladakh",
+  "97": "Other Territory"
+};
+const GST_RATES = [0, 5, 12, 18, 28];
+
+// State code, PAN, entity number, "Z" and a check character, e.g. 29ABCDE1234F1Z5
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// Used for order lines whose product has no rate or HSN code of its own
+const DEFAULT_GST_RATE = 18;
+const DEFAULT_HSN_CODE = "";
+
+// Delivery charged on an order is invoiced as its own line under the SAC for courier services
+const SHIPPING_SAC_CODE = "996812";
+const SHIPPING_GST_RATE = 18;
+const INVOICE_TYPE = {
+  INVOICE: "invoice",
+  CREDIT_NOTE: "credit_note"
+};
+export { SELLER, GST_STATES, GST_RATES, GSTIN_PATTERN, DEFAULT_GST_RATE, DEFAULT_HSN_CODE, SHIPPING_SAC_CODE, SHIPPING_GST_RATE, INVOICE_TYPE };
@@ -0,0 +1,41 @@
+// Formats the browser can decode and re-encode before upload
+const ACCEPTED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// Larger originals are rejected outright rather than decoded in the browser
+const MAX_SOURCE_BYTES = 25 * 1024 * 1024;
+
+// Output is resized to fit maxWidth × maxHeight and re-encoded until it is under maxBytes.
+// A null aspect ratio keeps the original proportions.
+const IMAGE_PRESETS = {
+  PRODUCT: {
+    label: "Product image",
+    minWidth: 800,
+    minHeight: 800,
+    maxWidth: 1600,
+    maxHeight: 1600,
+    maxBytes: 300 * 1024,
+    aspectRatios: [{
+      label: "Square 1:1",
+      value: 1
+    }, {
+      label: "Portrait 4:5",
+      value: 4 / 5
+    }, {
+      label: "Original",
+      value: null
+    }]
+  },
+  BANNER: {
+    label: "Banner",
+    minWidth: 1200,
+    minHeight: 400,
+    maxWidth: 1920,
+    maxHeight: 640,
+    maxBytes: 400 * 1024,
+    aspectRatios: [{
+      label: "Hero 3:1",
+      value: 3
+    }]
+  }
+};
+export { ACCEPTED_IMAGE_TYPES, MAX_SOURCE_BYTES, IMAGE_PRESETS };
@@ -0,0 +1,18 @@
+// Stock below this counts as low unless the user picks another threshold
+const DEFAULT_LOW_STOCK_THRESHOLD = 10;
+const STOCK_STATUS = {
+  IN_STOCK: "in-stock",
+  LOW_STOCK: "low-stock",
+  OUT_OF_STOCK: "out-of-stock"
+};
+const STOCK_STATUS_LABELS = {
+  [STOCK_STATUS.IN_STOCK]: "In Stock",
+  [STOCK_STATUS.LOW_STOCK]: "Low Stock",
+  [STOCK_STATUS.OUT_OF_STOCK]: "Out of Stock"
+};
+const STOCK_STATUS_VARIANTS = {
+  [STOCK_STATUS.IN_STOCK]: "success",
+  [STOCK_STATUS.LOW_STOCK]: "warning",
+  [STOCK_STATUS.OUT_OF_STOCK]: "danger"
+};
+export { DEFAULT_LOW_STOCK_THRESHOLD, STOCK_STATUS, STOCK_STATUS_LABELS, STOCK_STATUS_VARIANTS };
@@ -1,4 +1,5 @@
 import { FiActivity, FiAirplay, FiAperture, FiBarChart2, FiBook, FiBookmark, FiBriefcase, FiCalendar, FiClipboard, FiCpu, FiFileText, FiFolderPlus, FiGift, FiGrid, FiHome, FiLayers, FiMail, FiMap, FiMessageSquare, FiPackage, FiPocket, FiRss, FiShare2, FiShoppingCart, FiUsers } from "react-icons/fi";
+import { PERMISSIONS } from "./permissions";
 const MENU_ITEMS = [{
   key: "navigation",
   isTitle: true
@@ -28,7 +29,8 @@ const MENU_ITEMS = [{
     key: "ecommerce-products",
     label: "Products",
     url: "/apps/ecommerce/products",
-    parentKey: "apps-ecommerce"
+    parentKey: "apps-ecommerce",
+    permission: PERMISSIONS.PRODUCTS_READ
   }, 
   
   // {
@@ -49,25 +51,29 @@ const MENU_ITEMS = [{
     key: "ecommerce-banner",
     label: "Banner",
     url: "/apps/ecommerce/banner",
-    parentKey: "apps-ecommerce"
+    parentKey: "apps-ecommerce",
+    permission: PERMISSIONS.BANNERS_READ
   },
   {
     key: "ecommerce-category",
     label: "Category",
     url: "/apps/ecommerce/category",
-    parentKey: "apps-ecommerce"
+    parentKey: "apps-ecommerce",
+    permission: PERMISSIONS.CATEGORIES_READ
   },
   {
     key: "ecommerce-category",
     label: "Inventory / Store",
     url: "/apps/ecommerce/inventory",
-    parentKey: "apps-ecommerce"
+    parentKey: "apps-ecommerce",
+    permission: PERMISSIONS.INVENTORY_READ
   },
   {
     key: "ecommerce-category",
     label: "Variation",
     url: "/apps/ecommerce/variation ",
-    parentKey: "apps-ecommerce"
+    parentKey: "apps-ecommerce",
+    permission: PERMISSIONS.VARIATIONS_READ
   },
   
   
@@ -75,13 +81,15 @@ const MENU_ITEMS = [{
     key: "ecommerce-customers",
     label: "Customers",
     url: "/apps/ecommerce/customers",
-    parentKey: "apps-ecommerce"
+    parentKey: "apps-ecommerce",
+    permission: PERMISSIONS.CUSTOMERS_READ
   },
   {
     key: "ecommerce-orders",
     label: "Orders",
     url: "/apps/ecommerce/Orders",
-    parentKey: "apps-ecommerce"
+    parentKey: "apps-ecommerce",
+    permission: PERMISSIONS.ORDERS_READ
   },
 //   }, {
 //     key: "ecommerce-orders",
@@ -250,8 +258,8 @@ const HORIZONTAL_MENU_ITEMS = [{
       parentKey: "apps-ecommerce"
     }, {
       key: "ecommerce-checkout",
-      label: "Checkout",
-      url: "/apps/ecommerce/checkout",
+      label: "Create Order",
+      url: "/apps/ecommerce/orders/create",
       parentKey: "apps-ecommerce"
     }]
   }, {
@@ -934,8 +942,8 @@ const TWO_COl_MENU_ITEMS = [{
       parentKey: "apps-ecommerce"
     }, {
       key: "ecommerce-checkout",
-      label: "Checkout",
-      url: "/apps/ecommerce/checkout",
+      label: "Create Order",
+      url: "/apps/ecommerce/orders/create",
       parentKey: "apps-ecommerce"
     }]
   }, {
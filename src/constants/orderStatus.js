@@ -0,0 +1,47 @@
+// Order lifecycle. The backend stores the status label as-is.
+const ORDER_STATUS = {
+  PENDING: "Pending",
+  ON_HOLD: "On Hold",
+  PROCESSING: "Processing",
+  SHIPPED: "Shipped",
+  COMPLETED: "Completed",
+  CANCELLED: "Cancelled",
+  RETURNED: "Returned",
+  REFUNDED: "Refunded"
+};
+
+// Statuses each status may move to; anything not listed is rejected in the UI
+const ORDER_TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: [ORDER_STATUS.PROCESSING, ORDER_STATUS.ON_HOLD, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.ON_HOLD]: [ORDER_STATUS.PENDING, ORDER_STATUS.PROCESSING, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PROCESSING]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.ON_HOLD, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.COMPLETED, ORDER_STATUS.RETURNED],
+  [ORDER_STATUS.COMPLETED]: [ORDER_STATUS.RETURNED],
+  [ORDER_STATUS.RETURNED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.CANCELLED]: [ORDER_STATUS.REFUNDED],
+  [ORDER_STATUS.REFUNDED]: []
+};
+
+// Moving into these statuses needs a note explaining why
+const REASON_REQUIRED_STATUSES = [ORDER_STATUS.CANCELLED];
+const ORDER_STATUS_VARIANTS = {
+  [ORDER_STATUS.PENDING]: "secondary",
+  [ORDER_STATUS.ON_HOLD]: "dark",
+  [ORDER_STATUS.PROCESSING]: "warning",
+  [ORDER_STATUS.SHIPPED]: "info",
+  [ORDER_STATUS.COMPLETED]: "success",
+  [ORDER_STATUS.CANCELLED]: "danger",
+  [ORDER_STATUS.RETURNED]: "primary",
+  [ORDER_STATUS.REFUNDED]: "danger"
+};
+const ORDER_STATUS_ICONS = {
+  [ORDER_STATUS.PENDING]: "mdi-cart-plus",
+  [ORDER_STATUS.ON_HOLD]: "mdi-pause-circle",
+  [ORDER_STATUS.PROCESSING]: "mdi-cog",
+  [ORDER_STATUS.SHIPPED]: "mdi-truck-delivery",
+  [ORDER_STATUS.COMPLETED]: "mdi-check-circle",
+  [ORDER_STATUS.CANCELLED]: "mdi-cancel",
+  [ORDER_STATUS.RETURNED]: "mdi-keyboard-return",
+  [ORDER_STATUS.REFUNDED]: "mdi-cash-refund"
+};
+export { ORDER_STATUS, ORDER_TRANSITIONS, REASON_REQUIRED_STATUSES, ORDER_STATUS_VARIANTS, ORDER_STATUS_ICONS };
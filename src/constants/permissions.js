@@ -0,0 +1,47 @@
+// Permission keys are `<resource>:<action>`. `<resource>:*` grants every
+// action on a resource and `*` grants everything.
+const PERMISSIONS = {
+  PRODUCTS_READ: "products:read",
+  PRODUCTS_WRITE: "products:write",
+  PRODUCTS_DELETE: "products:delete",
+  VARIATIONS_READ: "variations:read",
+  VARIATIONS_WRITE: "variations:write",
+  VARIATIONS_DELETE: "variations:delete",
+  CATEGORIES_READ: "categories:read",
+  CATEGORIES_WRITE: "categories:write",
+  CATEGORIES_DELETE: "categories:delete",
+  BANNERS_READ: "banners:read",
+  BANNERS_WRITE: "banners:write",
+  BANNERS_DELETE: "banners:delete",
+  INVENTORY_READ: "inventory:read",
+  INVENTORY_WRITE: "inventory:write",
+  INVENTORY_DELETE: "inventory:delete",
+  ORDERS_READ: "orders:read",
+  ORDERS_CREATE: "orders:create",
+  ORDERS_UPDATE: "orders:update",
+  ORDERS_DELETE: "orders:delete",
+  CUSTOMERS_READ: "customers:read"
+};
+
+// Fallback used when the access token carries a role but no `permissions` claim
+const ROLE_PERMISSIONS = {
+  Admin: ["*"],
+  CatalogEditor: ["products:*", "variations:*"],
+  Warehouse: ["inventory:*"],
+  Support: ["orders:read", "orders:create", "orders:update"]
+};
+
+// Where a signed-in user lands when a route turns them away, in order of preference
+const LANDING_ROUTES = [{
+  path: "/apps/ecommerce/products",
+  permission: PERMISSIONS.PRODUCTS_READ
+}, {
+  path: "/apps/ecommerce/inventory",
+  permission: PERMISSIONS.INVENTORY_READ
+}, {
+  path: "/apps/ecommerce/orders",
+  permission: PERMISSIONS.ORDERS_READ
+}, {
+  path: "/dashboard-1"
+}];
+export { PERMISSIONS, ROLE_PERMISSIONS, LANDING_ROUTES };
@@ -0,0 +1,14 @@
+// Ways the bulk edit dialog can change the price of the selected products
+const PRICE_CHANGE = {
+  KEEP: "",
+  SET: "set",
+  ADJUST_AMOUNT: "amount",
+  ADJUST_PERCENT: "percent"
+};
+const PRICE_CHANGE_LABELS = {
+  [PRICE_CHANGE.KEEP]: "Keep current price",
+  [PRICE_CHANGE.SET]: "Set to",
+  [PRICE_CHANGE.ADJUST_AMOUNT]: "Adjust by amount (₹)",
+  [PRICE_CHANGE.ADJUST_PERCENT]: "Adjust by percentage (%)"
+};
+export { PRICE_CHANGE, PRICE_CHANGE_LABELS };
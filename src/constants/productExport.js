@@ -0,0 +1,25 @@
+const EXPORT_FORMATS = {
+  CSV: "csv",
+  XLSX: "xlsx",
+  JSON: "json"
+};
+const EXPORT_FORMAT_LABELS = {
+  [EXPORT_FORMATS.CSV]: "CSV (import template layout)",
+  [EXPORT_FORMATS.XLSX]: "Excel (.xlsx)",
+  [EXPORT_FORMATS.JSON]: "JSON"
+};
+
+// Exported after the import template's columns, which the import ignores.
+// The import only creates products, so rows whose SKU already exists are rejected.
+const EXPORT_EXTRA_COLUMNS = [
+  { name: "product_id" },
+  { name: "status" },
+  { name: "stock_status" },
+  { name: "slug" },
+  { name: "image_urls" },
+  { name: "updated_at" }
+];
+
+// One row per variation, in the second sheet or file
+const VARIATION_EXPORT_COLUMNS = ["product_id", "product_name", "sku", "name", "size", "color", "price", "stock_quantity", "image_url"];
+export { EXPORT_FORMATS, EXPORT_FORMAT_LABELS, EXPORT_EXTRA_COLUMNS, VARIATION_EXPORT_COLUMNS };
@@ -0,0 +1,20 @@
+// Column spec of the product import template, used when the backend does
+// not describe its own through /bulk-upload/template
+const DEFAULT_IMPORT_COLUMNS = [
+  { name: "name", required: true, type: "text" },
+  { name: "price", required: true, type: "number" },
+  { name: "sku", required: false, type: "text" },
+  { name: "description", required: false, type: "text" },
+  { name: "long_description", required: false, type: "text" },
+  { name: "image_url", required: false, type: "text" },
+  { name: "stock_quantity", required: false, type: "integer" },
+  { name: "brand_id", required: false, type: "integer" },
+  { name: "brand_name", required: false, type: "text" },
+  { name: "category_id", required: false, type: "integer" },
+  { name: "category_name", required: false, type: "text" },
+  { name: "subcategory_id", required: false, type: "integer" },
+  { name: "subcategory_name", required: false, type: "text" }
+];
+const IMPORT_FILE_TYPES = ".csv,.xlsx";
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+export { DEFAULT_IMPORT_COLUMNS, IMPORT_FILE_TYPES, MAX_IMPORT_BYTES };
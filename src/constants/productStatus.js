@@ -0,0 +1,24 @@
+// Product lifecycle. Only published products are shown on the storefront;
+// scheduled ones are published by the backend once `publish_at` passes.
+const PRODUCT_STATUS = {
+  DRAFT: "draft",
+  SCHEDULED: "scheduled",
+  PUBLISHED: "published",
+  ARCHIVED: "archived"
+};
+const PRODUCT_STATUS_LABELS = {
+  [PRODUCT_STATUS.DRAFT]: "Draft",
+  [PRODUCT_STATUS.SCHEDULED]: "Scheduled",
+  [PRODUCT_STATUS.PUBLISHED]: "Published",
+  [PRODUCT_STATUS.ARCHIVED]: "Archived"
+};
+const PRODUCT_STATUS_VARIANTS = {
+  [PRODUCT_STATUS.DRAFT]: "secondary",
+  [PRODUCT_STATUS.SCHEDULED]: "info",
+  [PRODUCT_STATUS.PUBLISHED]: "success",
+  [PRODUCT_STATUS.ARCHIVED]: "dark"
+};
+
+// Archived products come back as drafts so they are reviewed before going live again
+const RESTORED_STATUS = PRODUCT_STATUS.DRAFT;
+export { PRODUCT_STATUS, PRODUCT_STATUS_LABELS, PRODUCT_STATUS_VARIANTS, RESTORED_STATUS };
@@ -0,0 +1,6 @@
+// Added to the SKUs of a duplicated product, which must stay unique
+const DUPLICATE_SKU_SUFFIX = "-COPY";
+
+// A template's variation matrix may not expand to more variations than this
+const MAX_MATRIX_VARIATIONS = 100;
+export { DUPLICATE_SKU_SUFFIX, MAX_MATRIX_VARIATIONS };
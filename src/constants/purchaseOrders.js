@@ -0,0 +1,28 @@
+const PO_STATUS = {
+  DRAFT: "draft",
+  SENT: "sent",
+  PARTIALLY_RECEIVED: "partially_received",
+  RECEIVED: "received"
+};
+const PO_STATUS_LABELS = {
+  [PO_STATUS.DRAFT]: "Draft",
+  [PO_STATUS.SENT]: "Sent",
+  [PO_STATUS.PARTIALLY_RECEIVED]: "Partially Received",
+  [PO_STATUS.RECEIVED]: "Received"
+};
+const PO_STATUS_VARIANTS = {
+  [PO_STATUS.DRAFT]: "secondary",
+  [PO_STATUS.SENT]: "info",
+  [PO_STATUS.PARTIALLY_RECEIVED]: "warning",
+  [PO_STATUS.RECEIVED]: "success"
+};
+
+// Deliveries can be recorded until everything ordered has arrived
+const RECEIVABLE_PO_STATUSES = [PO_STATUS.SENT, PO_STATUS.PARTIALLY_RECEIVED];
+
+// Orders whose outstanding quantities count as already on order
+const OPEN_PO_STATUSES = [PO_STATUS.DRAFT, ...RECEIVABLE_PO_STATUSES];
+
+// Reorders bring stock back up to this many times the reorder point
+const REORDER_TARGET_MULTIPLIER = 2;
+export { PO_STATUS, PO_STATUS_LABELS, PO_STATUS_VARIANTS, RECEIVABLE_PO_STATUSES, OPEN_PO_STATUSES, REORDER_TARGET_MULTIPLIER };
@@ -0,0 +1,33 @@
+// Return (RMA) lifecycle
+const RETURN_STATUS = {
+  REQUESTED: "Requested",
+  APPROVED: "Approved",
+  REJECTED: "Rejected",
+  RECEIVED: "Received",
+  REFUNDED: "Refunded"
+};
+const RETURN_TRANSITIONS = {
+  [RETURN_STATUS.REQUESTED]: [RETURN_STATUS.APPROVED, RETURN_STATUS.REJECTED],
+  [RETURN_STATUS.APPROVED]: [RETURN_STATUS.RECEIVED, RETURN_STATUS.REJECTED],
+  [RETURN_STATUS.RECEIVED]: [RETURN_STATUS.REFUNDED],
+  [RETURN_STATUS.REJECTED]: [],
+  [RETURN_STATUS.REFUNDED]: []
+};
+const RETURN_STATUS_VARIANTS = {
+  [RETURN_STATUS.REQUESTED]: "warning",
+  [RETURN_STATUS.APPROVED]: "info",
+  [RETURN_STATUS.REJECTED]: "danger",
+  [RETURN_STATUS.RECEIVED]: "primary",
+  [RETURN_STATUS.REFUNDED]: "success"
+};
+const RETURN_REASONS = ["Damaged in transit", "Defective", "Wrong item sent", "Not as described", "No longer needed", "Other"];
+
+// Condition of a returned item on receipt; only resellable stock goes back to inventory
+const ITEM_CONDITION = {
+  RESELLABLE: "Resellable",
+  DAMAGED: "Damaged",
+  DEFECTIVE: "Defective"
+};
+const RESTOCKABLE_CONDITIONS = [ITEM_CONDITION.RESELLABLE];
+const REFUND_METHODS = ["Original payment method", "UPI", "Bank transfer", "Cash", "Store credit"];
+export { RETURN_STATUS, RETURN_TRANSITIONS, RETURN_STATUS_VARIANTS, RETURN_REASONS, ITEM_CONDITION, RESTOCKABLE_CONDITIONS, REFUND_METHODS };
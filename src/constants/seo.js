@@ -0,0 +1,17 @@
+// Storefront the products and categories are published on. Set per deployment in .env.
+const STOREFRONT_URL = (import.meta.env.VITE_STOREFRONT_URL || "https://www.example.com").replace(/\/+$/, "");
+
+// Storefront path for each kind of page; the slug is appended
+const STOREFRONT_PATHS = {
+  product: "/products",
+  category: "/category"
+};
+
+// Lengths search engines show before truncating
+const META_TITLE_LIMIT = 60;
+const META_DESCRIPTION_LIMIT = 160;
+
+// Lowercase words joined by single hyphens, e.g. "nitrile-gloves-medium"
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const SEO_FIELDS = ["slug", "meta_title", "meta_description", "canonical_url", "og_image_url"];
+export { STOREFRONT_URL, STOREFRONT_PATHS, META_TITLE_LIMIT, META_DESCRIPTION_LIMIT, SLUG_PATTERN, SEO_FIELDS };
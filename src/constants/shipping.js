@@ -0,0 +1,38 @@
+// Carriers we ship with. `{tracking}` in the template is replaced by the
+// AWB/tracking number; carriers without a template take a URL per shipment.
+const CARRIERS = [{
+  id: "delhivery",
+  name: "Delhivery",
+  trackingUrl: "https://www.delhivery.com/track/package/{tracking}"
+}, {
+  id: "bluedart",
+  name: "Blue Dart",
+  trackingUrl: "https://www.bluedart.com/web/guest/trackdartresult?trackFor=0&trackNo={tracking}"
+}, {
+  id: "shiprocket",
+  name: "Shiprocket",
+  trackingUrl: "https://shiprocket.co/tracking/{tracking}"
+}, {
+  id: "indiapost",
+  name: "India Post",
+  trackingUrl: null
+}, {
+  id: "other",
+  name: "Other",
+  trackingUrl: null
+}];
+const SHIPMENT_STATUS = {
+  LABEL_CREATED: "Label Created",
+  IN_TRANSIT: "In Transit",
+  OUT_FOR_DELIVERY: "Out for Delivery",
+  DELIVERED: "Delivered",
+  RETURNED_TO_ORIGIN: "Returned to Origin"
+};
+const SHIPMENT_STATUS_VARIANTS = {
+  [SHIPMENT_STATUS.LABEL_CREATED]: "secondary",
+  [SHIPMENT_STATUS.IN_TRANSIT]: "info",
+  [SHIPMENT_STATUS.OUT_FOR_DELIVERY]: "warning",
+  [SHIPMENT_STATUS.DELIVERED]: "success",
+  [SHIPMENT_STATUS.RETURNED_TO_ORIGIN]: "danger"
+};
+export { CARRIERS, SHIPMENT_STATUS, SHIPMENT_STATUS_VARIANTS };
@@ -0,0 +1,45 @@
+const MOVEMENT_TYPE = {
+  RECEIPT: "receipt",
+  SALE: "sale",
+  RETURN: "return",
+  DAMAGE: "damage",
+  SHRINKAGE: "shrinkage",
+  CORRECTION: "correction",
+  TRANSFER: "transfer"
+};
+const MOVEMENT_TYPE_LABELS = {
+  [MOVEMENT_TYPE.RECEIPT]: "Receipt",
+  [MOVEMENT_TYPE.SALE]: "Sale",
+  [MOVEMENT_TYPE.RETURN]: "Return",
+  [MOVEMENT_TYPE.DAMAGE]: "Damage",
+  [MOVEMENT_TYPE.SHRINKAGE]: "Shrinkage",
+  [MOVEMENT_TYPE.CORRECTION]: "Manual Correction",
+  [MOVEMENT_TYPE.TRANSFER]: "Transfer"
+};
+const MOVEMENT_TYPE_VARIANTS = {
+  [MOVEMENT_TYPE.RECEIPT]: "success",
+  [MOVEMENT_TYPE.SALE]: "primary",
+  [MOVEMENT_TYPE.RETURN]: "info",
+  [MOVEMENT_TYPE.DAMAGE]: "danger",
+  [MOVEMENT_TYPE.SHRINKAGE]: "warning",
+  [MOVEMENT_TYPE.CORRECTION]: "secondary",
+  [MOVEMENT_TYPE.TRANSFER]: "dark"
+};
+
+// Sales, returns and transfers are logged by the documents that cause them
+const MANUAL_MOVEMENT_TYPES = [MOVEMENT_TYPE.RECEIPT, MOVEMENT_TYPE.DAMAGE, MOVEMENT_TYPE.SHRINKAGE, MOVEMENT_TYPE.CORRECTION];
+
+// 1 adds stock, -1 removes it, 0 goes either way and takes a signed quantity
+const MOVEMENT_DIRECTION = {
+  [MOVEMENT_TYPE.RECEIPT]: 1,
+  [MOVEMENT_TYPE.SALE]: -1,
+  [MOVEMENT_TYPE.RETURN]: 1,
+  [MOVEMENT_TYPE.DAMAGE]: -1,
+  [MOVEMENT_TYPE.SHRINKAGE]: -1,
+  [MOVEMENT_TYPE.CORRECTION]: 0,
+  [MOVEMENT_TYPE.TRANSFER]: 0
+};
+
+// Write-offs and corrections need a reason for the audit trail
+const REASON_REQUIRED_TYPES = [MOVEMENT_TYPE.DAMAGE, MOVEMENT_TYPE.SHRINKAGE, MOVEMENT_TYPE.CORRECTION];
+export { MOVEMENT_TYPE, MOVEMENT_TYPE_LABELS, MOVEMENT_TYPE_VARIANTS, MANUAL_MOVEMENT_TYPES, MOVEMENT_DIRECTION, REASON_REQUIRED_TYPES };
@@ -0,0 +1,19 @@
+const TRANSFER_STATUS = {
+  IN_TRANSIT: "in_transit",
+  RECEIVED: "received",
+  CANCELLED: "cancelled"
+};
+const TRANSFER_STATUS_LABELS = {
+  [TRANSFER_STATUS.IN_TRANSIT]: "In Transit",
+  [TRANSFER_STATUS.RECEIVED]: "Received",
+  [TRANSFER_STATUS.CANCELLED]: "Cancelled"
+};
+const TRANSFER_STATUS_VARIANTS = {
+  [TRANSFER_STATUS.IN_TRANSIT]: "info",
+  [TRANSFER_STATUS.RECEIVED]: "success",
+  [TRANSFER_STATUS.CANCELLED]: "secondary"
+};
+
+// Records saved before warehouses existed have no warehouse_id
+const UNASSIGNED_WAREHOUSE = { id: null, code: "—", name: "Unassigned" };
+export { TRANSFER_STATUS, TRANSFER_STATUS_LABELS, TRANSFER_STATUS_VARIANTS, UNASSIGNED_WAREHOUSE };
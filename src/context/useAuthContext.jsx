@@ -1,6 +1,9 @@
-import {createContext, useContext, useState} from 'react';
+import {createContext, useContext, useEffect, useState} from 'react';
 import {useNavigate} from 'react-router-dom';
 import {useCookies} from 'react-cookie';
+import authApi from '@/api/auth';
+import {configureSessionHandlers, isTokenExpired, refreshSession, setSession} from '@/api/session';
+import {getPermissions, hasPermission} from '@/helpers/permissions';
 
 const AuthContext = createContext(undefined);
 
@@ -14,6 +17,13 @@ export function useAuthContext() {
 
 const authSessionKey = '_UBOLD_AUTH_KEY_';
 
+// Silently refresh this long before the access token expires
+const REFRESH_AHEAD_MS = 60 * 1000;
+// setTimeout overflows past ~24.8 days; such sessions are re-checked on the next load
+const MAX_TIMER_MS = 2147483647;
+
+const isUsable = session => !!session && !(session.token && isTokenExpired(session.token) && !session.refreshToken);
+
 export function AuthProvider({
                                  children
                              }) {
@@ -21,24 +31,62 @@ export function AuthProvider({
     const [cookies, setCookie, removeCookie] = useCookies([authSessionKey]);
     const getSession = () => {
         const fetchedCookie = cookies[authSessionKey];
-        if (!fetchedCookie) return; else return fetchedCookie;
+        // An expired token that cannot be refreshed is as good as no session
+        if (!isUsable(fetchedCookie)) return; else return fetchedCookie;
     };
-    const [user, setUser] = useState(getSession());
+    const [user, setUser] = useState(() => {
+        const session = getSession();
+        // Sync before the first render so children's initial requests carry the token
+        setSession(session);
+        return session;
+    });
     const saveSession = user => {
+        setSession(user);
         setCookie(authSessionKey, user);
         setUser(user);
     };
-    const removeSession = () => {
+    const removeSession = (redirect = true) => {
+        setSession(undefined);
         removeCookie(authSessionKey);
         setUser(undefined);
-        navigate('/auth/login');
+        if (redirect) navigate('/auth/login');
     };
+
+    useEffect(() => {
+        if (!user && cookies[authSessionKey]) removeCookie(authSessionKey);
+        return configureSessionHandlers({
+            refresh: session => authApi.refresh(session.refreshToken),
+            onChange: saveSession,
+            onExpired: () => removeSession()
+        });
+    }, []);
+
+    // Refresh ahead of expiry when we can, otherwise sign out when the token lapses
+    useEffect(() => {
+        if (!user?.expiresAt) return;
+        const delay = user.refreshToken ? user.expiresAt - REFRESH_AHEAD_MS - Date.now() : user.expiresAt - Date.now();
+        if (delay > MAX_TIMER_MS) return;
+        const timer = setTimeout(() => {
+            if (user.refreshToken) {
+                refreshSession().catch(() => removeSession());
+            } else {
+                removeSession();
+            }
+        }, Math.max(delay, 0));
+        return () => clearTimeout(timer);
+    }, [user]);
+
+    const permissions = getPermissions(user);
+    const can = required => hasPermission(permissions, required);
+
     return <AuthContext.Provider value={{
         user,
-        isAuthenticated: !!cookies[authSessionKey],
+        isAuthenticated: !!user,
+        permissions,
+        can,
         saveSession,
         removeSession
     }}>
         {children}
     </AuthContext.Provider>;
-}
\ No newline at end of file
+}
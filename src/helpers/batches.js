@@ -0,0 +1,85 @@
+import { DEFAULT_EXPIRY_WINDOW_DAYS, BATCH_STATUS } from "../constants/batches";
+import { getStockKey } from "./warehouses";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local calendar date as YYYY-MM-DD, comparable with `expires_on`
+const toDay = date => date.toLocaleDateString("en-CA");
+
+/**
+ * Whole days until a batch expires, negative once it has. A batch is no
+ * longer sellable from its expiry date, so that day counts as 0.
+ *
+ * @param {Batch} batch
+ * @param {Date} [today]
+ * @returns {number} Infinity for batches without an expiry date
+ */
+const getDaysToExpiry = (batch, today = new Date()) => {
+  if (!batch.expires_on) return Infinity;
+  return Math.round((Date.parse(batch.expires_on.slice(0, 10)) - Date.parse(toDay(today))) / DAY_MS);
+};
+
+const isExpired = (batch, today = new Date()) => getDaysToExpiry(batch, today) <= 0;
+
+/**
+ * @param {Batch} batch
+ * @param {number} [windowDays] - batches expiring within this many days are expiring
+ * @returns {string} one of BATCH_STATUS
+ */
+const getBatchStatus = (batch, windowDays = DEFAULT_EXPIRY_WINDOW_DAYS, today = new Date()) => {
+  const days = getDaysToExpiry(batch, today);
+  if (days <= 0) return BATCH_STATUS.EXPIRED;
+  if (days <= windowDays) return BATCH_STATUS.EXPIRING;
+  return BATCH_STATUS.ACTIVE;
+};
+
+// First expiry, first out; batches without an expiry date go last
+const sortByExpiry = batches => [...batches].sort((a, b) =>
+  (a.expires_on || "9999-12-31").localeCompare(b.expires_on || "9999-12-31") || a.id - b.id);
+
+/**
+ * Suggests which batches to pick `quantity` units from, earliest expiry
+ * first. Expired and empty batches are never picked.
+ *
+ * @param {Batch[]} batches - of one product
+ * @param {number} quantity
+ * @returns {{ picks: { batch: Batch, quantity: number }[], shortfall: number }}
+ */
+const allocateFefo = (batches, quantity, today = new Date()) => {
+  const picks = [];
+  let left = Number(quantity) || 0;
+  sortByExpiry(batches.filter(batch => batch.quantity > 0 && !isExpired(batch, today))).forEach(batch => {
+    if (left <= 0) return;
+    const picked = Math.min(batch.quantity, left);
+    picks.push({ batch, quantity: picked });
+    left -= picked;
+  });
+  return { picks, shortfall: left };
+};
+
+/**
+ * Batches with stock that have expired or expire within `windowDays`,
+ * earliest first.
+ *
+ * @param {Batch[]} batches
+ * @param {number} windowDays
+ * @returns {Batch[]}
+ */
+const getExpiringBatches = (batches, windowDays, today = new Date()) => sortByExpiry(
+  batches.filter(batch => batch.quantity > 0 && getDaysToExpiry(batch, today) <= windowDays)
+);
+
+/**
+ * Units that cannot be sold because their batch has expired.
+ *
+ * @param {Batch[]} batches
+ * @returns {Object<string, number>} quantity by stock key (see getStockKey)
+ */
+const getExpiredQuantities = (batches, today = new Date()) => batches
+  .filter(batch => batch.quantity > 0 && isExpired(batch, today))
+  .reduce((totals, batch) => {
+    const key = getStockKey(batch.product_id, batch.sku);
+    return { ...totals, [key]: (totals[key] || 0) + batch.quantity };
+  }, {});
+
+export { getDaysToExpiry, isExpired, getBatchStatus, sortByExpiry, allocateFefo, getExpiringBatches, getExpiredQuantities };
@@ -0,0 +1,33 @@
+import { DISCOUNT_TYPE } from "../constants/checkout";
+const roundAmount = amount => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Discount in rupees; never more than the items are worth.
+ * @param {number} subTotal
+ * @param {{ type: string, value: number|string }} [discount]
+ */
+const getDiscountAmount = (subTotal, discount) => {
+  const value = Math.max(Number(discount?.value) || 0, 0);
+  const amount = discount?.type === DISCOUNT_TYPE.PERCENT ? subTotal * Math.min(value, 100) / 100 : value;
+  return roundAmount(Math.min(amount, subTotal));
+};
+
+/**
+ * @param {{ items: { price: number, quantity: number }[], discount?: object, shippingCharge?: number }} cart
+ */
+const getCartTotals = ({
+  items = [],
+  discount,
+  shippingCharge = 0
+}) => {
+  const subTotal = roundAmount(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+  const discountAmount = getDiscountAmount(subTotal, discount);
+  const shipping = roundAmount(shippingCharge);
+  return {
+    subTotal,
+    discountAmount,
+    shipping,
+    total: roundAmount(subTotal - discountAmount + shipping)
+  };
+};
+export { getDiscountAmount, getCartTotals };
@@ -0,0 +1,157 @@
+import { DEFAULT_GST_RATE, DEFAULT_HSN_CODE, GST_STATES, SELLER, SHIPPING_GST_RATE, SHIPPING_SAC_CODE } from "../constants/gst";
+const roundToPaise = amount => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Indian financial year (April to March) a date falls in, e.g. "2026-27".
+ * Invoice numbers restart from 1 in every financial year.
+ */
+const getFinancialYear = (date = new Date()) => {
+  const value = new Date(date);
+  const startYear = value.getMonth() >= 3 ? value.getFullYear() : value.getFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+/**
+ * Resolves a state code from a code, a GSTIN or a state name.
+ * @returns {string|null} two digit GST state code
+ */
+const getStateCode = value => {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d{1,2}$/.test(text)) return text.padStart(2, "0");
+  if (/^\d{2}[A-Z]/i.test(text)) return text.slice(0, 2);
+  const match = Object.entries(GST_STATES).find(([, name]) => name.toLowerCase() === text.toLowerCase());
+  return match ? match[0] : null;
+};
+const getStateName = code => GST_STATES[code] || code || "";
+
+/**
+ * Place of supply for a B2C order is where the goods are delivered; a buyer
+ * GSTIN, when given, takes precedence. Falls back to the seller's own state.
+ */
+const getPlaceOfSupply = order => {
+  const address = typeof order.shipping_address === "object" ? order.shipping_address : null;
+  return getStateCode(order.buyer_gstin) || getStateCode(order.place_of_supply) || getStateCode(address?.state_code) || getStateCode(address?.state) || SELLER.stateCode;
+};
+const isInterState = (placeOfSupply, sellerStateCode = SELLER.stateCode) => !!placeOfSupply && !!sellerStateCode && placeOfSupply !== sellerStateCode;
+
+// Backs the taxable value and GST out of an amount that includes GST
+const splitTax = (amount, rate, interState) => {
+  const taxableValue = roundToPaise(amount * 100 / (100 + rate));
+  const tax = roundToPaise(amount - taxableValue);
+  const cgst = interState ? 0 : roundToPaise(tax / 2);
+  return {
+    taxable_value: taxableValue,
+    gst_rate: rate,
+    cgst,
+    sgst: interState ? 0 : roundToPaise(tax - cgst),
+    igst: interState ? tax : 0,
+    total: amount
+  };
+};
+
+/**
+ * Splits order items into invoice lines. Store prices include GST, so the
+ * taxable value is backed out of the line amount and the tax is charged as
+ * IGST between states or as equal CGST and SGST within the seller's state.
+ * An order discount is spread over the items in proportion to their amounts
+ * before the tax is backed out, and a shipping charge becomes a line of its
+ * own, so the invoice total is what the customer paid.
+ * @param {object[]} items - order items, optionally carrying `hsn_code` and `gst_rate`
+ * @param {boolean} interState
+ * @param {{ discount?: number, shipping?: number }} [charges] - order-level amounts, GST included
+ */
+const buildInvoiceLines = (items = [], interState, {
+  discount = 0,
+  shipping = 0
+} = {}) => {
+  const amounts = items.map(item => roundToPaise(item.subtotal ?? (Number(item.unit_price) || 0) * (Number(item.quantity) || 0)));
+  const gross = amounts.reduce((sum, amount) => sum + amount, 0);
+  const totalDiscount = roundToPaise(Math.min(Math.max(Number(discount) || 0, 0), gross));
+  let discountLeft = totalDiscount;
+  const lines = items.map((item, index) => {
+    // The last line takes what rounding left over, so the shares add up exactly
+    const share = index === items.length - 1 ? discountLeft : roundToPaise(Math.min(discountLeft, gross ? totalDiscount * amounts[index] / gross : 0));
+    discountLeft = roundToPaise(discountLeft - share);
+    return {
+      order_item_id: item.order_item_id ?? item.id ?? null,
+      description: item.product_name || "Product",
+      sku: item.sku || "",
+      hsn_code: item.hsn_code || DEFAULT_HSN_CODE,
+      quantity: Number(item.quantity) || 0,
+      unit_price: roundToPaise(Number(item.unit_price) || 0),
+      discount: share,
+      ...splitTax(roundToPaise(amounts[index] - share), Number(item.gst_rate ?? DEFAULT_GST_RATE), interState)
+    };
+  });
+  const shippingAmount = roundToPaise(shipping);
+  if (shippingAmount > 0) {
+    lines.push({
+      order_item_id: null,
+      description: "Shipping",
+      sku: "",
+      hsn_code: SHIPPING_SAC_CODE,
+      quantity: 1,
+      unit_price: shippingAmount,
+      discount: 0,
+      ...splitTax(shippingAmount, SHIPPING_GST_RATE, interState)
+    });
+  }
+  return lines;
+};
+
+/** Column totals of the given invoice lines. */
+const sumInvoiceLines = lines => ["taxable_value", "cgst", "sgst", "igst", "total"].reduce((totals, key) => ({
+  ...totals,
+  [key]: roundToPaise(lines.reduce((sum, line) => sum + (Number(line[key]) || 0), 0))
+}), {});
+
+// Tax summary grouped by HSN code and rate, as printed below the lines
+const summarizeByHsn = lines => Object.values(lines.reduce((groups, line) => {
+  const key = `${line.hsn_code}|${line.gst_rate}`;
+  const group = groups[key] || {
+    hsn_code: line.hsn_code,
+    gst_rate: line.gst_rate,
+    taxable_value: 0,
+    cgst: 0,
+    sgst: 0,
+    igst: 0
+  };
+  ["taxable_value", "cgst", "sgst", "igst"].forEach(column => {
+    group[column] = roundToPaise(group[column] + (Number(line[column]) || 0));
+  });
+  return {
+    ...groups,
+    [key]: group
+  };
+}, {}));
+const ONES = ["", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine", "Ten", "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen", "Seventeen", "Eighteen", "Nineteen"];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+const twoDigitWords = n => n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim();
+const threeDigitWords = n => [n >= 100 ? `${ONES[Math.floor(n / 100)]} Hundred` : "", twoDigitWords(n % 100)].filter(Boolean).join(" ");
+
+// Indian numbering: crore, lakh, thousand, hundred
+const integerWords = n => {
+  if (n === 0) return "Zero";
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  if (crore) parts.push(`${integerWords(crore)} Crore`);
+  const lakh = Math.floor(n % 10000000 / 100000);
+  if (lakh) parts.push(`${twoDigitWords(lakh)} Lakh`);
+  const thousand = Math.floor(n % 100000 / 1000);
+  if (thousand) parts.push(`${twoDigitWords(thousand)} Thousand`);
+  const rest = n % 1000;
+  if (rest) parts.push(threeDigitWords(rest));
+  return parts.join(" ");
+};
+
+/**
+ * Invoice amount in words, e.g. 1250.5 → "Rupees One Thousand Two Hundred Fifty and Fifty Paise Only".
+ */
+const amountInWords = amount => {
+  const paiseTotal = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(paiseTotal / 100);
+  const paise = paiseTotal % 100;
+  return `Rupees ${integerWords(rupees)}${paise ? ` and ${twoDigitWords(paise)} Paise` : ""} Only`;
+};
+export { roundToPaise, getFinancialYear, getStateCode, getStateName, getPlaceOfSupply, isInterState, buildInvoiceLines, sumInvoiceLines, summarizeByHsn, amountInWords };
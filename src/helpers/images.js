@@ -0,0 +1,136 @@
+import { ACCEPTED_IMAGE_TYPES, MAX_SOURCE_BYTES } from "../constants/images";
+const formatBytes = bytes => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+/**
+ * Checks a picked file before it is decoded.
+ * @returns {string|null} why the file cannot be used
+ */
+const validateImageFile = file => {
+  if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) return `${file.name} is not a JPEG, PNG or WebP image.`;
+  if (file.size > MAX_SOURCE_BYTES) return `${file.name} is ${formatBytes(file.size)}; the limit is ${formatBytes(MAX_SOURCE_BYTES)}.`;
+  return null;
+};
+
+/**
+ * Checks the decoded image against a preset's minimum resolution.
+ * @returns {string|null}
+ */
+const validateImageDimensions = (image, preset) => {
+  const {
+    naturalWidth: width,
+    naturalHeight: height
+  } = image;
+  if (width < preset.minWidth || height < preset.minHeight) {
+    return `Image is ${width} × ${height} px; a ${preset.label.toLowerCase()} needs at least ${preset.minWidth} × ${preset.minHeight} px.`;
+  }
+  return null;
+};
+
+/** @returns {Promise<HTMLImageElement>} */
+const loadImage = file => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`${file.name} could not be read as an image.`));
+  };
+  image.src = url;
+});
+
+/**
+ * Area of the source image to keep, in source pixels.
+ * @param {number} width - source width
+ * @param {number} height - source height
+ * @param {number|null} aspect - width / height, or null to keep the source proportions
+ * @param {number} zoom - 1 shows the largest crop that fits
+ * @param {{ x: number, y: number }} center - crop centre; clamped so the crop stays inside the image
+ */
+const getCropRect = (width, height, aspect, zoom, center) => {
+  let cropWidth = width;
+  let cropHeight = height;
+  if (aspect) {
+    if (width / height > aspect) cropWidth = height * aspect;else cropHeight = width / aspect;
+  }
+  cropWidth = Math.round(cropWidth / zoom);
+  cropHeight = Math.round(cropHeight / zoom);
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  return {
+    x: Math.round(clamp(center.x - cropWidth / 2, width - cropWidth)),
+    y: Math.round(clamp(center.y - cropHeight / 2, height - cropHeight)),
+    width: cropWidth,
+    height: cropHeight
+  };
+};
+const QUALITY_STEPS = [0.9, 0.8, 0.7, 0.6, 0.5];
+const toBlob = (canvas, type, quality) => new Promise(resolve => canvas.toBlob(resolve, type, quality));
+
+/**
+ * Crops, resizes and re-encodes an image to fit the preset's size budget.
+ * Prefers WebP and falls back to JPEG where the browser cannot encode WebP;
+ * lowers the quality first and then the resolution until the file fits,
+ * never going below the preset's minimum resolution.
+ *
+ * @param {HTMLImageElement} image
+ * @param {{ x: number, y: number, width: number, height: number }} crop
+ * @param {object} preset - one of IMAGE_PRESETS
+ * @param {string} fileName - original name, used for the output name
+ * @returns {Promise<{ file: File, width: number, height: number }>}
+ * @throws {Error} when the crop is below the minimum resolution, cannot fit the maximum
+ *   resolution without dropping below it, or the file cannot fit the budget
+ */
+const processImage = async (image, crop, preset, fileName) => {
+  if (crop.width < preset.minWidth || crop.height < preset.minHeight) {
+    throw new Error(`The crop is ${crop.width} × ${crop.height} px; a ${preset.label.toLowerCase()} needs at least ${preset.minWidth} × ${preset.minHeight} px. Zoom out to keep more of the image.`);
+  }
+  // The smallest scale that still meets the minimum resolution
+  const minScale = Math.max(preset.minWidth / crop.width, preset.minHeight / crop.height);
+  let scale = Math.min(1, preset.maxWidth / crop.width, preset.maxHeight / crop.height);
+  // A crop much taller or wider than the preset cannot fit its maximum size without losing the minimum
+  if (scale < minScale) {
+    throw new Error(`The crop is ${crop.width} × ${crop.height} px, too ${crop.width / crop.height > preset.maxWidth / preset.maxHeight ? "wide" : "tall"} to fit ${preset.maxWidth} × ${preset.maxHeight} px while keeping at least ${preset.minWidth} × ${preset.minHeight} px. Choose a tighter crop or another aspect ratio.`);
+  }
+  const canvas = document.createElement("canvas");
+  let blob = null;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    canvas.width = Math.round(crop.width * scale);
+    canvas.height = Math.round(crop.height * scale);
+    const context = canvas.getContext("2d");
+    // JPEG has no transparency; keep transparent PNG areas white instead of black
+    context.fillStyle = "#fff";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.imageSmoothingQuality = "high";
+    context.drawImage(image, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+    for (const quality of QUALITY_STEPS) {
+      blob = await toBlob(canvas, "image/webp", quality);
+      if (blob?.type !== "image/webp") blob = await toBlob(canvas, "image/jpeg", quality);
+      if (!blob) throw new Error("This browser could not encode the image.");
+      if (blob.size <= preset.maxBytes) break;
+    }
+    if (blob.size <= preset.maxBytes || scale <= minScale) break;
+    scale = Math.max(scale * 0.8, minScale);
+  }
+  if (canvas.width < preset.minWidth || canvas.height < preset.minHeight) {
+    throw new Error(`The image came out at ${canvas.width} × ${canvas.height} px, below the ${preset.minWidth} × ${preset.minHeight} px minimum. Choose a tighter crop or another aspect ratio.`);
+  }
+  if (blob.size > preset.maxBytes) {
+    throw new Error(`Could not get the image under ${formatBytes(preset.maxBytes)} (smallest was ${formatBytes(blob.size)}) without going below ${preset.minWidth} × ${preset.minHeight} px. Try a different image.`);
+  }
+  const extension = blob.type === "image/webp" ? "webp" : "jpg";
+  const name = `${fileName.replace(/\.[^.]+$/, "")}.${extension}`;
+  return {
+    file: new File([blob], name, {
+      type: blob.type
+    }),
+    width: canvas.width,
+    height: canvas.height
+  };
+};
+export { formatBytes, validateImageFile, validateImageDimensions, loadImage, getCropRect, processImage };
@@ -0,0 +1,36 @@
+import { DEFAULT_LOW_STOCK_THRESHOLD, STOCK_STATUS } from "../constants/inventory";
+
+/**
+ * @param {number|string} quantity
+ * @param {number} [threshold] - quantities below this are low
+ * @returns {string} one of STOCK_STATUS
+ */
+const getStockStatus = (quantity, threshold = DEFAULT_LOW_STOCK_THRESHOLD) => {
+  const stock = Number(quantity) || 0;
+  if (stock <= 0) return STOCK_STATUS.OUT_OF_STOCK;
+  if (stock < threshold) return STOCK_STATUS.LOW_STOCK;
+  return STOCK_STATUS.IN_STOCK;
+};
+
+/**
+ * Replaces the list stock of products that keep inventory per variation SKU
+ * with the total over their SKUs, so badges, filters and sorting see it.
+ *
+ * @param {object[]} products
+ * @param {InventoryRecord[]} records
+ * @returns {object[]} products, with `sku_count` set on those stocked per SKU
+ */
+const withVariantStock = (products, records) => {
+  const bySku = {};
+  records.filter(record => record.sku).forEach(record => {
+    const entry = bySku[record.product_id] || (bySku[record.product_id] = { total: 0, skus: new Set() });
+    entry.total += Number(record.quantity_in_stock) || 0;
+    entry.skus.add(record.sku);
+  });
+  return products.map(product => {
+    const entry = bySku[product.product_id];
+    return entry ? { ...product, stock_quantity: entry.total, sku_count: entry.skus.size } : product;
+  });
+};
+
+export { getStockStatus, withVariantStock };
@@ -0,0 +1,15 @@
+import { ORDER_STATUS, ORDER_STATUS_VARIANTS, ORDER_TRANSITIONS, REASON_REQUIRED_STATUSES } from "../constants/orderStatus";
+
+// Legacy rows may still say "Delivered"
+const normalizeStatus = status => status === "Delivered" ? ORDER_STATUS.COMPLETED : status;
+
+/**
+ * @param {string} status - current order status
+ * @returns {string[]} statuses the order may move to next
+ */
+const getNextStatuses = status => ORDER_TRANSITIONS[normalizeStatus(status)] || [];
+const canTransition = (from, to) => getNextStatuses(from).includes(to);
+const requiresReason = status => REASON_REQUIRED_STATUSES.includes(status);
+const isFinalStatus = status => getNextStatuses(status).length === 0;
+const getStatusVariant = status => ORDER_STATUS_VARIANTS[normalizeStatus(status)] || "light";
+export { normalizeStatus, getNextStatuses, canTransition, requiresReason, isFinalStatus, getStatusVariant };
@@ -0,0 +1,35 @@
+import { LANDING_ROUTES, ROLE_PERMISSIONS } from "../constants/permissions";
+
+/**
+ * Permissions granted to a session. A `permissions` claim on the token wins
+ * over the role defaults in ROLE_PERMISSIONS.
+ * @param {object} [session]
+ * @returns {string[]}
+ */
+const getPermissions = session => {
+  if (!session) return [];
+  if (Array.isArray(session.permissions)) return session.permissions;
+  if (typeof session.permissions === "string") return session.permissions.split(/[\s,]+/).filter(Boolean);
+  return ROLE_PERMISSIONS[session.role] || [];
+};
+
+/**
+ * @param {string[]} granted
+ * @param {string|string[]} [required] - every listed permission must be granted
+ * @returns {boolean}
+ */
+const hasPermission = (granted, required) => {
+  const requiredList = [].concat(required || []);
+  return requiredList.every(permission => {
+    const [resource] = permission.split(":");
+    return granted.includes("*") || granted.includes(`${resource}:*`) || granted.includes(permission);
+  });
+};
+const getLandingPath = granted => LANDING_ROUTES.find(route => hasPermission(granted, route.permission)).path;
+
+// Drops menu entries the user cannot open, and parents left without children
+const filterMenuItems = (menuItems, granted) => menuItems.filter(item => hasPermission(granted, item.permission)).map(item => item.children ? {
+  ...item,
+  children: filterMenuItems(item.children, granted)
+} : item).filter(item => !item.children || item.children.length > 0);
+export { getPermissions, hasPermission, getLandingPath, filterMenuItems };
@@ -0,0 +1,56 @@
+import { PRICE_CHANGE } from "../constants/productBulkEdit";
+import { getProductStatus } from "./productStatus";
+
+/**
+ * @typedef {object} BulkEdit
+ * @property {string} priceMode - one of PRICE_CHANGE
+ * @property {number} priceValue - new price, or the amount or percentage to adjust by
+ * @property {string} categoryId - '' to keep each product's category
+ * @property {string} status - one of PRODUCT_STATUS, or '' to keep it
+ */
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+/**
+ * @param {number|string} price
+ * @param {string} mode - one of PRICE_CHANGE
+ * @param {number} value
+ * @returns {number} the new price, never below zero
+ */
+const getAdjustedPrice = (price, mode, value) => {
+  const current = Number(price) || 0;
+  switch (mode) {
+    case PRICE_CHANGE.SET:
+      return roundPrice(Math.max(value, 0));
+    case PRICE_CHANGE.ADJUST_AMOUNT:
+      return roundPrice(Math.max(current + value, 0));
+    case PRICE_CHANGE.ADJUST_PERCENT:
+      return roundPrice(Math.max(current * (1 + value / 100), 0));
+    default:
+      return current;
+  }
+};
+
+/**
+ * Works out what a bulk edit would change on one product, leaving out
+ * fields that already hold the new value.
+ *
+ * @param {object} product
+ * @param {BulkEdit} edit
+ * @returns {{ price?: number, category_id?: string, status?: string }} empty when nothing changes
+ */
+const getBulkEditChanges = (product, edit) => {
+  const changes = {};
+  if (edit.priceMode !== PRICE_CHANGE.KEEP) {
+    const price = getAdjustedPrice(product.price, edit.priceMode, edit.priceValue);
+    if (price !== (Number(product.price) || 0)) changes.price = price;
+  }
+  if (edit.categoryId !== "" && edit.categoryId !== String(product.category_id ?? "")) {
+    changes.category_id = edit.categoryId;
+  }
+  if (edit.status !== "" && edit.status !== getProductStatus(product)) {
+    changes.status = edit.status;
+  }
+  return changes;
+};
+export { getAdjustedPrice, getBulkEditChanges };
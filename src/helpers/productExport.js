@@ -0,0 +1,99 @@
+import { VARIATION_EXPORT_COLUMNS } from "../constants/productExport";
+import { getProductImages, getPrimaryImage, getVariationImage } from "./productImages";
+import { getProductStatus } from "./productStatus";
+import { getStockStatus } from "./inventory";
+
+// List rows carry `price` and `stock_quantity`, product details `base_price` and `base_stock`
+const getPrice = product => Number(product.price ?? product.base_price) || 0;
+const getStock = product => Number(product.stock_quantity ?? product.base_stock) || 0;
+
+/**
+ * Value of one export column for a product. Numbers stay numbers so they
+ * can be summed in a spreadsheet.
+ *
+ * @param {object} product
+ * @param {string} column
+ * @param {{ categoryNames: Object<string, string>, lowStockThreshold: number }} context
+ */
+const getExportValue = (product, column, { categoryNames, lowStockThreshold }) => {
+  switch (column) {
+    case "price":
+      return getPrice(product);
+    case "stock_quantity":
+      return getStock(product);
+    case "category_name":
+      return product.category_name || categoryNames[product.category_id] || "";
+    case "image_url":
+      return getPrimaryImage(getProductImages(product))?.url || "";
+    case "image_urls":
+      return getProductImages(product).map(image => image.url).join(" | ");
+    case "status":
+      return getProductStatus(product);
+    case "stock_status":
+      return getStockStatus(getStock(product), lowStockThreshold);
+    default:
+      return product[column] ?? "";
+  }
+};
+
+const getVariationValue = (product, variation, column) => {
+  switch (column) {
+    case "product_id":
+      return product.product_id;
+    case "product_name":
+      return product.name;
+    case "price":
+      return Number(variation.price ?? getPrice(product)) || 0;
+    case "stock_quantity":
+      return Number(variation.stock_quantity ?? getStock(product)) || 0;
+    case "image_url":
+      return getVariationImage(getProductImages(product), variation.sku)?.url || "";
+    default:
+      return variation[column] ?? "";
+  }
+};
+
+/**
+ * @param {object[]} products
+ * @param {string[]} columns
+ * @param {object} context - see getExportValue
+ * @returns {Array<Array<*>>} header row first
+ */
+const buildProductRows = (products, columns, context) => [
+  columns,
+  ...products.map(product => columns.map(column => getExportValue(product, column, context)))
+];
+
+/**
+ * @param {object[]} products - with their `variations` loaded
+ * @returns {Array<Array<*>>} header row first
+ */
+const buildVariationRows = products => [
+  VARIATION_EXPORT_COLUMNS,
+  ...products.flatMap(product => (product.variations || []).map(variation =>
+    VARIATION_EXPORT_COLUMNS.map(column => getVariationValue(product, variation, column))))
+];
+
+/**
+ * Catalog as JSON: the chosen columns of each product, plus its images when
+ * image columns are chosen and its variations when they were loaded.
+ *
+ * @param {object[]} products
+ * @param {string[]} columns
+ * @param {object} context - see getExportValue
+ * @param {boolean} withVariations
+ * @returns {string}
+ */
+const buildCatalogJson = (products, columns, context, withVariations) => JSON.stringify(products.map(product => {
+  const entry = Object.fromEntries(columns.filter(column => column !== "image_urls").map(column => [column, getExportValue(product, column, context)]));
+  if (columns.includes("image_urls")) {
+    entry.images = getProductImages(product).map(({ url, alt_text, is_primary, variation_sku }) => ({ url, alt_text, is_primary, variation_sku }));
+  }
+  if (withVariations) {
+    const variationColumns = VARIATION_EXPORT_COLUMNS.filter(column => !column.startsWith("product_"));
+    entry.variations = (product.variations || []).map(variation =>
+      Object.fromEntries(variationColumns.map(column => [column, getVariationValue(product, variation, column)])));
+  }
+  return entry;
+}), null, 2);
+export { getExportValue, buildProductRows, buildVariationRows, buildCatalogJson };
@@ -0,0 +1,32 @@
+import { getAssetUrl } from "../api";
+
+/**
+ * Gallery of a product in display order. Products saved before galleries
+ * existed only have `image_url`, which becomes a one-image gallery.
+ * @returns {{ id: number|null, url: string, alt_text: string, is_primary: boolean, variation_sku: string|null }[]}
+ */
+const getProductImages = product => {
+  if (!product) return [];
+  if (Array.isArray(product.images) && product.images.length > 0) {
+    return [...product.images].sort((a, b) => (a.position ?? 0) - (b.position ?? 0)).map(image => ({
+      ...image,
+      url: getAssetUrl(image.url),
+      alt_text: image.alt_text || "",
+      variation_sku: image.variation_sku || null
+    }));
+  }
+  if (!product.image_url) return [];
+  return [{
+    id: null,
+    // Express already serves "public"
+    url: getAssetUrl(product.image_url.replace("/public", "")),
+    alt_text: product.name || "",
+    is_primary: true,
+    variation_sku: null
+  }];
+};
+const getPrimaryImage = images => images.find(image => image.is_primary) || images[0] || null;
+
+// First image assigned to a variation, if any
+const getVariationImage = (images, sku) => sku ? images.find(image => image.variation_sku === sku) || null : null;
+export { getProductImages, getPrimaryImage, getVariationImage };
@@ -0,0 +1,155 @@
+import { DEFAULT_IMPORT_COLUMNS } from "../constants/productImport";
+import { toCsv } from "./spreadsheet";
+
+/**
+ * @typedef {object} ImportColumn
+ * @property {string} name
+ * @property {boolean} required
+ * @property {"text"|"number"|"integer"} type
+ */
+
+/**
+ * @typedef {object} ImportRow
+ * @property {number} line - row number in the file, counting the header as 1
+ * @property {Object<string, string>} values - cell text by column name
+ */
+
+// "Stock Quantity " -> "stock_quantity"
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/[\s-]+/g, "_");
+
+const toColumnType = (type) => {
+  const value = String(type || "").toLowerCase();
+  if (["int", "integer"].includes(value)) return "integer";
+  if (["number", "numeric", "decimal", "float", "double"].includes(value)) return "number";
+  return "text";
+};
+
+/**
+ * Builds the column spec from the backend's template description, which may
+ * list `columns` (names or objects) or `required_fields` and
+ * `optional_fields`. Falls back to DEFAULT_IMPORT_COLUMNS.
+ *
+ * @param {object|null} templateInfo - from bulkUploadApi.getTemplateInfo
+ * @returns {ImportColumn[]}
+ */
+const getImportColumns = (templateInfo) => {
+  const known = Object.fromEntries(DEFAULT_IMPORT_COLUMNS.map(column => [column.name, column]));
+  const describe = (column, required) => {
+    const name = normalizeHeader(typeof column === "string" ? column : column.name);
+    return {
+      name,
+      required: typeof column === "object" && "required" in column ? Boolean(column.required) : required ?? known[name]?.required ?? false,
+      type: typeof column === "object" && column.type ? toColumnType(column.type) : known[name]?.type ?? "text"
+    };
+  };
+
+  if (Array.isArray(templateInfo?.columns) && templateInfo.columns.length > 0) {
+    return templateInfo.columns.map(column => describe(column));
+  }
+  if (Array.isArray(templateInfo?.required_fields)) {
+    const columns = [
+      ...templateInfo.required_fields.map(column => describe(column, true)),
+      ...(templateInfo.optional_fields || []).map(column => describe(column, false))
+    ];
+    // SKUs are checked for duplicates even when the template leaves them out
+    return columns.some(column => column.name === "sku") ? columns : [...columns, known.sku];
+  }
+  return DEFAULT_IMPORT_COLUMNS;
+};
+
+/**
+ * Turns the cells read from a file into rows keyed by column name.
+ *
+ * @param {string[][]} table - the header row first
+ * @param {ImportColumn[]} columns
+ * @returns {{ rows: ImportRow[], missingColumns: string[], ignoredHeaders: string[] }}
+ */
+const toImportRows = (table, columns) => {
+  const [headerRow = [], ...dataRows] = table;
+  const headers = headerRow.map(normalizeHeader);
+  const names = columns.map(column => column.name);
+  return {
+    rows: dataRows.map((cells, index) => ({
+      line: index + 2,
+      values: Object.fromEntries(names.map(name => {
+        const position = headers.indexOf(name);
+        return [name, position === -1 ? "" : String(cells[position] ?? "").trim()];
+      }))
+    })),
+    missingColumns: columns.filter(column => column.required && !headers.includes(column.name)).map(column => column.name),
+    ignoredHeaders: headerRow.filter((header, index) => header && !names.includes(headers[index]))
+  };
+};
+
+/**
+ * Checks every row against the column spec, the known categories and the
+ * SKUs already in the catalog or earlier in the file.
+ *
+ * @param {ImportRow[]} rows
+ * @param {ImportColumn[]} columns
+ * @param {{ categoryIds: Set<string>, existingSkus: Set<string> }} catalog
+ * @returns {Map<number, Object<string, string>>} error message per column, by row line; rows without errors are left out
+ */
+const validateImportRows = (rows, columns, { categoryIds, existingSkus }) => {
+  const errors = new Map();
+  const seenSkus = new Map();
+
+  rows.forEach(({ line, values }) => {
+    const rowErrors = {};
+    columns.forEach(({ name, required, type }) => {
+      const value = values[name] ?? "";
+      if (value === "") {
+        if (required) rowErrors[name] = "Required";
+        return;
+      }
+      const number = Number(value);
+      if (type === "number" && (!Number.isFinite(number) || number < 0)) {
+        rowErrors[name] = "Must be a number of 0 or more";
+      } else if (type === "integer" && (!Number.isInteger(number) || number < 0)) {
+        rowErrors[name] = "Must be a whole number of 0 or more";
+      }
+    });
+
+    if (values.category_id && !rowErrors.category_id && !categoryIds.has(values.category_id)) {
+      rowErrors.category_id = "No category with this ID";
+    }
+
+    const sku = values.sku?.toLowerCase();
+    if (sku) {
+      if (existingSkus.has(sku)) {
+        rowErrors.sku = "SKU already used by a product";
+      } else if (seenSkus.has(sku)) {
+        rowErrors.sku = `Duplicate of row ${seenSkus.get(sku)}`;
+      } else {
+        seenSkus.set(sku, line);
+      }
+    }
+
+    if (Object.keys(rowErrors).length > 0) errors.set(line, rowErrors);
+  });
+  return errors;
+};
+
+/**
+ * @param {ImportRow[]} rows
+ * @param {ImportColumn[]} columns
+ * @returns {string} CSV in the template's column order
+ */
+const buildImportCsv = (rows, columns) => toCsv([
+  columns.map(column => column.name),
+  ...rows.map(row => columns.map(column => row.values[column.name]))
+]);
+
+/**
+ * CSV of rejected rows with their original line and the reasons, so they
+ * can be fixed and imported again.
+ *
+ * @param {{ row: ImportRow, messages: string[] }[]} rejected
+ * @param {ImportColumn[]} columns
+ * @returns {string}
+ */
+const buildImportErrorReport = (rejected, columns) => toCsv([
+  ["line", ...columns.map(column => column.name), "errors"],
+  ...rejected.map(({ row, messages }) => [row.line, ...columns.map(column => row.values[column.name]), messages.join("; ")])
+]);
+export { normalizeHeader, getImportColumns, toImportRows, validateImportRows, buildImportCsv, buildImportErrorReport };
@@ -0,0 +1,30 @@
+import { PRODUCT_STATUS, PRODUCT_STATUS_LABELS, PRODUCT_STATUS_VARIANTS } from "../constants/productStatus";
+
+/**
+ * Status as the storefront sees it right now. Products saved before the
+ * lifecycle existed have no status and are live; a scheduled product whose
+ * time has passed is live even if the backend has not flipped it yet.
+ * @param {{ status?: string, publish_at?: string }} product
+ */
+const getProductStatus = product => {
+  const status = product?.status || PRODUCT_STATUS.PUBLISHED;
+  if (status === PRODUCT_STATUS.SCHEDULED && product.publish_at && new Date(product.publish_at) <= new Date()) {
+    return PRODUCT_STATUS.PUBLISHED;
+  }
+  return status;
+};
+const getProductStatusLabel = status => PRODUCT_STATUS_LABELS[status] || status;
+const getProductStatusVariant = status => PRODUCT_STATUS_VARIANTS[status] || "light";
+const formatPublishAt = publishAt => publishAt ? new Date(publishAt).toLocaleString("en-IN", {
+  dateStyle: "medium",
+  timeStyle: "short"
+}) : "";
+
+// <input type="datetime-local"> works in local time without a zone
+const toDateTimeLocal = iso => {
+  if (!iso) return "";
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromDateTimeLocal = value => value ? new Date(value).toISOString() : null;
+export { getProductStatus, getProductStatusLabel, getProductStatusVariant, formatPublishAt, toDateTimeLocal, fromDateTimeLocal };
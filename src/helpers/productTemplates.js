@@ -0,0 +1,148 @@
+import { DUPLICATE_SKU_SUFFIX, MAX_MATRIX_VARIATIONS } from "../constants/productTemplates";
+import { PRODUCT_STATUS } from "../constants/productStatus";
+import { DEFAULT_GST_RATE } from "../constants/gst";
+import { getProductImages } from "./productImages";
+import { toRichText } from "./richText";
+import { slugify, getSeoDefaults } from "./seo";
+
+/**
+ * @typedef {object} VariationRow
+ * @property {string} name
+ * @property {string} sku
+ * @property {string} size
+ * @property {string} color
+ * @property {number} price_modifier
+ * @property {{ type: string, value: string }[]} attributes - created as a variant SKU once the product is saved
+ */
+
+const suffixSku = sku => sku ? `${sku}${DUPLICATE_SKU_SUFFIX}` : "";
+const findAttribute = (attributes, type) => attributes.find(attribute => attribute.type.toLowerCase() === type)?.value || "";
+
+/**
+ * Variation rows of a product, joining the variations saved with the product
+ * and the attribute variants from Variation.jsx by SKU.
+ *
+ * @param {object[]} variations - `variations` of the product
+ * @param {VariantSku[]} variantSkus - from variationsApi.listByProduct
+ * @returns {VariationRow[]}
+ */
+const toVariationRows = (variations, variantSkus) => {
+  const variants = new Map(variantSkus.map(variant => [variant.sku, variant]));
+  const skus = [...new Set([...variations.map(variation => variation.sku), ...variants.keys()])].filter(Boolean);
+  return skus.map(sku => {
+    const variation = variations.find(item => item.sku === sku) || {};
+    const attributes = (variants.get(sku)?.attributes || []).map(attribute => ({
+      type: attribute.variation_type,
+      value: attribute.variation_value
+    }));
+    return {
+      name: variation.name || attributes.map(attribute => attribute.value).join(" / ") || sku,
+      sku,
+      size: variation.size || findAttribute(attributes, "size"),
+      color: variation.color || findAttribute(attributes, "color"),
+      price_modifier: Number(variants.get(sku)?.price_modifier) || 0,
+      attributes
+    };
+  });
+};
+
+/**
+ * ProductEdit values and gallery for a copy of a product. The copy starts as
+ * a draft without stock or slug, and every SKU is suffixed so it can be
+ * saved before the SKUs are edited.
+ *
+ * @param {object} product - from productsApi.get
+ * @param {VariantSku[]} variantSkus
+ * @returns {{ values: object, images: object[] }}
+ */
+const getDuplicateValues = (product, variantSkus) => ({
+  values: {
+    name: `${product.name || ""} (Copy)`,
+    description: product.description || "",
+    long_description: toRichText(product.long_description),
+    price: parseFloat(product.base_price ?? product.price) || 0,
+    stock_quantity: 0,
+    category_id: product.category_id ? String(product.category_id) : "",
+    hsn_code: product.hsn_code || "",
+    gst_rate: product.gst_rate ?? DEFAULT_GST_RATE,
+    status: PRODUCT_STATUS.DRAFT,
+    publish_at: "",
+    ...getSeoDefaults(product),
+    slug: "",
+    canonical_url: "",
+    variations: toVariationRows(product.variations || [], variantSkus).map(row => ({ ...row, sku: suffixSku(row.sku) }))
+  },
+  // Uploaded again from their URLs when the copy is saved
+  images: getProductImages(product).map((image, index) => ({
+    id: `copy-${index}`,
+    image_id: null,
+    url: image.url,
+    alt_text: image.alt_text,
+    is_primary: image.is_primary,
+    variation_sku: image.variation_sku ? suffixSku(image.variation_sku) : null
+  }))
+});
+
+/**
+ * @param {string} text - comma separated
+ * @returns {string[]} trimmed values without blanks or repeats
+ */
+const parseMatrixValues = text => [...new Set(text.split(",").map(value => value.trim()).filter(Boolean))];
+
+/**
+ * @param {{ type: string, values: string[] }[]} matrix
+ * @returns {number} how many variations the matrix expands to
+ */
+const countMatrixVariations = matrix => {
+  const axes = matrix.filter(axis => axis.type && axis.values.length > 0);
+  return axes.length === 0 ? 0 : axes.reduce((count, axis) => count * axis.values.length, 1);
+};
+
+/**
+ * One variation row per combination of the matrix's values, e.g. Strength
+ * 250mg/500mg by Pack 10/30 gives four rows. SKUs are the prefix followed
+ * by each value.
+ *
+ * @param {{ type: string, values: string[] }[]} matrix
+ * @param {string} [skuPrefix]
+ * @returns {VariationRow[]} at most MAX_MATRIX_VARIATIONS
+ */
+const expandVariationMatrix = (matrix, skuPrefix = "") => {
+  const axes = matrix.filter(axis => axis.type && axis.values.length > 0);
+  if (axes.length === 0) return [];
+  const combinations = axes.reduce(
+    (combos, axis) => combos.flatMap(combo => axis.values.map(value => [...combo, { type: axis.type, value }])),
+    [[]]
+  );
+  return combinations.slice(0, MAX_MATRIX_VARIATIONS).map(attributes => ({
+    name: attributes.map(attribute => attribute.value).join(" / "),
+    sku: [skuPrefix.trim(), ...attributes.map(attribute => slugify(attribute.value))].filter(Boolean).join("-").toUpperCase(),
+    size: findAttribute(attributes, "size"),
+    color: findAttribute(attributes, "color"),
+    price_modifier: 0,
+    attributes
+  }));
+};
+
+/**
+ * Works the matrix back out of variation rows, so a product's variations
+ * can be saved as a template. Rows without attributes count their size and
+ * color.
+ *
+ * @param {VariationRow[]} variations
+ * @returns {{ type: string, values: string[] }[]}
+ */
+const getMatrixFromVariations = variations => {
+  const axes = new Map();
+  variations.forEach(variation => {
+    const attributes = variation.attributes?.length > 0
+      ? variation.attributes
+      : [{ type: "Size", value: variation.size }, { type: "Color", value: variation.color }];
+    attributes.filter(attribute => attribute.type && attribute.value).forEach(({ type, value }) => {
+      if (!axes.has(type)) axes.set(type, []);
+      if (!axes.get(type).includes(value)) axes.get(type).push(value);
+    });
+  });
+  return Array.from(axes, ([type, values]) => ({ type, values }));
+};
+export { toVariationRows, getDuplicateValues, parseMatrixValues, countMatrixVariations, expandVariationMatrix, getMatrixFromVariations };
@@ -0,0 +1,97 @@
+import { OPEN_PO_STATUSES, REORDER_TARGET_MULTIPLIER } from "../constants/purchaseOrders";
+import { getStockKey } from "./warehouses";
+
+/**
+ * Expected delivery date for an order placed today.
+ *
+ * @param {Supplier|undefined} supplier
+ * @returns {string} YYYY-MM-DD, or "" without a supplier
+ */
+const getExpectedDate = (supplier, from = new Date()) => {
+  if (!supplier) return "";
+  const date = new Date(from);
+  date.setDate(date.getDate() + (Number(supplier.lead_time_days) || 0));
+  return date.toLocaleDateString("en-CA");
+};
+
+/** @param {PurchaseOrderItem} item */
+const getOutstandingQuantity = item => Math.max((Number(item.quantity) || 0) - (Number(item.received_quantity) || 0), 0);
+
+/**
+ * Units still to arrive on open purchase orders, keyed by warehouse and stock key.
+ *
+ * @param {PurchaseOrder[]} orders
+ * @returns {Map<string, number>}
+ */
+const getOnOrderQuantities = orders => {
+  const onOrder = new Map();
+  orders.filter(order => OPEN_PO_STATUSES.includes(order.status)).forEach(order => {
+    (order.items || []).forEach(item => {
+      const key = `${order.warehouse_id ?? ""}/${getStockKey(item.product_id, item.sku)}`;
+      onOrder.set(key, (onOrder.get(key) || 0) + getOutstandingQuantity(item));
+    });
+  });
+  return onOrder;
+};
+
+/**
+ * Units to order so a record's stock, with what is already on order, gets
+ * back to REORDER_TARGET_MULTIPLIER times its reorder point.
+ *
+ * @param {InventoryRecord} record
+ * @param {number} [onOrder]
+ * @returns {number} 0 when enough is already on order
+ */
+const getSuggestedOrderQuantity = (record, onOrder = 0) => Math.max(
+  (Number(record.reorder_point) || 0) * REORDER_TARGET_MULTIPLIER - (Number(record.quantity_in_stock) || 0) - onOrder,
+  0
+);
+
+/**
+ * Prefills purchase orders from records below their reorder point, one per
+ * warehouse since an order is delivered to a single warehouse. Quantities
+ * still to arrive on open orders are taken off. Each draft goes to the
+ * supplier that supplies the most of its products, the quickest on a tie;
+ * products that supplier does not carry are left out and listed in
+ * `unsupplied`. When no supplier carries any of them, all are kept and the
+ * supplier is left to choose.
+ *
+ * @param {InventoryRecord[]} records
+ * @param {Supplier[]} suppliers
+ * @param {PurchaseOrder[]} orders - existing orders, for what is already on order
+ * @returns {{ supplier_id: string, warehouse_id: string, expected_on: string, note: string, items: { product_id: number, sku: string|null, quantity: number, unit_cost: string }[], unsupplied: { product_id: number, sku: string|null }[] }[]}
+ */
+const buildReorderDrafts = (records, suppliers, orders) => {
+  const onOrder = getOnOrderQuantities(orders);
+  const byWarehouse = new Map();
+  records.forEach(record => {
+    const warehouseId = record.warehouse_id ?? null;
+    const quantity = getSuggestedOrderQuantity(record, onOrder.get(`${warehouseId ?? ""}/${getStockKey(record.product_id, record.sku)}`) || 0);
+    if (quantity === 0) return;
+    const items = byWarehouse.get(warehouseId) || [];
+    items.push({ product_id: record.product_id, sku: record.sku || null, quantity, unit_cost: "" });
+    byWarehouse.set(warehouseId, items);
+  });
+
+  return Array.from(byWarehouse.entries()).map(([warehouseId, items]) => {
+    const supplier = suppliers
+      .map(candidate => ({ candidate, count: items.filter(item => (candidate.product_ids || []).includes(item.product_id)).length }))
+      .filter(({ count }) => count > 0)
+      .sort((a, b) => b.count - a.count || (a.candidate.lead_time_days || 0) - (b.candidate.lead_time_days || 0))[0]?.candidate;
+    const isSupplied = item => !supplier || (supplier.product_ids || []).includes(item.product_id);
+
+    return {
+      supplier_id: supplier ? String(supplier.id) : "",
+      warehouse_id: warehouseId === null ? "" : String(warehouseId),
+      expected_on: getExpectedDate(supplier),
+      note: "Reorder for items below their reorder point",
+      items: items.filter(isSupplied),
+      unsupplied: items.filter(item => !isSupplied(item)).map(({ product_id, sku }) => ({ product_id, sku }))
+    };
+  });
+};
+
+/** @param {{ quantity: number|string, unit_cost: number|string }[]} items */
+const getOrderTotal = items => items.reduce((sum, item) => sum + (Number(item.quantity) || 0) * (Number(item.unit_cost) || 0), 0);
+
+export { getExpectedDate, getOutstandingQuantity, getOnOrderQuantities, getSuggestedOrderQuantity, buildReorderDrafts, getOrderTotal };
@@ -0,0 +1,31 @@
+import { RETURN_STATUS, RETURN_TRANSITIONS } from "../constants/returns";
+import { getOrderItemKey } from "./shipments";
+const getNextReturnStatuses = status => RETURN_TRANSITIONS[status] || [];
+const canTransitionReturn = (from, to) => getNextReturnStatuses(from).includes(to);
+
+/**
+ * Quantity of each order item that can still be put on a return; items on
+ * a rejected return count as never returned.
+ * @returns {Object<string, number>} keyed by getOrderItemKey
+ */
+const getReturnableQuantities = (items = [], returns = []) => {
+  const returnable = Object.fromEntries(items.map(item => [getOrderItemKey(item), Number(item.quantity) || 0]));
+  returns.filter(rma => rma.status !== RETURN_STATUS.REJECTED).forEach(rma => (rma.items || []).forEach(item => {
+    const key = String(item.order_item_id ?? item.sku);
+    if (key in returnable) returnable[key] = Math.max(returnable[key] - (Number(item.quantity) || 0), 0);
+  }));
+  return returnable;
+};
+const getRefundedTotal = (refunds = []) => Math.round(refunds.reduce((sum, refund) => sum + (Number(refund.amount) || 0), 0) * 100) / 100;
+const getRefundableAmount = (order, refunds = []) => Math.max(Math.round(((Number(order.total_amount) || 0) - getRefundedTotal(refunds)) * 100) / 100, 0);
+
+/**
+ * Value of the items on a return at the price they were ordered at, the
+ * default amount offered when refunding it.
+ */
+const getReturnValue = (rma, items = []) => {
+  const prices = Object.fromEntries(items.map(item => [getOrderItemKey(item), Number(item.unit_price) || 0]));
+  const value = (rma.items || []).reduce((sum, item) => sum + (prices[String(item.order_item_id ?? item.sku)] || 0) * (Number(item.quantity) || 0), 0);
+  return Math.round(value * 100) / 100;
+};
+export { getNextReturnStatuses, canTransitionReturn, getReturnableQuantities, getRefundedTotal, getRefundableAmount, getReturnValue };
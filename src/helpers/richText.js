@@ -0,0 +1,66 @@
+// Tags kept in product descriptions and the attributes each may carry.
+// Anything else is unwrapped to its text, or dropped with its content (DROPPED_TAGS).
+const ALLOWED_TAGS = {
+  p: [],
+  br: [],
+  h2: [],
+  h3: [],
+  h4: [],
+  strong: [],
+  b: [],
+  em: [],
+  i: [],
+  u: [],
+  s: [],
+  blockquote: [],
+  ul: [],
+  ol: [],
+  li: [],
+  a: ["href"],
+  table: [],
+  thead: [],
+  tbody: [],
+  tr: [],
+  th: ["colspan", "rowspan"],
+  td: ["colspan", "rowspan", "data-row"]
+};
+const DROPPED_TAGS = ["script", "style", "iframe", "frame", "object", "embed", "template", "noscript", "svg", "math", "form", "input", "button", "textarea", "select", "link", "meta", "base"];
+
+// Links may only point to web pages, mail, phone numbers or the site itself
+const SAFE_URL = /^(https?:|mailto:|tel:|\/|#)/i;
+const escapeHtml = text => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const serialize = node => {
+  // The editor writes every space as &nbsp;, which stops text wrapping on the storefront
+  if (node.nodeType === Node.TEXT_NODE) return escapeHtml(node.textContent.replace(/\u00a0/g, " "));
+  if (node.nodeType !== Node.ELEMENT_NODE) return "";
+  const tag = node.tagName.toLowerCase();
+  if (DROPPED_TAGS.includes(tag)) return "";
+  const children = Array.from(node.childNodes).map(serialize).join("");
+  const allowed = ALLOWED_TAGS[tag];
+  if (!allowed) return children;
+  if (tag === "br") return "<br>";
+  const attributes = allowed.map(name => [name, node.getAttribute(name)?.trim()]).filter(([name, value]) => value && (name !== "href" || SAFE_URL.test(value)));
+  if (tag === "a" && attributes.length > 0) attributes.push(["rel", "noopener noreferrer"], ["target", "_blank"]);
+  return `<${tag}${attributes.map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join("")}>${children}</${tag}>`;
+};
+
+/**
+ * Reduces HTML to the tags and attributes allowed in descriptions, so it is
+ * safe to store and to render with dangerouslySetInnerHTML.
+ * @param {string} html
+ * @returns {string}
+ */
+const sanitizeHtml = html => {
+  if (!html) return "";
+  const parsed = new DOMParser().parseFromString(html, "text/html");
+  return Array.from(parsed.body.childNodes).map(serialize).join("");
+};
+const getPlainText = html => html ? new DOMParser().parseFromString(html, "text/html").body.textContent || "" : "";
+const isRichTextEmpty = html => getPlainText(html).trim() === "" && !/<table/i.test(html || "");
+
+// Descriptions saved before the editor are plain text; keep their line breaks as paragraphs
+const toRichText = text => {
+  if (!text || /<[a-z][\s\S]*>/i.test(text)) return text || "";
+  return text.split(/\n{2,}/).map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`).join("");
+};
+export { sanitizeHtml, getPlainText, isRichTextEmpty, toRichText };
@@ -0,0 +1,44 @@
+import * as yup from "yup";
+import { STOREFRONT_URL, STOREFRONT_PATHS, SLUG_PATTERN, SEO_FIELDS } from "../constants/seo";
+const slugify = text => (text || "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/&/g, " and ").replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+
+/**
+ * @param {"product"|"category"} type
+ * @param {string} slug
+ */
+const getStorefrontUrl = (type, slug) => `${STOREFRONT_URL}${STOREFRONT_PATHS[type]}/${slug || ""}`;
+
+// Cuts at a word boundary, the way search results do
+const truncateText = (text, limit) => {
+  if (!text || text.length <= limit) return text || "";
+  const cut = text.slice(0, limit);
+  return `${cut.slice(0, cut.lastIndexOf(" ") > 0 ? cut.lastIndexOf(" ") : limit).trim()} …`;
+};
+
+/**
+ * Yup rules for the SEO fields, to spread into a form's schema.
+ * Slug availability is asked of the backend and remembered per slug,
+ * as the form re-validates on every change after the first submit.
+ * @param {(slug: string) => Promise<boolean>} isSlugAvailable
+ */
+const getSeoSchema = isSlugAvailable => {
+  const checked = new Map();
+  const checkSlug = slug => {
+    if (!checked.has(slug)) checked.set(slug, isSlugAvailable(slug).catch(() => true));
+    return checked.get(slug);
+  };
+  return {
+    slug: yup.string().required("Please enter a URL slug").matches(SLUG_PATTERN, "Use lowercase letters, numbers and single hyphens only").test("unique", "This slug is already in use", value => !SLUG_PATTERN.test(value || "") || checkSlug(value)),
+    meta_title: yup.string(),
+    meta_description: yup.string(),
+    canonical_url: yup.string().url("Please enter a full URL, e.g. https://…"),
+    og_image_url: yup.string().url("Please enter a full URL, e.g. https://…")
+  };
+};
+
+// Form values for a saved product or category
+const getSeoDefaults = record => Object.fromEntries(SEO_FIELDS.map(field => [field, record?.[field] || ""]));
+
+// Trimmed values to send; empty optional fields are cleared with null
+const getSeoPayload = data => Object.fromEntries(SEO_FIELDS.map(field => [field, (data[field] || "").trim() || null]));
+export { slugify, getStorefrontUrl, truncateText, getSeoSchema, getSeoDefaults, getSeoPayload };
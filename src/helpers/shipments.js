@@ -0,0 +1,41 @@
+import { CARRIERS } from "../constants/shipping";
+const getCarrier = id => CARRIERS.find(carrier => carrier.id === id);
+const getCarrierName = id => getCarrier(id)?.name || id || "Unknown carrier";
+
+/**
+ * @param {object} shipment
+ * @returns {string|null} public tracking page for the shipment
+ */
+const getTrackingUrl = shipment => {
+  const template = getCarrier(shipment.carrier)?.trackingUrl;
+  if (template && shipment.tracking_number) {
+    return template.replace("{tracking}", encodeURIComponent(shipment.tracking_number));
+  }
+  return shipment.tracking_url || null;
+};
+
+// Order items are matched to shipment items by line id, or by SKU when the backend sends no id
+const getOrderItemKey = item => String(item.order_item_id ?? item.id ?? item.sku);
+const getShipmentItemKey = item => String(item.order_item_id ?? item.sku);
+
+/**
+ * Quantity of each order item not yet in any shipment.
+ * @returns {Object<string, number>} keyed by getOrderItemKey
+ */
+const getRemainingQuantities = (items = [], shipments = []) => {
+  const remaining = Object.fromEntries(items.map(item => [getOrderItemKey(item), Number(item.quantity) || 0]));
+  shipments.forEach(shipment => (shipment.items || []).forEach(item => {
+    const key = getShipmentItemKey(item);
+    if (key in remaining) remaining[key] = Math.max(remaining[key] - (Number(item.quantity) || 0), 0);
+  }));
+  return remaining;
+};
+const isFullyShipped = (items, shipments) => Object.values(getRemainingQuantities(items, shipments)).every(quantity => quantity === 0);
+
+// Shipping address may arrive as a preformatted string or as its parts
+const formatAddress = address => {
+  if (!address) return "";
+  if (typeof address === "string") return address;
+  return [address.name, address.address_line1 || address.line1, address.address_line2 || address.line2, [address.city, address.state].filter(Boolean).join(", "), address.postal_code || address.pincode, address.country].filter(Boolean).join("\n");
+};
+export { getCarrier, getCarrierName, getTrackingUrl, getOrderItemKey, getRemainingQuantities, isFullyShipped, formatAddress };
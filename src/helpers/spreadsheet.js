@@ -0,0 +1,315 @@
+// Reading and writing the spreadsheet formats used for product import and
+// export. XLSX files are zip archives of XML parts: they are unpacked with
+// the browser's DecompressionStream and written uncompressed, so no
+// spreadsheet library is needed.
+
+/**
+ * Splits CSV text into rows of cells, following RFC 4180 quoting.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.replace(/^\ufeff/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const escapeCsvCell = (value) => {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<Array<*>>} rows - the first row is usually the header
+ * @returns {string}
+ */
+const toCsv = (rows) => rows.map(row => row.map(escapeCsvCell).join(",")).join("\r\n");
+
+/**
+ * Lists the files in a zip archive.
+ * @param {ArrayBuffer} buffer
+ * @returns {Map<string, { method: number, data: Uint8Array }>}
+ */
+const readZipEntries = (buffer) => {
+  const view = new DataView(buffer);
+  let end = buffer.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) throw new Error("The file is not a valid .xlsx workbook.");
+
+  const entries = new Map();
+  const decoder = new TextDecoder();
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  for (let i = 0; i < count; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    // The local header repeats the name but may have a different extra field
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    entries.set(name, { method, data: new Uint8Array(buffer, dataStart, size) });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+const readZipText = async (entries, name) => {
+  const entry = entries.get(name);
+  if (!entry) return null;
+  if (entry.method === 0) return new TextDecoder().decode(entry.data);
+  if (entry.method !== 8) throw new Error("The workbook uses an unsupported compression method.");
+  const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).text();
+};
+
+const parseXml = (text) => new DOMParser().parseFromString(text, "application/xml");
+
+// "AB12" -> 27
+const columnIndex = (ref) => {
+  let index = 0;
+  for (const letter of ref.replace(/\d+$/, "")) {
+    index = index * 26 + letter.charCodeAt(0) - 64;
+  }
+  return index - 1;
+};
+
+/**
+ * Reads the cell values of the first worksheet of an .xlsx workbook.
+ * Numbers and dates come back as they are stored, without formatting.
+ *
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string[][]>}
+ */
+const readXlsx = async (buffer) => {
+  const entries = readZipEntries(buffer);
+
+  // The first sheet listed in the workbook, wherever its part is stored
+  let sheetPath = "xl/worksheets/sheet1.xml";
+  const workbook = await readZipText(entries, "xl/workbook.xml");
+  const rels = await readZipText(entries, "xl/_rels/workbook.xml.rels");
+  if (workbook && rels) {
+    const sheet = parseXml(workbook).getElementsByTagName("sheet")[0];
+    const relId = sheet?.getAttribute("r:id");
+    const rel = Array.from(parseXml(rels).getElementsByTagName("Relationship")).find(node => node.getAttribute("Id") === relId);
+    const target = rel?.getAttribute("Target");
+    if (target) sheetPath = target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+  }
+
+  const sharedText = await readZipText(entries, "xl/sharedStrings.xml");
+  const sharedStrings = sharedText
+    ? Array.from(parseXml(sharedText).getElementsByTagName("si")).map(item =>
+      Array.from(item.getElementsByTagName("t")).map(node => node.textContent).join(""))
+    : [];
+
+  const sheetText = await readZipText(entries, sheetPath);
+  if (!sheetText) throw new Error("The workbook has no worksheet.");
+
+  return Array.from(parseXml(sheetText).getElementsByTagName("row")).map(rowNode => {
+    const row = [];
+    Array.from(rowNode.getElementsByTagName("c")).forEach((cellNode, position) => {
+      const ref = cellNode.getAttribute("r");
+      const type = cellNode.getAttribute("t");
+      const value = cellNode.getElementsByTagName("v")[0]?.textContent ?? "";
+      let text;
+      if (type === "s") text = sharedStrings[Number(value)] ?? "";
+      else if (type === "inlineStr") text = Array.from(cellNode.getElementsByTagName("t")).map(node => node.textContent).join("");
+      else if (type === "b") text = value === "1" ? "TRUE" : "FALSE";
+      else text = value;
+      row[ref ? columnIndex(ref) : position] = text;
+    });
+    return Array.from(row, cell => cell ?? "");
+  });
+};
+
+// CRC-32 as used by zip archives
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Packs files into a zip archive without compression.
+ * @param {{ name: string, text: string }[]} files
+ * @returns {Uint8Array[]} the archive's parts, ready for a Blob
+ */
+const writeZip = (files) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, text }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(text);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    parts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return [...parts, ...central, new Uint8Array(end.buffer)];
+};
+
+// Also drops control characters, which XML cannot carry
+const escapeXml = (value) => String(value)
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+// 27 -> "AB"
+const columnName = (index) => {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+const SHEET_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+const worksheetXml = (rows) => {
+  const rowsXml = rows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => {
+      const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+      if (value === null || value === undefined || value === "") return "";
+      if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    });
+    return `<row r="${rowIndex + 1}">${cells.join("")}</row>`;
+  });
+  return `${XML_HEADER}<worksheet xmlns="${SHEET_NS}"><sheetData>${rowsXml.join("")}</sheetData></worksheet>`;
+};
+
+/**
+ * Builds an .xlsx workbook. Numbers are stored as numbers, everything else
+ * as text.
+ *
+ * @param {{ name: string, rows: Array<Array<*>> }[]} sheets - names up to 31 characters
+ * @returns {Blob}
+ */
+const writeXlsx = (sheets) => {
+  const sheetNames = sheets.map(sheet => escapeXml(sheet.name.replace(/[[\]:*?/\\]/g, " ").slice(0, 31)));
+  const files = [
+    {
+      name: "[Content_Types].xml",
+      text: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + sheets.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("")
+        + "</Types>"
+    },
+    {
+      name: "_rels/.rels",
+      text: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    {
+      name: "xl/workbook.xml",
+      text: `${XML_HEADER}<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}"><sheets>`
+        + sheetNames.map((name, index) => `<sheet name="${name}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join("")
+        + "</sheets></workbook>"
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      text: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + sheets.map((_, index) => `<Relationship Id="rId${index + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join("")
+        + "</Relationships>"
+    },
+    ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, text: worksheetXml(sheet.rows) }))
+  ];
+  return new Blob(writeZip(files), { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+};
+
+/**
+ * Reads a .csv or .xlsx file into rows of cells, dropping blank rows.
+ * @param {File} file
+ * @returns {Promise<string[][]>}
+ */
+const readSpreadsheetFile = async (file) => {
+  const name = file.name.toLowerCase();
+  let rows;
+  if (name.endsWith(".xlsx")) {
+    rows = await readXlsx(await file.arrayBuffer());
+  } else if (name.endsWith(".csv")) {
+    rows = parseCsv(await file.text());
+  } else {
+    throw new Error("Only .csv and .xlsx files are supported.");
+  }
+  return rows.filter(row => row.some(cell => String(cell).trim() !== ""));
+};
+export { parseCsv, toCsv, readXlsx, writeXlsx, readSpreadsheetFile };
@@ -0,0 +1,72 @@
+import { MOVEMENT_DIRECTION, MOVEMENT_TYPE_LABELS } from "../constants/stockMovements";
+
+/**
+ * Turns the quantity typed into the movement form into the change in stock:
+ * receipts add, write-offs remove and corrections keep the sign entered.
+ *
+ * @param {string} type - one of MOVEMENT_TYPE
+ * @param {number|string} quantity
+ * @returns {number}
+ */
+const getSignedQuantity = (type, quantity) => {
+  const amount = Number(quantity) || 0;
+  const direction = MOVEMENT_DIRECTION[type] ?? 0;
+  return direction === 0 ? amount : direction * Math.abs(amount);
+};
+
+const byDate = (a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id;
+
+/**
+ * Adds the stock after each movement. Pass every movement of one product (or
+ * one product in one warehouse) so the balance starts from zero.
+ *
+ * @param {StockMovement[]} movements
+ * @returns {(StockMovement & { balance: number })[]} oldest first
+ */
+const withRunningBalance = movements => {
+  let balance = 0;
+  return [...movements].sort(byDate).map(movement => {
+    balance += Number(movement.quantity) || 0;
+    return { ...movement, balance };
+  });
+};
+
+/**
+ * @param {string} createdAt
+ * @param {string} from - YYYY-MM-DD, empty for no lower bound
+ * @param {string} to - YYYY-MM-DD, empty for no upper bound
+ */
+const isWithinDates = (createdAt, from, to) => {
+  const day = new Date(createdAt).toLocaleDateString("en-CA");
+  return (!from || day >= from) && (!to || day <= to);
+};
+
+/**
+ * Rows for the movements export, header first.
+ *
+ * @param {StockMovement[]} movements
+ * @param {{ getProductName: (productId: number) => string, getWarehouseCode: (warehouseId: number|null) => string }} context
+ * @returns {Array<Array<string|number>>}
+ */
+const buildMovementRows = (movements, { getProductName, getWarehouseCode }) => [
+  ["date", "product_id", "sku", "product_name", "warehouse", "type", "quantity_in", "quantity_out", "reason", "reference", "batch", "user"],
+  ...[...movements].sort(byDate).map(movement => {
+    const quantity = Number(movement.quantity) || 0;
+    return [
+      new Date(movement.created_at).toLocaleString("en-IN"),
+      movement.product_id,
+      movement.sku || "",
+      getProductName(movement.product_id),
+      getWarehouseCode(movement.warehouse_id ?? null),
+      MOVEMENT_TYPE_LABELS[movement.type] || movement.type,
+      quantity > 0 ? quantity : "",
+      quantity < 0 ? -quantity : "",
+      movement.reason || "",
+      movement.reference || "",
+      movement.batch_number || "",
+      movement.user_name || ""
+    ];
+  })
+];
+
+export { getSignedQuantity, withRunningBalance, isWithinDates, buildMovementRows };
@@ -0,0 +1,44 @@
+import { TRANSFER_STATUS } from "../constants/warehouses";
+
+// Stock is kept per variation SKU; products without variations have no SKU
+const getStockKey = (productId, sku) => `${productId}|${sku || ""}`;
+
+/**
+ * @typedef {object} SkuStock
+ * @property {number} product_id
+ * @property {string|null} sku
+ * @property {number} total - across every warehouse, without stock in transit
+ * @property {number} inTransit
+ * @property {number} reorder_point - the highest of the SKU's records
+ * @property {Map<number|null, InventoryRecord>} byWarehouse - record by warehouse id
+ */
+
+/**
+ * Consolidates inventory records into one entry per product SKU.
+ *
+ * @param {InventoryRecord[]} records
+ * @param {StockTransfer[]} [transfers] - for the quantity in transit
+ * @returns {SkuStock[]} in the order SKUs first appear
+ */
+const getStockBySku = (records, transfers = []) => {
+  const stock = new Map();
+  records.forEach(record => {
+    const key = getStockKey(record.product_id, record.sku);
+    if (!stock.has(key)) {
+      stock.set(key, { product_id: record.product_id, sku: record.sku || null, total: 0, inTransit: 0, reorder_point: 0, byWarehouse: new Map() });
+    }
+    const entry = stock.get(key);
+    entry.total += Number(record.quantity_in_stock) || 0;
+    entry.reorder_point = Math.max(entry.reorder_point, Number(record.reorder_point) || 0);
+    entry.byWarehouse.set(record.warehouse_id ?? null, record);
+  });
+  transfers.filter(transfer => transfer.status === TRANSFER_STATUS.IN_TRANSIT).forEach(transfer => {
+    transfer.items.forEach(item => {
+      const entry = stock.get(getStockKey(item.product_id, item.sku));
+      if (entry) entry.inTransit += Number(item.quantity) || 0;
+    });
+  });
+  return Array.from(stock.values());
+};
+
+export { getStockKey, getStockBySku };
@@ -4,7 +4,8 @@ import { useForm } from 'react-hook-form';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import * as yup from 'yup';
 import { useAuthContext } from '@/context/useAuthContext';
-import httpClient from '@/helpers/httpClient';
+import authApi from '@/api/auth';
+import { isFakeBackendEnabled } from '@/helpers/fake-backend';
 const useLogin = () => {
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
@@ -21,36 +22,36 @@ const useLogin = () => {
     handleSubmit
   } = useForm({
     resolver: yupResolver(loginFormSchema),
-    defaultValues: {
-      email: 'user@demo.com',
+    // Demo credentials are only useful against the fake backend
+    defaultValues: isFakeBackendEnabled ? {
+      email: 'admin@demo.com',
       password: '123456'
+    } : {
+      email: '',
+      password: ''
     }
   });
   const redirectUser = () => {
-    const redirectLink = searchParams.get('redirectTo');
+    // AllRoutes sends unauthenticated visitors here with `next`
+    const redirectLink = searchParams.get('redirectTo') || searchParams.get('next');
     if (redirectLink) navigate(redirectLink);else navigate('/dashboard-1');
   };
   const login = handleSubmit(async values => {
+    setLoading(true);
     try {
-      const res = await httpClient.post('/login', values);
-      if (res.data.token) {
-        saveSession({
-          ...(res.data ?? {}),
-          token: res.data.token
-        });
-        redirectUser();
-      }
+      const session = await authApi.login(values);
+      saveSession(session);
+      redirectUser();
     } catch (e) {
-      if (e.response?.data?.error) {
-        control.setError('email', {
-          type: "custom",
-          message: e.response?.data?.error
-        });
-        control.setError('password', {
-          type: "custom",
-          message: e.response?.data?.error
-        });
-      }
+      const message = e.message || 'Unable to sign in. Please try again.';
+      control.setError('email', {
+        type: "custom",
+        message
+      });
+      control.setError('password', {
+        type: "custom",
+        message
+      });
     } finally {
       setLoading(false);
     }
@@ -61,4 +62,4 @@ const useLogin = () => {
     control
   };
 };
-export default useLogin;
\ No newline at end of file
+export default useLogin;
@@ -3,6 +3,7 @@ import { Dropdown } from "react-bootstrap";
 import { Link } from "react-router-dom";
 import SimpleBar from "simplebar-react";
 import { getMenuItems } from "@/helpers/menu";
+import { filterMenuItems } from "@/helpers/permissions";
 
 // components
 import AppMenu from "./Menu";
@@ -14,6 +15,7 @@ import logoLight from "@/assets/images/logo-light.png";
 import logoLight2 from "@/assets/images/logo-light-2.png";
 import { FiUser, FiSettings, FiLock, FiLogOut } from "react-icons/fi";
 import { useLayoutContext } from "@/context/useLayoutContext.jsx";
+import { useAuthContext } from "@/context/useAuthContext.jsx";
 
 /* user box */
 const UserBox = () => {
@@ -66,11 +68,14 @@ const UserBox = () => {
 
 /* sidebar content */
 const SideBarContent = () => {
+  const {
+    permissions
+  } = useAuthContext();
   return <>
             <UserBox />
 
             {/* <div id="sidebar-menu"> */}
-            <AppMenu menuItems={getMenuItems()} />
+            <AppMenu menuItems={filterMenuItems(getMenuItems(), permissions)} />
             {/* </div> */}
 
             <div className="clearfix" />
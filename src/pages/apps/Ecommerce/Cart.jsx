@@ -194,7 +194,7 @@ const Cart = () => {
                     </Col>
                     <Col sm={6}>
                       <div className="text-sm-end">
-                        <Link to="/apps/ecommerce/checkout" className="btn btn-danger">
+                        <Link to="/apps/ecommerce/orders/create" className="btn btn-danger">
                           <i className="mdi mdi-cart-plus me-1"></i> Checkout{" "}
                         </Link>
                       </div>
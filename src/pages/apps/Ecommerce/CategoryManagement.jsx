@@ -1,9 +1,14 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import { Row, Col, Card, Form, Button, Alert, Table, Modal, Collapse } from "react-bootstrap";
 import { useForm } from "react-hook-form";
 import * as yup from "yup";
 import { yupResolver } from "@hookform/resolvers/yup";
 import { FaEdit, FaTrash, FaPlus, FaMinus, FaChevronDown, FaChevronRight } from 'react-icons/fa';
+import { categoriesApi } from "@/api";
+import { useAuthContext } from "@/context/useAuthContext";
+import { PERMISSIONS } from "@/constants/permissions";
+import { getSeoSchema, getSeoDefaults, getSeoPayload } from "@/helpers/seo";
+import SeoFields from "./SeoFields";
 
 // ====================================================================
 // FormInput Helper Component (Re-used for consistency)
@@ -35,9 +40,6 @@ const FormInput = ({ name, label, type, placeholder, containerClass, register, e
 // Category Management Component
 // ====================================================================
 const CategoryManagement = () => {
-    // NOTE: This URL should point to your backend on port 3000 with the /api/category prefix
-    const API_BASE_URL = "https://ecomm.braventra.in/api"; 
-    
     const [hierarchy, setHierarchy] = useState([]); // Stores the full nested hierarchy
     const [isLoading, setIsLoading] = useState(true);
     const [submitStatus, setSubmitStatus] = useState({ message: '', variant: '' });
@@ -55,25 +57,40 @@ const CategoryManagement = () => {
 
     const [isSubmitting, setIsSubmitting] = useState(false);
 
+    // Editors without the matching permission see the actions disabled; delete is hidden outright
+    const { can } = useAuthContext();
+    const canWrite = can(PERMISSIONS.CATEGORIES_WRITE);
+    const canDelete = can(PERMISSIONS.CATEGORIES_DELETE);
+
+    // --- Slug checks ---
+    // The item being edited may keep its own slug
+    const editingCategoryId = isEditingCategory ? currentCategory?.id : undefined;
+    const isCategorySlugAvailable = (slug) => categoriesApi.isSlugAvailable(slug, editingCategoryId && { type: 'category', id: editingCategoryId });
+    const isSubcategorySlugAvailable = (slug) => categoriesApi.isSlugAvailable(slug, currentSubcategory && { type: 'subcategory', id: currentSubcategory.id });
+    const categorySeoSchema = useMemo(() => getSeoSchema(isCategorySlugAvailable), [editingCategoryId]);
+    const subcategorySeoSchema = useMemo(() => getSeoSchema(isSubcategorySlugAvailable), [currentSubcategory?.id]);
+
     // --- Validation Schema ---
-    // Schema for Level 1 Category (Only name is required for now)
+    // Schema for Level 1 Category
     const categorySchema = yupResolver(yup.object().shape({
         category_name: yup.string().required("Category name is required"),
+        ...categorySeoSchema,
     }));
 
     // Schema for Subcategory (L2) and Product Group (L3)
     const subcategorySchema = yupResolver(yup.object().shape({
         item_name: yup.string().required("Name is required"),
         parent_name: yup.string().nullable(), // For display only
+        ...subcategorySeoSchema,
     }));
 
     // Form handlers for Category (L1)
-    const { handleSubmit: handleCategorySubmit, register: registerCategory, formState: { errors: categoryErrors }, reset: resetCategory } = useForm({
+    const { handleSubmit: handleCategorySubmit, register: registerCategory, control: categoryControl, setValue: setCategoryValue, formState: { errors: categoryErrors }, reset: resetCategory } = useForm({
         resolver: categorySchema,
     });
 
     // Form handlers for Subcategory/Product Group (L2/L3)
-    const { handleSubmit: handleSubcategorySubmit, register: registerSubcategory, formState: { errors: subcategoryErrors }, reset: resetSubcategory } = useForm({
+    const { handleSubmit: handleSubcategorySubmit, register: registerSubcategory, control: subcategoryControl, setValue: setSubcategoryValue, formState: { errors: subcategoryErrors }, reset: resetSubcategory } = useForm({
         resolver: subcategorySchema,
     });
 
@@ -87,14 +104,10 @@ const CategoryManagement = () => {
         setIsLoading(true);
         setSubmitStatus({ message: '', variant: '' });
         try {
-            const response = await fetch(`${API_BASE_URL}/category/all-nested`); 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
-            
-            if (data.data && data.data.hierarchy) {
-                setHierarchy(data.data.hierarchy);
+            const nested = await categoriesApi.nested();
+
+            if (nested.length > 0) {
+                setHierarchy(nested);
             } else {
                 setHierarchy([]);
                 setSubmitStatus({ message: "No hierarchy data found.", variant: 'info' });
@@ -119,14 +132,14 @@ const CategoryManagement = () => {
     const openAddCategoryModal = () => {
         setIsEditingCategory(false);
         setCurrentCategory(null);
-        resetCategory({ category_name: '' });
+        resetCategory({ category_name: '', ...getSeoDefaults(null) });
         setCategoryModalShow(true);
     };
 
     const openEditCategoryModal = (category) => {
         setIsEditingCategory(true);
         setCurrentCategory(category);
-        resetCategory({ category_name: category.name });
+        resetCategory({ category_name: category.name, ...getSeoDefaults(category) });
         setCategoryModalShow(true);
     };
 
@@ -145,7 +158,7 @@ const CategoryManagement = () => {
             is_top_level: 1 // Parent is L1 Category
         });
         setCurrentSubcategory(null);
-        resetSubcategory({ item_name: '', parent_name: parentCategory.name });
+        resetSubcategory({ item_name: '', parent_name: parentCategory.name, ...getSeoDefaults(null) });
         setSubcategoryModalShow(true);
     };
     
@@ -157,7 +170,8 @@ const CategoryManagement = () => {
         
         resetSubcategory({ 
             item_name: item.name, 
-            parent_name: parentName 
+            parent_name: parentName,
+            ...getSeoDefaults(item)
         });
         setSubcategoryModalShow(true);
     };
@@ -177,7 +191,7 @@ const CategoryManagement = () => {
             is_top_level: 0 // Parent is L2 Subcategory
         });
         setCurrentSubcategory(null);
-        resetSubcategory({ item_name: '', parent_name: `${grandParentName} > ${parentSubcategory.name}` });
+        resetSubcategory({ item_name: '', parent_name: `${grandParentName} > ${parentSubcategory.name}`, ...getSeoDefaults(null) });
         setProductGroupModalShow(true);
     };
 
@@ -194,32 +208,15 @@ const CategoryManagement = () => {
         setIsSubmitting(true);
         setSubmitStatus({ message: '', variant: '' });
 
-        let endpoint = `${API_BASE_URL}/category/add`;
-        let method = 'POST';
-        let payload = { category_name: data.category_name };
-
-        if (isEditingCategory && currentCategory) {
-            endpoint = `${API_BASE_URL}/category/edit/${currentCategory.id}`;
-            method = 'PUT';
-        } else {
-             // NOTE: Your backend 'add' API handles a 'subcategories' array. 
-             // To simplify the UI for the fixed L2 structure, we won't add them here.
-             // You can update this if you need a quick way to add L2 items initially.
-             // For now, L2 items must be added via the dedicated 'Add Subcategory' button.
-             payload = { category_name: data.category_name, children: [] }; 
-        }
-
         try {
-            const response = await fetch(endpoint, {
-                method: method,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload),
-            });
-            
-            if (!response.ok) {
-                 const errorText = await response.text();
-                 throw new Error(`Server status ${response.status}. Error: ${errorText.slice(0, 100)}...`);
-             }
+            if (isEditingCategory && currentCategory) {
+                await categoriesApi.update(currentCategory.id, { category_name: data.category_name, ...getSeoPayload(data) });
+            } else {
+                // NOTE: Your backend 'add' API handles a 'subcategories' array. 
+                // To simplify the UI for the fixed L2 structure, we won't add them here.
+                // For now, L2 items must be added via the dedicated 'Add Subcategory' button.
+                await categoriesApi.create({ category_name: data.category_name, children: [], ...getSeoPayload(data) });
+            }
              const successMessage = isEditingCategory ? `Category '${data.category_name}' updated successfully!` : `Category '${data.category_name}' added successfully!`;
              setSubmitStatus({ message: successMessage, variant: 'success' });
              fetchAllNestedCategories();
@@ -237,45 +234,30 @@ const CategoryManagement = () => {
         setIsSubmitting(true);
         setSubmitStatus({ message: '', variant: '' });
 
-        let endpoint;
-        let method;
-        let payload;
+        let request;
         let action = '';
 
         // EDIT L2/L3 Item
         if (currentSubcategory) {
-            // FIXED: Changed from /subcategory/edit/ to /category/sub/edit/
-            endpoint = `${API_BASE_URL}/category/sub/edit/${currentSubcategory.id}`;
-            method = 'PUT';
-            payload = { subcategory_name: data.item_name };
+            request = () => categoriesApi.updateSub(currentSubcategory.id, { subcategory_name: data.item_name, ...getSeoPayload(data) });
             action = 'update';
             
         // ADD L2/L3 Item
         } else if (currentParent) {
-            // FIXED: Changed from /subcategory/add to /category/sub/add
-            endpoint = `${API_BASE_URL}/category/sub/add`;
-            method = 'POST';
-            payload = { 
+            // The backend determines is_top_level from the parent automatically
+            request = () => categoriesApi.createSub({
                 subcategory_name: data.item_name,
-                parent_id: currentParent.id
-                // Removed is_top_level as backend determines this automatically
-            };
+                parent_id: currentParent.id,
+                ...getSeoPayload(data)
+            });
             action = 'add';
         } else {
+            setIsSubmitting(false);
             return setSubmitStatus({ message: 'Invalid state for submission.', variant: 'danger' });
         }
 
         try {
-            const response = await fetch(endpoint, {
-                method: method,
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload),
-            });
-            
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Server status ${response.status}. Error: ${errorText.slice(0, 100)}...`);
-            }
+            await request();
             
             const successMessage = `'${data.item_name}' ${action}ed successfully!`;
             setSubmitStatus({ message: successMessage, variant: 'success' });
@@ -297,21 +279,12 @@ const CategoryManagement = () => {
         }
 
         setSubmitStatus({ message: '', variant: '' });
-        let endpoint = '';
-
-        if (endpointType === 'category') {
-            endpoint = `${API_BASE_URL}/category/delete/${itemId}`;
-        } else { // subcategory or productgroup
-            // FIXED: Changed from /subcategory/delete/ to /category/sub/delete/
-            endpoint = `${API_BASE_URL}/category/sub/delete/${itemId}`;
-        }
 
         try {
-            const response = await fetch(endpoint, { method: 'DELETE' });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Server status ${response.status}. Error: ${errorText.slice(0, 100)}...`);
+            if (endpointType === 'category') {
+                await categoriesApi.remove(itemId);
+            } else { // subcategory or productgroup
+                await categoriesApi.removeSub(itemId);
             }
             
             setSubmitStatus({ message: `'${itemName}' deleted successfully.`, variant: 'success' });
@@ -328,7 +301,7 @@ const CategoryManagement = () => {
     // ====================================================================
 
     const CategoryModal = () => (
-        <Modal show={categoryModalShow} onHide={handleCategoryModalClose} backdrop="static" keyboard={false}>
+        <Modal show={categoryModalShow} onHide={handleCategoryModalClose} backdrop="static" keyboard={false} size="lg">
             <Modal.Header closeButton>
                 <Modal.Title>{isEditingCategory ? 'Edit Category (Level 1)' : 'Add New Category (Level 1)'}</Modal.Title>
             </Modal.Header>
@@ -342,7 +315,17 @@ const CategoryManagement = () => {
                         register={registerCategory}
                         errors={categoryErrors}
                     />
-                    <div className="text-end">
+                    <h5 className="text-uppercase bg-light p-2 mt-0 mb-3">SEO</h5>
+                    <SeoFields
+                        control={categoryControl}
+                        register={registerCategory}
+                        setValue={setCategoryValue}
+                        errors={categoryErrors}
+                        type="category"
+                        nameField="category_name"
+                        isSlugAvailable={isCategorySlugAvailable}
+                    />
+                    <div className="text-end mt-3">
                         <Button variant="light" className="me-2" onClick={handleCategoryModalClose}>
                             Cancel
                         </Button>
@@ -370,7 +353,7 @@ const CategoryManagement = () => {
         }
 
         return (
-            <Modal show={show} onHide={handleClose} backdrop="static" keyboard={false}>
+            <Modal show={show} onHide={handleClose} backdrop="static" keyboard={false} size="lg">
                 <Modal.Header closeButton>
                     <Modal.Title>{modalTitle}</Modal.Title>
                 </Modal.Header>
@@ -397,7 +380,17 @@ const CategoryManagement = () => {
                             register={registerSubcategory}
                             errors={subcategoryErrors}
                         />
-                        <div className="text-end">
+                        <h5 className="text-uppercase bg-light p-2 mt-0 mb-3">SEO</h5>
+                        <SeoFields
+                            control={subcategoryControl}
+                            register={registerSubcategory}
+                            setValue={setSubcategoryValue}
+                            errors={subcategoryErrors}
+                            type="category"
+                            nameField="item_name"
+                            isSlugAvailable={isSubcategorySlugAvailable}
+                        />
+                        <div className="text-end mt-3">
                             <Button variant="light" className="me-2" onClick={handleClose}>
                                 Cancel
                             </Button>
@@ -427,40 +420,46 @@ const CategoryManagement = () => {
         if (level === 1) { // L1: Category
             actionButtons = (
                 <>
-                    <Button variant="info" size="sm" className="me-2" onClick={() => openEditCategoryModal(item)}>
+                    <Button variant="info" size="sm" className="me-2" onClick={() => openEditCategoryModal(item)} disabled={!canWrite}>
                         <FaEdit /> Edit
                     </Button>
-                    <Button variant="primary" size="sm" className="me-2" onClick={() => openAddSubcategoryModal(item)}>
+                    <Button variant="primary" size="sm" className="me-2" onClick={() => openAddSubcategoryModal(item)} disabled={!canWrite}>
                         <FaPlus /> Add L2
                     </Button>
-                    <Button variant="danger" size="sm" onClick={() => handleDelete(item.id, item.name, 'category')}>
-                        <FaTrash /> Delete
-                    </Button>
+                    {canDelete && (
+                        <Button variant="danger" size="sm" onClick={() => handleDelete(item.id, item.name, 'category')}>
+                            <FaTrash /> Delete
+                        </Button>
+                    )}
                 </>
             );
         } else if (level === 2) { // L2: Clinical/Technicin
             actionButtons = (
                 <>
-                    <Button variant="info" size="sm" className="me-2" onClick={() => openEditSubcategoryModal(item, parentName)}>
+                    <Button variant="info" size="sm" className="me-2" onClick={() => openEditSubcategoryModal(item, parentName)} disabled={!canWrite}>
                         <FaEdit /> Edit
                     </Button>
-                    <Button variant="success" size="sm" className="me-2" onClick={() => openAddProductGroupModal(item, parentName)}>
+                    <Button variant="success" size="sm" className="me-2" onClick={() => openAddProductGroupModal(item, parentName)} disabled={!canWrite}>
                         <FaPlus /> Add L3
                     </Button>
-                    <Button variant="danger" size="sm" onClick={() => handleDelete(item.id, item.name, 'subcategory')}>
-                        <FaTrash /> Delete
-                    </Button>
+                    {canDelete && (
+                        <Button variant="danger" size="sm" onClick={() => handleDelete(item.id, item.name, 'subcategory')}>
+                            <FaTrash /> Delete
+                        </Button>
+                    )}
                 </>
             );
         } else { // L3: Product Group
             actionButtons = (
                 <>
-                    <Button variant="info" size="sm" className="me-2" onClick={() => openEditSubcategoryModal(item, `${parentName} > ${item.name}`)}>
+                    <Button variant="info" size="sm" className="me-2" onClick={() => openEditSubcategoryModal(item, `${parentName} > ${item.name}`)} disabled={!canWrite}>
                         <FaEdit /> Edit
                     </Button>
-                    <Button variant="danger" size="sm" onClick={() => handleDelete(item.id, item.name, 'subcategory')}>
-                        <FaTrash /> Delete
-                    </Button>
+                    {canDelete && (
+                        <Button variant="danger" size="sm" onClick={() => handleDelete(item.id, item.name, 'subcategory')}>
+                            <FaTrash /> Delete
+                        </Button>
+                    )}
                 </>
             );
         }
@@ -541,7 +540,7 @@ const CategoryManagement = () => {
                     <Card>
                         <Card.Header className="d-flex justify-content-between align-items-center bg-light">
                             <h5 className="mb-0">Full Category Hierarchy (L1 → L2 → L3)</h5>
-                            <Button variant="primary" onClick={openAddCategoryModal}>
+                            <Button variant="primary" onClick={openAddCategoryModal} disabled={!canWrite}>
                                 <FaPlus className="me-1" /> Add New Category (L1)
                             </Button>
                         </Card.Header>
@@ -1,111 +1,168 @@
+import { useState } from "react";
 import { useForm } from "react-hook-form";
-import { Row, Col } from "react-bootstrap";
+import { Row, Col, Button, Form, InputGroup, ListGroup } from "react-bootstrap";
 import * as yup from "yup";
 import { yupResolver } from "@hookform/resolvers/yup";
 import { Link } from "react-router-dom";
-import Select from "react-select";
-import MaskedInput from "@/components/MaskedInput";
 
 // components
 import { FormInput } from "@/components";
+import { customersApi } from "@/api";
+import { GST_STATES } from "@/constants/gst";
 
-// dafault data
-import { countries } from "./data";
+// Billing: who the order is for. Existing customers are looked up, new ones typed in.
+const Billing = ({
+  customer,
+  onChange,
+  onNext
+}) => {
+  const [term, setTerm] = useState('');
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
 
-// Billing
-const Billing = () => {
   /*
    * form validation schema
    */
   const schemaResolver = yupResolver(yup.object().shape({
-    billing_firstname: yup.string().required("Please enter firstname"),
-    billing_lastname: yup.string().required("Please enter lastname"),
-    billing_email: yup.string().required("Please enter Email address")
+    billing_name: yup.string().required("Please enter the customer's name"),
+    billing_email: yup.string().email("Please enter a valid email").required("Please enter Email address"),
+    billing_phone: yup.string().required("Please enter a phone number").matches(/^[0-9+\-\s]{10,15}$/, "Please enter a valid phone number"),
+    billing_address: yup.string().required("Please enter the address"),
+    billing_city: yup.string().required("Please enter the city"),
+    billing_state: yup.string().required("Please select the state"),
+    billing_pincode: yup.string().required("Please enter the PIN code").matches(/^\d{6}$/, "PIN code must be 6 digits")
   }));
 
   /*
    * form methods
    */
   const methods = useForm({
-    resolver: schemaResolver
+    resolver: schemaResolver,
+    defaultValues: customer
   });
   const {
     handleSubmit,
     register,
     control,
+    reset,
     formState: {
       errors
     }
   } = methods;
+
+  const searchCustomers = async e => {
+    e?.preventDefault();
+    if (term.trim().length < 3) {
+      setSearchError('Type at least 3 characters of a name, email or phone.');
+      return;
+    }
+    setSearching(true);
+    setSearchError(null);
+    try {
+      setResults(await customersApi.search(term.trim()));
+    } catch (err) {
+      console.error('Customer search failed:', err);
+      setSearchError('Customer search failed. You can still enter the details below.');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const selectCustomer = found => {
+    const address = typeof found.address === 'object' && found.address ? found.address : {};
+    reset({
+      user_id: found.user_id,
+      billing_name: found.name || '',
+      billing_email: found.email || '',
+      billing_phone: found.phone || address.phone || '',
+      billing_address: address.line1 || address.address_line1 || '',
+      billing_city: address.city || '',
+      billing_state: address.state_code || '',
+      billing_pincode: address.pincode || address.postal_code || '',
+      billing_notes: ''
+    });
+    setResults(null);
+  };
+
+  const onSubmit = data => {
+    onChange(data);
+    onNext();
+  };
+
   return <>
       <div>
-        <h4 className="header-title">Billing Information</h4>
+        <h4 className="header-title">Customer</h4>
         <p className="sub-header">
-          Fill the form below in order to send you the order's invoice.
+          Search for an existing customer or enter the details of a new one.
         </p>
 
-        <form onSubmit={handleSubmit(() => {})}>
+        <Form onSubmit={searchCustomers} className="mb-3">
+          <InputGroup>
+            <Form.Control value={term} onChange={e => setTerm(e.target.value)} placeholder="Search by name, email or phone" />
+            <Button type="submit" variant="primary" disabled={searching}>
+              {searching ? <span className="spinner-border spinner-border-sm" role="status"></span> : <i className="mdi mdi-magnify"></i>}
+            </Button>
+          </InputGroup>
+          {searchError && <Form.Text className="text-danger">{searchError}</Form.Text>}
+          {results && (results.length === 0 ? <Form.Text className="text-muted">No customers found; enter the details below.</Form.Text> : <ListGroup className="mt-2">
+                {results.map(found => <ListGroup.Item key={found.user_id} action onClick={() => selectCustomer(found)}>
+                    <span className="fw-semibold">{found.name}</span>
+                    <span className="text-muted ms-2">{found.email}{found.phone && ` · ${found.phone}`}</span>
+                  </ListGroup.Item>)}
+              </ListGroup>)}
+        </Form>
+
+        <form onSubmit={handleSubmit(onSubmit)}>
+          <input type="hidden" {...register("user_id")} />
           <Row>
             <Col md={6}>
-              <FormInput label="First Name" type="text" name="billing_firstname" placeholder="Enter your first name" containerClass={"mb-3"} register={register} key="firstname" errors={errors} control={control} />
+              <FormInput label="Full Name" type="text" name="billing_name" placeholder="Enter the customer's name" containerClass={"mb-3"} register={register} key="name" errors={errors} control={control} />
             </Col>
             <Col md={6}>
-              <FormInput label="Last Name" type="text" name="billing_lastname" placeholder="Enter your last name" containerClass={"mb-3"} register={register} key="lastname" errors={errors} control={control} />
+              <FormInput label="Phone" type="text" name="billing_phone" placeholder="e.g. 98765 43210" containerClass={"mb-3"} register={register} key="phone" errors={errors} control={control} />
             </Col>
           </Row>
           <Row>
-            <Col md={6}>
-              <FormInput label="Email Address" type="email" name="billing_email" placeholder="Enter your email" containerClass={"mb-3"} register={register} key="email" errors={errors} control={control} />
-            </Col>
-            <Col md={6}>
-              <div className="mb-3">
-                <label className="form-label">Phone</label>
-                <MaskedInput mask={'(000) 0000-0000'} placeholder="(xxx) xxxx-xxxx" className="form-control" />
-              </div>
+            <Col md={12}>
+              <FormInput label="Email Address" type="email" name="billing_email" placeholder="Invoices and updates are sent here" containerClass={"mb-3"} register={register} key="email" errors={errors} control={control} />
             </Col>
           </Row>
           <Row>
             <Col md={12}>
-              <FormInput label="Address" type="text" name="billing_address" placeholder="Enter your state" containerClass={"mb-3"} register={register} key="address" errors={errors} control={control} />
+              <FormInput label="Address" type="text" name="billing_address" placeholder="House / street / area" containerClass={"mb-3"} register={register} key="address" errors={errors} control={control} />
             </Col>
           </Row>
           <Row>
             <Col md={4}>
-              <FormInput label="Town / City" type="text" name="billing_towncity" placeholder="Enter your city name" containerClass={"mb-3"} register={register} key="towncity" errors={errors} control={control} />
+              <FormInput label="Town / City" type="text" name="billing_city" placeholder="Enter the city name" containerClass={"mb-3"} register={register} key="city" errors={errors} control={control} />
             </Col>
             <Col md={4}>
-              <FormInput label="State" type="text" name="billing_state" placeholder="Enter your state" containerClass={"mb-3"} register={register} key="state" errors={errors} control={control} />
+              <FormInput label="State" type="select" name="billing_state" containerClass={"mb-3"} register={register} key="state" errors={errors} control={control}>
+                <option value="">Select state</option>
+                {Object.entries(GST_STATES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+              </FormInput>
             </Col>
             <Col md={4}>
-              <FormInput label="Zip / Postal Code" type="text" name="billing_zippostal" placeholder="Enter your zip code" containerClass={"mb-3"} register={register} key="zippostal" errors={errors} control={control} />
-            </Col>
-          </Row>
-          <Row>
-            <Col md={12}>
-              <div className="mb-3">
-                <label className="form-label">Country</label>
-                <Select className="react-select react-select-container" classNamePrefix="react-select" options={countries}></Select>
-              </div>
+              <FormInput label="PIN Code" type="text" name="billing_pincode" placeholder="6 digit PIN code" containerClass={"mb-3"} register={register} key="pincode" errors={errors} control={control} />
             </Col>
           </Row>
           <Row>
             <Col>
-              <FormInput label="Ship to different address ?" type="checkbox" name="customCheck2" containerClass={"mb-3"} register={register} key="customCheck2" errors={errors} control={control} />
-              <FormInput label="Order Notes:" type="textarea" rows="3" name="billing_notes" placeholder="Write some note.." containerClass={"mb-3"} register={register} key="notes" errors={errors} control={control} />
+              <FormInput label="Order Notes:" type="textarea" rows="3" name="billing_notes" placeholder="e.g. ordered over WhatsApp, call before delivery" containerClass={"mb-3"} register={register} key="notes" errors={errors} control={control} />
             </Col>
           </Row>
           <Row className="mt-4">
             <Col sm={6}>
-              <Link to="/apps/ecommerce/shopping-cart" className="btn btn-secondary">
-                <i className="mdi mdi-arrow-left"></i> Back to Shopping Cart
+              <Link to="/apps/ecommerce/orders" className="btn btn-secondary">
+                <i className="mdi mdi-arrow-left"></i> Back to Orders
               </Link>
             </Col>
             <Col sm={6}>
               <div className="text-sm-end mt-2 mt-sm-0">
-                <Link to="/apps/ecommerce/checkout" className="btn btn-success">
-                  <i className="mdi mdi-truck-fast me-1"></i> Proceed to
-                  Shipping
-                </Link>
+                <Button type="submit" variant="success">
+                  <i className="mdi mdi-cart me-1"></i> Proceed to Items
+                </Button>
               </div>
             </Col>
           </Row>
@@ -113,4 +170,4 @@ const Billing = () => {
       </div>
     </>;
 };
-export default Billing;
\ No newline at end of file
+export default Billing;
@@ -0,0 +1,269 @@
+import { useState, useEffect } from "react";
+import { Row, Col, Button, Form, Alert, Table, InputGroup, Badge } from "react-bootstrap";
+import Select from "react-select";
+
+import { productsApi, inventoryApi, variationsApi } from "@/api";
+import { DISCOUNT_TYPE } from "@/constants/checkout";
+import { getExpiredQuantities } from "@/helpers/batches";
+import { getStockKey } from "@/helpers/warehouses";
+
+const describeSku = sku => (sku.attributes || []).map(attribute => attribute.variation_value).join(' / ') || sku.sku;
+
+// Items: products and variations on the order, checked against live stock
+const Items = ({
+  items,
+  discount,
+  onItemsChange,
+  onDiscountChange,
+  onNext,
+  onBack
+}) => {
+  const [products, setProducts] = useState([]);
+  const [totals, setTotals] = useState({});
+  const [expired, setExpired] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [batchError, setBatchError] = useState(null);
+  const [product, setProduct] = useState(null);
+  const [skus, setSkus] = useState([]);
+  const [sku, setSku] = useState('');
+  const [quantity, setQuantity] = useState(1);
+
+  // Stock is read from /inventory per SKU, summed over warehouses less expired
+  // batches, and falls back to the product's own count
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [{
+          products
+        }, records] = await Promise.all([productsApi.list(), inventoryApi.list()]);
+        const sums = {};
+        records.forEach(record => {
+          const key = getStockKey(record.product_id, record.sku);
+          sums[key] = (sums[key] || 0) + (Number(record.quantity_in_stock) || 0);
+        });
+        setProducts(products);
+        setTotals(sums);
+      } catch (err) {
+        console.error('Error loading products:', err);
+        setError('Failed to load products and stock. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+    // Batches only take expired stock off; products can still be picked without them
+    inventoryApi.batches().then(batches => setExpired(getExpiredQuantities(batches))).catch(err => {
+      console.error('Error loading batches:', err);
+      setBatchError('Batch expiry dates could not be loaded, so stock shown may include expired units.');
+    });
+  }, []);
+
+  const stock = Object.fromEntries(Object.entries(totals).map(([key, total]) => [key, Math.max(total - (expired[key] || 0), 0)]));
+
+  // A SKU with its own records is limited to them. Once any SKU of a product
+  // has records, a sale must name one of those SKUs; otherwise the product's
+  // total applies.
+  const isSkuTracked = (productId, skuCode) => Boolean(skuCode) && getStockKey(productId, skuCode) in stock;
+  const hasSkuStock = productId => Object.keys(stock).some(key => key.startsWith(`${productId}|`) && key !== getStockKey(productId, null));
+  const getStock = (productId, skuCode = null) => {
+    if (isSkuTracked(productId, skuCode)) return stock[getStockKey(productId, skuCode)];
+    if (skuCode && hasSkuStock(productId)) return 0;
+    const keys = Object.keys(stock).filter(key => key.startsWith(`${productId}|`));
+    if (keys.length > 0) return keys.reduce((sum, key) => sum + stock[key], 0);
+    const found = products.find(p => p.product_id === productId);
+    return Number(found?.stock_quantity) || 0;
+  };
+  const getReserved = (productId, skuCode = null) => items
+    .filter(item => item.product_id === productId && (!isSkuTracked(productId, skuCode) || item.sku === skuCode))
+    .reduce((sum, item) => sum + item.quantity, 0);
+  const needsSku = product ? !sku && hasSkuStock(product.product_id) : false;
+  const available = product && !needsSku ? getStock(product.product_id, sku) - getReserved(product.product_id, sku) : 0;
+
+  const selectProduct = async option => {
+    const selected = products.find(p => p.product_id === option?.value) || null;
+    setProduct(selected);
+    setSkus([]);
+    setSku('');
+    setQuantity(1);
+    if (!selected) return;
+    try {
+      setSkus(await variationsApi.listByProduct(selected.product_id));
+    } catch (err) {
+      // Products without variations answer 404
+      setSkus([]);
+    }
+  };
+
+  const addItem = () => {
+    const variant = skus.find(option => option.sku === sku);
+    const key = variant ? variant.sku : `product-${product.product_id}`;
+    const existing = items.find(item => item.key === key);
+    const price = (Number(product.price) || 0) + (Number(variant?.price_modifier) || 0);
+    if (existing) {
+      onItemsChange(items.map(item => item.key === key ? {
+        ...item,
+        quantity: item.quantity + quantity
+      } : item));
+    } else {
+      onItemsChange([...items, {
+        key,
+        product_id: product.product_id,
+        sku: variant?.sku || product.sku || '',
+        product_name: variant ? `${product.name} (${describeSku(variant)})` : product.name,
+        price,
+        quantity
+      }]);
+    }
+    setProduct(null);
+    setSkus([]);
+    setSku('');
+    setQuantity(1);
+  };
+
+  const updateQuantity = (key, value) => {
+    onItemsChange(items.map(item => {
+      if (item.key !== key) return item;
+      const otherLines = getReserved(item.product_id, item.sku) - item.quantity;
+      const max = Math.max(getStock(item.product_id, item.sku) - otherLines, 1);
+      return {
+        ...item,
+        quantity: Math.min(Math.max(Number(value) || 1, 1), max)
+      };
+    }));
+  };
+
+  const removeItem = key => onItemsChange(items.filter(item => item.key !== key));
+
+  if (loading) {
+    return <div className="text-center py-4">
+        <div className="spinner-border text-primary" role="status"></div>
+        <p className="mt-2 mb-0">Loading products...</p>
+      </div>;
+  }
+
+  return <>
+      <div>
+        <h4 className="header-title">Items</h4>
+        <p className="sub-header">
+          Pick products and variations. Quantities are limited to the stock on hand.
+        </p>
+
+        {error && <Alert variant="danger">{error}</Alert>}
+        {batchError && <Alert variant="warning">{batchError}</Alert>}
+
+        <Row className="g-2 align-items-end mb-3">
+          <Col md={5}>
+            <Form.Label>Product</Form.Label>
+            <Select className="react-select react-select-container" classNamePrefix="react-select" placeholder="Search products..." isClearable value={product ? {
+            value: product.product_id,
+            label: product.name
+          } : null} onChange={selectProduct} options={products.map(p => ({
+            value: p.product_id,
+            label: `${p.name} — ₹${parseFloat(p.price || 0).toFixed(2)} (${getStock(p.product_id)} in stock)`
+          }))} />
+          </Col>
+          <Col md={3}>
+            <Form.Label>Variation</Form.Label>
+            <Form.Select value={sku} onChange={e => setSku(e.target.value)} disabled={skus.length === 0}>
+              {skus.length === 0 ? <option value="">No variations</option> : <option value="" disabled={hasSkuStock(product.product_id)}>
+                  {hasSkuStock(product.product_id) ? 'Select a variation' : 'Base product'}
+                </option>}
+              {skus.map(option => <option key={option.sku} value={option.sku}>
+                  {describeSku(option)}{Number(option.price_modifier) ? ` (+₹${parseFloat(option.price_modifier).toFixed(2)})` : ''}
+                </option>)}
+            </Form.Select>
+          </Col>
+          <Col md={2}>
+            <Form.Label>Qty</Form.Label>
+            <Form.Control type="number" min="1" max={Math.max(available, 1)} value={quantity} onChange={e => setQuantity(Math.min(Math.max(Number(e.target.value) || 1, 1), Math.max(available, 1)))} disabled={!product} />
+          </Col>
+          <Col md={2}>
+            <Button variant="primary" className="w-100" onClick={addItem} disabled={!product || available < quantity}>
+              <i className="mdi mdi-plus me-1"></i> Add
+            </Button>
+          </Col>
+          {product && !needsSku && <Col md={12}>
+              <Badge bg={available > 0 ? 'success' : 'danger'}>{available > 0 ? `${available} available` : 'Out of stock'}</Badge>
+              {available > 0 && <small className="text-muted ms-2">Expired batches are not counted</small>}
+            </Col>}
+        </Row>
+
+        <Table size="sm" bordered className="mb-3">
+          <thead className="table-light">
+            <tr>
+              <th>Item</th>
+              <th>SKU</th>
+              <th style={{
+              width: '110px'
+            }}>Qty</th>
+              <th>Price</th>
+              <th>Total</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.length === 0 ? <tr>
+                <td colSpan="6" className="text-center text-muted">No items added yet</td>
+              </tr> : items.map(item => <tr key={item.key}>
+                  <td>{item.product_name}</td>
+                  <td>{item.sku || '-'}</td>
+                  <td>
+                    <Form.Control type="number" size="sm" min="1" value={item.quantity} onChange={e => updateQuantity(item.key, e.target.value)} />
+                  </td>
+                  <td>₹{item.price.toFixed(2)}</td>
+                  <td>₹{(item.price * item.quantity).toFixed(2)}</td>
+                  <td className="text-center">
+                    <Button variant="link" className="p-0 text-danger" onClick={() => removeItem(item.key)} title="Remove">
+                      <i className="mdi mdi-delete"></i>
+                    </Button>
+                  </td>
+                </tr>)}
+          </tbody>
+        </Table>
+
+        <h4 className="header-title mt-4">Discount</h4>
+        <Row className="g-2">
+          <Col md={4}>
+            <InputGroup>
+              <Form.Select value={discount.type} onChange={e => onDiscountChange({
+              ...discount,
+              type: e.target.value
+            })} style={{
+              maxWidth: '80px'
+            }}>
+                <option value={DISCOUNT_TYPE.AMOUNT}>₹</option>
+                <option value={DISCOUNT_TYPE.PERCENT}>%</option>
+              </Form.Select>
+              <Form.Control type="number" min="0" step="0.01" value={discount.value} onChange={e => onDiscountChange({
+              ...discount,
+              value: e.target.value
+            })} placeholder="0" />
+            </InputGroup>
+          </Col>
+          <Col md={8}>
+            <Form.Control value={discount.code} onChange={e => onDiscountChange({
+            ...discount,
+            code: e.target.value
+          })} placeholder="Coupon code or reason for the discount" />
+          </Col>
+        </Row>
+
+        <Row className="mt-4">
+          <Col sm={6}>
+            <Button variant="secondary" onClick={onBack}>
+              <i className="mdi mdi-arrow-left"></i> Back to Customer
+            </Button>
+          </Col>
+          <Col sm={6}>
+            <div className="text-sm-end mt-2 mt-sm-0">
+              <Button variant="success" onClick={onNext} disabled={items.length === 0}>
+                <i className="mdi mdi-truck-fast me-1"></i> Proceed to Shipping
+              </Button>
+            </div>
+          </Col>
+        </Row>
+      </div>
+    </>;
+};
+export default Items;
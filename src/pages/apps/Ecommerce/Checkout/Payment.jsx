@@ -1,118 +1,97 @@
-import React from "react";
-import { useForm } from "react-hook-form";
-import { Row, Col } from "react-bootstrap";
-import { Link } from "react-router-dom";
-import MaskedInput from "@/components/MaskedInput";
+import React, { useState } from "react";
+import { Row, Col, Button, Form, Alert } from "react-bootstrap";
 
-// components
-import { FormInput } from "@/components/";
+import { PAYMENT_MODE, PAYMENT_MODES, OFFLINE_PAYMENT_METHODS } from "@/constants/checkout";
 
-// Payment
-const Payment = () => {
-  const methods = useForm();
-  const {
-    handleSubmit,
-    register,
-    control,
-    formState: {
-      errors
+// Payment: how the customer pays, and the last step before placing the order
+const Payment = ({
+  payment,
+  onChange,
+  onBack,
+  onSubmit,
+  submitting
+}) => {
+  const [error, setError] = useState(null);
+  const update = changes => onChange({
+    ...payment,
+    ...changes
+  });
+
+  const handleSubmit = () => {
+    if (payment.mode === PAYMENT_MODE.UPI && !payment.reference.trim()) {
+      setError('Please enter the UPI transaction reference.');
+      return;
     }
-  } = methods;
+    setError(null);
+    onSubmit();
+  };
+
   return <React.Fragment>
             <div>
                 <h4 className="header-title">Payment Selection</h4>
                 <p className="sub-header">
-                    Fill the form below in order to send you the order's invoice.
+                    How the customer is paying for this order.
                 </p>
 
-                <div className="border p-3 mb-3 rounded">
-                    <div className="float-end">
-                        <i className="fab fa-cc-paypal font-24 text-primary"></i>
-                    </div>
-                    <div className="form-check">
-                        <input type="radio" id="BillingOptRadio2" name="billingOptions" className="form-check-input" />
-                        <label className="form-check-label font-16 fw-bold" htmlFor="BillingOptRadio2">
-                            Pay with Paypal
-                        </label>
-                    </div>
-                    <p className="mb-0 ps-3 pt-1">
-                        You will be redirected to PayPal website to complete your purchase
-                        securely.
-                    </p>
-                </div>
-
-                <div className="border p-3 mb-3 rounded">
-                    <div className="float-end">
-                        <i className="far fa-credit-card font-24 text-primary"></i>
-                    </div>
-                    <div className="form-check">
-                        <input type="radio" id="BillingOptRadio1" name="billingOptions" className="form-check-input" defaultChecked />
-                        <label className="form-check-label font-16 fw-bold" htmlFor="BillingOptRadio1">
-                            Credit / Debit Card
-                        </label>
-                    </div>
-                    <p className="mb-0 ps-3 pt-1">
-                        Safe money transfer using your bank account. We support Mastercard,
-                        Visa, Discover and Stripe.
-                    </p>
+                {error && <Alert variant="danger">{error}</Alert>}
 
-                    <form onSubmit={handleSubmit(() => {})} className="mt-4" noValidate>
-                        <Row>
-                            <Col>
-                                <FormInput name="card-number" label="Card Number" type="text" placeholder="e.g. 4242 4242 4242 4242" containerClass={"mb-3"} register={register} key="notes" errors={errors} control={control} />
-                            </Col>
-                        </Row>
+                {PAYMENT_MODES.map(mode => <div key={mode.id} className="border p-3 mb-3 rounded">
+                        <div className="float-end">
+                            <i className={`mdi ${mode.icon} font-24 text-primary`}></i>
+                        </div>
+                        <div className="form-check">
+                            <input type="radio" id={`paymentMode-${mode.id}`} name="billingOptions" className="form-check-input" checked={payment.mode === mode.id} onChange={() => update({
+            mode: mode.id
+          })} />
+                            <label className="form-check-label font-16 fw-bold" htmlFor={`paymentMode-${mode.id}`}>
+                                {mode.label}
+                            </label>
+                        </div>
+                        <p className="mb-0 ps-3 pt-1">{mode.description}</p>
 
-                        <Row>
-                            <Col md={6}>
-                                <FormInput name="name" label="Name on Card" type="text" placeholder="Enter your name" containerClass={"mb-3"} register={register} key="notes" errors={errors} control={control} />
-                            </Col>
-                            <Col md={3}>
-                                <div className="mb-3">
-                                    <label className="form-label">Expiry date</label>
-                                    <MaskedInput mask={'00/00'} placeholder="MM/YY" className="form-control" />
-                                </div>
-                            </Col>
-                            <Col md={3}>
-                                <div className="mb-3">
-                                    <label className="form-label">CVV</label>
-                                    <MaskedInput mask={'000'} placeholder="xxx" className="form-control" />
-                                </div>
-                            </Col>
-                        </Row>
-                    </form>
-                </div>
+                        {payment.mode === mode.id && mode.id === PAYMENT_MODE.UPI && <Row className="mt-3">
+                                <Col md={6}>
+                                    <Form.Label>UPI Transaction Reference *</Form.Label>
+                                    <Form.Control value={payment.reference} onChange={e => update({
+                reference: e.target.value
+              })} placeholder="12 digit UTR" />
+                                </Col>
+                            </Row>}
 
-                <div className="border p-3 mb-3 rounded">
-                    <div className="float-end">
-                        <i className="fas fa-money-bill-alt font-24 text-primary"></i>
-                    </div>
-                    <div className="form-check">
-                        <input type="radio" id="BillingOptRadio4" name="billingOptions" className="form-check-input" />
-                        <label className="form-check-label font-16 fw-bold" htmlFor="BillingOptRadio4">
-                            Cash on Delivery
-                        </label>
-                    </div>
-                    <p className="mb-0 ps-3 pt-1">
-                        Pay with cash when your order is delivered.
-                    </p>
-                </div>
+                        {payment.mode === mode.id && mode.id === PAYMENT_MODE.OFFLINE && <Row className="mt-3">
+                                <Col md={6}>
+                                    <Form.Label>Received By</Form.Label>
+                                    <Form.Select value={payment.method} onChange={e => update({
+                method: e.target.value
+              })}>
+                                        {OFFLINE_PAYMENT_METHODS.map(method => <option key={method} value={method}>{method}</option>)}
+                                    </Form.Select>
+                                </Col>
+                                <Col md={6}>
+                                    <Form.Label>Reference</Form.Label>
+                                    <Form.Control value={payment.reference} onChange={e => update({
+                reference: e.target.value
+              })} placeholder="Receipt / cheque number" />
+                                </Col>
+                            </Row>}
+                    </div>)}
 
                 <Row className="mt-4">
                     <Col sm={6}>
-                        <Link to="/apps/ecommerce/shopping-cart" className="btn btn-secondary">
-                            <i className="mdi mdi-arrow-left"></i> Back to Shopping Cart{" "}
-                        </Link>
+                        <Button variant="secondary" onClick={onBack} disabled={submitting}>
+                            <i className="mdi mdi-arrow-left"></i> Back to Shipping
+                        </Button>
                     </Col>
                     <Col sm={6}>
                         <div className="text-sm-end mt-2 mt-sm-0">
-                            <Link to="/apps/ecommerce/checkout" className="btn btn-success">
-                                <i className="mdi mdi-cash-multiple me-1"></i> Complete Order
-                            </Link>
+                            <Button variant="success" onClick={handleSubmit} disabled={submitting}>
+                                {submitting ? <span className="spinner-border spinner-border-sm me-1" role="status"></span> : <i className="mdi mdi-cash-multiple me-1"></i>}
+                                Place Order
+                            </Button>
                         </div>
                     </Col>
                 </Row>
             </div>
         </React.Fragment>;
 };
-export default Payment;
\ No newline at end of file
+export default Payment;
@@ -1,135 +1,152 @@
-import React from "react";
-import { Row, Col } from "react-bootstrap";
-import { Link } from "react-router-dom";
-// Shipping
-const Shipping = props => {
-  const updateShippingCost = props.updateShipping;
-  return <React.Fragment>
-      <div>
-        <h4 className="header-title">Saved Address</h4>
-        <p className="sub-header">
-          Fill the form below in order to send you the order's invoice.
-        </p>
+import React, { useState } from "react";
+import { Row, Col, Button, Form, Alert, InputGroup } from "react-bootstrap";
 
-        <Row>
-          <Col md={6}>
-            <div className="border p-3 rounded mb-3 mb-md-0">
-              <div className="float-end">
-                <Link to="#">
-                  <i className="mdi mdi-square-edit-outline text-muted font-20"></i>
-                </Link>
-              </div>
+import { GST_STATES } from "@/constants/gst";
+import { SHIPPING_METHODS } from "@/constants/checkout";
 
-              <div className="form-check">
-                <input type="radio" id="customRadio1" name="customRadio" className="form-check-input" defaultChecked />
-                <label className="form-check-label font-16 fw-bold" htmlFor="customRadio1">
-                  Home
-                </label>
-              </div>
+// Shipping: delivery address and method
+const Shipping = ({
+  customer,
+  shipping,
+  onChange,
+  onNext,
+  onBack
+}) => {
+  const [error, setError] = useState(null);
+  const update = changes => onChange({
+    ...shipping,
+    ...changes
+  });
 
-              <h5 className="mt-3">Brent Rowe</h5>
+  const selectMethod = method => update({
+    method: method.id,
+    charge: method.charge
+  });
 
-              <p className="mb-2">
-                <span className="fw-semibold me-2">Address:</span> 3559
-                Roosevelt Wilson Lane San Bernardino, CA 92405
-              </p>
-              <p className="mb-2">
-                <span className="fw-semibold me-2">Phone:</span> (123) 456-7890
-              </p>
-              <p className="mb-0">
-                <span className="fw-semibold me-2">Mobile:</span> (+01) 12345
-                67890
-              </p>
-            </div>
-          </Col>
+  const handleNext = () => {
+    if (!shipping.same_as_billing) {
+      const missing = ['name', 'phone', 'line1', 'city', 'state_code', 'pincode'].filter(field => !String(shipping[field] || '').trim());
+      if (missing.length > 0) {
+        setError('Please complete the delivery address.');
+        return;
+      }
+      if (!/^\d{6}$/.test(shipping.pincode)) {
+        setError('PIN code must be 6 digits.');
+        return;
+      }
+    }
+    setError(null);
+    onNext();
+  };
 
-          <Col md={6}>
-            <div className="border p-3 rounded mb-3 mb-md-0">
-              <div className="float-end">
-                <Link to="#">
-                  <i className="mdi mdi-square-edit-outline text-muted font-20"></i>
-                </Link>
-              </div>
+  return <React.Fragment>
+      <div>
+        <h4 className="header-title">Delivery Address</h4>
+        <p className="sub-header">
+          Where the order should be delivered.
+        </p>
 
-              <div className="form-check">
-                <input type="radio" id="customRadio2" name="customRadio" className="form-check-input" />
-                <label className="form-check-label font-16 fw-bold" htmlFor="customRadio2">
-                  Office
-                </label>
-              </div>
+        {error && <Alert variant="danger">{error}</Alert>}
 
-              <h5 className="mt-3">Brent Rowe</h5>
+        <Form.Check type="checkbox" id="same_as_billing" className="mb-3" label="Same as the customer's address" checked={shipping.same_as_billing} onChange={e => update({
+        same_as_billing: e.target.checked
+      })} />
 
-              <p className="mb-2">
-                <span className="fw-semibold me-2">Address:</span> 3559
-                Roosevelt Wilson Lane San Bernardino, CA 92405
-              </p>
-              <p className="mb-2">
-                <span className="fw-semibold me-2">Phone:</span> (123) 456-7890
-              </p>
-              <p className="mb-0">
-                <span className="fw-semibold me-2">Mobile:</span> (+01) 12345
-                67890
-              </p>
-            </div>
-          </Col>
-        </Row>
+        {shipping.same_as_billing ? <div className="border p-3 rounded mb-3">
+            <h5 className="mt-0">{customer.billing_name}</h5>
+            <p className="mb-2">
+              <span className="fw-semibold me-2">Address:</span>
+              {customer.billing_address}, {customer.billing_city}, {GST_STATES[customer.billing_state]} {customer.billing_pincode}
+            </p>
+            <p className="mb-0">
+              <span className="fw-semibold me-2">Phone:</span> {customer.billing_phone}
+            </p>
+          </div> : <>
+            <Row>
+              <Col md={6} className="mb-3">
+                <Form.Label>Recipient Name</Form.Label>
+                <Form.Control value={shipping.name} onChange={e => update({
+              name: e.target.value
+            })} />
+              </Col>
+              <Col md={6} className="mb-3">
+                <Form.Label>Phone</Form.Label>
+                <Form.Control value={shipping.phone} onChange={e => update({
+              phone: e.target.value
+            })} />
+              </Col>
+              <Col md={12} className="mb-3">
+                <Form.Label>Address</Form.Label>
+                <Form.Control value={shipping.line1} onChange={e => update({
+              line1: e.target.value
+            })} placeholder="House / street / area" />
+              </Col>
+              <Col md={4} className="mb-3">
+                <Form.Label>Town / City</Form.Label>
+                <Form.Control value={shipping.city} onChange={e => update({
+              city: e.target.value
+            })} />
+              </Col>
+              <Col md={4} className="mb-3">
+                <Form.Label>State</Form.Label>
+                <Form.Select value={shipping.state_code} onChange={e => update({
+              state_code: e.target.value
+            })}>
+                  <option value="">Select state</option>
+                  {Object.entries(GST_STATES).map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+                </Form.Select>
+              </Col>
+              <Col md={4} className="mb-3">
+                <Form.Label>PIN Code</Form.Label>
+                <Form.Control value={shipping.pincode} onChange={e => update({
+              pincode: e.target.value
+            })} />
+              </Col>
+            </Row>
+          </>}
 
         <h4 className="header-title mt-4">Shipping Method</h4>
-        <p className="text-muted mb-3">
-          Fill the form below in order to send you the order's invoice.
-        </p>
 
         <Row>
           <Col md={12}>
-            <div className="border p-3 rounded mb-3">
-              <div className="form-check">
-                <input type="radio" id="shippingMethodRadio1" name="shippingOptions" className="form-check-input" defaultChecked onChange={() => {
-                updateShippingCost(0);
-              }} />
-                <label className="form-check-label font-16 fw-bold" htmlFor="shippingMethodRadio1">
-                  Standard Delivery - FREE
-                </label>
-              </div>
-              <p className="mb-0 ps-3 pt-1">
-                Estimated 5-7 days shipping (Duties and tax may be due upon
-                delivery)
-              </p>
-            </div>
-
-            <div className="border p-3 rounded">
-              <div className="form-check">
-                <input type="radio" id="shippingMethodRadio2" name="shippingOptions" className="form-check-input" onChange={e => {
-                updateShippingCost(25);
-              }} />
-                <label className="form-check-label font-16 fw-bold" htmlFor="shippingMethodRadio2">
-                  Fast Delivery - $25
-                </label>
-              </div>
-              <p className="mb-0 ps-3 pt-1">
-                Estimated 1-2 days shipping (Duties and tax may be due upon
-                delivery)
-              </p>
-            </div>
+            {SHIPPING_METHODS.map(method => <div key={method.id} className="border p-3 rounded mb-3">
+                <div className="form-check">
+                  <input type="radio" id={`shippingMethod-${method.id}`} name="shippingOptions" className="form-check-input" checked={shipping.method === method.id} onChange={() => selectMethod(method)} />
+                  <label className="form-check-label font-16 fw-bold" htmlFor={`shippingMethod-${method.id}`}>
+                    {method.label} - {method.charge ? `₹${method.charge}` : 'FREE'}
+                  </label>
+                </div>
+                <p className="mb-0 ps-3 pt-1">{method.description}</p>
+              </div>)}
+            <Form.Label>Shipping Charge</Form.Label>
+            <InputGroup style={{
+            maxWidth: '200px'
+          }}>
+              <InputGroup.Text>₹</InputGroup.Text>
+              <Form.Control type="number" min="0" step="0.01" value={shipping.charge} onChange={e => update({
+              charge: Math.max(Number(e.target.value) || 0, 0)
+            })} />
+            </InputGroup>
+            <Form.Text className="text-muted">Defaults to the method's charge; override it for special arrangements.</Form.Text>
           </Col>
         </Row>
 
         <Row className="mt-4">
           <Col sm={6}>
-            <Link to="/apps/ecommerce/shopping-cart" className="btn btn-secondary">
-              <i className="mdi mdi-arrow-left"></i> Back to Shopping Cart
-            </Link>
+            <Button variant="secondary" onClick={onBack}>
+              <i className="mdi mdi-arrow-left"></i> Back to Items
+            </Button>
           </Col>
           <Col sm={6}>
             <div className="text-sm-end mt-2 mt-sm-0">
-              <Link to="/apps/ecommerce/checkout" className="btn btn-success">
+              <Button variant="success" onClick={handleNext}>
                 <i className="mdi mdi-cash-multiple me-1"></i> Continue to
                 Payment
-              </Link>
+              </Button>
             </div>
           </Col>
         </Row>
       </div>
     </React.Fragment>;
 };
-export default Shipping;
\ No newline at end of file
+export default Shipping;
@@ -1,7 +1,10 @@
-import { Link } from "react-router-dom";
 // Summary
-const Summary = props => {
-  const cart = props.cart;
+const Summary = ({
+  items,
+  totals,
+  discountCode
+}) => {
+  const formatAmount = amount => `₹${amount.toFixed(2)}`;
   return <>
       <div className="border mt-4 rounded">
         <h4 className="header-title p-2 mb-0">Order Summary</h4>
@@ -9,46 +12,48 @@ const Summary = props => {
         <div className="table-responsive">
           <table className="table table-centered table-nowrap mb-0">
             <tbody>
-              {(cart.items || []).map((item, idx) => {
-              return <tr key={idx}>
-                    <td style={{
-                  width: "90px"
-                }}>
-                      <img src={item.image} alt={item.name} title="contact-img" className="rounded" height="48" />
-                    </td>
+              {items.length === 0 && <tr>
+                  <td colSpan={2} className="text-muted">No items yet</td>
+                </tr>}
+              {items.map(item => {
+              return <tr key={item.key}>
                     <td>
-                      <Link to="/apps/ecommerce/product-details" className="text-body fw-semibold">
-                        {item.name}
-                      </Link>
+                      <span className="fw-semibold text-wrap">{item.product_name}</span>
                       <br />
                       <small>
-                        {item.qty} x ${item.price.toFixed(2)}
+                        {item.quantity} x {formatAmount(item.price)}
                       </small>
                     </td>
-                    <td className="text-end">${item.total.toFixed(2)}</td>
+                    <td className="text-end">{formatAmount(item.price * item.quantity)}</td>
                   </tr>;
             })}
 
               <tr className="text-end">
-                <td colSpan={2}>
+                <td>
                   <h6 className="m-0">Sub Total:</h6>
                 </td>
-                <td className="text-end">${cart.sub_total.toFixed(2)}</td>
+                <td className="text-end">{formatAmount(totals.subTotal)}</td>
               </tr>
+              {totals.discountAmount > 0 && <tr className="text-end">
+                  <td>
+                    <h6 className="m-0">Discount{discountCode && ` (${discountCode})`}:</h6>
+                  </td>
+                  <td className="text-end text-success">-{formatAmount(totals.discountAmount)}</td>
+                </tr>}
               <tr className="text-end">
-                <td colSpan={2}>
+                <td>
                   <h6 className="m-0">Shipping:</h6>
                 </td>
                 <td className="text-end">
-                  {cart.shipping ? "$" + cart.shipping.toFixed(2) : "FREE"}
+                  {totals.shipping ? formatAmount(totals.shipping) : "FREE"}
                 </td>
               </tr>
               <tr className="text-end">
-                <td colSpan={2}>
+                <td>
                   <h5 className="m-0">Total:</h5>
                 </td>
                 <td className="text-end fw-semibold">
-                  ${cart.total.toFixed(2)}
+                  {formatAmount(totals.total)}
                 </td>
               </tr>
             </tbody>
@@ -57,4 +62,4 @@ const Summary = props => {
       </div>
     </>;
 };
-export default Summary;
\ No newline at end of file
+export default Summary;
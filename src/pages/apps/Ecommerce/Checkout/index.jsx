@@ -1,105 +1,212 @@
 import React, { useState } from "react";
-import { Row, Col, Card, Tab, Nav } from "react-bootstrap";
+import { Row, Col, Card, Tab, Nav, Alert } from "react-bootstrap";
+import { useNavigate } from "react-router-dom";
 import classnames from "classnames";
 
 // components
 import PageTitle from "../../../../components/PageTitle";
+import { ordersApi } from "@/api";
+import { DISCOUNT_TYPE, ORDER_SOURCE_ADMIN, PAYMENT_MODE, PAYMENT_MODES, OFFLINE_PAYMENT_METHODS, SHIPPING_METHODS } from "@/constants/checkout";
+import { getCartTotals } from "@/helpers/cart";
 import Billing from "./Billing";
+import Items from "./Items";
 import Shipping from "./Shipping";
 import Payment from "./Payment";
 import Summary from "./Summary";
-import productImg5 from "@/assets/images/products/product-5.png";
-import productImg2 from "@/assets/images/products/product-1.png";
-import productImg3 from "@/assets/images/products/product-3.png";
-// Checkout
+
+const STEPS = [{
+  key: "customer",
+  label: "Customer",
+  icon: "mdi-account-circle"
+}, {
+  key: "items",
+  label: "Items",
+  icon: "mdi-cart"
+}, {
+  key: "shipping",
+  label: "Shipping Info",
+  icon: "mdi-truck-fast"
+}, {
+  key: "payment",
+  label: "Payment Info",
+  icon: "mdi-cash-multiple"
+}];
+
+// Checkout, run by staff to create an order for a customer (phone/WhatsApp orders)
 const Checkout = () => {
-  const [cart, setCart] = useState({
-    items: [{
-      id: 1,
-      image: productImg2,
-      name: "Polo Navy blue T-shirt",
-      size: "Large",
-      color: "Light Green",
-      price: 39,
-      qty: 1,
-      total: 39
-    }, {
-      id: 2,
-      image: productImg5,
-      name: "Red Hoodie for men",
-      size: "Small",
-      color: "Brown",
-      price: 46,
-      qty: 2,
-      total: 92
-    }, {
-      id: 3,
-      image: productImg3,
-      name: "	Designer Awesome T-Shirt",
-      size: "Medium",
-      color: "Green",
-      price: 26,
-      qty: 1,
-      total: 26
-    }],
-    sub_total: 157,
-    shipping: 0,
-    total: 157
+  const navigate = useNavigate();
+  const [step, setStep] = useState("customer");
+  // Steps after the current one unlock as the earlier ones are completed
+  const [reached, setReached] = useState(0);
+  const [customer, setCustomer] = useState({
+    user_id: "",
+    billing_name: "",
+    billing_email: "",
+    billing_phone: "",
+    billing_address: "",
+    billing_city: "",
+    billing_state: "",
+    billing_pincode: "",
+    billing_notes: ""
+  });
+  const [items, setItems] = useState([]);
+  const [discount, setDiscount] = useState({
+    type: DISCOUNT_TYPE.AMOUNT,
+    value: "",
+    code: ""
+  });
+  const [shipping, setShipping] = useState({
+    same_as_billing: true,
+    name: "",
+    phone: "",
+    line1: "",
+    city: "",
+    state_code: "",
+    pincode: "",
+    method: SHIPPING_METHODS[0].id,
+    charge: SHIPPING_METHODS[0].charge
+  });
+  const [payment, setPayment] = useState({
+    mode: PAYMENT_MODE.COD,
+    method: OFFLINE_PAYMENT_METHODS[0],
+    reference: ""
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const totals = getCartTotals({
+    items,
+    discount,
+    shippingCharge: shipping.charge
   });
 
-  /**
-   * Update the shipping cost
-   */
-  const updateShipping = shippingCost => {
-    var localCart = {
-      ...cart
-    };
-    localCart["shipping"] = shippingCost;
-    localCart["total"] = localCart["sub_total"] + shippingCost;
-    setCart(localCart);
+  const goTo = key => {
+    const index = STEPS.findIndex(s => s.key === key);
+    setReached(prev => Math.max(prev, index));
+    setStep(key);
   };
+
+  const buildAddress = () => shipping.same_as_billing ? {
+    name: customer.billing_name,
+    phone: customer.billing_phone,
+    line1: customer.billing_address,
+    city: customer.billing_city,
+    state_code: customer.billing_state,
+    pincode: customer.billing_pincode,
+    country: "India"
+  } : {
+    name: shipping.name,
+    phone: shipping.phone,
+    line1: shipping.line1,
+    city: shipping.city,
+    state_code: shipping.state_code,
+    pincode: shipping.pincode,
+    country: "India"
+  };
+
+  const placeOrder = async () => {
+    const mode = PAYMENT_MODES.find(option => option.id === payment.mode);
+    setSubmitting(true);
+    setError(null);
+    try {
+      const order = await ordersApi.create({
+        order_source: ORDER_SOURCE_ADMIN,
+        user_id: customer.user_id || null,
+        customer: {
+          name: customer.billing_name,
+          email: customer.billing_email,
+          phone: customer.billing_phone
+        },
+        billing_address: {
+          name: customer.billing_name,
+          phone: customer.billing_phone,
+          line1: customer.billing_address,
+          city: customer.billing_city,
+          state_code: customer.billing_state,
+          pincode: customer.billing_pincode,
+          country: "India"
+        },
+        shipping_address: buildAddress(),
+        shipping_method: shipping.method,
+        items: items.map(item => ({
+          product_id: item.product_id,
+          sku: item.sku || null,
+          product_name: item.product_name,
+          quantity: item.quantity,
+          unit_price: item.price,
+          subtotal: Math.round(item.price * item.quantity * 100) / 100
+        })),
+        subtotal: totals.subTotal,
+        discount: totals.discountAmount > 0 ? {
+          type: discount.type,
+          value: Number(discount.value),
+          amount: totals.discountAmount,
+          code: discount.code.trim() || null
+        } : null,
+        shipping_charge: totals.shipping,
+        total_amount: totals.total,
+        payment: {
+          mode: payment.mode,
+          method: payment.mode === PAYMENT_MODE.OFFLINE ? payment.method : null,
+          reference: payment.reference.trim() || null,
+          status: mode?.paid ? "Paid" : "Pending"
+        },
+        notes: customer.billing_notes || null
+      });
+      navigate(order?.order_id ? `/apps/ecommerce/order/details/${order.order_id}` : "/apps/ecommerce/orders");
+    } catch (err) {
+      console.error("Error creating order:", err);
+      setError(err.message || "Failed to create the order. Please try again.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
   return <>
       <PageTitle breadCrumbItems={[{
       label: "Ecommerce",
-      path: "/apps/ecommerce/checkout"
+      path: "/apps/ecommerce/orders"
+    }, {
+      label: "Orders",
+      path: "/apps/ecommerce/orders"
     }, {
-      label: "Checkout",
-      path: "/apps/ecommerce/checkout",
+      label: "Create Order",
+      path: "/apps/ecommerce/orders/create",
       active: true
-    }]} title={"Checkout"} />
-      <Tab.Container defaultActiveKey="1">
+    }]} title={"Create Order"} />
+      <Tab.Container activeKey={step} onSelect={key => setStep(key)}>
         <Row>
           <Col>
             <Card>
               <Card.Body>
+                {error && <Alert variant="danger" onClose={() => setError(null)} dismissible>
+                    <i className="mdi mdi-alert-circle me-2"></i>
+                    {error}
+                  </Alert>}
                 <Row>
                   <Col lg={4}>
                     <Nav variant="pills" className="nav nav-pills flex-column navtab-bg nav-pills-tab text-center">
-                      <Nav.Link href="#" eventKey="1" className="nav-link cursor-pointer py-2">
-                        <i className={classnames("mdi mdi-account-circle", "d-block", "font-24")}></i>
-                        <span className="d-none d-lg-block">Billing Info</span>
-                      </Nav.Link>
-                      <Nav.Link href="#" eventKey="2" className="nav-link cursor-pointer mt-2 py-2">
-                        <i className={classnames("mdi mdi-truck-fast", "d-block", "font-24")}></i>
-                        <span className="d-none d-lg-block">Shipping Info</span>
-                      </Nav.Link>
-                      <Nav.Link href="#" eventKey="3" className="nav-link cursor-pointer mt-2 py-2">
-                        <i className={classnames("mdi mdi-cash-multiple", "d-block", "font-24")}></i>
-                        <span className="d-none d-lg-block">Payment Info</span>
-                      </Nav.Link>
+                      {STEPS.map((s, index) => <Nav.Link key={s.key} href="#" eventKey={s.key} disabled={index > reached} className={classnames("nav-link cursor-pointer py-2", {
+                      "mt-2": index > 0
+                    })}>
+                          <i className={classnames("mdi", s.icon, "d-block", "font-24")}></i>
+                          <span className="d-none d-lg-block">{s.label}</span>
+                        </Nav.Link>)}
                     </Nav>
-                    <Summary cart={cart} />
+                    <Summary items={items} totals={totals} discountCode={discount.code} />
                   </Col>
                   <Col lg={8}>
                     <Tab.Content className="p-3">
-                      <Tab.Pane eventKey="1">
-                        <Billing />
+                      <Tab.Pane eventKey="customer">
+                        <Billing customer={customer} onChange={setCustomer} onNext={() => goTo("items")} />
+                      </Tab.Pane>
+                      <Tab.Pane eventKey="items">
+                        <Items items={items} discount={discount} onItemsChange={setItems} onDiscountChange={setDiscount} onNext={() => goTo("shipping")} onBack={() => setStep("customer")} />
                       </Tab.Pane>
-                      <Tab.Pane eventKey="2">
-                        <Shipping updateShipping={updateShipping} />
+                      <Tab.Pane eventKey="shipping">
+                        <Shipping customer={customer} shipping={shipping} onChange={setShipping} onNext={() => goTo("payment")} onBack={() => setStep("items")} />
                       </Tab.Pane>
-                      <Tab.Pane eventKey="3">
-                        <Payment />
+                      <Tab.Pane eventKey="payment">
+                        <Payment payment={payment} onChange={setPayment} onBack={() => setStep("shipping")} onSubmit={placeOrder} submitting={submitting} />
                       </Tab.Pane>
                     </Tab.Content>
                   </Col>
@@ -111,4 +218,4 @@ const Checkout = () => {
       </Tab.Container>
     </>;
 };
-export default Checkout;
\ No newline at end of file
+export default Checkout;
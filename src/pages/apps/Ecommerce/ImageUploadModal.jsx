@@ -0,0 +1,268 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Row, Col, Modal, Button, ButtonGroup, Form, Alert } from "react-bootstrap";
+
+import { formatBytes, validateImageFile, validateImageDimensions, loadImage, getCropRect, processImage } from "@/helpers/images";
+
+const PREVIEW_WIDTH = 640;
+
+/**
+ * Shared upload pipeline for product and banner images. Takes the picked
+ * files one at a time: validates them, lets the user crop to one of the
+ * preset's aspect ratios, then resizes and re-encodes within the preset's
+ * size budget and shows the size before and after.
+ *
+ * @param {object} props
+ * @param {File[]} props.files - files to prepare; the modal is open while this is non-empty
+ * @param {object} props.preset - one of IMAGE_PRESETS
+ * @param {(files: File[]) => void} props.onDone - the processed files, without the skipped ones
+ * @param {() => void} props.onCancel
+ */
+const ImageUploadModal = ({ files, preset, onDone, onCancel }) => {
+    const [index, setIndex] = useState(0);
+    const [accepted, setAccepted] = useState([]);
+    const [image, setImage] = useState(null);
+    const [aspect, setAspect] = useState(preset.aspectRatios[0].value);
+    const [zoom, setZoom] = useState(1);
+    const [center, setCenter] = useState({ x: 0, y: 0 });
+    const [result, setResult] = useState(null);
+    const [processing, setProcessing] = useState(false);
+    const [error, setError] = useState(null);
+    const canvasRef = useRef(null);
+    const dragRef = useRef(null);
+
+    const file = files[index];
+    const crop = image ? getCropRect(image.naturalWidth, image.naturalHeight, aspect, zoom, center) : null;
+    const cropTooSmall = !!crop && (crop.width < preset.minWidth || crop.height < preset.minHeight);
+
+    useEffect(() => {
+        setIndex(0);
+        setAccepted([]);
+    }, [files]);
+
+    // Validate and decode each file as it comes up
+    useEffect(() => {
+        if (!file) return;
+        let cancelled = false;
+        setImage(null);
+        setResult(null);
+        setZoom(1);
+        setAspect(preset.aspectRatios[0].value);
+        const invalid = validateImageFile(file);
+        setError(invalid);
+        if (invalid) return;
+
+        loadImage(file)
+            .then((loaded) => {
+                if (cancelled) return;
+                const tooSmall = validateImageDimensions(loaded, preset);
+                if (tooSmall) {
+                    setError(`${file.name}: ${tooSmall}`);
+                    return;
+                }
+                setImage(loaded);
+                setCenter({ x: loaded.naturalWidth / 2, y: loaded.naturalHeight / 2 });
+            })
+            .catch((err) => !cancelled && setError(err.message));
+        return () => { cancelled = true; };
+    }, [file]);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || !crop) return;
+        canvas.width = PREVIEW_WIDTH;
+        canvas.height = Math.round(PREVIEW_WIDTH * crop.height / crop.width);
+        canvas.getContext('2d').drawImage(image, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+    }, [image, result, crop?.x, crop?.y, crop?.width, crop?.height]);
+
+    // Dragging the preview pans the crop across the image
+    const handlePointerDown = (e) => {
+        dragRef.current = { x: e.clientX, y: e.clientY };
+        e.currentTarget.setPointerCapture(e.pointerId);
+    };
+
+    const handlePointerMove = (e) => {
+        if (!dragRef.current) return;
+        const ratio = crop.width / e.currentTarget.clientWidth;
+        setCenter({
+            x: crop.x + crop.width / 2 - (e.clientX - dragRef.current.x) * ratio,
+            y: crop.y + crop.height / 2 - (e.clientY - dragRef.current.y) * ratio,
+        });
+        dragRef.current = { x: e.clientX, y: e.clientY };
+    };
+
+    const handlePointerUp = () => {
+        dragRef.current = null;
+    };
+
+    const clearResult = () => {
+        if (result) URL.revokeObjectURL(result.url);
+        setResult(null);
+    };
+
+    const next = (nextAccepted) => {
+        clearResult();
+        if (index + 1 < files.length) {
+            setAccepted(nextAccepted);
+            setIndex(index + 1);
+        } else {
+            onDone(nextAccepted);
+        }
+    };
+
+    const handleApply = async () => {
+        setProcessing(true);
+        setError(null);
+        try {
+            const processed = await processImage(image, crop, preset, file.name);
+            setResult({ ...processed, url: URL.createObjectURL(processed.file) });
+        } catch (err) {
+            console.error('Error processing image:', err);
+            setError(err.message || 'Failed to process the image.');
+        } finally {
+            setProcessing(false);
+        }
+    };
+
+    const handleCancel = () => {
+        clearResult();
+        onCancel();
+    };
+
+    const savedPercent = result ? Math.round((1 - result.file.size / file.size) * 100) : 0;
+
+    return (
+        <Modal show={files.length > 0} onHide={handleCancel} centered size="lg" backdrop="static">
+            <Modal.Header closeButton className="bg-light">
+                <Modal.Title>
+                    <i className="mdi mdi-crop me-2"></i>
+                    Prepare {preset.label}
+                    {files.length > 1 && ` (${index + 1} of ${files.length})`}
+                </Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+                {error && (
+                    <Alert variant="danger" className="mb-3">
+                        <i className="mdi mdi-alert-circle me-2"></i>
+                        {error}
+                    </Alert>
+                )}
+
+                {!error && !image && (
+                    <div className="text-center py-4">
+                        <div className="spinner-border text-primary" role="status"></div>
+                    </div>
+                )}
+
+                {image && !result && (
+                    <>
+                        <div className="d-flex flex-wrap align-items-center mb-2">
+                            {preset.aspectRatios.length > 1 && (
+                                <ButtonGroup size="sm" className="me-3 mb-2">
+                                    {preset.aspectRatios.map((ratio) => (
+                                        <Button
+                                            key={ratio.label}
+                                            variant={aspect === ratio.value ? 'primary' : 'outline-primary'}
+                                            onClick={() => setAspect(ratio.value)}
+                                        >
+                                            {ratio.label}
+                                        </Button>
+                                    ))}
+                                </ButtonGroup>
+                            )}
+                            {preset.aspectRatios.length === 1 && (
+                                <span className="text-muted me-3 mb-2">Cropped to {preset.aspectRatios[0].label}</span>
+                            )}
+                            <Form.Label className="mb-2 me-2">Zoom</Form.Label>
+                            <Form.Range
+                                min={1}
+                                max={3}
+                                step={0.05}
+                                value={zoom}
+                                onChange={(e) => setZoom(Number(e.target.value))}
+                                className="mb-2"
+                                style={{ maxWidth: '200px' }}
+                            />
+                        </div>
+                        <canvas
+                            ref={canvasRef}
+                            className="rounded border w-100"
+                            style={{ cursor: 'move', touchAction: 'none' }}
+                            onPointerDown={handlePointerDown}
+                            onPointerMove={handlePointerMove}
+                            onPointerUp={handlePointerUp}
+                        />
+                        <div className={`mt-2 font-13 ${cropTooSmall ? 'text-danger' : 'text-muted'}`}>
+                            Crop: {crop.width} × {crop.height} px of {image.naturalWidth} × {image.naturalHeight} px.
+                            {cropTooSmall
+                                ? ` Zoom out: a ${preset.label.toLowerCase()} needs at least ${preset.minWidth} × ${preset.minHeight} px.`
+                                : ' Drag the preview to choose the part to keep.'}
+                        </div>
+                    </>
+                )}
+
+                {result && (
+                    <Row>
+                        <Col md={8}>
+                            <img src={result.url} alt="Processed preview" className="img-fluid rounded border" />
+                        </Col>
+                        <Col md={4}>
+                            <h6 className="mt-3 mt-md-0">Before</h6>
+                            <p className="text-muted mb-2">
+                                {image.naturalWidth} × {image.naturalHeight} px<br />
+                                {formatBytes(file.size)} ({file.type.replace('image/', '').toUpperCase()})
+                            </p>
+                            <h6>After</h6>
+                            <p className="text-muted mb-2">
+                                {result.width} × {result.height} px<br />
+                                {formatBytes(result.file.size)} ({result.file.type.replace('image/', '').toUpperCase()})
+                            </p>
+                            {savedPercent > 0 && <p className="text-success mb-2">{savedPercent}% smaller</p>}
+                            {result.file.size > preset.maxBytes && (
+                                <Alert variant="warning" className="p-2 mb-0 font-13">
+                                    Still over the {formatBytes(preset.maxBytes)} budget. Try a tighter crop.
+                                </Alert>
+                            )}
+                        </Col>
+                    </Row>
+                )}
+            </Modal.Body>
+            <Modal.Footer>
+                <Button variant="light" onClick={handleCancel} disabled={processing}>
+                    Cancel
+                </Button>
+                {files.length > 1 && (
+                    <Button variant="outline-secondary" onClick={() => next(accepted)} disabled={processing}>
+                        Skip
+                    </Button>
+                )}
+                {result ? (
+                    <>
+                        <Button variant="outline-primary" onClick={clearResult}>
+                            Back to Crop
+                        </Button>
+                        <Button variant="success" onClick={() => next([...accepted, result.file])}>
+                            <i className="mdi mdi-check me-1"></i>
+                            Use Image
+                        </Button>
+                    </>
+                ) : (
+                    <Button variant="primary" onClick={handleApply} disabled={!image || cropTooSmall || processing}>
+                        {processing ? (
+                            <>
+                                <span className="spinner-border spinner-border-sm me-2" role="status"></span>
+                                Processing...
+                            </>
+                        ) : (
+                            <>
+                                <i className="mdi mdi-image-filter-center-focus me-1"></i>
+                                Crop &amp; Optimise
+                            </>
+                        )}
+                    </Button>
+                )}
+            </Modal.Footer>
+        </Modal>
+    );
+};
+
+export default ImageUploadModal;
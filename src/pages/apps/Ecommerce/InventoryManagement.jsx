@@ -1,9 +1,24 @@
 import React, { useState, useEffect } from "react";
-import { Row, Col, Card, Form, Button, Alert, Table, Modal, Badge, Pagination } from "react-bootstrap";
+import { Row, Col, Card, Form, Button, Alert, Table, Modal, Badge, Pagination, Tab, Nav } from "react-bootstrap";
 import { useForm } from "react-hook-form";
 import * as yup from "yup";
 import { yupResolver } from "@hookform/resolvers/yup";
-import { FaEdit, FaTrash, FaPlus, FaTimes, FaWarehouse, FaExclamationTriangle } from 'react-icons/fa';
+import { FaEdit, FaTrash, FaPlus, FaTimes, FaWarehouse, FaExclamationTriangle, FaHistory, FaCalendarTimes, FaShoppingCart } from 'react-icons/fa';
+import { inventoryApi, productsApi, variationsApi, warehousesApi, stockTransfersApi, suppliersApi, purchaseOrdersApi } from "@/api";
+import { useAuthContext } from "@/context/useAuthContext";
+import { PERMISSIONS } from "@/constants/permissions";
+import { UNASSIGNED_WAREHOUSE } from "@/constants/warehouses";
+import { DEFAULT_EXPIRY_WINDOW_DAYS, EXPIRY_WINDOW_OPTIONS, BATCH_STATUS, BATCH_STATUS_VARIANTS } from "@/constants/batches";
+import { getStockKey, getStockBySku } from "@/helpers/warehouses";
+import { getDaysToExpiry, getBatchStatus, getExpiringBatches, sortByExpiry } from "@/helpers/batches";
+import { buildReorderDrafts } from "@/helpers/purchaseOrders";
+import WarehouseManager from "./WarehouseManager";
+import StockTransfers from "./StockTransfers";
+import StockMovementModal from "./StockMovementModal";
+import StockLedger from "./StockLedger";
+import SupplierManager from "./SupplierManager";
+import PurchaseOrders from "./PurchaseOrders";
+import PurchaseOrderModal from "./PurchaseOrderModal";
 
 // ====================================================================
 // FormInput Helper Component (Re-used for consistency)
@@ -36,15 +51,68 @@ const FormInput = ({ name, label, type, placeholder, containerClass, register, e
     );
 };
 
+// ====================================================================
+// Expiry Alert: batches that have expired or expire within the chosen window
+// ====================================================================
+const ExpiryAlert = ({ batches, windowDays, onWindowChange, getProductName, getWarehouseLabel }) => {
+    const expiring = getExpiringBatches(batches, windowDays);
+    if (expiring.length === 0) return null;
+
+    const expiredCount = expiring.filter(batch => getDaysToExpiry(batch) <= 0).length;
+    return (
+        <Alert variant="danger" className="mb-4">
+            <div className="d-flex justify-content-between align-items-center mb-2">
+                <h5 className="mb-0"><FaCalendarTimes className="me-2" /> Expiry Alert</h5>
+                <Form.Select size="sm" style={{ width: 'auto' }} value={windowDays} onChange={(e) => onWindowChange(Number(e.target.value))}>
+                    {EXPIRY_WINDOW_OPTIONS.map(days => (
+                        <option key={days} value={days}>Within {days} days</option>
+                    ))}
+                </Form.Select>
+            </div>
+            <p className="mb-1">
+                {expiring.length} batch(es) expire within {windowDays} days
+                {expiredCount > 0 && `, ${expiredCount} of them already expired and blocked from sale`}. Sell, return or write them off.
+            </p>
+            <ul className="mb-0">
+                {expiring.slice(0, 5).map(batch => {
+                    const days = getDaysToExpiry(batch);
+                    return (
+                        <li key={batch.id}>
+                            {getProductName(batch.product_id, batch.sku)} - Batch {batch.batch_number} at {getWarehouseLabel(batch.warehouse_id)}: {batch.quantity} units,{' '}
+                            {days <= 0 ? <strong>expired {batch.expires_on}</strong> : `expires ${batch.expires_on} (${days} days)`}
+                        </li>
+                    );
+                })}
+                {expiring.length > 5 && (
+                    <li>...and {expiring.length - 5} more batches.</li>
+                )}
+            </ul>
+        </Alert>
+    );
+};
+
 // ====================================================================
 // Inventory Management Component
 // ====================================================================
 const InventoryManagement = () => {
-    const API_BASE_URL = "https://ecomm.braventra.in/api"; 
-    
+    const { can } = useAuthContext();
+    const canWrite = can(PERMISSIONS.INVENTORY_WRITE);
+    const canDelete = can(PERMISSIONS.INVENTORY_DELETE);
     const [inventory, setInventory] = useState([]);
     const [lowStockItems, setLowStockItems] = useState([]);
+    const [batches, setBatches] = useState([]);
+    const [expiryWindow, setExpiryWindow] = useState(DEFAULT_EXPIRY_WINDOW_DAYS);
     const [products, setProducts] = useState([]);
+    const [warehouses, setWarehouses] = useState([]);
+    const [transfers, setTransfers] = useState([]);
+    const [suppliers, setSuppliers] = useState([]);
+    const [purchaseOrders, setPurchaseOrders] = useState([]);
+    // Purchase orders waiting to be edited; a reorder makes one per warehouse
+    const [poDrafts, setPoDrafts] = useState([]);
+    const [activeTab, setActiveTab] = useState('stock');
+    const [movementRecord, setMovementRecord] = useState(null);
+    const [ledgerProductId, setLedgerProductId] = useState('');
+    const [skuOptions, setSkuOptions] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const [isProductsLoading, setIsProductsLoading] = useState(false);
     const [submitStatus, setSubmitStatus] = useState({ message: '', variant: '' });
@@ -56,13 +124,37 @@ const InventoryManagement = () => {
     // Pagination states
     const [currentPage, setCurrentPage] = useState(1);
     const [itemsPerPage] = useState(10);
-    const [totalPages, setTotalPages] = useState(1);
 
     // --- Validation Schema ---
     const schemaResolver = yupResolver(yup.object().shape({
         product_id: yup.number().typeError("Please select a product").required("Product is required").positive("Must be positive"),
+        // Products with variations keep stock per SKU; existing records keep theirs
+        sku: skuOptions.length > 0 && !isEditing
+            ? yup.string().required("Please select a SKU")
+            : yup.string().nullable(),
+        // Optional only until the first warehouse exists, so older setups keep
+        // working; an existing record stays where it is, so only new ones need one
+        warehouse_id: warehouses.length > 0 && !isEditing
+            ? yup.number().typeError("Please select a warehouse").required("Warehouse is required")
+            : yup.number().nullable().transform((value, original) => original === '' ? null : value),
         quantity_in_stock: yup.number().typeError("Quantity must be a number").required("Quantity is required").min(0, "Cannot be negative"),
-        warehouse_location: yup.string().max(255, "Location cannot exceed 255 characters").nullable(),
+        // Opening stock is a receipt like any other, so it comes in as a batch
+        batch_number: yup.string().when("quantity_in_stock", {
+            is: (quantity) => !isEditing && Number(quantity) > 0,
+            then: (schema) => schema.trim().required("Batch number is required for opening stock"),
+            otherwise: (schema) => schema.nullable(),
+        }),
+        manufactured_on: yup.string().nullable(),
+        expires_on: yup.string().when("quantity_in_stock", {
+            is: (quantity) => !isEditing && Number(quantity) > 0,
+            then: (schema) => schema.required("Expiry date is required for opening stock")
+                .test("after-mfg", "Expiry must be after the manufacture date", function (value) {
+                    const { manufactured_on } = this.parent;
+                    return !manufactured_on || !value || manufactured_on < value;
+                }),
+            otherwise: (schema) => schema.nullable(),
+        }),
+        warehouse_location: yup.string().max(255, "Bin / aisle cannot exceed 255 characters").nullable(),
         reorder_point: yup.number().typeError("ROP must be a number").required("Reorder Point is required").min(0, "Cannot be negative"),
     }));
 
@@ -77,15 +169,29 @@ const InventoryManagement = () => {
         resolver: schemaResolver,
         defaultValues: {
             product_id: '',
+            sku: '',
+            warehouse_id: '',
             quantity_in_stock: '',
+            batch_number: '',
+            manufactured_on: '',
+            expires_on: '',
             warehouse_location: '',
             reorder_point: 10,
         },
     });
 
-    // Watch product_id to get selected product name
+    // Watch product_id to get selected product name and its SKUs
     const selectedProductId = watch('product_id');
 
+    useEffect(() => {
+        setSkuOptions([]);
+        if (!selectedProductId) return;
+        variationsApi.listByProduct(selectedProductId)
+            .then(setSkuOptions)
+            // Products without variations answer 404
+            .catch(() => setSkuOptions([]));
+    }, [selectedProductId]);
+
     // ====================================================================
     // Data Fetching Functions
     // ====================================================================
@@ -94,16 +200,8 @@ const InventoryManagement = () => {
     const fetchProducts = async () => {
         setIsProductsLoading(true);
         try {
-            const response = await fetch(`${API_BASE_URL}/products`);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
-            if (data.data && data.data.products) {
-                setProducts(data.data.products);
-            } else {
-                setProducts([]);
-            }
+            const { products } = await productsApi.list();
+            setProducts(products);
         } catch (err) {
             console.error("Error fetching products:", err);
             setSubmitStatus({ message: `Failed to fetch products: ${err.message}`, variant: 'danger' });
@@ -113,52 +211,55 @@ const InventoryManagement = () => {
         }
     };
 
-    // Fetch all inventory records and low stock alerts
-    const fetchInventoryData = async () => {
-        setIsLoading(true);
-        setSubmitStatus({ message: '', variant: '' });
+    // Fetch all inventory records, warehouses, transfers, purchasing and low stock alerts
+    const fetchInventoryData = async ({ quiet = false } = {}) => {
+        if (!quiet) setIsLoading(true);
         try {
             // Fetch All Inventory
-            const invResponse = await fetch(`${API_BASE_URL}/inventory`); 
-            
-            let invData;
-            if (!invResponse.ok) {
-                const errorData = await invResponse.json().catch(() => ({})); 
-                const errorMessage = errorData.error || `HTTP error! status: ${invResponse.status}`;
-                throw new Error(errorMessage);
+            setInventory(await inventoryApi.list());
+
+            // Fetch Warehouses and Transfers
+            try {
+                const [warehouseList, transferList] = await Promise.all([warehousesApi.list(), stockTransfersApi.list()]);
+                setWarehouses(warehouseList);
+                setTransfers(transferList);
+            } catch (warehouseError) {
+                console.error("Failed to fetch warehouses:", warehouseError.message);
+                setWarehouses([]);
+                setTransfers([]);
             }
-            invData = await invResponse.json();
-            
-            if (invData.data && invData.data.inventory) {
-                setInventory(invData.data.inventory);
-                // Calculate total pages for pagination
-                setTotalPages(Math.ceil(invData.data.inventory.length / itemsPerPage));
-            } else {
-                setInventory([]);
-                setTotalPages(1);
+
+            // Fetch Suppliers and Purchase Orders
+            try {
+                const [supplierList, orderList] = await Promise.all([suppliersApi.list(), purchaseOrdersApi.list()]);
+                setSuppliers(supplierList);
+                setPurchaseOrders(orderList);
+            } catch (purchasingError) {
+                console.error("Failed to fetch purchase orders:", purchasingError.message);
+                setSuppliers([]);
+                setPurchaseOrders([]);
             }
 
             // Fetch Low Stock Items
-            const lowStockResponse = await fetch(`${API_BASE_URL}/inventory/low-stock`);
-            
-            if (!lowStockResponse.ok) {
-                const errorData = await lowStockResponse.json().catch(() => ({}));
-                console.error("Failed to fetch low stock:", errorData.error || `Status ${lowStockResponse.status}`);
+            try {
+                setLowStockItems(await inventoryApi.lowStock());
+            } catch (lowStockError) {
+                console.error("Failed to fetch low stock:", lowStockError.message);
                 setLowStockItems([]);
-            } else {
-                const lowStockData = await lowStockResponse.json();
-                if (lowStockData.data && lowStockData.data.lowStock) {
-                    setLowStockItems(lowStockData.data.lowStock);
-                } else {
-                    setLowStockItems([]);
-                }
+            }
+
+            // Fetch Batches for expiry dates
+            try {
+                setBatches(await inventoryApi.batches());
+            } catch (batchError) {
+                console.error("Failed to fetch batches:", batchError.message);
+                setBatches([]);
             }
             
         } catch (err) {
             setSubmitStatus({ message: `Failed to fetch data: ${err.message}`, variant: 'danger' });
             console.error("Error fetching inventory data:", err);
             setInventory([]);
-            setTotalPages(1);
         } finally {
             setIsLoading(false);
         }
@@ -173,10 +274,11 @@ const InventoryManagement = () => {
     // Helper Functions
     // ====================================================================
 
-    // Get product name by product_id
-    const getProductNameById = (productId) => {
+    // Get product name by product_id, with the variation SKU when given
+    const getProductNameById = (productId, sku = null) => {
         const product = products.find(p => p.product_id === productId);
-        return product ? product.name : `Product ${productId}`;
+        const name = product ? product.name : `Product ${productId}`;
+        return sku ? `${name} (${sku})` : name;
     };
 
     // Get product details by product_id
@@ -184,6 +286,35 @@ const InventoryManagement = () => {
         return products.find(p => p.product_id === productId) || null;
     };
 
+    // One row per product SKU, with a column per warehouse. Records saved
+    // before warehouses existed get an "Unassigned" column while there are any.
+    const stockRows = getStockBySku(inventory, transfers);
+    const stockColumns = inventory.some(record => (record.warehouse_id ?? null) === null)
+        ? [...warehouses, UNASSIGNED_WAREHOUSE]
+        : warehouses;
+    const totalPages = Math.max(1, Math.ceil(stockRows.length / itemsPerPage));
+
+    const stockByWarehouse = new Map();
+    inventory.forEach(record => {
+        stockByWarehouse.set(record.warehouse_id, (stockByWarehouse.get(record.warehouse_id) || 0) + record.quantity_in_stock);
+    });
+
+    const getWarehouseLabel = (warehouseId) => {
+        const warehouse = warehouses.find(w => w.id === warehouseId);
+        return warehouse ? `${warehouse.code} - ${warehouse.name}` : UNASSIGNED_WAREHOUSE.name;
+    };
+
+    const setStatus = (message, variant) => setSubmitStatus({ message, variant });
+
+    const handleReorder = () => {
+        const drafts = buildReorderDrafts(lowStockItems, suppliers, purchaseOrders);
+        if (drafts.length === 0) {
+            setStatus('Everything below its reorder point is already on order.', 'info');
+            return;
+        }
+        setPoDrafts(drafts.map((draft, index) => drafts.length > 1 ? { ...draft, sequence: `${index + 1} of ${drafts.length}` } : draft));
+    };
+
     // ====================================================================
     // Pagination Functions
     // ====================================================================
@@ -192,7 +323,7 @@ const InventoryManagement = () => {
     const getCurrentInventory = () => {
         const startIndex = (currentPage - 1) * itemsPerPage;
         const endIndex = startIndex + itemsPerPage;
-        return inventory.slice(startIndex, endIndex);
+        return stockRows.slice(startIndex, endIndex);
     };
 
     // Handle page change
@@ -242,14 +373,20 @@ const InventoryManagement = () => {
     // Modal/Form Management
     // ====================================================================
 
-    const openAddModal = () => {
+    // `defaults` prefills the product, SKU or warehouse when adding from a stock row
+    const openAddModal = (defaults = {}) => {
         setIsEditing(false);
         setCurrentInventory(null);
         reset({ 
-            product_id: '', 
+            product_id: defaults.product_id ?? '', 
+            sku: defaults.sku ?? '', 
+            warehouse_id: defaults.warehouse_id ?? '', 
             quantity_in_stock: '', 
+            batch_number: '',
+            manufactured_on: '',
+            expires_on: '',
             warehouse_location: '', 
-            reorder_point: 10 
+            reorder_point: defaults.reorder_point ?? 10 
         });
         setModalShow(true);
     };
@@ -260,6 +397,8 @@ const InventoryManagement = () => {
         
         reset(); 
         setValue('product_id', item.product_id);
+        setValue('sku', item.sku || '');
+        setValue('warehouse_id', item.warehouse_id ?? '');
         setValue('quantity_in_stock', item.quantity_in_stock);
         setValue('warehouse_location', item.warehouse_location || '');
         setValue('reorder_point', item.reorder_point);
@@ -269,13 +408,12 @@ const InventoryManagement = () => {
 
     const handleModalClose = () => {
         setModalShow(false);
-        setSubmitStatus({ message: '', variant: '' });
     };
 
     // Get selected product name for display
     const getSelectedProductName = () => {
         if (!selectedProductId) return '';
-        return getProductNameById(parseInt(selectedProductId));
+        return getProductNameById(parseInt(selectedProductId), isEditing ? currentInventory?.sku : null);
     };
 
     // ====================================================================
@@ -286,45 +424,43 @@ const InventoryManagement = () => {
         setIsSubmitting(true);
         setSubmitStatus({ message: '', variant: '' });
 
+        // Stock levels only change through movements, so a new record starts
+        // empty and its opening stock is logged as a receipt, in the same request
+        // so a failed receipt leaves no empty record behind
         const payload = {
             product_id: parseInt(data.product_id),
-            quantity_in_stock: parseInt(data.quantity_in_stock),
+            sku: data.sku || null,
+            warehouse_id: data.warehouse_id ? parseInt(data.warehouse_id) : null,
             warehouse_location: data.warehouse_location || null,
             reorder_point: parseInt(data.reorder_point),
         };
-
-        let endpoint = `${API_BASE_URL}/inventory/add`;
-        let method = 'POST';
-
-        if (isEditing && currentInventory) {
-            endpoint = `${API_BASE_URL}/inventory/edit/${currentInventory.id}`;
-            method = 'PUT';
-            delete payload.product_id; 
-        }
+        const openingQuantity = parseInt(data.quantity_in_stock);
 
         try {
-            const response = await fetch(endpoint, {
-                method: method,
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(payload),
-            });
-            
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                const errorMsg = errorData.error || `Server returned status ${response.status}`;
-                throw new Error(errorMsg);
+            if (isEditing && currentInventory) {
+                // Moving stock between warehouses is a transfer, not an edit
+                delete payload.product_id;
+                delete payload.sku;
+                delete payload.warehouse_id;
+                await inventoryApi.update(currentInventory.id, payload);
+            } else {
+                await inventoryApi.create({
+                    ...payload,
+                    opening_stock: openingQuantity > 0 ? {
+                        quantity: openingQuantity,
+                        batch: { batch_number: data.batch_number.trim(), manufactured_on: data.manufactured_on || null, expires_on: data.expires_on },
+                    } : null,
+                });
             }
 
-            const productName = getProductNameById(parseInt(data.product_id));
+            const productName = getProductNameById(parseInt(data.product_id), data.sku || null);
             
             const successMessage = isEditing 
                 ? `Inventory for ${productName} updated successfully!` 
                 : `New inventory record for ${productName} added successfully!`;
                 
             setSubmitStatus({ message: successMessage, variant: 'success' });
-            fetchInventoryData();
+            fetchInventoryData({ quiet: true });
             handleModalClose();
 
         } catch (error) {
@@ -343,18 +479,11 @@ const InventoryManagement = () => {
         setSubmitStatus({ message: '', variant: '' });
         
         try {
-            const response = await fetch(`${API_BASE_URL}/inventory/delete/${inventoryId}`, {
-                method: 'DELETE',
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                const errorMsg = errorData.error || `Server returned status ${response.status}`;
-                throw new Error(errorMsg);
-            }
+            await inventoryApi.remove(inventoryId);
             
             setSubmitStatus({ message: `Inventory for ${productName} deleted successfully.`, variant: 'success' });
-            fetchInventoryData();
+            handleModalClose();
+            fetchInventoryData({ quiet: true });
             
         } catch (error) {
             setSubmitStatus({ message: `Failed to delete inventory: ${error.message}`, variant: 'danger' });
@@ -390,6 +519,45 @@ const InventoryManagement = () => {
                         ))}
                     </FormInput>
 
+                    {(skuOptions.length > 0 || (isEditing && currentInventory?.sku)) && (
+                        <FormInput
+                            name="sku"
+                            label="Variation SKU"
+                            type="select"
+                            containerClass="mb-3"
+                            register={register}
+                            errors={errors}
+                            readOnly={isEditing}
+                        >
+                            <option value="">Select a SKU</option>
+                            {isEditing && currentInventory?.sku && !skuOptions.some(option => option.sku === currentInventory.sku) && (
+                                <option value={currentInventory.sku}>{currentInventory.sku}</option>
+                            )}
+                            {skuOptions.map((option) => (
+                                <option key={option.sku} value={option.sku}>
+                                    {option.sku} - {(option.attributes || []).map(attribute => attribute.variation_value).join(' / ')}
+                                </option>
+                            ))}
+                        </FormInput>
+                    )}
+
+                    <FormInput
+                        name="warehouse_id"
+                        label={warehouses.length > 0 ? 'Warehouse' : 'Warehouse (add warehouses on the Warehouses tab)'}
+                        type="select"
+                        containerClass="mb-3"
+                        register={register}
+                        errors={errors}
+                        readOnly={isEditing}
+                    >
+                        <option value="">{warehouses.length > 0 ? 'Select a warehouse' : 'Unassigned'}</option>
+                        {warehouses.map((warehouse) => (
+                            <option key={warehouse.id} value={warehouse.id}>
+                                {warehouse.code} - {warehouse.name}
+                            </option>
+                        ))}
+                    </FormInput>
+
                     {selectedProductId && (
                         <Alert variant="info" className="py-2">
                             <small>
@@ -401,13 +569,50 @@ const InventoryManagement = () => {
 
                     <FormInput
                         name="quantity_in_stock"
-                        label="Quantity in Stock"
+                        label={isEditing ? 'Quantity in Stock (change it with a stock movement)' : 'Opening Stock'}
                         type="number"
                         placeholder="e.g. 150"
                         containerClass="mb-3"
                         register={register}
                         errors={errors}
+                        readOnly={isEditing}
                     />
+                    {/* Required once there is opening stock */}
+                    {!isEditing && (
+                        <Row>
+                            <Col sm={4}>
+                                <FormInput
+                                    name="batch_number"
+                                    label="Batch No. (for opening stock)"
+                                    type="text"
+                                    placeholder="e.g. PCM2409A"
+                                    containerClass="mb-3"
+                                    register={register}
+                                    errors={errors}
+                                />
+                            </Col>
+                            <Col sm={4}>
+                                <FormInput
+                                    name="manufactured_on"
+                                    label="Mfg. Date (Optional)"
+                                    type="date"
+                                    containerClass="mb-3"
+                                    register={register}
+                                    errors={errors}
+                                />
+                            </Col>
+                            <Col sm={4}>
+                                <FormInput
+                                    name="expires_on"
+                                    label="Expiry Date (for opening stock)"
+                                    type="date"
+                                    containerClass="mb-3"
+                                    register={register}
+                                    errors={errors}
+                                />
+                            </Col>
+                        </Row>
+                    )}
                     <FormInput
                         name="reorder_point"
                         label="Reorder Point (ROP)"
@@ -419,14 +624,28 @@ const InventoryManagement = () => {
                     />
                     <FormInput
                         name="warehouse_location"
-                        label="Warehouse Location (Optional)"
+                        label="Bin / Aisle (Optional)"
                         type="text"
                         placeholder="e.g. Aisle B-4"
                         containerClass="mb-4"
                         register={register}
                         errors={errors}
                     />
+                    {isEditing && (
+                        <Alert variant="light" className="py-2 font-13">
+                            To move stock to another warehouse, create a transfer instead of editing the quantities.
+                        </Alert>
+                    )}
                     <div className="text-end">
+                        {isEditing && canDelete && (
+                            <Button
+                                variant="outline-danger"
+                                className="float-start"
+                                onClick={() => handleDelete(currentInventory.id, getSelectedProductName())}
+                            >
+                                <FaTrash /> Delete
+                            </Button>
+                        )}
                         <Button variant="light" className="me-2" onClick={handleModalClose}>
                             Cancel
                         </Button>
@@ -442,6 +661,32 @@ const InventoryManagement = () => {
     return (
         <div style={{ padding: '20px', backgroundColor: '#f4f7f9' }}>
             <InventoryModal />
+            <StockMovementModal
+                record={movementRecord}
+                batches={movementRecord ? batches.filter(batch => batch.inventory_id === movementRecord.id) : []}
+                title={movementRecord ? `${getProductNameById(movementRecord.product_id, movementRecord.sku)} · ${getWarehouseLabel(movementRecord.warehouse_id)}` : ''}
+                onSaved={() => {
+                    setMovementRecord(null);
+                    setSubmitStatus({ message: 'Stock movement recorded.', variant: 'success' });
+                    fetchInventoryData({ quiet: true });
+                }}
+                onHide={() => setMovementRecord(null)}
+            />
+            <PurchaseOrderModal
+                draft={poDrafts[0] ?? null}
+                suppliers={suppliers}
+                warehouses={warehouses}
+                products={products}
+                inventory={inventory}
+                getProductName={getProductNameById}
+                onSaved={(order, sent) => {
+                    setPoDrafts(prev => prev.slice(1));
+                    setSubmitStatus({ message: `${order?.po_number || 'Purchase order'} ${sent ? 'saved and marked as sent' : 'saved as a draft'}.`, variant: 'success' });
+                    setActiveTab('purchase-orders');
+                    fetchInventoryData({ quiet: true });
+                }}
+                onHide={() => setPoDrafts(prev => prev.slice(1))}
+            />
             <h4 className="mb-4 d-flex align-items-center"><FaWarehouse className="me-2" /> Inventory Management</h4>
             
             {submitStatus.message && (
@@ -450,19 +695,36 @@ const InventoryManagement = () => {
                 </Alert>
             )}
 
+            {/* Expiry Alert Section */}
+            <ExpiryAlert
+                batches={batches}
+                windowDays={expiryWindow}
+                onWindowChange={setExpiryWindow}
+                getProductName={getProductNameById}
+                getWarehouseLabel={getWarehouseLabel}
+            />
+
             {/* Low Stock Alert Section */}
             {lowStockItems.length > 0 && (
                 <Alert variant="warning" className="mb-4">
-                    <h5 className="mb-2"><FaExclamationTriangle className="me-2" /> Low Stock Alert!</h5>
+                    <div className="d-flex justify-content-between align-items-start">
+                        <h5 className="mb-2"><FaExclamationTriangle className="me-2" /> Low Stock Alert!</h5>
+                        {canWrite && (
+                            <Button variant="warning" size="sm" onClick={handleReorder}>
+                                <FaShoppingCart className="me-1" /> Reorder
+                            </Button>
+                        )}
+                    </div>
                     <p className="mb-1">
                         {lowStockItems.length} product(s) are currently below their Reorder Point (ROP). Please initiate a restock immediately.
                     </p>
                     <ul className="mb-0">
                         {lowStockItems.slice(0, 5).map(item => {
-                            const productName = getProductNameById(item.product_id);
+                            const productName = getProductNameById(item.product_id, item.sku);
+                            const warehouse = warehouses.find(w => w.id === item.warehouse_id);
                             return (
                                 <li key={item.id}>
-                                    {productName} (ID: {item.product_id}) - Stock: {item.quantity_in_stock}, ROP: {item.reorder_point}
+                                    {productName} (ID: {item.product_id}){warehouse && ` at ${warehouse.code}`} - Stock: {item.quantity_in_stock}, ROP: {item.reorder_point}
                                 </li>
                             );
                         })}
@@ -473,115 +735,250 @@ const InventoryManagement = () => {
                 </Alert>
             )}
 
-            <Row>
-                <Col xs={12}>
-                    <Card>
-                        <Card.Header className="d-flex justify-content-between align-items-center bg-light">
-                            <h5 className="mb-0">Current Stock Levels</h5>
-                            <Button variant="primary" onClick={openAddModal} disabled={isProductsLoading}>
-                                <FaPlus className="me-1" /> 
-                                {isProductsLoading ? 'Loading Products...' : 'Add New Record'}
-                            </Button>
-                        </Card.Header>
-                        <Card.Body>
-                            {isLoading ? (
-                                <div className="text-center py-4">
-                                    <div className="spinner-border text-primary" role="status"></div>
-                                    <span className="ms-2">Loading Inventory...</span>
-                                </div>
-                            ) : inventory.length === 0 ? (
-                                <Alert variant="info" className="text-center">No inventory records found. Click "Add New Record" to begin.</Alert>
-                            ) : (
-                                <>
-                                    <div className="table-responsive">
-                                        <Table striped bordered hover className="mb-3">
-                                            <thead>
-                                                <tr>
-                                                    <th>ID</th>
-                                                    <th>Product Name</th>
-                                                    <th>Stock</th>
-                                                    <th>Location</th>
-                                                    <th>ROP</th>
-                                                    <th>Status</th>
-                                                    <th>Actions</th>
-                                                </tr>
-                                            </thead>
-                                            <tbody>
-                                                {getCurrentInventory().map((item) => {
-                                                    const isLowStock = item.quantity_in_stock < item.reorder_point;
-                                                    const productName = getProductNameById(item.product_id);
-                                                    const product = getProductById(item.product_id);
-                                                    
-                                                    return (
-                                                        <tr key={item.id} className={isLowStock ? 'table-warning' : ''}>
-                                                            <td>{item.id}</td>
-                                                            <td>
-                                                                <div>
-                                                                    <strong>{productName}</strong>
-                                                                    {product && (
-                                                                        <div>
-                                                                            <small className="text-muted">
-                                                                                Category: {product.category_id} | 
-                                                                                Price: ₹{product.price}
-                                                                            </small>
-                                                                        </div>
-                                                                    )}
-                                                                    <small className="text-muted d-block">Product ID: {item.product_id}</small>
-                                                                </div>
-                                                            </td>
-                                                            <td>{item.quantity_in_stock}</td>
-                                                            <td>{item.warehouse_location || 'N/A'}</td>
-                                                            <td>{item.reorder_point}</td>
-                                                            <td>
-                                                                <Badge bg={isLowStock ? 'danger' : 'success'}>
-                                                                    {isLowStock ? 'LOW' : 'OK'}
-                                                                </Badge>
-                                                            </td>
-                                                            <td style={{ minWidth: '150px' }}>
-                                                                <Button 
-                                                                    variant="info" 
-                                                                    size="sm" 
-                                                                    className="me-2 mb-1"
-                                                                    onClick={() => openEditModal(item)}
-                                                                >
-                                                                    <FaEdit /> Edit
-                                                                </Button>
-                                                                <Button 
-                                                                    variant="danger" 
-                                                                    size="sm" 
-                                                                    className="mb-1"
-                                                                    onClick={() => handleDelete(item.id, productName)}
-                                                                >
-                                                                    <FaTrash /> Delete
-                                                                </Button>
-                                                            </td>
-                                                        </tr>
-                                                    );
-                                                })}
-                                            </tbody>
-                                        </Table>
+            <Tab.Container activeKey={activeTab} onSelect={(key) => setActiveTab(key)}>
+                <Nav variant="pills" as="ul" className="nav nav-pills navtab-bg mb-3">
+                    <Nav.Item as="li">
+                        <Nav.Link eventKey="stock" className="cursor-pointer">Stock</Nav.Link>
+                    </Nav.Item>
+                    <Nav.Item as="li">
+                        <Nav.Link eventKey="transfers" className="cursor-pointer">Transfers</Nav.Link>
+                    </Nav.Item>
+                    <Nav.Item as="li">
+                        <Nav.Link eventKey="movements" className="cursor-pointer">Movements</Nav.Link>
+                    </Nav.Item>
+                    <Nav.Item as="li">
+                        <Nav.Link eventKey="purchase-orders" className="cursor-pointer">Purchase Orders</Nav.Link>
+                    </Nav.Item>
+                    <Nav.Item as="li">
+                        <Nav.Link eventKey="suppliers" className="cursor-pointer">Suppliers</Nav.Link>
+                    </Nav.Item>
+                    <Nav.Item as="li">
+                        <Nav.Link eventKey="warehouses" className="cursor-pointer">Warehouses</Nav.Link>
+                    </Nav.Item>
+                </Nav>
+
+                <Tab.Content>
+                    <Tab.Pane eventKey="stock">
+                        <Card>
+                            <Card.Header className="d-flex justify-content-between align-items-center bg-light">
+                                <h5 className="mb-0">Current Stock Levels</h5>
+                                <Button variant="primary" onClick={() => openAddModal()} disabled={!canWrite || isProductsLoading}>
+                                    <FaPlus className="me-1" />
+                                    {isProductsLoading ? 'Loading Products...' : 'Add New Record'}
+                                </Button>
+                            </Card.Header>
+                            <Card.Body>
+                                {isLoading ? (
+                                    <div className="text-center py-4">
+                                        <div className="spinner-border text-primary" role="status"></div>
+                                        <span className="ms-2">Loading Inventory...</span>
                                     </div>
-                                    
-                                    {/* Pagination */}
-                                    {totalPages > 1 && (
-                                        <div className="d-flex justify-content-center">
-                                            <Pagination>
-                                                {renderPaginationItems()}
-                                            </Pagination>
+                                ) : inventory.length === 0 ? (
+                                    <Alert variant="info" className="text-center">No inventory records found. Click "Add New Record" to begin.</Alert>
+                                ) : (
+                                    <>
+                                        <div className="table-responsive">
+                                            <Table striped bordered hover className="mb-3">
+                                                <thead>
+                                                    <tr>
+                                                        <th>Product Name</th>
+                                                        {stockColumns.map((warehouse) => (
+                                                            <th key={warehouse.id ?? 'unassigned'} title={warehouse.name}>
+                                                                {warehouse.id === null ? warehouse.name : warehouse.code}
+                                                            </th>
+                                                        ))}
+                                                        <th>Total</th>
+                                                        <th>In Transit</th>
+                                                        <th>ROP</th>
+                                                        <th>Status</th>
+                                                        <th>Actions</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {getCurrentInventory().map((row) => {
+                                                        const isLowStock = row.total < row.reorder_point;
+                                                        const productName = getProductNameById(row.product_id);
+                                                        const product = getProductById(row.product_id);
+                                                        const missingWarehouse = warehouses.find(warehouse => !row.byWarehouse.has(warehouse.id));
+
+                                                        return (
+                                                            <tr key={getStockKey(row.product_id, row.sku)} className={isLowStock ? 'table-warning' : ''}>
+                                                                <td>
+                                                                    <div>
+                                                                        <strong>{productName}</strong>
+                                                                        {product && (
+                                                                            <div>
+                                                                                <small className="text-muted">
+                                                                                    Category: {product.category_id} |
+                                                                                    Price: ₹{product.price}
+                                                                                </small>
+                                                                            </div>
+                                                                        )}
+                                                                        {row.sku && <Badge bg="light" text="dark" className="me-1">SKU {row.sku}</Badge>}
+                                                                        <small className="text-muted d-block">Product ID: {row.product_id}</small>
+                                                                    </div>
+                                                                </td>
+                                                                {stockColumns.map((warehouse) => {
+                                                                    const record = row.byWarehouse.get(warehouse.id);
+                                                                    // The batch to sell first, for its expiry date
+                                                                    const nextBatch = record && sortByExpiry(batches.filter(batch => batch.inventory_id === record.id && batch.quantity > 0))[0];
+                                                                    const batchStatus = nextBatch && getBatchStatus(nextBatch, expiryWindow);
+                                                                    return (
+                                                                        <td key={warehouse.id ?? 'unassigned'}>
+                                                                            {record ? (
+                                                                                <>
+                                                                                    <Button
+                                                                                        variant="link"
+                                                                                        className={`p-0 ${record.quantity_in_stock < record.reorder_point ? 'text-danger' : ''}`}
+                                                                                        onClick={() => setMovementRecord(record)}
+                                                                                        disabled={!canWrite}
+                                                                                        title="Record a stock movement"
+                                                                                    >
+                                                                                        {record.quantity_in_stock}
+                                                                                    </Button>
+                                                                                    {canWrite && (
+                                                                                        <Button
+                                                                                            variant="link"
+                                                                                            size="sm"
+                                                                                            className="p-0 ms-2 text-muted"
+                                                                                            onClick={() => openEditModal(record)}
+                                                                                            title="Edit reorder point and bin"
+                                                                                        >
+                                                                                            <FaEdit />
+                                                                                        </Button>
+                                                                                    )}
+                                                                                    {record.warehouse_location && (
+                                                                                        <small className="text-muted d-block">{record.warehouse_location}</small>
+                                                                                    )}
+                                                                                    {nextBatch?.expires_on && (
+                                                                                        <small className={`d-block ${batchStatus === BATCH_STATUS.ACTIVE ? 'text-muted' : `text-${BATCH_STATUS_VARIANTS[batchStatus]}`}`}>
+                                                                                            Exp {nextBatch.expires_on}
+                                                                                        </small>
+                                                                                    )}
+                                                                                </>
+                                                                            ) : (
+                                                                                <span className="text-muted">—</span>
+                                                                            )}
+                                                                        </td>
+                                                                    );
+                                                                })}
+                                                                <td><strong>{row.total}</strong></td>
+                                                                <td>{row.inTransit > 0 ? <Badge bg="info">{row.inTransit}</Badge> : 0}</td>
+                                                                <td>{row.reorder_point}</td>
+                                                                <td>
+                                                                    <Badge bg={isLowStock ? 'danger' : 'success'}>
+                                                                        {isLowStock ? 'LOW' : 'OK'}
+                                                                    </Badge>
+                                                                </td>
+                                                                <td style={{ minWidth: '150px' }}>
+                                                                    {missingWarehouse && (
+                                                                        <Button
+                                                                            variant="info"
+                                                                            size="sm"
+                                                                            className="mb-1"
+                                                                            onClick={() => openAddModal({ product_id: row.product_id, sku: row.sku, warehouse_id: missingWarehouse.id, reorder_point: row.reorder_point })}
+                                                                            disabled={!canWrite}
+                                                                        >
+                                                                            <FaPlus /> Stock in Warehouse
+                                                                        </Button>
+                                                                    )}
+                                                                    <Button
+                                                                        variant="light"
+                                                                        size="sm"
+                                                                        className="mb-1 ms-1"
+                                                                        onClick={() => { setLedgerProductId(String(row.product_id)); setActiveTab('movements'); }}
+                                                                    >
+                                                                        <FaHistory /> Ledger
+                                                                    </Button>
+                                                                </td>
+                                                            </tr>
+                                                        );
+                                                    })}
+                                                </tbody>
+                                            </Table>
                                         </div>
-                                    )}
-                                    
-                                    {/* Pagination Info */}
-                                    <div className="text-muted text-center mt-2">
-                                        Showing {getCurrentInventory().length} of {inventory.length} records
-                                        {totalPages > 1 && ` (Page ${currentPage} of ${totalPages})`}
-                                    </div>
-                                </>
-                            )}
-                        </Card.Body>
-                    </Card>
-                </Col>
-            </Row>
+
+                                        {/* Pagination */}
+                                        {totalPages > 1 && (
+                                            <div className="d-flex justify-content-center">
+                                                <Pagination>
+                                                    {renderPaginationItems()}
+                                                </Pagination>
+                                            </div>
+                                        )}
+
+                                        {/* Pagination Info */}
+                                        <div className="text-muted text-center mt-2">
+                                            Showing {getCurrentInventory().length} of {stockRows.length} stock items
+                                            {totalPages > 1 && ` (Page ${currentPage} of ${totalPages})`}
+                                            {canWrite && ' · Click a quantity to record a stock movement'}
+                                        </div>
+                                    </>
+                                )}
+                            </Card.Body>
+                        </Card>
+                    </Tab.Pane>
+
+                    <Tab.Pane eventKey="transfers">
+                        <StockTransfers
+                            transfers={transfers}
+                            warehouses={warehouses}
+                            inventory={inventory}
+                            getProductName={getProductNameById}
+                            canWrite={canWrite}
+                            onStatus={setStatus}
+                            onChange={() => fetchInventoryData({ quiet: true })}
+                        />
+                    </Tab.Pane>
+
+                    <Tab.Pane eventKey="movements">
+                        <StockLedger
+                            products={products}
+                            warehouses={warehouses}
+                            productId={ledgerProductId}
+                            onProductChange={setLedgerProductId}
+                            getProductName={getProductNameById}
+                        />
+                    </Tab.Pane>
+
+                    <Tab.Pane eventKey="purchase-orders">
+                        <PurchaseOrders
+                            purchaseOrders={purchaseOrders}
+                            suppliers={suppliers}
+                            warehouses={warehouses}
+                            getProductName={getProductNameById}
+                            canWrite={canWrite}
+                            canDelete={canDelete}
+                            onEdit={(draft) => setPoDrafts([draft])}
+                            onStatus={setStatus}
+                            onChange={() => fetchInventoryData({ quiet: true })}
+                        />
+                    </Tab.Pane>
+
+                    <Tab.Pane eventKey="suppliers">
+                        <SupplierManager
+                            suppliers={suppliers}
+                            products={products}
+                            getProductName={getProductNameById}
+                            canWrite={canWrite}
+                            canDelete={canDelete}
+                            onStatus={setStatus}
+                            onChange={() => fetchInventoryData({ quiet: true })}
+                        />
+                    </Tab.Pane>
+
+                    <Tab.Pane eventKey="warehouses">
+                        <WarehouseManager
+                            warehouses={warehouses}
+                            stockByWarehouse={stockByWarehouse}
+                            canWrite={canWrite}
+                            canDelete={canDelete}
+                            onStatus={setStatus}
+                            onChange={() => fetchInventoryData({ quiet: true })}
+                        />
+                    </Tab.Pane>
+                </Tab.Content>
+            </Tab.Container>
         </div>
     );
 };
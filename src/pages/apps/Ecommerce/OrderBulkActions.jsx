@@ -0,0 +1,276 @@
+import React, { useState } from "react";
+import { Button, Badge, Alert, Modal, Form, ProgressBar, Table } from "react-bootstrap";
+
+import { ordersApi } from "@/api";
+import { useAuthContext } from "@/context/useAuthContext";
+import { PERMISSIONS } from "@/constants/permissions";
+import { ORDER_STATUS } from "@/constants/orderStatus";
+import { canTransition, requiresReason } from "@/helpers/orderStatus";
+import { exportOrdersCsv, openPrintWindow, printPackingSlips } from "./orderDocuments";
+
+const RESULT_VARIANTS = {
+  success: 'success',
+  skipped: 'warning',
+  failed: 'danger'
+};
+
+// Shipped is only reached by recording each order's shipment (carrier,
+// tracking and batch picks), so it cannot be set in bulk
+const BULK_STATUSES = Object.values(ORDER_STATUS).filter(option => option !== ORDER_STATUS.SHIPPED);
+
+// Thrown by a task to report an order as skipped rather than failed
+class SkipOrder extends Error {}
+
+/**
+ * Action bar shown above the Orders table while rows are selected.
+ *
+ * @param {object} props
+ * @param {object[]} props.selectedOrders - rows currently ticked in the table
+ * @param {() => void} props.onComplete - called after a run that changed orders
+ */
+const OrderBulkActions = ({ selectedOrders, onComplete }) => {
+  const { can } = useAuthContext();
+  const canUpdate = can(PERMISSIONS.ORDERS_UPDATE);
+
+  // Which input dialog is open: 'status' | 'assign' | null
+  const [dialog, setDialog] = useState(null);
+  const [status, setStatus] = useState(ORDER_STATUS.PROCESSING);
+  const [note, setNote] = useState('');
+  const [staff, setStaff] = useState('');
+  const [formError, setFormError] = useState(null);
+  const [printError, setPrintError] = useState(null);
+
+  // Progress and per-order results of the current run
+  const [run, setRun] = useState(null);
+
+  if (selectedOrders.length === 0 && !run) return null;
+
+  const closeDialog = () => {
+    setDialog(null);
+    setFormError(null);
+  };
+
+  /**
+   * Runs `task` for each order one at a time, so the backend is not flooded
+   * when dispatch selects a whole page, and records the outcome of each.
+   */
+  const runForEach = async (label, orders, task) => {
+    const results = [];
+    setRun({ label, total: orders.length, results, running: true });
+    for (const order of orders) {
+      try {
+        const value = await task(order);
+        results.push({ order, value, outcome: 'success' });
+      } catch (err) {
+        results.push({ order, outcome: err instanceof SkipOrder ? 'skipped' : 'failed', message: err.message });
+      }
+      setRun(prev => ({ ...prev, results: [...results] }));
+    }
+    setRun(prev => ({ ...prev, running: false }));
+    return results;
+  };
+
+  const handleChangeStatus = async (e) => {
+    e?.preventDefault();
+    if (requiresReason(status) && !note.trim()) {
+      setFormError(`Please give a reason for moving these orders to ${status}.`);
+      return;
+    }
+    closeDialog();
+    await runForEach(`Change status to ${status}`, selectedOrders, async (order) => {
+      if (order.status === status) throw new SkipOrder(`Already ${status}`);
+      if (!canTransition(order.status, status)) throw new SkipOrder(`Cannot move from ${order.status} to ${status}`);
+      await ordersApi.updateStatus(order.order_id, status, note.trim());
+    });
+    setNote('');
+    onComplete();
+  };
+
+  const handleAssign = async (e) => {
+    e?.preventDefault();
+    if (!staff.trim()) {
+      setFormError('Please enter the email of the staff member.');
+      return;
+    }
+    closeDialog();
+    await runForEach(`Assign to ${staff.trim()}`, selectedOrders, (order) => ordersApi.assign(order.order_id, staff.trim()));
+    onComplete();
+  };
+
+  const handleExportSelected = () => {
+    exportOrdersCsv(selectedOrders, `orders_selected_${new Date().toISOString().split('T')[0]}.csv`);
+  };
+
+  // List rows do not carry their items, so load each order before printing.
+  // The window opens first, while the click still allows a pop-up.
+  const handlePrintSlips = async () => {
+    setPrintError(null);
+    let printWindow;
+    try {
+      printWindow = openPrintWindow();
+    } catch (err) {
+      setPrintError(err.message);
+      return;
+    }
+    const results = await runForEach('Prepare packing slips', selectedOrders, (order) => ordersApi.get(order.order_id));
+    const loaded = results.filter(result => result.outcome === 'success').map(result => result.value);
+    if (printWindow.closed) {
+      setPrintError('The print window was closed before the packing slips were ready.');
+    } else if (loaded.length > 0) {
+      printPackingSlips(loaded, printWindow);
+    } else {
+      printWindow.close();
+    }
+  };
+
+  const done = run ? run.results.length : 0;
+  const countOf = (outcome) => run ? run.results.filter(result => result.outcome === outcome).length : 0;
+
+  return (
+    <>
+      {printError && (
+        <Alert variant="danger" onClose={() => setPrintError(null)} dismissible className="mb-2 py-2">
+          {printError}
+        </Alert>
+      )}
+      {selectedOrders.length > 0 && (
+        <Alert variant="light" className="d-flex flex-wrap align-items-center gap-2 border mb-2 py-2">
+          <span className="me-2">
+            <Badge bg="primary" className="me-1">{selectedOrders.length}</Badge>
+            selected
+          </span>
+          <Button size="sm" variant="success" onClick={() => setDialog('status')} disabled={!canUpdate || run?.running}>
+            <i className="mdi mdi-swap-horizontal me-1"></i> Change Status
+          </Button>
+          <Button size="sm" variant="outline-primary" onClick={() => setDialog('assign')} disabled={!canUpdate || run?.running}>
+            <i className="mdi mdi-account-arrow-right me-1"></i> Assign
+          </Button>
+          <Button size="sm" variant="outline-secondary" onClick={handlePrintSlips} disabled={run?.running}>
+            <i className="mdi mdi-printer me-1"></i> Packing Slips
+          </Button>
+          <Button size="sm" variant="outline-secondary" onClick={handleExportSelected} disabled={run?.running}>
+            <i className="mdi mdi-download me-1"></i> Export Selected
+          </Button>
+        </Alert>
+      )}
+
+      {/* Change Status Dialog */}
+      <Modal show={dialog === 'status'} onHide={closeDialog} centered>
+        <Form onSubmit={handleChangeStatus}>
+          <Modal.Header closeButton className="bg-light">
+            <Modal.Title>Change Status of {selectedOrders.length} Orders</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {formError && <Alert variant="danger">{formError}</Alert>}
+            <div className="mb-3">
+              <Form.Label>New Status *</Form.Label>
+              <Form.Select value={status} onChange={(e) => setStatus(e.target.value)}>
+                {BULK_STATUSES.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </Form.Select>
+              <Form.Text className="text-muted">
+                Orders that cannot move to this status from where they are now are skipped.
+                To mark orders as shipped, record each shipment from the order page.
+              </Form.Text>
+            </div>
+            <div className="mb-0">
+              <Form.Label>{requiresReason(status) ? 'Reason *' : 'Note'}</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={2}
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Recorded in the status history of every order"
+              />
+            </div>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="light" onClick={closeDialog}>Cancel</Button>
+            <Button type="submit" variant="primary">Apply to {selectedOrders.length} Orders</Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Assign Dialog */}
+      <Modal show={dialog === 'assign'} onHide={closeDialog} centered>
+        <Form onSubmit={handleAssign}>
+          <Modal.Header closeButton className="bg-light">
+            <Modal.Title>Assign {selectedOrders.length} Orders</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {formError && <Alert variant="danger">{formError}</Alert>}
+            <Form.Label>Staff Member Email *</Form.Label>
+            <Form.Control
+              type="email"
+              value={staff}
+              onChange={(e) => setStaff(e.target.value)}
+              placeholder="dispatch@example.com"
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="light" onClick={closeDialog}>Cancel</Button>
+            <Button type="submit" variant="primary">Assign</Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Progress / Results */}
+      <Modal show={!!run} onHide={() => !run?.running && setRun(null)} centered size="lg">
+        <Modal.Header closeButton={!run?.running} className="bg-light">
+          <Modal.Title>{run?.label}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {run && (
+            <>
+              <ProgressBar className="mb-3" style={{ height: '8px' }}>
+                <ProgressBar variant="success" now={(countOf('success') / run.total) * 100} />
+                <ProgressBar variant="warning" now={(countOf('skipped') / run.total) * 100} />
+                <ProgressBar variant="danger" now={(countOf('failed') / run.total) * 100} />
+              </ProgressBar>
+              <p className="mb-3">
+                {run.running ? `Processing ${done} of ${run.total}...` : `Finished ${run.total} orders: `}
+                {!run.running && (
+                  <>
+                    <Badge bg="success" className="me-1">{countOf('success')} succeeded</Badge>
+                    <Badge bg="warning" className="me-1">{countOf('skipped')} skipped</Badge>
+                    <Badge bg="danger">{countOf('failed')} failed</Badge>
+                  </>
+                )}
+              </p>
+              <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+                <Table size="sm" className="mb-0">
+                  <thead className="table-light">
+                    <tr>
+                      <th>Order</th>
+                      <th>Result</th>
+                      <th>Details</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {run.results.map(result => (
+                      <tr key={result.order.order_id}>
+                        <td>#ORD{result.order.order_id}</td>
+                        <td>
+                          <Badge bg={RESULT_VARIANTS[result.outcome]}>{result.outcome}</Badge>
+                        </td>
+                        <td className="text-muted">{result.message || '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </div>
+            </>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="primary" onClick={() => setRun(null)} disabled={run?.running}>
+            Close
+          </Button>
+        </Modal.Footer>
+      </Modal>
+    </>
+  );
+};
+
+export default OrderBulkActions;
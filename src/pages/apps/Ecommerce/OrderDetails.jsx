@@ -1,69 +1,81 @@
 import React, { useState, useEffect } from "react";
 import { useParams, useNavigate } from "react-router-dom";
-import { Row, Col, Card, Button, Badge, Alert, Modal, Form } from "react-bootstrap";
+import { Row, Col, Card, Button, Badge, Alert, Form } from "react-bootstrap";
 
 // components
 import PageTitle from "../../../components/PageTitle";
-
-// Track order component
-const TrackOrder = ({ status, updatedAt }) => {
-  const steps = [
-    { key: 'pending', label: 'Order Placed', icon: 'mdi-cart-plus' },
-    { key: 'processing', label: 'Processing', icon: 'mdi-cog' },
-    { key: 'shipped', label: 'Shipped', icon: 'mdi-truck-delivery' },
-    { key: 'completed', label: 'Delivered', icon: 'mdi-check-circle' }
+import { ordersApi, shipmentsApi, invoicesApi, returnsApi, refundsApi } from "@/api";
+import { useAuthContext } from "@/context/useAuthContext";
+import { PERMISSIONS } from "@/constants/permissions";
+import { INVOICE_TYPE } from "@/constants/gst";
+import { ORDER_STATUS, ORDER_STATUS_ICONS } from "@/constants/orderStatus";
+import { canTransition, getStatusVariant, isFinalStatus, normalizeStatus } from "@/helpers/orderStatus";
+import { SHIPMENT_STATUS, SHIPMENT_STATUS_VARIANTS } from "@/constants/shipping";
+import { formatAddress, getCarrierName, getTrackingUrl, isFullyShipped } from "@/helpers/shipments";
+import { getRefundableAmount, getRefundedTotal } from "@/helpers/returns";
+import OrderStatusModal from "./OrderStatusModal";
+import ShipmentModal from "./ShipmentModal";
+import OrderInvoices from "./OrderInvoices";
+import OrderReturns from "./OrderReturns";
+import RefundModal from "./RefundModal";
+import { printInvoice } from "./orderDocuments";
+
+// Status history timeline, oldest first. `events` (returns, refunds) are
+// interleaved by date and shown with their own `title` instead of a status.
+const StatusHistory = ({ order, history, events = [] }) => {
+  const formatDate = (date) => date ? new Date(date).toLocaleString('en-IN') : 'N/A';
+
+  // Checkout is not always recorded as a change, so the timeline starts from the order date
+  const changes = history[0] && !history[0].from_status ? history : [
+    { to_status: null, changed_at: order.order_date, note: 'Order placed' },
+    ...history
   ];
-
-  const statusOrder = {
-    'Pending': 0,
-    'Processing': 1,
-    'Shipped': 2,
-    'Completed': 3,
-    'Delivered': 3,
-    'Cancelled': -1
-  };
-
-  const currentStep = statusOrder[status] || 0;
+  // Orders that changed status before history was kept
+  if (history.length === 0 && normalizeStatus(order.status) !== ORDER_STATUS.PENDING) {
+    changes.push({ to_status: order.status, changed_at: order.updated_at, note: 'Earlier changes were not recorded' });
+  }
+  const entries = [...changes, ...events].sort((a, b) => new Date(a.changed_at || 0) - new Date(b.changed_at || 0));
 
   return (
     <div className="track-order-list">
       <ul className="list-unstyled">
-        {steps.map((step, index) => {
-          const isCompleted = index <= currentStep;
-          const isActive = index === currentStep;
-          const isCancelled = status === 'Cancelled';
-
+        {entries.map((entry, index) => {
+          const isLatest = index === entries.length - 1;
           return (
-            <li key={step.key} className={isCompleted ? 'completed' : ''}>
-              <div className="d-flex align-items-center">
-                <div className={`step-icon me-3 ${isCompleted ? 'bg-primary' : 'bg-light'}`}>
-                  <i className={`mdi ${step.icon} ${isCompleted ? 'text-white' : 'text-muted'}`}></i>
-                </div>
-                <div>
-                  <h5 className="mt-0 mb-1">{step.label}</h5>
-                  {isActive && !isCancelled && (
-                    <p className="text-muted mb-0">
-                      {new Date(updatedAt).toLocaleString('en-IN')}
-                    </p>
-                  )}
-                  {isCancelled && index === 0 && (
-                    <p className="text-muted mb-0">
-                      Order cancelled on {new Date(updatedAt).toLocaleString('en-IN')}
-                    </p>
-                  )}
-                </div>
-              </div>
+            <li key={index} className="completed">
+              {isLatest && <span className="active-dot dot"></span>}
+              <h5 className="mt-0 mb-1">
+                {entry.from_status && (
+                  <>
+                    <Badge bg={getStatusVariant(entry.from_status)}>{entry.from_status}</Badge>
+                    <i className="mdi mdi-arrow-right mx-1"></i>
+                  </>
+                )}
+                {entry.title ? (
+                  <Badge bg={entry.variant || 'light'}>
+                    <i className={`mdi ${entry.icon || 'mdi-circle'} me-1`}></i>
+                    {entry.title}
+                  </Badge>
+                ) : entry.to_status ? (
+                  <Badge bg={getStatusVariant(entry.to_status)}>
+                    <i className={`mdi ${ORDER_STATUS_ICONS[normalizeStatus(entry.to_status)] || 'mdi-circle'} me-1`}></i>
+                    {entry.to_status}
+                  </Badge>
+                ) : (
+                  <span>Order Placed</span>
+                )}
+              </h5>
+              <p className="text-muted mb-0">
+                {formatDate(entry.changed_at)}
+                {entry.changed_by && <> &middot; by {entry.changed_by}</>}
+              </p>
+              {entry.note && (
+                <p className="mb-0 font-13 fst-italic">{entry.note}</p>
+              )}
             </li>
           );
         })}
       </ul>
-
-      {status === 'Cancelled' && (
-        <Alert variant="danger" className="mt-3">
-          <i className="mdi mdi-alert-circle me-2"></i>
-          This order has been cancelled.
-        </Alert>
-      )}
     </div>
   );
 };
@@ -119,7 +131,10 @@ const Items = ({ items, totalAmount }) => {
 };
 
 // Shipping info component
-const ShippingInfo = ({ order }) => {
+const ShippingInfo = ({ order, shipments }) => {
+  const address = formatAddress(order.shipping_address);
+  const expectedDates = shipments.map(shipment => shipment.expected_delivery).filter(Boolean).sort();
+
   return (
     <Card>
       <Card.Body>
@@ -131,6 +146,15 @@ const ShippingInfo = ({ order }) => {
           <small className="text-muted">Customer:</small>
           <div className="fw-semibold">{order.customer_email || order.user_email || 'N/A'}</div>
         </div>
+        <div className="mb-2">
+          <small className="text-muted">Shipping Address:</small>
+          <div className="fw-semibold" style={{ whiteSpace: 'pre-line' }}>{address || 'N/A'}</div>
+          {order.shipping_address?.phone && (
+            <div className="fw-semibold">
+              <i className="mdi mdi-phone me-1"></i>{order.shipping_address.phone}
+            </div>
+          )}
+        </div>
         <div className="mb-2">
           <small className="text-muted">User ID:</small>
           <div className="fw-semibold">{order.user_id || 'N/A'}</div>
@@ -140,9 +164,9 @@ const ShippingInfo = ({ order }) => {
           <div className="fw-semibold">{order.order_source || 'N/A'}</div>
         </div>
         <div className="mb-0">
-          <small className="text-muted">Order Date:</small>
+          <small className="text-muted">Expected Delivery:</small>
           <div className="fw-semibold">
-            {order.order_date ? new Date(order.order_date).toLocaleString('en-IN') : 'N/A'}
+            {expectedDates.length > 0 ? new Date(expectedDates[expectedDates.length - 1]).toLocaleDateString('en-IN') : 'N/A'}
           </div>
         </div>
       </Card.Body>
@@ -151,7 +175,7 @@ const ShippingInfo = ({ order }) => {
 };
 
 // Billing info component
-const BillingInfo = ({ order }) => {
+const BillingInfo = ({ order, refunds, canRefund, onRefund }) => {
   const getPaymentMethod = (source) => {
     switch (source?.toLowerCase()) {
       case 'website': return 'Online Payment';
@@ -162,16 +186,25 @@ const BillingInfo = ({ order }) => {
   };
 
   const getPaymentStatus = (status) => {
-    if (status === 'Completed' || status === 'Delivered') {
-      return 'Paid';
-    } else if (status === 'Cancelled') {
-      return 'Refunded';
-    } else {
-      return 'Pending';
+    switch (normalizeStatus(status)) {
+      case ORDER_STATUS.COMPLETED:
+      case ORDER_STATUS.RETURNED:
+        return 'Paid';
+      case ORDER_STATUS.REFUNDED:
+        return 'Refunded';
+      case ORDER_STATUS.CANCELLED:
+        return 'Cancelled';
+      default:
+        return 'Pending';
     }
   };
 
-  const paymentStatus = getPaymentStatus(order.status);
+  // Recorded refunds are the source of truth once there are any
+  const refundedTotal = getRefundedTotal(refunds);
+  const refundable = getRefundableAmount(order, refunds);
+  const paymentStatus = refundedTotal > 0
+    ? refundable > 0 ? 'Partially Refunded' : 'Refunded'
+    : getPaymentStatus(order.status);
 
   return (
     <Card>
@@ -187,7 +220,7 @@ const BillingInfo = ({ order }) => {
         <div className="mb-2">
           <small className="text-muted">Payment Status:</small>
           <div>
-            <Badge bg={paymentStatus === 'Paid' ? 'success' : paymentStatus === 'Refunded' ? 'danger' : 'warning'}>
+            <Badge bg={paymentStatus === 'Paid' ? 'success' : paymentStatus === 'Pending' ? 'warning' : 'danger'}>
               {paymentStatus}
             </Badge>
           </div>
@@ -196,19 +229,38 @@ const BillingInfo = ({ order }) => {
           <small className="text-muted">Total Amount:</small>
           <div className="fw-semibold">₹{parseFloat(order.total_amount || 0).toFixed(2)}</div>
         </div>
+        {refunds.length > 0 && (
+          <div className="mb-2">
+            <small className="text-muted">Refunded:</small>
+            <div className="fw-semibold text-danger">₹{refundedTotal.toFixed(2)}</div>
+            {refunds.map(refund => (
+              <div key={refund.id} className="font-12 text-muted">
+                ₹{parseFloat(refund.amount || 0).toFixed(2)} via {refund.method}
+                {refund.reference && <> &middot; {refund.reference}</>}
+                {refund.refunded_at && <> &middot; {new Date(refund.refunded_at).toLocaleDateString('en-IN')}</>}
+              </div>
+            ))}
+          </div>
+        )}
         <div className="mb-0">
           <small className="text-muted">Last Updated:</small>
           <div className="fw-semibold">
             {order.updated_at ? new Date(order.updated_at).toLocaleString('en-IN') : 'N/A'}
           </div>
         </div>
+        {canRefund && refundable > 0 && (
+          <Button size="sm" variant="outline-danger" className="mt-3" onClick={onRefund}>
+            <i className="mdi mdi-cash-refund me-1"></i> Issue Refund
+          </Button>
+        )}
       </Card.Body>
     </Card>
   );
 };
 
-// Delivery info component
-const DeliveryInfo = ({ order }) => {
+// Delivery info component: overall status plus one entry per shipment.
+// `error` is a failed shipment action, shown in the card.
+const DeliveryInfo = ({ order, shipments, canUpdate, error, onDismissError, onCreateShipment, onShipmentStatusChange }) => {
   const getDeliveryStatus = (status) => {
     switch (status) {
       case 'Completed':
@@ -220,30 +272,103 @@ const DeliveryInfo = ({ order }) => {
         return { icon: 'mdi-cog', color: 'warning', text: 'Processing' };
       case 'Cancelled':
         return { icon: 'mdi-cancel', color: 'danger', text: 'Cancelled' };
+      case 'On Hold':
+        return { icon: 'mdi-pause-circle', color: 'dark', text: 'On Hold' };
+      case 'Returned':
+      case 'Refunded':
+        return { icon: 'mdi-keyboard-return', color: 'primary', text: 'Returned' };
       default:
         return { icon: 'mdi-clock-outline', color: 'secondary', text: 'Pending' };
     }
   };
 
   const deliveryStatus = getDeliveryStatus(order.status);
+  const hasUnshippedItems = !isFullyShipped(order.items || [], shipments);
+  const canShip = canUpdate && hasUnshippedItems && [ORDER_STATUS.PROCESSING, ORDER_STATUS.SHIPPED].includes(normalizeStatus(order.status));
 
   return (
     <Card>
       <Card.Body>
-        <h5 className="font-family-primary fw-semibold mb-3">
-          <i className="mdi mdi-package-variant me-2"></i>
-          Delivery Information
-        </h5>
-        <div className="text-center py-3">
-          <i className={`mdi ${deliveryStatus.icon} display-4 text-${deliveryStatus.color} mb-3`}></i>
-          <h4 className="mb-2">{deliveryStatus.text}</h4>
-          <p className="mb-1">
-            <span className="fw-semibold">Order ID:</span> #{order.order_id}
-          </p>
-          <p className="mb-0">
-            <span className="fw-semibold">Order Source:</span> {order.order_source}
-          </p>
+        <div className="d-flex justify-content-between align-items-center mb-3">
+          <h5 className="font-family-primary fw-semibold mb-0">
+            <i className="mdi mdi-package-variant me-2"></i>
+            Delivery Information
+          </h5>
+          {canShip && (
+            <Button size="sm" variant="outline-primary" onClick={onCreateShipment}>
+              <i className="mdi mdi-plus me-1"></i> Shipment
+            </Button>
+          )}
+        </div>
+
+        {error && (
+          <Alert variant="danger" onClose={onDismissError} dismissible className="mb-3">
+            <i className="mdi mdi-alert-circle me-2"></i>
+            {error}
+          </Alert>
+        )}
+
+        <div className="text-center py-2">
+          <i className={`mdi ${deliveryStatus.icon} h1 text-${deliveryStatus.color}`}></i>
+          <h4 className="mb-1">{deliveryStatus.text}</h4>
+          {shipments.length > 0 && hasUnshippedItems && (
+            <Badge bg="warning">Partially shipped</Badge>
+          )}
         </div>
+
+        {shipments.length === 0 ? (
+          <p className="text-muted text-center mb-0">No shipments recorded yet.</p>
+        ) : (
+          shipments.map((shipment, index) => {
+            const trackingUrl = getTrackingUrl(shipment);
+            return (
+              <div key={shipment.id ?? index} className="border rounded p-2 mb-2">
+                <div className="d-flex justify-content-between align-items-center">
+                  <strong>Shipment {index + 1} &middot; {getCarrierName(shipment.carrier)}</strong>
+                  {canUpdate ? (
+                    <Form.Select
+                      size="sm"
+                      className="w-auto"
+                      value={shipment.status}
+                      onChange={(e) => onShipmentStatusChange(shipment, e.target.value)}
+                    >
+                      {Object.values(SHIPMENT_STATUS).map(status => (
+                        <option key={status} value={status}>{status}</option>
+                      ))}
+                    </Form.Select>
+                  ) : (
+                    <Badge bg={SHIPMENT_STATUS_VARIANTS[shipment.status] || 'light'}>{shipment.status}</Badge>
+                  )}
+                </div>
+                <div className="mt-1">
+                  <small className="text-muted">Tracking: </small>
+                  {trackingUrl ? (
+                    <a href={trackingUrl} target="_blank" rel="noopener noreferrer">
+                      {shipment.tracking_number} <i className="mdi mdi-open-in-new"></i>
+                    </a>
+                  ) : (
+                    <span>{shipment.tracking_number}</span>
+                  )}
+                </div>
+                <div>
+                  <small className="text-muted">
+                    Shipped {shipment.shipped_at ? new Date(shipment.shipped_at).toLocaleDateString('en-IN') : 'N/A'}
+                    {shipment.expected_delivery && ` · expected ${new Date(shipment.expected_delivery).toLocaleDateString('en-IN')}`}
+                    {shipment.weight_kg && ` · ${shipment.weight_kg} kg`}
+                    {shipment.length_cm && ` · ${shipment.length_cm}×${shipment.width_cm}×${shipment.height_cm} cm`}
+                  </small>
+                </div>
+                {shipment.items?.length > 0 && (
+                  <div>
+                    <small className="text-muted">
+                      {shipment.items.map(item => `${item.product_name || item.sku} × ${item.quantity}`).join(', ')}
+                    </small>
+                  </div>
+                )}
+              </div>
+            );
+          })
+        )}
       </Card.Body>
     </Card>
   );
@@ -253,54 +378,74 @@ const DeliveryInfo = ({ order }) => {
 const OrderDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { can } = useAuthContext();
+  const canUpdate = can(PERMISSIONS.ORDERS_UPDATE);
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [shipments, setShipments] = useState([]);
+  const [invoices, setInvoices] = useState([]);
+  const [returns, setReturns] = useState([]);
+  const [refunds, setRefunds] = useState([]);
+  // Refund dialog target: { rma, amount } for a return, { rma: null } for the whole order
+  const [refundTarget, setRefundTarget] = useState(null);
+  const [showShipmentModal, setShowShipmentModal] = useState(false);
   const [showUpdateModal, setShowUpdateModal] = useState(false);
+  const [targetStatus, setTargetStatus] = useState(null);
   const [updating, setUpdating] = useState(false);
-  const [updateStatus, setUpdateStatus] = useState('');
   const [actionSuccess, setActionSuccess] = useState(null);
+  // Failed actions that leave the page usable, unlike `error`
+  const [actionError, setActionError] = useState(null);
+  const [shipmentError, setShipmentError] = useState(null);
 
   const fetchOrderDetails = async () => {
     try {
       setLoading(true);
       setError(null);
-      console.log('Fetching order details for ID:', id);
-      
-      const response = await fetch(`https://ecomm.braventra.in/api/orders/${id}`, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-        }
-      });
-      
-      console.log('Order details response status:', response.status);
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        console.error('API Error:', errorData);
-        
-        if (response.status === 404) {
-          throw new Error('Order not found');
-        } else if (response.status === 500) {
-          throw new Error(`Server error: ${errorData.error || errorData.message || 'Internal server error'}`);
-        }
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const result = await response.json();
-      console.log('Order details result:', result);
-      
-      if (result.status === 200 && result.data) {
-        setOrder(result.data);
-        setUpdateStatus(result.data.status);
-        console.log('Order data loaded successfully');
-      } else {
-        throw new Error(result.message || result.error || 'Failed to fetch order details');
+
+      const [data, changes, orderShipments, orderInvoices, orderReturns, orderRefunds] = await Promise.all([
+        ordersApi.get(id),
+        // Everything but the order itself is extra, never a reason to fail the page
+        ordersApi.history(id).catch(err => {
+          console.error('Error fetching order history:', err);
+          return [];
+        }),
+        shipmentsApi.listByOrder(id).catch(err => {
+          console.error('Error fetching shipments:', err);
+          return [];
+        }),
+        invoicesApi.listByOrder(id).catch(err => {
+          console.error('Error fetching invoices:', err);
+          return [];
+        }),
+        returnsApi.listByOrder(id).catch(err => {
+          console.error('Error fetching returns:', err);
+          return [];
+        }),
+        refundsApi.listByOrder(id).catch(err => {
+          console.error('Error fetching refunds:', err);
+          return [];
+        })
+      ]);
+      if (!data) {
+        throw new Error('Failed to fetch order details');
       }
+      setOrder(data);
+      setHistory(changes);
+      setShipments(orderShipments);
+      setInvoices(orderInvoices);
+      setReturns(orderReturns);
+      setRefunds(orderRefunds);
     } catch (err) {
       console.error('Error fetching order details:', err);
-      setError(err.message || 'Failed to fetch order details. Please check the server logs.');
+      if (err.status === 404) {
+        setError('Order not found');
+      } else if (err.status === 500) {
+        setError(`Server error: ${err.message}`);
+      } else {
+        setError(err.message || 'Failed to fetch order details. Please check the server logs.');
+      }
     } finally {
       setLoading(false);
     }
@@ -325,199 +470,96 @@ const OrderDetails = () => {
     };
   }, [id]);
 
-  const handlePrintInvoice = () => {
-    const printWindow = window.open('', '_blank');
-    
-    const invoiceContent = `
-      <html>
-        <head>
-          <title>Invoice - Order #${order?.order_id}</title>
-          <style>
-            body { font-family: Arial, sans-serif; padding: 20px; }
-            .invoice-header { 
-              text-align: center; 
-              margin-bottom: 30px;
-              border-bottom: 2px solid #333;
-              padding-bottom: 20px;
-            }
-            .company-name { 
-              font-size: 24px; 
-              font-weight: bold; 
-              color: #333;
-            }
-            .invoice-title { 
-              font-size: 20px; 
-              margin: 10px 0; 
-              color: #666;
-            }
-            .invoice-details { 
-              margin: 20px 0; 
-              display: flex; 
-              justify-content: space-between;
-            }
-            .detail-section { flex: 1; }
-            table { 
-              width: 100%; 
-              border-collapse: collapse; 
-              margin: 20px 0;
-            }
-            th, td { 
-              border: 1px solid #ddd; 
-              padding: 10px; 
-              text-align: left;
-            }
-            th { 
-              background-color: #f8f9fa; 
-              font-weight: bold;
-            }
-            .text-end { text-align: right; }
-            .total-row { 
-              font-weight: bold; 
-              font-size: 1.1em;
-              background-color: #f8f9fa;
-            }
-            .footer { 
-              margin-top: 30px; 
-              text-align: center; 
-              color: #666;
-              border-top: 1px solid #ddd;
-              padding-top: 20px;
-            }
-            @media print {
-              body { padding: 0; }
-            }
-          </style>
-        </head>
-        <body>
-          <div class="invoice-header">
-            <div class="company-name">Ecomm Store</div>
-            <div class="invoice-title">INVOICE</div>
-            <div>Order #${order?.order_id}</div>
-          </div>
-          
-          <div class="invoice-details">
-            <div class="detail-section">
-              <strong>Customer Information:</strong><br/>
-              Email: ${order?.customer_email || order?.user_email || 'N/A'}<br/>
-              User ID: ${order?.user_id || 'N/A'}<br/>
-              Order Source: ${order?.order_source || 'N/A'}
-            </div>
-            <div class="detail-section">
-              <strong>Order Information:</strong><br/>
-              Order Date: ${order?.order_date ? new Date(order.order_date).toLocaleString('en-IN') : 'N/A'}<br/>
-              Status: ${order?.status || 'N/A'}<br/>
-              Last Updated: ${order?.updated_at ? new Date(order.updated_at).toLocaleString('en-IN') : 'N/A'}
-            </div>
-          </div>
-          
-          <table>
-            <thead>
-              <tr>
-                <th>Product Name</th>
-                <th>SKU</th>
-                <th>Quantity</th>
-                <th>Unit Price</th>
-                <th>Subtotal</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${order?.items ? order.items.map(item => `
-                <tr>
-                  <td>${item.product_name || 'Product'}</td>
-                  <td>${item.sku || 'N/A'}</td>
-                  <td>${item.quantity}</td>
-                  <td>₹${parseFloat(item.unit_price || 0).toFixed(2)}</td>
-                  <td>₹${parseFloat(item.subtotal || 0).toFixed(2)}</td>
-                </tr>
-              `).join('') : '<tr><td colspan="5">No items found</td></tr>'}
-            </tbody>
-            <tfoot>
-              <tr class="total-row">
-                <td colspan="4" class="text-end"><strong>Total Amount:</strong></td>
-                <td><strong>₹${parseFloat(order?.total_amount || 0).toFixed(2)}</strong></td>
-              </tr>
-            </tfoot>
-          </table>
-          
-          <div class="footer">
-            Thank you for your business!<br/>
-            Invoice generated on ${new Date().toLocaleString('en-IN')}
-          </div>
-        </body>
-      </html>
-    `;
-    
-    printWindow.document.write(invoiceContent);
-    printWindow.document.close();
-    printWindow.print();
+  const openUpdateModal = (status = null) => {
+    setTargetStatus(status);
+    setShowUpdateModal(true);
   };
 
-  const handleUpdateStatus = async () => {
-    if (!order || !updateStatus) return;
+  const invoice = invoices.find(doc => doc.type === INVOICE_TYPE.INVOICE);
 
-    setUpdating(true);
-    console.log('Updating order status:', order.order_id, 'to', updateStatus);
-    
+  // Invoices and returns report what they changed, then the page reloads everything
+  const handleRecordsChanged = (message) => {
+    setActionSuccess(message);
+    fetchOrderDetails();
+  };
+
+  const handlePrintInvoice = () => {
+    setActionError(null);
     try {
-      const response = await fetch(`https://ecomm.braventra.in/api/orders/${order.order_id}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-        },
-        body: JSON.stringify({ status: updateStatus })
-      });
-
-      const result = await response.json();
-      console.log('Update status response:', result);
-
-      if (response.ok) {
-        setActionSuccess('Order status updated successfully!');
+      printInvoice(invoice);
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const handleRefundSaved = (refund) => {
+    setRefundTarget(null);
+    setActionSuccess(`Refund of ₹${parseFloat(refund.amount).toFixed(2)} recorded.`);
+    fetchOrderDetails();
+  };
+
+  // Returns and refunds shown in the status timeline next to status changes
+  const timelineEvents = [
+    ...returns.map(rma => ({
+      changed_at: rma.created_at,
+      title: `Return ${rma.rma_number} requested`,
+      icon: 'mdi-keyboard-return',
+      variant: 'warning',
+      note: `${rma.reason} · now ${rma.status}`
+    })),
+    ...refunds.map(refund => ({
+      changed_at: refund.refunded_at,
+      changed_by: refund.refunded_by,
+      title: `Refunded ₹${parseFloat(refund.amount || 0).toFixed(2)}`,
+      icon: 'mdi-cash-refund',
+      variant: 'danger',
+      note: [refund.method, refund.reference, refund.note].filter(Boolean).join(' · ')
+    }))
+  ];
+
+  const handleStatusUpdated = (updatedOrder, status) => {
+    setShowUpdateModal(false);
+    setActionSuccess(`Order moved to ${status}.`);
+    fetchOrderDetails(); // Refresh order details and history
+  };
+
+  // Shipped is reached by recording the shipment, so carrier and tracking are never skipped
+  const statusHandlers = isFullyShipped(order?.items || [], shipments) ? {} : {
+    [ORDER_STATUS.SHIPPED]: {
+      hint: 'You will record the carrier and tracking number next.',
+      onSelect: () => {
         setShowUpdateModal(false);
-        fetchOrderDetails(); // Refresh order details
+        setShowShipmentModal(true);
+      }
+    }
+  };
+
+  const handleShipmentSaved = async (shipment) => {
+    setShowShipmentModal(false);
+    setShipmentError(null);
+    const allShipments = [...shipments, shipment];
+    try {
+      if (isFullyShipped(order.items || [], allShipments) && canTransition(order.status, ORDER_STATUS.SHIPPED)) {
+        await ordersApi.updateStatus(order.order_id, ORDER_STATUS.SHIPPED, `Shipped via ${getCarrierName(shipment.carrier)} (${shipment.tracking_number})`);
+        setActionSuccess('Shipment recorded and order marked as Shipped.');
       } else {
-        throw new Error(result.error || result.message || 'Failed to update order status');
+        setActionSuccess('Shipment recorded. Some items are still waiting to ship.');
       }
     } catch (err) {
-      console.error('Error updating order status:', err);
-      setError('Failed to update order status. Please try again.');
-    } finally {
-      setUpdating(false);
+      console.error('Error marking order as shipped:', err);
+      setShipmentError('Shipment was saved but the order could not be marked as Shipped. Use Update Status to move it to Shipped.');
     }
+    fetchOrderDetails();
   };
 
-  const handleCancelOrder = async () => {
-    if (!order) return;
-    
-    if (window.confirm(`Are you sure you want to cancel order #${order.order_id}?`)) {
-      setUpdating(true);
-      console.log('Cancelling order:', order.order_id);
-      
-      try {
-        const response = await fetch(`https://ecomm.braventra.in/api/orders/${order.order_id}`, {
-          method: 'PUT',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-          },
-          body: JSON.stringify({ status: 'Cancelled' })
-        });
-
-        const result = await response.json();
-        console.log('Cancel order response:', result);
-
-        if (response.ok) {
-          setActionSuccess('Order cancelled successfully!');
-          fetchOrderDetails(); // Refresh order details
-        } else {
-          throw new Error(result.error || result.message || 'Failed to cancel order');
-        }
-      } catch (err) {
-        console.error('Error cancelling order:', err);
-        setError('Failed to cancel order. Please try again.');
-      } finally {
-        setUpdating(false);
-      }
+  const handleShipmentStatusChange = async (shipment, status) => {
+    setShipmentError(null);
+    try {
+      await shipmentsApi.updateStatus(order.order_id, shipment.id, status);
+      setShipments(prev => prev.map(item => item.id === shipment.id ? { ...item, status } : item));
+    } catch (err) {
+      console.error('Error updating shipment:', err);
+      setShipmentError(`Failed to update the status of shipment ${shipment.tracking_number || shipment.id}. Please try again.`);
     }
   };
 
@@ -529,24 +571,9 @@ const OrderDetails = () => {
       console.log('Marking order as completed:', order.order_id);
       
       try {
-        const response = await fetch(`https://ecomm.braventra.in/api/orders/${order.order_id}`, {
-          method: 'PUT',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-          },
-          body: JSON.stringify({ status: 'Completed' })
-        });
-
-        const result = await response.json();
-        console.log('Mark completed response:', result);
-
-        if (response.ok) {
-          setActionSuccess('Order marked as completed!');
-          fetchOrderDetails();
-        } else {
-          throw new Error(result.error || result.message || 'Failed to update order');
-        }
+        await ordersApi.updateStatus(order.order_id, ORDER_STATUS.COMPLETED);
+        setActionSuccess('Order marked as completed!');
+        fetchOrderDetails();
       } catch (err) {
         console.error('Error marking order as completed:', err);
         setError('Failed to update order. Please try again.');
@@ -612,6 +639,12 @@ const OrderDetails = () => {
           {actionSuccess}
         </Alert>
       )}
+      {actionError && (
+        <Alert variant="danger" onClose={() => setActionError(null)} dismissible className="mb-3">
+          <i className="mdi mdi-alert-circle me-2"></i>
+          {actionError}
+        </Alert>
+      )}
 
       <Row className="mb-3">
         <Col>
@@ -630,12 +663,7 @@ const OrderDetails = () => {
                 </div>
                 <div className="d-flex align-items-center">
                   <Badge 
-                    bg={
-                      order.status === 'Completed' ? 'success' :
-                      order.status === 'Processing' ? 'warning' :
-                      order.status === 'Shipped' ? 'info' :
-                      order.status === 'Cancelled' ? 'danger' : 'secondary'
-                    }
+                    bg={getStatusVariant(order.status)}
                     className="me-3 fs-6"
                   >
                     {order.status}
@@ -644,12 +672,15 @@ const OrderDetails = () => {
                     variant="outline-primary" 
                     className="me-2"
                     onClick={handlePrintInvoice}
+                    disabled={!invoice}
+                    title={invoice ? `Print ${invoice.invoice_number}` : 'No invoice issued yet'}
                   >
-                    <i className="mdi mdi-printer me-1"></i> Print
+                    <i className="mdi mdi-printer me-1"></i> Print Invoice
                   </Button>
                   <Button 
                     variant="outline-secondary" 
-                    onClick={() => setShowUpdateModal(true)}
+                    onClick={() => openUpdateModal()}
+                    disabled={!canUpdate || isFinalStatus(order.status)}
                   >
                     <i className="mdi mdi-pencil me-1"></i> Edit
                   </Button>
@@ -665,8 +696,8 @@ const OrderDetails = () => {
           <Card>
             <Card.Body>
               <h4 className="header-title mb-3">
-                <i className="mdi mdi-map-marker-path me-2"></i>
-                Track Order
+                <i className="mdi mdi-history me-2"></i>
+                Status History
               </h4>
               <Row>
                 <Col lg={6}>
@@ -684,7 +715,7 @@ const OrderDetails = () => {
                   </div>
                 </Col>
               </Row>
-              <TrackOrder status={order.status} updatedAt={order.updated_at} />
+              <StatusHistory order={order} history={history} events={timelineEvents} />
             </Card.Body>
           </Card>
         </Col>
@@ -704,15 +735,50 @@ const OrderDetails = () => {
 
       <Row className="mt-3">
         <Col lg={4}>
-          <ShippingInfo order={order} />
+          <ShippingInfo order={order} shipments={shipments} />
         </Col>
 
         <Col lg={4}>
-          <BillingInfo order={order} />
+          <BillingInfo
+            order={order}
+            refunds={refunds}
+            canRefund={canUpdate && normalizeStatus(order.status) !== ORDER_STATUS.PENDING}
+            onRefund={() => setRefundTarget({ rma: null })}
+          />
         </Col>
 
         <Col lg={4}>
-          <DeliveryInfo order={order} />
+          <DeliveryInfo
+            order={order}
+            shipments={shipments}
+            canUpdate={canUpdate}
+            error={shipmentError}
+            onDismissError={() => setShipmentError(null)}
+            onCreateShipment={() => setShowShipmentModal(true)}
+            onShipmentStatusChange={handleShipmentStatusChange}
+          />
+        </Col>
+      </Row>
+
+      <Row className="mt-3">
+        <Col lg={6}>
+          <OrderInvoices
+            order={order}
+            invoices={invoices}
+            refunds={refunds}
+            canUpdate={canUpdate}
+            onChanged={handleRecordsChanged}
+          />
+        </Col>
+
+        <Col lg={6}>
+          <OrderReturns
+            order={order}
+            returns={returns}
+            canUpdate={canUpdate}
+            onChanged={handleRecordsChanged}
+            onRefund={(rma, amount) => setRefundTarget({ rma, amount })}
+          />
         </Col>
       </Row>
 
@@ -728,7 +794,7 @@ const OrderDetails = () => {
                 <i className="mdi mdi-arrow-left me-1"></i> Back to Orders
               </Button>
               
-              {order.status !== 'Cancelled' && order.status !== 'Completed' && (
+              {canUpdate && canTransition(order.status, ORDER_STATUS.COMPLETED) && (
                 <Button 
                   variant="success" 
                   className="me-2" 
@@ -744,10 +810,10 @@ const OrderDetails = () => {
                 </Button>
               )}
               
-              {order.status !== 'Cancelled' && (
+              {canUpdate && canTransition(order.status, ORDER_STATUS.CANCELLED) && (
                 <Button 
                   variant="danger" 
-                  onClick={handleCancelOrder}
+                  onClick={() => openUpdateModal(ORDER_STATUS.CANCELLED)}
                   disabled={updating}
                 >
                   {updating ? (
@@ -764,72 +830,32 @@ const OrderDetails = () => {
       </Row>
 
       {/* Update Status Modal */}
-      <Modal show={showUpdateModal} onHide={() => setShowUpdateModal(false)} centered>
-        <Modal.Header closeButton className="bg-light">
-          <Modal.Title>
-            <i className="mdi mdi-pencil me-2"></i>
-            Update Order Status
-          </Modal.Title>
-        </Modal.Header>
-        <Modal.Body>
-          <Form>
-            <div className="mb-3">
-              <Form.Label>Order #{order.order_id}</Form.Label>
-              <Form.Control
-                type="text"
-                value={order.customer_email || order.user_email || 'N/A'}
-                readOnly
-                disabled
-              />
-            </div>
-            <div className="mb-3">
-              <Form.Label>Current Status</Form.Label>
-              <Form.Control
-                type="text"
-                value={order.status}
-                readOnly
-                disabled
-              />
-            </div>
-            <div className="mb-3">
-              <Form.Label>Update Status *</Form.Label>
-              <Form.Select
-                value={updateStatus}
-                onChange={(e) => setUpdateStatus(e.target.value)}
-                disabled={updating}
-              >
-                <option value="Pending">Pending</option>
-                <option value="Processing">Processing</option>
-                <option value="Shipped">Shipped</option>
-                <option value="Completed">Completed</option>
-                <option value="Cancelled">Cancelled</option>
-              </Form.Select>
-            </div>
-          </Form>
-        </Modal.Body>
-        <Modal.Footer>
-          <Button variant="light" onClick={() => setShowUpdateModal(false)} disabled={updating}>
-            Cancel
-          </Button>
-          <Button 
-            variant="primary" 
-            onClick={handleUpdateStatus}
-            disabled={updating || updateStatus === order.status}
-          >
-            {updating ? (
-              <>
-                <span className="spinner-border spinner-border-sm me-2" role="status"></span>
-                Updating...
-              </>
-            ) : (
-              <>
-                <i className="mdi mdi-content-save me-1"></i>
-                Update Status
-              </>
-            )}
-          </Button>
-        </Modal.Footer>
-      </Modal>
+      <OrderStatusModal
+        show={showUpdateModal}
+        order={order}
+        initialStatus={targetStatus}
+        onHide={() => setShowUpdateModal(false)}
+        onUpdated={handleStatusUpdated}
+        statusHandlers={statusHandlers}
+      />
+
+      <RefundModal
+        show={!!refundTarget}
+        order={order}
+        refunds={refunds}
+        rma={refundTarget?.rma}
+        defaultAmount={refundTarget?.amount}
+        onHide={() => setRefundTarget(null)}
+        onSaved={handleRefundSaved}
+      />
+
+      <ShipmentModal
+        show={showShipmentModal}
+        order={order}
+        shipments={shipments}
+        onHide={() => setShowShipmentModal(false)}
+        onSaved={handleShipmentSaved}
+      />
     </>
   );
 };
@@ -0,0 +1,267 @@
+import React, { useState } from "react";
+import { Card, Button, Badge, Alert, Modal, Form, Table } from "react-bootstrap";
+
+import { invoicesApi } from "@/api";
+import { SELLER, GST_STATES, GSTIN_PATTERN, INVOICE_TYPE } from "@/constants/gst";
+import { ORDER_STATUS } from "@/constants/orderStatus";
+import { normalizeStatus } from "@/helpers/orderStatus";
+import { getRefundableAmount } from "@/helpers/returns";
+import { buildInvoiceLines, getFinancialYear, getPlaceOfSupply, isInterState, sumInvoiceLines } from "@/helpers/gst";
+import { formatAddress } from "@/helpers/shipments";
+import { downloadFile, printInvoice } from "./orderDocuments";
+
+// An invoice is raised once the order is confirmed for dispatch
+const INVOICEABLE_STATUSES = [ORDER_STATUS.PROCESSING, ORDER_STATUS.SHIPPED, ORDER_STATUS.COMPLETED];
+
+// A credit note reverses the whole invoice, so it is only issued once nothing
+// of the order stands: cancelled, or refunded in full. A partial return keeps
+// the invoice until credit notes can be raised line by line.
+const CREDIT_NOTE_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED];
+
+// A tax invoice needs the seller's GSTIN, and the state code decides CGST/SGST or IGST
+const isSellerConfigured = GSTIN_PATTERN.test(SELLER.gstin) && !!GST_STATES[SELLER.stateCode];
+
+// Local date, so it matches the financial year the number is taken from
+const today = () => new Date().toLocaleDateString('en-CA');
+
+/**
+ * GST invoice and credit notes of an order: issue, re-print and download.
+ *
+ * @param {object} props
+ * @param {object} props.order - with its `items`
+ * @param {import('@/api/invoices').Invoice[]} props.invoices
+ * @param {object[]} props.refunds - refunds recorded on the order
+ * @param {boolean} props.canUpdate
+ * @param {(message: string) => void} props.onChanged - called after a doc was issued
+ */
+const OrderInvoices = ({ order, invoices, refunds, canUpdate, onChanged }) => {
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [showCreditNote, setShowCreditNote] = useState(false);
+  const [reason, setReason] = useState('');
+
+  const status = normalizeStatus(order.status);
+  const invoice = invoices.find(doc => doc.type === INVOICE_TYPE.INVOICE);
+  const creditNote = invoice && invoices.find(doc => doc.type === INVOICE_TYPE.CREDIT_NOTE && doc.original_invoice_id === invoice.id);
+  const canIssueInvoice = canUpdate && !invoice && isSellerConfigured && INVOICEABLE_STATUSES.includes(status);
+  const isFullyReversed = status === ORDER_STATUS.CANCELLED
+    || (status === ORDER_STATUS.REFUNDED && getRefundableAmount(order, refunds) === 0);
+  const canIssueCreditNote = canUpdate && invoice && !creditNote && CREDIT_NOTE_STATUSES.includes(status) && isFullyReversed;
+
+  const handleIssueInvoice = async () => {
+    const placeOfSupply = getPlaceOfSupply(order);
+    const interState = isInterState(placeOfSupply);
+    const lines = buildInvoiceLines(order.items, interState, {
+      discount: Number(order.discount?.amount) || 0,
+      shipping: Number(order.shipping_charge) || 0
+    });
+    const address = typeof order.shipping_address === 'object' ? order.shipping_address : null;
+
+    setWorking(true);
+    setError(null);
+    try {
+      await invoicesApi.create(order.order_id, {
+        invoice_date: today(),
+        financial_year: getFinancialYear(),
+        seller: { name: SELLER.name, address: SELLER.address, gstin: SELLER.gstin, state_code: SELLER.stateCode },
+        buyer: {
+          name: address?.name || order.customer_name || '',
+          email: order.customer_email || order.user_email || '',
+          address: formatAddress(order.shipping_address),
+          gstin: order.buyer_gstin || null
+        },
+        place_of_supply: placeOfSupply,
+        inter_state: interState,
+        lines,
+        totals: sumInvoiceLines(lines)
+      });
+      onChanged('Tax invoice issued.');
+    } catch (err) {
+      console.error('Error issuing invoice:', err);
+      setError(err.message || 'Failed to issue invoice. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const openCreditNote = () => {
+    setReason(`Order ${status.toLowerCase()}`);
+    setError(null);
+    setShowCreditNote(true);
+  };
+
+  // A credit note reverses the invoice in full, line for line
+  const handleIssueCreditNote = async (e) => {
+    e?.preventDefault();
+    if (!reason.trim()) {
+      setError('Please give a reason for the credit note.');
+      return;
+    }
+
+    setWorking(true);
+    setError(null);
+    try {
+      await invoicesApi.createCreditNote(invoice.id, {
+        invoice_date: today(),
+        financial_year: getFinancialYear(),
+        reason: reason.trim(),
+        lines: invoice.lines,
+        totals: invoice.totals
+      });
+      setShowCreditNote(false);
+      onChanged(`Credit note issued against ${invoice.invoice_number}.`);
+    } catch (err) {
+      console.error('Error issuing credit note:', err);
+      setError(err.message || 'Failed to issue credit note. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handlePrint = (doc) => {
+    setError(null);
+    try {
+      printInvoice(doc);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDownload = async (doc) => {
+    try {
+      const blob = await invoicesApi.downloadPdf(doc.id);
+      downloadFile(blob, `${doc.invoice_number.replace(/[^\w-]+/g, '_')}.pdf`);
+    } catch (err) {
+      console.error('Error downloading invoice PDF:', err);
+      setError('Failed to download PDF. Please try again.');
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Body>
+        <div className="d-flex justify-content-between align-items-center mb-3">
+          <h4 className="header-title mb-0">
+            <i className="mdi mdi-file-doc-outline me-2"></i>
+            Invoices
+          </h4>
+          <div>
+            {canIssueInvoice && (
+              <Button size="sm" variant="primary" onClick={handleIssueInvoice} disabled={working}>
+                {working ? (
+                  <span className="spinner-border spinner-border-sm me-1" role="status"></span>
+                ) : (
+                  <i className="mdi mdi-file-plus me-1"></i>
+                )}
+                Issue Invoice
+              </Button>
+            )}
+            {canIssueCreditNote && (
+              <Button size="sm" variant="outline-danger" onClick={openCreditNote} disabled={working}>
+                <i className="mdi mdi-file-undo me-1"></i> Issue Credit Note
+              </Button>
+            )}
+          </div>
+        </div>
+
+        {error && !showCreditNote && (
+          <Alert variant="danger" onClose={() => setError(null)} dismissible className="mb-3">
+            <i className="mdi mdi-alert-circle me-2"></i>
+            {error}
+          </Alert>
+        )}
+
+        {!isSellerConfigured && !invoice && (
+          <Alert variant="warning" className="mb-3">
+            <i className="mdi mdi-alert me-2"></i>
+            Invoices cannot be issued until a valid seller GSTIN and state code are configured;
+            set VITE_SELLER_GSTIN (and VITE_SELLER_STATE_CODE if it differs from the GSTIN's first two digits).
+          </Alert>
+        )}
+
+        {canUpdate && invoice && !creditNote && !isFullyReversed && [ORDER_STATUS.RETURNED, ORDER_STATUS.REFUNDED].includes(status) && (
+          <Alert variant="info" className="mb-3">
+            <i className="mdi mdi-information me-2"></i>
+            A credit note reverses the whole invoice, so it can only be issued once the order is cancelled or refunded in full.
+          </Alert>
+        )}
+
+        {invoices.length === 0 ? (
+          <p className="text-muted mb-0">
+            {INVOICEABLE_STATUSES.includes(status)
+              ? 'No invoice has been issued for this order yet.'
+              : `Invoices are issued once the order is ${ORDER_STATUS.PROCESSING.toLowerCase()}.`}
+          </p>
+        ) : (
+          <Table size="sm" className="mb-0">
+            <thead className="table-light">
+              <tr>
+                <th>Number</th>
+                <th>Type</th>
+                <th>Date</th>
+                <th>Amount</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {invoices.map(doc => (
+                <tr key={doc.id}>
+                  <td className="fw-semibold">{doc.invoice_number}</td>
+                  <td>
+                    {doc.type === INVOICE_TYPE.CREDIT_NOTE ? (
+                      <Badge bg="danger">Credit Note</Badge>
+                    ) : (
+                      <Badge bg="success">Tax Invoice</Badge>
+                    )}
+                  </td>
+                  <td>{new Date(doc.invoice_date).toLocaleDateString('en-IN')}</td>
+                  <td>₹{parseFloat(doc.totals?.total || 0).toFixed(2)}</td>
+                  <td className="text-end">
+                    <Button size="sm" variant="link" className="p-0 me-2" onClick={() => handlePrint(doc)}>
+                      <i className="mdi mdi-printer me-1"></i>Print
+                    </Button>
+                    <Button size="sm" variant="link" className="p-0" onClick={() => handleDownload(doc)}>
+                      <i className="mdi mdi-file-pdf-box me-1"></i>PDF
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+
+      <Modal show={showCreditNote} onHide={() => setShowCreditNote(false)} centered>
+        <Form onSubmit={handleIssueCreditNote}>
+          <Modal.Header closeButton className="bg-light">
+            <Modal.Title>Credit Note against {invoice?.invoice_number}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {error && <Alert variant="danger">{error}</Alert>}
+            <p>
+              Reverses the full invoice amount of <strong>₹{parseFloat(invoice?.totals?.total || 0).toFixed(2)}</strong>,
+              including its GST.
+            </p>
+            <Form.Label>Reason *</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={2}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              disabled={working}
+            />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="light" onClick={() => setShowCreditNote(false)} disabled={working}>Cancel</Button>
+            <Button type="submit" variant="danger" disabled={working}>
+              {working && <span className="spinner-border spinner-border-sm me-2" role="status"></span>}
+              Issue Credit Note
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Card>
+  );
+};
+
+export default OrderInvoices;
@@ -0,0 +1,413 @@
+import React, { useState } from "react";
+import { Card, Button, Badge, Alert, Modal, Form, Table } from "react-bootstrap";
+
+import { ordersApi, returnsApi } from "@/api";
+import { ORDER_STATUS } from "@/constants/orderStatus";
+import { RETURN_STATUS, RETURN_STATUS_VARIANTS, RETURN_REASONS, ITEM_CONDITION, RESTOCKABLE_CONDITIONS } from "@/constants/returns";
+import { canTransition, normalizeStatus } from "@/helpers/orderStatus";
+import { canTransitionReturn, getReturnableQuantities, getReturnValue } from "@/helpers/returns";
+import { getOrderItemKey } from "@/helpers/shipments";
+
+// Only delivered goods can come back
+const RETURNABLE_ORDER_STATUSES = [ORDER_STATUS.SHIPPED, ORDER_STATUS.COMPLETED];
+
+/**
+ * Returns (RMAs) of an order: request, approve or reject, receive and restock.
+ * Refunding is handed back to the page, which owns the refund dialog.
+ *
+ * @param {object} props
+ * @param {object} props.order - with its `items`
+ * @param {import('@/api/returns').ReturnRequest[]} props.returns
+ * @param {boolean} props.canUpdate
+ * @param {(message: string) => void} props.onChanged - called after any change to a return
+ * @param {(rma: object, amount: number) => void} props.onRefund
+ */
+const OrderReturns = ({ order, returns, canUpdate, onChanged, onRefund }) => {
+  // Which dialog is open: 'create' | 'receive' | 'reject' | null
+  const [dialog, setDialog] = useState(null);
+  const [activeReturn, setActiveReturn] = useState(null);
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState(RETURN_REASONS[0]);
+  const [note, setNote] = useState('');
+  const [receivedItems, setReceivedItems] = useState([]);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const items = order.items || [];
+  const returnable = getReturnableQuantities(items, returns);
+  const canCreate = canUpdate
+    && RETURNABLE_ORDER_STATUSES.includes(normalizeStatus(order.status))
+    && Object.values(returnable).some(quantity => quantity > 0);
+
+  const closeDialog = () => {
+    setDialog(null);
+    setActiveReturn(null);
+    setError(null);
+  };
+
+  const openCreate = () => {
+    setQuantities(Object.fromEntries(items.map(item => [getOrderItemKey(item), 0])));
+    setReason(RETURN_REASONS[0]);
+    setNote('');
+    setError(null);
+    setDialog('create');
+  };
+
+  const openReceive = (rma) => {
+    setActiveReturn(rma);
+    setReceivedItems(rma.items.map(item => ({ ...item, condition: ITEM_CONDITION.RESELLABLE, restock: true })));
+    setError(null);
+    setDialog('receive');
+  };
+
+  const openReject = (rma) => {
+    setActiveReturn(rma);
+    setNote('');
+    setError(null);
+    setDialog('reject');
+  };
+
+  const handleCreate = async (e) => {
+    e?.preventDefault();
+    const returnItems = items
+      .map(item => ({
+        order_item_id: item.order_item_id ?? item.id ?? null,
+        product_id: item.product_id ?? null,
+        sku: item.sku,
+        product_name: item.product_name,
+        quantity: Number(quantities[getOrderItemKey(item)]) || 0
+      }))
+      .filter(item => item.quantity > 0);
+    if (returnItems.length === 0) {
+      setError('Select at least one item to return.');
+      return;
+    }
+
+    setWorking(true);
+    setError(null);
+    try {
+      const rma = await returnsApi.create(order.order_id, { reason, note: note.trim() || null, items: returnItems });
+      closeDialog();
+      onChanged(rma?.rma_number ? `Return ${rma.rma_number} requested.` : 'Return requested.');
+    } catch (err) {
+      console.error('Error creating return:', err);
+      setError(err.message || 'Failed to create return. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleApprove = async (rma) => {
+    try {
+      await returnsApi.updateStatus(rma.id, RETURN_STATUS.APPROVED);
+      onChanged(`Return ${rma.rma_number} approved.`);
+    } catch (err) {
+      console.error('Error approving return:', err);
+      setError('Failed to approve return. Please try again.');
+    }
+  };
+
+  const handleReject = async (e) => {
+    e?.preventDefault();
+    if (!note.trim()) {
+      setError('Please give a reason for rejecting this return.');
+      return;
+    }
+    setWorking(true);
+    try {
+      await returnsApi.updateStatus(activeReturn.id, RETURN_STATUS.REJECTED, note.trim());
+      const { rma_number } = activeReturn;
+      closeDialog();
+      onChanged(`Return ${rma_number} rejected.`);
+    } catch (err) {
+      console.error('Error rejecting return:', err);
+      setError(err.message || 'Failed to reject return. Please try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const updateReceivedItem = (index, changes) => {
+    setReceivedItems(prev => prev.map((item, i) => i === index ? { ...item, ...changes } : item));
+  };
+
+  // The server restocks resellable goods as part of the receipt, into the batch
+  // each item shipped from, so retrying a failed receipt cannot restock twice
+  const handleReceive = async (e) => {
+    e?.preventDefault();
+    setWorking(true);
+    setError(null);
+
+    const received = receivedItems.map(item => ({
+      order_item_id: item.order_item_id,
+      sku: item.sku,
+      condition: item.condition,
+      restock: !!item.restock && !!item.product_id && RESTOCKABLE_CONDITIONS.includes(item.condition)
+    }));
+
+    let updated;
+    try {
+      updated = await returnsApi.receive(activeReturn.id, received);
+    } catch (err) {
+      console.error('Error receiving return:', err);
+      setError(err.message || 'Failed to record receipt. Please try again.');
+      setWorking(false);
+      return;
+    }
+
+    // Lines that should have gone back into stock but did not, including
+    // resellable items that are not linked to a product
+    const notRestocked = receivedItems.filter((item, index) => {
+      if (!RESTOCKABLE_CONDITIONS.includes(item.condition) || (item.product_id && !item.restock)) return false;
+      if (!received[index].restock) return true;
+      const result = updated?.items?.find(line => line.order_item_id === item.order_item_id && line.sku === item.sku);
+      return result ? !result.restocked : false;
+    });
+
+    const { rma_number } = activeReturn;
+    const messages = [`Return ${rma_number} received.`];
+    if (notRestocked.length > 0) {
+      messages.push(`These items were not restocked: ${notRestocked.map(item => item.product_name || item.sku).join(', ')}. Adjust inventory manually.`);
+    }
+
+    // The order counts as returned once every item is back
+    try {
+      const receivedReturns = returns.filter(rma => rma.id === activeReturn.id || [RETURN_STATUS.RECEIVED, RETURN_STATUS.REFUNDED].includes(rma.status));
+      const allReturned = Object.values(getReturnableQuantities(items, receivedReturns)).every(quantity => quantity === 0);
+      if (allReturned && canTransition(order.status, ORDER_STATUS.RETURNED)) {
+        await ordersApi.updateStatus(order.order_id, ORDER_STATUS.RETURNED, `Return ${rma_number} received`);
+      }
+    } catch (err) {
+      console.error('Error updating order status:', err);
+      messages.push('The order could not be marked as returned; update its status manually.');
+    }
+
+    closeDialog();
+    setWorking(false);
+    onChanged(messages.join(' '));
+  };
+
+  return (
+    <Card>
+      <Card.Body>
+        <div className="d-flex justify-content-between align-items-center mb-3">
+          <h4 className="header-title mb-0">
+            <i className="mdi mdi-keyboard-return me-2"></i>
+            Returns
+          </h4>
+          {canCreate && (
+            <Button size="sm" variant="outline-primary" onClick={openCreate}>
+              <i className="mdi mdi-plus me-1"></i> New Return
+            </Button>
+          )}
+        </div>
+
+        {error && !dialog && (
+          <Alert variant="danger" onClose={() => setError(null)} dismissible className="mb-3">
+            <i className="mdi mdi-alert-circle me-2"></i>
+            {error}
+          </Alert>
+        )}
+
+        {returns.length === 0 ? (
+          <p className="text-muted mb-0">No returns for this order.</p>
+        ) : (
+          <Table size="sm" className="mb-0">
+            <thead className="table-light">
+              <tr>
+                <th>RMA</th>
+                <th>Items</th>
+                <th>Reason</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {returns.map(rma => (
+                <tr key={rma.id}>
+                  <td className="fw-semibold">
+                    {rma.rma_number}
+                    <div className="text-muted font-12">{new Date(rma.created_at).toLocaleDateString('en-IN')}</div>
+                  </td>
+                  <td>
+                    {rma.items.map((item, index) => (
+                      <div key={index}>
+                        {item.product_name || item.sku} × {item.quantity}
+                        {item.condition && (
+                          <small className="text-muted"> &middot; {item.condition}{item.restocked ? ', restocked' : ''}</small>
+                        )}
+                      </div>
+                    ))}
+                  </td>
+                  <td>
+                    {rma.reason}
+                    {rma.note && <div className="text-muted font-12 fst-italic">{rma.note}</div>}
+                  </td>
+                  <td>
+                    <Badge bg={RETURN_STATUS_VARIANTS[rma.status] || 'secondary'}>{rma.status}</Badge>
+                  </td>
+                  <td className="text-end text-nowrap">
+                    {canUpdate && canTransitionReturn(rma.status, RETURN_STATUS.APPROVED) && (
+                      <Button size="sm" variant="link" className="p-0 me-2" onClick={() => handleApprove(rma)}>Approve</Button>
+                    )}
+                    {canUpdate && canTransitionReturn(rma.status, RETURN_STATUS.RECEIVED) && (
+                      <Button size="sm" variant="link" className="p-0 me-2" onClick={() => openReceive(rma)}>Receive</Button>
+                    )}
+                    {canUpdate && canTransitionReturn(rma.status, RETURN_STATUS.REFUNDED) && (
+                      <Button size="sm" variant="link" className="p-0 me-2" onClick={() => onRefund(rma, getReturnValue(rma, items))}>Refund</Button>
+                    )}
+                    {canUpdate && canTransitionReturn(rma.status, RETURN_STATUS.REJECTED) && (
+                      <Button size="sm" variant="link" className="p-0 text-danger" onClick={() => openReject(rma)}>Reject</Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </Card.Body>
+
+      {/* New Return Dialog */}
+      <Modal show={dialog === 'create'} onHide={closeDialog} centered size="lg">
+        <Form onSubmit={handleCreate}>
+          <Modal.Header closeButton className="bg-light">
+            <Modal.Title>New Return for Order #{order.order_id}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {error && <Alert variant="danger">{error}</Alert>}
+            <Table size="sm" bordered>
+              <thead className="table-light">
+                <tr>
+                  <th>Product</th>
+                  <th>SKU</th>
+                  <th>Returnable</th>
+                  <th style={{ width: '120px' }}>Return</th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map(item => {
+                  const key = getOrderItemKey(item);
+                  return (
+                    <tr key={key}>
+                      <td>{item.product_name || 'Product'}</td>
+                      <td>{item.sku || 'N/A'}</td>
+                      <td>{returnable[key]}</td>
+                      <td>
+                        <Form.Control
+                          type="number"
+                          size="sm"
+                          min="0"
+                          max={returnable[key]}
+                          value={quantities[key] ?? 0}
+                          onChange={(e) => setQuantities(prev => ({ ...prev, [key]: Math.min(Math.max(Number(e.target.value), 0), returnable[key]) }))}
+                          disabled={working || returnable[key] === 0}
+                        />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+            <div className="mb-3">
+              <Form.Label>Reason *</Form.Label>
+              <Form.Select value={reason} onChange={(e) => setReason(e.target.value)} disabled={working}>
+                {RETURN_REASONS.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </Form.Select>
+            </div>
+            <div className="mb-0">
+              <Form.Label>Note</Form.Label>
+              <Form.Control as="textarea" rows={2} value={note} onChange={(e) => setNote(e.target.value)} disabled={working} />
+            </div>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="light" onClick={closeDialog} disabled={working}>Cancel</Button>
+            <Button type="submit" variant="primary" disabled={working}>Create Return</Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Receive Dialog */}
+      <Modal show={dialog === 'receive'} onHide={closeDialog} centered size="lg">
+        <Form onSubmit={handleReceive}>
+          <Modal.Header closeButton className="bg-light">
+            <Modal.Title>Receive Return {activeReturn?.rma_number}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {error && <Alert variant="danger">{error}</Alert>}
+            <Table size="sm" bordered className="mb-0">
+              <thead className="table-light">
+                <tr>
+                  <th>Product</th>
+                  <th>Qty</th>
+                  <th>Condition</th>
+                  <th>Restock</th>
+                </tr>
+              </thead>
+              <tbody>
+                {receivedItems.map((item, index) => {
+                  const restockable = RESTOCKABLE_CONDITIONS.includes(item.condition) && !!item.product_id;
+                  return (
+                    <tr key={index}>
+                      <td>{item.product_name || item.sku}</td>
+                      <td>{item.quantity}</td>
+                      <td>
+                        <Form.Select
+                          size="sm"
+                          value={item.condition}
+                          onChange={(e) => updateReceivedItem(index, { condition: e.target.value })}
+                          disabled={working}
+                        >
+                          {Object.values(ITEM_CONDITION).map(option => (
+                            <option key={option} value={option}>{option}</option>
+                          ))}
+                        </Form.Select>
+                      </td>
+                      <td>
+                        <Form.Check
+                          type="checkbox"
+                          checked={restockable && item.restock}
+                          onChange={(e) => updateReceivedItem(index, { restock: e.target.checked })}
+                          disabled={working || !restockable}
+                          label={restockable ? `+${item.quantity} to stock` : item.product_id ? 'Not restocked' : 'Not linked to a product'}
+                        />
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="light" onClick={closeDialog} disabled={working}>Cancel</Button>
+            <Button type="submit" variant="primary" disabled={working}>
+              {working && <span className="spinner-border spinner-border-sm me-2" role="status"></span>}
+              Record Receipt
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+
+      {/* Reject Dialog */}
+      <Modal show={dialog === 'reject'} onHide={closeDialog} centered>
+        <Form onSubmit={handleReject}>
+          <Modal.Header closeButton className="bg-light">
+            <Modal.Title>Reject Return {activeReturn?.rma_number}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {error && <Alert variant="danger">{error}</Alert>}
+            <Form.Label>Reason *</Form.Label>
+            <Form.Control as="textarea" rows={2} value={note} onChange={(e) => setNote(e.target.value)} disabled={working} />
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="light" onClick={closeDialog} disabled={working}>Cancel</Button>
+            <Button type="submit" variant="danger" disabled={working}>Reject Return</Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </Card>
+  );
+};
+
+export default OrderReturns;
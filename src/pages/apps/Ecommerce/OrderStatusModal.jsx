@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from "react";
+import { Button, Badge, Alert, Modal, Form } from "react-bootstrap";
+
+import { ordersApi } from "@/api";
+import { getNextStatuses, getStatusVariant, requiresReason } from "@/helpers/orderStatus";
+
+/**
+ * Moves an order to one of the statuses its lifecycle allows next.
+ * Shared by the Orders list and OrderDetails.
+ *
+ * @param {object} props
+ * @param {boolean} props.show
+ * @param {object|null} props.order
+ * @param {string} [props.initialStatus] - preselected target, e.g. "Cancelled"
+ * @param {() => void} props.onHide
+ * @param {(order: object, status: string) => void} props.onUpdated - called after a successful update
+ * @param {Object<string, {hint: string, onSelect: (status: string) => void}>} [props.statusHandlers] -
+ *   statuses that need more than a note (e.g. shipment details); submitting one hands over to `onSelect`
+ */
+const OrderStatusModal = ({ show, order, initialStatus, onHide, onUpdated, statusHandlers = {} }) => {
+  const [status, setStatus] = useState('');
+  const [note, setNote] = useState('');
+  const [updating, setUpdating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const nextStatuses = order ? getNextStatuses(order.status) : [];
+  const reasonRequired = requiresReason(status);
+  const handler = statusHandlers[status];
+
+  useEffect(() => {
+    if (show && order) {
+      setStatus(nextStatuses.includes(initialStatus) ? initialStatus : nextStatuses[0] || '');
+      setNote('');
+      setError(null);
+    }
+  }, [show, order, initialStatus]);
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if (!order || !status) return;
+    if (handler) {
+      handler.onSelect(status);
+      return;
+    }
+    if (reasonRequired && !note.trim()) {
+      setError(`Please give a reason for moving this order to ${status}.`);
+      return;
+    }
+
+    setUpdating(true);
+    setError(null);
+
+    try {
+      await ordersApi.updateStatus(order.order_id, status, note.trim());
+      onUpdated(order, status);
+    } catch (err) {
+      console.error('Error updating order status:', err);
+      setError(err.status ? err.message : 'Failed to update order status. Please try again.');
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered>
+      <Modal.Header closeButton className="bg-light">
+        <Modal.Title>
+          <i className="mdi mdi-pencil me-2"></i>
+          Update Order #{order?.order_id}
+        </Modal.Title>
+      </Modal.Header>
+      <Modal.Body>
+        {error && (
+          <Alert variant="danger" onClose={() => setError(null)} dismissible className="mb-3">
+            <i className="mdi mdi-alert-circle me-2"></i>
+            {error}
+          </Alert>
+        )}
+
+        {order && (
+          <Form onSubmit={handleSubmit}>
+            <div className="mb-3">
+              <Form.Label>Customer Email</Form.Label>
+              <Form.Control
+                type="text"
+                value={order.customer_email || order.user_email || 'N/A'}
+                readOnly
+                disabled
+              />
+            </div>
+
+            <div className="mb-3">
+              <Form.Label>Total Amount</Form.Label>
+              <Form.Control
+                type="text"
+                value={`₹${parseFloat(order.total_amount || 0).toFixed(2)}`}
+                readOnly
+                disabled
+              />
+            </div>
+
+            <div className="mb-3">
+              <Form.Label className="me-2">Current Status</Form.Label>
+              <Badge bg={getStatusVariant(order.status)}>{order.status}</Badge>
+            </div>
+
+            {nextStatuses.length === 0 ? (
+              <Alert variant="info" className="mb-0">
+                <i className="mdi mdi-information me-2"></i>
+                {order.status} is a final status; this order cannot be moved any further.
+              </Alert>
+            ) : (
+              <>
+                <div className="mb-3">
+                  <Form.Label>New Status *</Form.Label>
+                  <Form.Select
+                    value={status}
+                    onChange={(e) => setStatus(e.target.value)}
+                    disabled={updating}
+                  >
+                    {nextStatuses.map(option => (
+                      <option key={option} value={option}>{option}</option>
+                    ))}
+                  </Form.Select>
+                  <Form.Text className="text-muted">
+                    {handler ? handler.hint : `Only the statuses allowed after "${order.status}" are listed.`}
+                  </Form.Text>
+                </div>
+
+                {!handler && (
+                  <div className="mb-0">
+                    <Form.Label>{reasonRequired ? 'Reason *' : 'Note'}</Form.Label>
+                    <Form.Control
+                      as="textarea"
+                      rows={3}
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      placeholder={reasonRequired ? 'Why is this order being cancelled?' : 'Optional note for the status history'}
+                      isInvalid={reasonRequired && !!error && !note.trim()}
+                      disabled={updating}
+                    />
+                  </div>
+                )}
+              </>
+            )}
+          </Form>
+        )}
+      </Modal.Body>
+      <Modal.Footer>
+        <Button variant="light" onClick={onHide} disabled={updating}>
+          Cancel
+        </Button>
+        <Button
+          variant="primary"
+          onClick={handleSubmit}
+          disabled={updating || !status}
+        >
+          {updating ? (
+            <>
+              <span className="spinner-border spinner-border-sm me-2" role="status"></span>
+              Updating...
+            </>
+          ) : (
+            <>
+              <i className={`mdi ${handler ? 'mdi-arrow-right' : 'mdi-content-save'} me-1`}></i>
+              {handler ? 'Continue' : 'Update Status'}
+            </>
+          )}
+        </Button>
+      </Modal.Footer>
+    </Modal>
+  );
+};
+
+export default OrderStatusModal;
@@ -1,11 +1,20 @@
-import React, { useState, useEffect } from "react";
-import { Row, Col, Card, Button, Badge, Modal, Form, Alert, Table } from "react-bootstrap";
+import React, { useState, useEffect, useRef } from "react";
+import { Row, Col, Card, Button, Badge, Form, Alert, Table } from "react-bootstrap";
 import classNames from "classnames";
 import { Link, useNavigate } from "react-router-dom";
 
 // components
 import PageTitle from "../../../components/PageTitle";
 import TableComponent from "../../../components/Table";
+import useQueryParams from "@/hooks/useQueryParams";
+import { ordersApi } from "@/api";
+import { useAuthContext } from "@/context/useAuthContext";
+import { PERMISSIONS } from "@/constants/permissions";
+import { ORDER_STATUS } from "@/constants/orderStatus";
+import { getStatusVariant, isFinalStatus } from "@/helpers/orderStatus";
+import OrderStatusModal from "./OrderStatusModal";
+import { exportOrdersCsv } from "./orderDocuments";
+import OrderBulkActions from "./OrderBulkActions";
 
 /* order column render */
 const OrderColumn = ({ row }) => {
@@ -18,27 +27,9 @@ const OrderColumn = ({ row }) => {
 
 /* status column render */
 const StatusColumn = ({ row }) => {
-  const getStatusClass = (status) => {
-    switch (status?.toLowerCase()) {
-      case 'delivered':
-      case 'completed':
-        return "bg-success";
-      case 'cancelled':
-        return "bg-danger";
-      case 'shipped':
-        return "bg-info";
-      case 'processing':
-        return "bg-warning";
-      case 'pending':
-        return "bg-secondary";
-      default:
-        return "bg-light text-dark";
-    }
-  };
-
   return (
     <h5>
-      <span className={classNames("badge", getStatusClass(row.original.status))}>
+      <span className={classNames("badge", `bg-${getStatusVariant(row.original.status)}`)}>
         {row.original.status}
       </span>
     </h5>
@@ -49,6 +40,7 @@ const StatusColumn = ({ row }) => {
 const ActionColumn = ({ row, onEdit }) => {
   const [isDeleting, setIsDeleting] = useState(false);
   const navigate = useNavigate();
+  const { can } = useAuthContext();
 
   const handleView = () => {
     console.log('Viewing order:', row.original.order_id);
@@ -66,25 +58,12 @@ const ActionColumn = ({ row, onEdit }) => {
     if (window.confirm(`Are you sure you want to delete order #ORD${row.original.order_id}?`)) {
       setIsDeleting(true);
       try {
-        const response = await fetch(`https://ecomm.braventra.in/api/orders/delete/${row.original.order_id}`, {
-          method: 'DELETE',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-          }
-        });
-        
-        const result = await response.json();
-        
-        if (response.ok) {
-          alert('Order deleted successfully');
-          window.location.reload();
-        } else {
-          alert(`Failed to delete order: ${result.error || result.message || 'Unknown error'}`);
-        }
+        await ordersApi.remove(row.original.order_id);
+        alert('Order deleted successfully');
+        window.location.reload();
       } catch (error) {
         console.error('Delete error:', error);
-        alert('Failed to delete order');
+        alert(`Failed to delete order: ${error.message}`);
       } finally {
         setIsDeleting(false);
       }
@@ -103,30 +82,34 @@ const ActionColumn = ({ row, onEdit }) => {
       >
         <i className="mdi mdi-eye"></i>
       </Button>
-      <Button
-        variant="outline-success"
-        size="sm"
-        className="me-1 action-icon"
-        onClick={handleEdit}
-        title="Edit Order"
-        disabled={isDeleting}
-      >
-        <i className="mdi mdi-square-edit-outline"></i>
-      </Button>
-      {/* <Button
-        variant="outline-danger"
-        size="sm"
-        className="action-icon"
-        onClick={handleDelete}
-        title="Delete Order"
-        disabled={isDeleting}
-      >
-        {isDeleting ? (
-          <span className="spinner-border spinner-border-sm" role="status"></span>
-        ) : (
-          <i className="mdi mdi-delete"></i>
-        )}
-      </Button> */}
+      {can(PERMISSIONS.ORDERS_UPDATE) && (
+        <Button
+          variant="outline-success"
+          size="sm"
+          className="me-1 action-icon"
+          onClick={handleEdit}
+          title={isFinalStatus(row.original.status) ? `${row.original.status} orders cannot change status` : "Edit Order"}
+          disabled={isDeleting || isFinalStatus(row.original.status)}
+        >
+          <i className="mdi mdi-square-edit-outline"></i>
+        </Button>
+      )}
+      {can(PERMISSIONS.ORDERS_DELETE) && (
+        <Button
+          variant="outline-danger"
+          size="sm"
+          className="action-icon"
+          onClick={handleDelete}
+          title="Delete Order"
+          disabled={isDeleting}
+        >
+          {isDeleting ? (
+            <span className="spinner-border spinner-border-sm" role="status"></span>
+          ) : (
+            <i className="mdi mdi-delete"></i>
+          )}
+        </Button>
+      )}
     </div>
   );
 };
@@ -135,15 +118,18 @@ const columns = [
   {
     Header: "Order ID",
     accessor: "order_id",
+    sort: true,
     Cell: OrderColumn
   },
   {
     Header: "Customer Email",
-    accessor: "user_email"
+    accessor: "user_email",
+    sort: true
   },
   {
     Header: "Date",
     accessor: "order_date",
+    sort: true,
     Cell: ({ row }) => {
       const date = new Date(row.original.order_date);
       return (
@@ -157,6 +143,7 @@ const columns = [
   {
     Header: "Source",
     accessor: "order_source",
+    sort: true,
     Cell: ({ row }) => {
       const getSourceIcon = (source) => {
         switch (source?.toLowerCase()) {
@@ -178,13 +165,20 @@ const columns = [
   {
     Header: "Amount",
     accessor: "total_amount",
+    sort: true,
     Cell: ({ row }) => `₹${parseFloat(row.original.total_amount || 0).toFixed(2)}`
   },
   {
     Header: "Status",
     accessor: "status",
+    sort: true,
     Cell: StatusColumn
   },
+  {
+    Header: "Assigned To",
+    accessor: "assigned_to",
+    Cell: ({ row }) => row.original.assigned_to || <span className="text-muted">-</span>
+  },
   {
     Header: "Actions",
     accessor: "actions",
@@ -192,69 +186,109 @@ const columns = [
   }
 ];
 
+const STATUS_OPTIONS = Object.values(ORDER_STATUS);
+const SOURCE_OPTIONS = ["Website", "Mobile", "Admin"];
+const PAGE_SIZES = [10, 20, 50];
+
+// The export walks the pages at the largest size the table offers
+const EXPORT_PAGE_SIZE = PAGE_SIZES[PAGE_SIZES.length - 1];
+
+const EMPTY_FILTERS = {
+  status: "",
+  from: "",
+  to: "",
+  source: "",
+  email: "",
+  min_amount: "",
+  max_amount: ""
+};
+
+// The URL uses the same param names as /api/orders, so a bookmarked view
+// maps straight onto the request
+const readFilters = (params) => Object.fromEntries(
+  Object.keys(EMPTY_FILTERS).map(key => [key, params[key] || ""])
+);
+
+const readTableState = (params) => ({
+  pageIndex: Math.max(Number(params.page) || 1, 1) - 1,
+  pageSize: PAGE_SIZES.includes(Number(params.limit)) ? Number(params.limit) : PAGE_SIZES[0],
+  sortBy: params.sort ? [{ id: params.sort, desc: params.order !== "asc" }] : [],
+  globalFilter: params.search || undefined
+});
+
+const toQuery = (filters, tableState) => {
+  const [sort] = tableState.sortBy;
+  return {
+    ...filters,
+    page: tableState.pageIndex + 1,
+    limit: tableState.pageSize,
+    sort: sort?.id,
+    order: sort ? (sort.desc ? "desc" : "asc") : undefined,
+    search: tableState.globalFilter
+  };
+};
+
+// Defaults are left out to keep shared links short
+const toSearchString = (query) => new URLSearchParams(
+  Object.entries(query).filter(([key, value]) =>
+    value !== undefined && value !== "" &&
+    !(key === "page" && value === 1) &&
+    !(key === "limit" && value === PAGE_SIZES[0])
+  )
+).toString();
+
+const isSameTableState = (a, b) =>
+  a.pageIndex === b.pageIndex &&
+  a.pageSize === b.pageSize &&
+  (a.globalFilter || "") === (b.globalFilter || "") &&
+  JSON.stringify(a.sortBy) === JSON.stringify(b.sortBy);
+
 // main component
 const Orders = () => {
+  const navigate = useNavigate();
+  const { can } = useAuthContext();
+  const queryParams = useQueryParams();
+  const [filters, setFilters] = useState(() => readFilters(queryParams));
+  const [draftFilters, setDraftFilters] = useState(filters);
+  const [tableState, setTableState] = useState(() => readTableState(queryParams));
   const [orderList, setOrderList] = useState([]);
-  const [filteredOrders, setFilteredOrders] = useState([]);
+  const [totalOrders, setTotalOrders] = useState(0);
   const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
   const [error, setError] = useState(null);
-  const [statusFilter, setStatusFilter] = useState("All");
+  const latestRequest = useRef(0);
+  const [selectedOrders, setSelectedOrders] = useState([]);
   
   // Edit modal states
   const [showEditModal, setShowEditModal] = useState(false);
-  const [editingOrder, setEditingOrder] = useState(false);
-  const [editError, setEditError] = useState(null);
-  const [editSuccess, setEditSuccess] = useState(null);
   const [selectedOrder, setSelectedOrder] = useState(null);
-  
-  // Form state for editing
-  const [editFormData, setEditFormData] = useState({
-    status: '',
-    total_amount: 0
-  });
+  const [actionSuccess, setActionSuccess] = useState(null);
+
+  const query = toQuery(filters, tableState);
+  const hasFilters = Object.values(filters).some(Boolean) || !!tableState.globalFilter;
 
-  // Fetch orders from backend
+  // Fetch the current page of orders from backend
   const fetchOrders = async () => {
+    const requestId = ++latestRequest.current;
     try {
       setLoading(true);
       setError(null);
-      console.log('Fetching orders...');
-      
-      const response = await fetch('https://ecomm.braventra.in/api/orders', {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-        }
-      });
-      
-      console.log('Orders response status:', response.status);
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-      }
-      
-      const result = await response.json();
-      console.log('Orders result:', result);
-      
-      if (result.status === 200 && result.data) {
-        setOrderList(result.data);
-        setFilteredOrders(result.data);
-        console.log(`Loaded ${result.data.length} orders`);
-      } else {
-        throw new Error(result.error || result.message || 'Failed to fetch orders');
-      }
+
+      const { orders, total } = await ordersApi.list(query);
+      // A newer query was issued while this one was in flight
+      if (requestId !== latestRequest.current) return;
+      setOrderList(orders);
+      setTotalOrders(total);
     } catch (err) {
+      if (requestId !== latestRequest.current) return;
       console.error('Error fetching orders:', err);
       setError(err.message || 'Failed to fetch orders. Please try again.');
     } finally {
-      setLoading(false);
+      if (requestId === latestRequest.current) setLoading(false);
     }
   };
 
   useEffect(() => {
-    fetchOrders();
-    
     // Suppress React key warnings temporarily
     const originalError = console.error;
     console.error = (...args) => {
@@ -269,63 +303,63 @@ const Orders = () => {
     };
   }, []);
 
-  // Filter orders based on selected status
+  // Mirror the query in the URL so filtered views can be bookmarked, then load it
   useEffect(() => {
-    if (statusFilter === "All") {
-      setFilteredOrders(orderList);
-    } else {
-      const filtered = orderList.filter(order => 
-        order.status === statusFilter
-      );
-      setFilteredOrders(filtered);
-    }
-  }, [statusFilter, orderList]);
+    navigate({ search: toSearchString(query) }, { replace: true });
+    fetchOrders();
+  }, [filters, tableState]);
+
+  // Page, page size, sort and search come from the table
+  const handleTableChange = (state) => {
+    setTableState(prev => isSameTableState(prev, state) ? prev : state);
+  };
+
+  const applyFilters = (nextFilters) => {
+    setFilters(nextFilters);
+    setTableState(prev => ({ ...prev, pageIndex: 0 }));
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setDraftFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleFilterSubmit = (e) => {
+    e.preventDefault();
+    applyFilters(draftFilters);
+  };
+
+  const clearFilters = () => {
+    setDraftFilters(EMPTY_FILTERS);
+    applyFilters(EMPTY_FILTERS);
+  };
 
   const changeOrderStatusGroup = (status) => {
     console.log('Changing status filter to:', status);
-    setStatusFilter(status);
+    const nextFilters = { ...draftFilters, status };
+    setDraftFilters(nextFilters);
+    applyFilters(nextFilters);
   };
 
   const handleExport = async () => {
+    setExporting(true);
     try {
-      // Create CSV content
-      const csvRows = [];
-      
-      // Add headers
-      const headers = ['Order ID', 'Customer Email', 'Order Date', 'Source', 'Amount', 'Status'];
-      csvRows.push(headers.join(','));
-      
-      // Add data rows
-      filteredOrders.forEach(order => {
-        const row = [
-          `ORD${order.order_id}`,
-          `"${order.user_email}"`,
-          new Date(order.order_date).toLocaleDateString('en-IN'),
-          order.order_source,
-          `₹${parseFloat(order.total_amount || 0).toFixed(2)}`,
-          order.status
-        ];
-        csvRows.push(row.join(','));
-      });
-      
-      // Create blob and download
-      const csvContent = csvRows.join('\n');
-      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-      const link = document.createElement('a');
-      const url = URL.createObjectURL(blob);
-      
-      link.setAttribute('href', url);
-      link.setAttribute('download', `orders_${new Date().toISOString().split('T')[0]}.csv`);
-      link.style.visibility = 'hidden';
-      
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      
+      // Export every order matching the current filters, not just this page
+      const orders = [];
+      for (let page = 1; ; page++) {
+        const { orders: pageOrders, total } = await ordersApi.list({ ...query, page, limit: EXPORT_PAGE_SIZE });
+        orders.push(...pageOrders);
+        // Older backends return every order on the first page
+        if (pageOrders.length < EXPORT_PAGE_SIZE || orders.length >= total) break;
+      }
+
+      exportOrdersCsv(orders);
       alert('Orders exported successfully!');
     } catch (error) {
       console.error('Export error:', error);
       alert('Failed to export orders');
+    } finally {
+      setExporting(false);
     }
   };
 
@@ -333,76 +367,25 @@ const Orders = () => {
   const handleEditOrder = (order) => {
     console.log('Opening edit modal for order:', order.order_id);
     setSelectedOrder(order);
-    setEditFormData({
-      status: order.status,
-      total_amount: order.total_amount
-    });
     setShowEditModal(true);
-    setEditError(null);
-    setEditSuccess(null);
+    setActionSuccess(null);
   };
 
   const handleCloseEditModal = () => {
     console.log('Closing edit modal');
     setShowEditModal(false);
     setSelectedOrder(null);
-    setEditError(null);
-    setEditSuccess(null);
   };
 
-  const handleEditFormChange = (e) => {
-    const { name, value } = e.target;
-    setEditFormData(prev => ({ ...prev, [name]: value }));
-  };
-
-  const handleUpdateOrder = async () => {
-    if (!selectedOrder) return;
-
-    setEditingOrder(true);
-    setEditError(null);
-    
-    console.log('Updating order:', selectedOrder.order_id, 'with data:', editFormData);
-
-    try {
-      const updateData = {
-        status: editFormData.status
-      };
-
-      const response = await fetch(`https://ecomm.braventra.in/api/orders/${selectedOrder.order_id}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token') || ''}`
-        },
-        body: JSON.stringify(updateData)
-      });
-
-      const result = await response.json();
-      console.log('Update response:', result);
-
-      if (response.ok) {
-        setEditSuccess('Order updated successfully!');
-        
-        // Update local state immediately
-        setOrderList(prev => prev.map(order => 
-          order.order_id === selectedOrder.order_id 
-            ? { ...order, status: editFormData.status } 
-            : order
-        ));
-        
-        // Close modal after 1 second
-        setTimeout(() => {
-          handleCloseEditModal();
-        }, 1000);
-      } else {
-        setEditError(result.error || result.message || 'Failed to update order');
-      }
-    } catch (err) {
-      console.error('Error updating order:', err);
-      setEditError('Failed to update order. Please try again.');
-    } finally {
-      setEditingOrder(false);
-    }
+  const handleOrderUpdated = (updatedOrder, status) => {
+    setActionSuccess(`Order #ORD${updatedOrder.order_id} moved to ${status}.`);
+    // Update local state immediately
+    setOrderList(prev => prev.map(order => 
+      order.order_id === updatedOrder.order_id 
+        ? { ...order, status } 
+        : order
+    ));
+    handleCloseEditModal();
   };
 
   return (
@@ -415,76 +398,166 @@ const Orders = () => {
         title={"Orders Management"}
       />
 
+      {actionSuccess && (
+        <Alert variant="success" onClose={() => setActionSuccess(null)} dismissible className="mb-3">
+          <i className="mdi mdi-check-circle me-2"></i>
+          {actionSuccess}
+        </Alert>
+      )}
+
       <Row>
         <Col>
           <Card>
             <Card.Body>
-              <Row className="align-items-center">
-                <Col lg={8}>
-                  <form className="row gy-2 gx-2 align-items-center justify-content-lg-start justify-content-between">
+              <Row className="align-items-end">
+                <Col xl={10}>
+                  <form className="row gy-2 gx-2 align-items-end" onSubmit={handleFilterSubmit}>
                     <div className="col-auto">
-                      <div className="d-flex align-items-center w-auto">
-                        <label htmlFor="status-select" className="me-2">
-                          Status
-                        </label>
-                        <select 
-                          className="form-select" 
-                          id="status-select" 
-                          value={statusFilter}
-                          onChange={e => changeOrderStatusGroup(e.target.value)}
-                        >
-                          <option value="All">All</option>
-                          <option value="Pending">Pending</option>
-                          <option value="Processing">Processing</option>
-                          <option value="Shipped">Shipped</option>
-                          <option value="Completed">Completed</option>
-                          <option value="Cancelled">Cancelled</option>
-                        </select>
-                      </div>
+                      <label htmlFor="status-select" className="form-label">
+                        Status
+                      </label>
+                      <select 
+                        className="form-select" 
+                        id="status-select" 
+                        value={draftFilters.status}
+                        onChange={e => changeOrderStatusGroup(e.target.value)}
+                      >
+                        <option value="">All</option>
+                        {STATUS_OPTIONS.map(status => (
+                          <option key={status} value={status}>{status}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    <div className="col-auto">
+                      <label htmlFor="from-date" className="form-label">From</label>
+                      <Form.Control
+                        type="date"
+                        id="from-date"
+                        name="from"
+                        value={draftFilters.from}
+                        max={draftFilters.to || undefined}
+                        onChange={handleFilterChange}
+                      />
+                    </div>
+
+                    <div className="col-auto">
+                      <label htmlFor="to-date" className="form-label">To</label>
+                      <Form.Control
+                        type="date"
+                        id="to-date"
+                        name="to"
+                        value={draftFilters.to}
+                        min={draftFilters.from || undefined}
+                        onChange={handleFilterChange}
+                      />
+                    </div>
+
+                    <div className="col-auto">
+                      <label htmlFor="source-select" className="form-label">Source</label>
+                      <Form.Select
+                        id="source-select"
+                        name="source"
+                        value={draftFilters.source}
+                        onChange={handleFilterChange}
+                      >
+                        <option value="">All</option>
+                        {SOURCE_OPTIONS.map(source => (
+                          <option key={source} value={source}>{source}</option>
+                        ))}
+                      </Form.Select>
+                    </div>
+
+                    <div className="col-auto">
+                      <label htmlFor="email-filter" className="form-label">Customer Email</label>
+                      <Form.Control
+                        type="email"
+                        id="email-filter"
+                        name="email"
+                        placeholder="customer@example.com"
+                        value={draftFilters.email}
+                        onChange={handleFilterChange}
+                      />
                     </div>
-                    
+
                     <div className="col-auto">
+                      <label htmlFor="min-amount" className="form-label">Amount (₹)</label>
                       <div className="d-flex align-items-center">
-                        <span className="me-2">Showing:</span>
-                        <Badge bg="primary" className="me-2">
-                          {filteredOrders.length} orders
-                        </Badge>
-                        <Button 
-                          variant="link" 
-                          className="p-0"
-                          onClick={fetchOrders}
-                          disabled={loading}
-                          title="Refresh"
-                        >
-                          <i className="mdi mdi-refresh"></i>
-                        </Button>
+                        <Form.Control
+                          type="number"
+                          id="min-amount"
+                          name="min_amount"
+                          placeholder="Min"
+                          min="0"
+                          value={draftFilters.min_amount}
+                          onChange={handleFilterChange}
+                          style={{ width: '100px' }}
+                        />
+                        <span className="mx-1">-</span>
+                        <Form.Control
+                          type="number"
+                          name="max_amount"
+                          placeholder="Max"
+                          min={draftFilters.min_amount || "0"}
+                          value={draftFilters.max_amount}
+                          onChange={handleFilterChange}
+                          style={{ width: '100px' }}
+                        />
                       </div>
                     </div>
+
+                    <div className="col-auto">
+                      <Button type="submit" variant="primary" className="me-1" disabled={loading}>
+                        <i className="mdi mdi-filter-variant me-1"></i> Apply
+                      </Button>
+                      <Button variant="light" onClick={clearFilters} disabled={loading || !hasFilters}>
+                        Clear
+                      </Button>
+                    </div>
                   </form>
                 </Col>
 
-                <Col lg={4}>
-                  <div className="text-lg-end mt-xl-0 mt-2">
+                <Col xl={2}>
+                  <div className="text-xl-end mt-xl-0 mt-2">
+                    {can(PERMISSIONS.ORDERS_CREATE) && (
+                      <Link to="/apps/ecommerce/orders/create" className="btn btn-danger me-1">
+                        <i className="mdi mdi-plus-circle me-1"></i> Create Order
+                      </Link>
+                    )}
                     <Button 
-                      className="btn btn-light mb-2" 
+                      className="btn btn-light" 
                       onClick={handleExport}
-                      disabled={loading || filteredOrders.length === 0}
+                      disabled={loading || exporting || totalOrders === 0}
                     >
                       <i className="mdi mdi-download me-1"></i>
-                      {loading ? 'Loading...' : 'Export'}
+                      {exporting ? 'Exporting...' : 'Export'}
                     </Button>
                   </div>
                 </Col>
               </Row>
 
-              {loading ? (
-                <div className="text-center py-5">
-                  <div className="spinner-border text-primary" role="status">
+              <div className="d-flex align-items-center my-3">
+                <span className="me-2">Showing:</span>
+                <Badge bg="primary" className="me-2">
+                  {totalOrders} orders
+                </Badge>
+                <Button 
+                  variant="link" 
+                  className="p-0"
+                  onClick={fetchOrders}
+                  disabled={loading}
+                  title="Refresh"
+                >
+                  <i className="mdi mdi-refresh"></i>
+                </Button>
+                {loading && (
+                  <span className="spinner-border spinner-border-sm text-primary ms-2" role="status">
                     <span className="visually-hidden">Loading...</span>
-                  </div>
-                  <p className="mt-2">Loading orders...</p>
-                </div>
-              ) : error ? (
+                  </span>
+                )}
+              </div>
+
+              {error ? (
                 <div className="alert alert-danger" role="alert">
                   <i className="mdi mdi-alert-circle me-2"></i>
                   {error}
@@ -496,41 +569,49 @@ const Orders = () => {
                     Retry
                   </Button>
                 </div>
-              ) : filteredOrders.length === 0 ? (
-                <div className="text-center py-5">
-                  <i className="mdi mdi-cart-off display-4 text-muted"></i>
-                  <h4 className="mt-3">No orders found</h4>
-                  <p className="text-muted">
-                    {statusFilter !== "All" 
-                      ? `No orders with status "${statusFilter}"`
-                      : "No orders available"}
-                  </p>
-                </div>
               ) : (
-                <TableComponent 
-                  columns={columns.map(col => 
-                    col.accessor === 'actions' 
-                      ? { 
-                          ...col, 
-                          id: 'actions',
-                          Cell: (props) => <ActionColumn {...props} onEdit={handleEditOrder} /> 
-                        }
-                      : { ...col, id: col.accessor }
-                  )} 
-                  data={filteredOrders.map(order => ({ ...order, id: order.order_id }))}
-                  isSearchable={true} 
-                  pageSize={10} 
-                  sizePerPageList={[
-                    { text: "10", value: 10 },
-                    { text: "20", value: 20 },
-                    { text: "50", value: 50 }
-                  ]} 
-                  isSortable={true} 
-                  pagination={true} 
-                  isSelectable={true} 
-                  theadClass="table-light" 
-                  searchBoxClass="mb-2" 
-                />
+                <>
+                  <OrderBulkActions selectedOrders={selectedOrders} onComplete={fetchOrders} />
+                  {/* Remounted when the filters change so it starts from the first page */}
+                  <TableComponent 
+                    key={toSearchString(filters)}
+                    columns={columns.map(col => 
+                      col.accessor === 'actions' 
+                        ? { 
+                            ...col, 
+                            id: 'actions',
+                            Cell: (props) => <ActionColumn {...props} onEdit={handleEditOrder} /> 
+                          }
+                        : { ...col, id: col.accessor }
+                    )} 
+                    data={orderList.map(order => ({ ...order, id: order.order_id }))}
+                    manual={true}
+                    initialState={tableState}
+                    pageCount={Math.max(1, Math.ceil(totalOrders / tableState.pageSize))}
+                    totalCount={totalOrders}
+                    onFetchData={handleTableChange}
+                    isSearchable={true} 
+                    pageSize={tableState.pageSize} 
+                    sizePerPageList={PAGE_SIZES.map(size => ({ text: `${size}`, value: size }))} 
+                    isSortable={true} 
+                    pagination={true} 
+                    isSelectable={true} 
+                    onSelectedRowsChange={setSelectedOrders}
+                    theadClass="table-light" 
+                    searchBoxClass="mb-2" 
+                  />
+                  {!loading && orderList.length === 0 && (
+                    <div className="text-center py-5">
+                      <i className="mdi mdi-cart-off display-4 text-muted"></i>
+                      <h4 className="mt-3">No orders found</h4>
+                      <p className="text-muted">
+                        {hasFilters 
+                          ? "No orders match the current filters"
+                          : "No orders available"}
+                      </p>
+                    </div>
+                  )}
+                </>
               )}
             </Card.Body>
           </Card>
@@ -538,119 +619,12 @@ const Orders = () => {
       </Row>
 
       {/* Edit Order Modal */}
-      <Modal show={showEditModal} onHide={handleCloseEditModal} centered>
-        <Modal.Header closeButton className="bg-light">
-          <Modal.Title>
-            <i className="mdi mdi-pencil me-2"></i>
-            Edit Order #{selectedOrder?.order_id}
-          </Modal.Title>
-        </Modal.Header>
-        <Modal.Body>
-          {editError && (
-            <Alert variant="danger" onClose={() => setEditError(null)} dismissible className="mb-3">
-              <i className="mdi mdi-alert-circle me-2"></i>
-              {editError}
-            </Alert>
-          )}
-          
-          {editSuccess && (
-            <Alert variant="success" className="mb-3">
-              <i className="mdi mdi-check-circle me-2"></i>
-              {editSuccess}
-            </Alert>
-          )}
-
-          {selectedOrder && (
-            <Form>
-              <div className="mb-3">
-                <Form.Label>Customer Email</Form.Label>
-                <Form.Control
-                  type="text"
-                  value={selectedOrder.user_email}
-                  readOnly
-                  disabled
-                />
-              </div>
-
-              <div className="mb-3">
-                <Form.Label>Order Date</Form.Label>
-                <Form.Control
-                  type="text"
-                  value={new Date(selectedOrder.order_date).toLocaleString('en-IN')}
-                  readOnly
-                  disabled
-                />
-              </div>
-
-              <div className="mb-3">
-                <Form.Label>Order Source</Form.Label>
-                <Form.Control
-                  type="text"
-                  value={selectedOrder.order_source}
-                  readOnly
-                  disabled
-                />
-              </div>
-
-              <div className="mb-3">
-                <Form.Label>Total Amount</Form.Label>
-                <Form.Control
-                  type="text"
-                  value={`₹${parseFloat(selectedOrder.total_amount || 0).toFixed(2)}`}
-                  readOnly
-                  disabled
-                />
-              </div>
-
-              <div className="mb-3">
-                <Form.Label>Update Status *</Form.Label>
-                <Form.Select
-                  name="status"
-                  value={editFormData.status}
-                  onChange={handleEditFormChange}
-                  disabled={editingOrder}
-                >
-                  <option value="Pending">Pending</option>
-                  <option value="Processing">Processing</option>
-                  <option value="Shipped">Shipped</option>
-                  <option value="Completed">Completed</option>
-                  <option value="Cancelled">Cancelled</option>
-                </Form.Select>
-                <Form.Text className="text-muted">
-                  Current status: <Badge bg={
-                    selectedOrder.status === 'Completed' ? 'success' :
-                    selectedOrder.status === 'Processing' ? 'warning' :
-                    selectedOrder.status === 'Shipped' ? 'info' :
-                    selectedOrder.status === 'Cancelled' ? 'danger' : 'secondary'
-                  }>{selectedOrder.status}</Badge>
-                </Form.Text>
-              </div>
-            </Form>
-          )}
-        </Modal.Body>
-        <Modal.Footer>
-          <Button variant="light" onClick={handleCloseEditModal} disabled={editingOrder}>
-            Cancel
-          </Button>
-          <Button 
-            variant="primary" 
-            onClick={handleUpdateOrder}
-            disabled={editingOrder || !editFormData.status}
-          >
-            {editingOrder ? (
-              <>
-                <span className="spinner-border spinner-border-sm me-2" role="status"></span>
-                Updating...
-              </>
-            ) : (
-              <>
-                <i className="mdi mdi-content-save me-1"></i>
-                Update Order
-              </>
-            )}
-          </Button>
-        </Modal.Footer>
-      </Modal>
+      <OrderStatusModal
+        show={showEditModal}
+        order={selectedOrder}
+        onHide={handleCloseEditModal}
+        onUpdated={handleOrderUpdated}
+      />
     </>
   );
 };
@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from "react";
+import { Row, Col, Modal, Button, Form, Alert, Badge, ProgressBar, Table, InputGroup } from "react-bootstrap";
+
+import { productsApi } from "@/api";
+import { PRICE_CHANGE, PRICE_CHANGE_LABELS } from "@/constants/productBulkEdit";
+import { PRODUCT_STATUS } from "@/constants/productStatus";
+import { getProductStatus, getProductStatusLabel } from "@/helpers/productStatus";
+import { getBulkEditChanges } from "@/helpers/productBulkEdit";
+
+const NO_EDIT = { priceMode: PRICE_CHANGE.KEEP, priceValue: '', categoryId: '', status: '' };
+
+// Scheduling needs a publish time per product, so it is left to ProductEdit
+const BULK_STATUSES = [PRODUCT_STATUS.DRAFT, PRODUCT_STATUS.PUBLISHED, PRODUCT_STATUS.ARCHIVED];
+
+const formatPrice = (value) => `₹${(Number(value) || 0).toFixed(2)}`;
+
+/** Old and new value of one field in the preview, or the current value when unchanged */
+const DiffCell = ({ from, to, changed }) => (
+    <td className={changed ? 'table-warning' : 'text-muted'}>
+        {changed ? (
+            <>
+                <del className="text-muted me-1">{from}</del>
+                <i className="mdi mdi-arrow-right me-1"></i>
+                <strong>{to}</strong>
+            </>
+        ) : from}
+    </td>
+);
+
+/**
+ * Changes price, category and status of several products at once. The user
+ * fills in the changes, checks a preview of old against new values, then the
+ * products are saved one at a time and any failures are listed.
+ *
+ * @param {object} props
+ * @param {boolean} props.show
+ * @param {object[]} props.products - the selected products
+ * @param {{ id: number, name: string }[]} props.categories
+ * @param {boolean} props.canArchive - offer the archived status
+ * @param {(productId: number, changes: object) => void} props.onProductUpdated - called as each product is saved
+ * @param {() => void} props.onHide
+ */
+const ProductBulkEditModal = ({ show, products, categories, canArchive, onProductUpdated, onHide }) => {
+    // 'form' | 'preview' | 'results'
+    const [step, setStep] = useState('form');
+    const [edit, setEdit] = useState(NO_EDIT);
+    const [formError, setFormError] = useState(null);
+    const [run, setRun] = useState(null);
+
+    useEffect(() => {
+        if (show) {
+            setStep('form');
+            setEdit(NO_EDIT);
+            setFormError(null);
+            setRun(null);
+        }
+    }, [show]);
+
+    const categoryNames = Object.fromEntries(categories.map(category => [String(category.id), category.name]));
+    const parsedEdit = { ...edit, priceValue: Number(edit.priceValue) };
+    const preview = step === 'form' ? [] : products.map(product => ({ product, changes: getBulkEditChanges(product, parsedEdit) }));
+    const changedCount = preview.filter(item => Object.keys(item.changes).length > 0).length;
+
+    const updateEdit = (name, value) => setEdit(prev => ({ ...prev, [name]: value }));
+
+    const handlePreview = (e) => {
+        e.preventDefault();
+        if (edit.priceMode === PRICE_CHANGE.KEEP && edit.categoryId === '' && edit.status === '') {
+            setFormError('Choose at least one change to make.');
+            return;
+        }
+        if (edit.priceMode !== PRICE_CHANGE.KEEP) {
+            const value = Number(edit.priceValue);
+            if (edit.priceValue === '' || !Number.isFinite(value)) {
+                setFormError('Enter the price or the amount to adjust it by.');
+                return;
+            }
+            if (edit.priceMode === PRICE_CHANGE.SET && value < 0) {
+                setFormError('The new price cannot be negative.');
+                return;
+            }
+            if (edit.priceMode === PRICE_CHANGE.ADJUST_PERCENT && value <= -100) {
+                setFormError('A price cannot be reduced by 100% or more.');
+                return;
+            }
+        }
+        setFormError(null);
+        setStep('preview');
+    };
+
+    // One product at a time, so a large selection does not flood the backend
+    const handleApply = async () => {
+        const pending = preview.filter(item => Object.keys(item.changes).length > 0);
+        const results = [];
+        setStep('results');
+        setRun({ total: pending.length, results, running: true });
+        for (const { product, changes } of pending) {
+            const { status, ...fields } = changes;
+            try {
+                if (Object.keys(fields).length > 0) {
+                    await productsApi.updateFields(product.product_id, fields);
+                    onProductUpdated(product.product_id, fields);
+                }
+                if (status) {
+                    await productsApi.updateStatus(product.product_id, status);
+                    onProductUpdated(product.product_id, { status, publish_at: null });
+                }
+                results.push({ product, failed: false });
+            } catch (err) {
+                results.push({ product, failed: true, message: err.message });
+            }
+            setRun(prev => ({ ...prev, results: [...results] }));
+        }
+        setRun(prev => ({ ...prev, running: false }));
+    };
+
+    const failures = run ? run.results.filter(result => result.failed) : [];
+    const succeeded = run ? run.results.length - failures.length : 0;
+
+    return (
+        <Modal show={show} onHide={() => !run?.running && onHide()} centered size={step === 'form' ? undefined : 'lg'} backdrop="static">
+            <Modal.Header closeButton={!run?.running} className="bg-light">
+                <Modal.Title>Bulk Edit {products.length} Products</Modal.Title>
+            </Modal.Header>
+
+            {step === 'form' && (
+                <Form onSubmit={handlePreview}>
+                    <Modal.Body>
+                        {formError && <Alert variant="danger">{formError}</Alert>}
+                        <Form.Group className="mb-3">
+                            <Form.Label>Price</Form.Label>
+                            <Row className="g-2">
+                                <Col sm={7}>
+                                    <Form.Select value={edit.priceMode} onChange={(e) => updateEdit('priceMode', e.target.value)}>
+                                        {Object.values(PRICE_CHANGE).map(mode => (
+                                            <option key={mode} value={mode}>{PRICE_CHANGE_LABELS[mode]}</option>
+                                        ))}
+                                    </Form.Select>
+                                </Col>
+                                <Col sm={5}>
+                                    <InputGroup>
+                                        {edit.priceMode !== PRICE_CHANGE.ADJUST_PERCENT && <InputGroup.Text>₹</InputGroup.Text>}
+                                        <Form.Control
+                                            type="number"
+                                            step="0.01"
+                                            value={edit.priceValue}
+                                            onChange={(e) => updateEdit('priceValue', e.target.value)}
+                                            disabled={edit.priceMode === PRICE_CHANGE.KEEP}
+                                        />
+                                        {edit.priceMode === PRICE_CHANGE.ADJUST_PERCENT && <InputGroup.Text>%</InputGroup.Text>}
+                                    </InputGroup>
+                                </Col>
+                            </Row>
+                            {(edit.priceMode === PRICE_CHANGE.ADJUST_AMOUNT || edit.priceMode === PRICE_CHANGE.ADJUST_PERCENT) && (
+                                <Form.Text className="text-muted">Use a negative number to lower prices.</Form.Text>
+                            )}
+                        </Form.Group>
+                        <Form.Group className="mb-3">
+                            <Form.Label>Category</Form.Label>
+                            <Form.Select value={edit.categoryId} onChange={(e) => updateEdit('categoryId', e.target.value)}>
+                                <option value="">Keep current category</option>
+                                {categories.map(category => (
+                                    <option key={category.id} value={String(category.id)}>{category.name}</option>
+                                ))}
+                            </Form.Select>
+                        </Form.Group>
+                        <Form.Group className="mb-0">
+                            <Form.Label>Status</Form.Label>
+                            <Form.Select value={edit.status} onChange={(e) => updateEdit('status', e.target.value)}>
+                                <option value="">Keep current status</option>
+                                {BULK_STATUSES.filter(status => canArchive || status !== PRODUCT_STATUS.ARCHIVED).map(status => (
+                                    <option key={status} value={status}>{getProductStatusLabel(status)}</option>
+                                ))}
+                            </Form.Select>
+                        </Form.Group>
+                    </Modal.Body>
+                    <Modal.Footer>
+                        <Button variant="light" onClick={onHide}>Cancel</Button>
+                        <Button type="submit" variant="primary">
+                            Preview Changes <i className="mdi mdi-arrow-right ms-1"></i>
+                        </Button>
+                    </Modal.Footer>
+                </Form>
+            )}
+
+            {step === 'preview' && (
+                <>
+                    <Modal.Body>
+                        <p>
+                            {changedCount} of {products.length} products will change.
+                            {changedCount < products.length && ' Products that already match are left alone.'}
+                        </p>
+                        <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+                            <Table size="sm" className="mb-0">
+                                <thead className="table-light">
+                                    <tr>
+                                        <th>Product</th>
+                                        <th>Price</th>
+                                        <th>Category</th>
+                                        <th>Status</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {preview.map(({ product, changes }) => {
+                                        const categoryId = String(product.category_id ?? '');
+                                        const status = getProductStatus(product);
+                                        return (
+                                            <tr key={product.product_id}>
+                                                <td>{product.name}</td>
+                                                <DiffCell
+                                                    from={formatPrice(product.price)}
+                                                    to={formatPrice(changes.price)}
+                                                    changed={'price' in changes}
+                                                />
+                                                <DiffCell
+                                                    from={categoryNames[categoryId] || product.category_name || '—'}
+                                                    to={categoryNames[changes.category_id]}
+                                                    changed={'category_id' in changes}
+                                                />
+                                                <DiffCell
+                                                    from={getProductStatusLabel(status)}
+                                                    to={getProductStatusLabel(changes.status)}
+                                                    changed={'status' in changes}
+                                                />
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </Table>
+                        </div>
+                    </Modal.Body>
+                    <Modal.Footer>
+                        <Button variant="light" onClick={() => setStep('form')}>
+                            <i className="mdi mdi-arrow-left me-1"></i> Back
+                        </Button>
+                        <Button variant="primary" onClick={handleApply} disabled={changedCount === 0}>
+                            Apply to {changedCount} Products
+                        </Button>
+                    </Modal.Footer>
+                </>
+            )}
+
+            {step === 'results' && run && (
+                <>
+                    <Modal.Body>
+                        <ProgressBar className="mb-3" style={{ height: '8px' }}>
+                            <ProgressBar variant="success" now={(succeeded / Math.max(run.total, 1)) * 100} />
+                            <ProgressBar variant="danger" now={(failures.length / Math.max(run.total, 1)) * 100} />
+                        </ProgressBar>
+                        <p className="mb-3">
+                            {run.running ? `Saving ${run.results.length} of ${run.total}...` : `Finished ${run.total} products: `}
+                            {!run.running && (
+                                <>
+                                    <Badge bg="success" className="me-1">{succeeded} updated</Badge>
+                                    <Badge bg="danger">{failures.length} failed</Badge>
+                                </>
+                            )}
+                        </p>
+                        {failures.length > 0 && (
+                            <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+                                <Table size="sm" className="mb-0">
+                                    <thead className="table-light">
+                                        <tr>
+                                            <th>Product</th>
+                                            <th>Error</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {failures.map(result => (
+                                            <tr key={result.product.product_id}>
+                                                <td>{result.product.name}</td>
+                                                <td className="text-danger">{result.message || 'Failed to save'}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </Table>
+                            </div>
+                        )}
+                    </Modal.Body>
+                    <Modal.Footer>
+                        <Button variant="primary" onClick={onHide} disabled={run.running}>
+                            Close
+                        </Button>
+                    </Modal.Footer>
+                </>
+            )}
+        </Modal>
+    );
+};
+
+export default ProductBulkEditModal;
@@ -1,9 +1,15 @@
 import React, { useState, useEffect } from "react";
 import { Link, useParams } from "react-router-dom";
-import { Row, Col, Card, ProgressBar, Tab, Badge, Button, Alert } from "react-bootstrap";
+import { Row, Col, Card, ProgressBar, Tab, Nav, Badge, Button, Alert } from "react-bootstrap";
+import { productsApi } from "@/api";
+import { getProductImages, getPrimaryImage, getVariationImage } from "@/helpers/productImages";
+import { sanitizeHtml, toRichText } from "@/helpers/richText";
+import { PRODUCT_STATUS } from "@/constants/productStatus";
+import { getProductStatus, getProductStatusLabel, getProductStatusVariant, formatPublishAt } from "@/helpers/productStatus";
+import GlightBox from "../../../components/GlightBox";
 
 // Stock Table Component
-const Stocks = ({ product }) => {
+const Stocks = ({ product, images }) => {
   if (!product || !product.variations || product.variations.length === 0) {
     return (
       <Alert variant="info" className="mt-4">
@@ -31,10 +37,19 @@ const Stocks = ({ product }) => {
               variation.stock_quantity !== undefined
                 ? variation.stock_quantity
                 : product.base_stock ?? 0;
+            const variationImage = getVariationImage(images, variation.sku);
 
             return (
               <tr key={index}>
                 <td>
+                  {variationImage && (
+                    <img
+                      src={variationImage.url}
+                      alt={variationImage.alt_text}
+                      className="rounded me-2"
+                      height="32"
+                    />
+                  )}
                   {variation.name}
                   {variation.color && ` - ${variation.color}`}
                   {variation.size && ` - ${variation.size}`}
@@ -126,23 +141,14 @@ const ProductDetails = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  const API_BASE_URL = "https://ecomm.braventra.in/api/products";
-
   useEffect(() => {
     const fetchProduct = async () => {
       try {
         setLoading(true);
-        const response = await fetch(`${API_BASE_URL}/${productId}`);
-
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-
-        const data = await response.json();
-        console.log("API Response:", data);
+        const data = await productsApi.get(productId);
 
-        if (data && data.data) {
-          setProduct(data.data); // ✅ use "data.data" (your API wraps product inside "data")
+        if (data) {
+          setProduct(data);
         } else {
           throw new Error("Product not found or invalid data format.");
         }
@@ -217,6 +223,10 @@ const ProductDetails = () => {
       )) ||
     product.base_stock > 0;
 
+  const status = getProductStatus(product);
+  const images = getProductImages(product);
+  const primaryImage = getPrimaryImage(images);
+
   return (
     <>
       <Row>
@@ -225,30 +235,52 @@ const ProductDetails = () => {
             <Card.Body>
               <Row>
                 <Col lg={5}>
-                  <Tab.Container id="product-images" defaultActiveKey="main-image">
-                    <Tab.Content className="p-0">
-                      <Tab.Pane eventKey="main-image">
-                        <ProductImage
-                          // ✅ Remove "/public", Express already serves "public"
-                          src={
-                            product.image_url
-                              ? `https://ecomm.braventra.in${product.image_url.replace(
-                                  "/public",
-                                  ""
-                                )}`
-                              : null
-                          }
-                          alt={product.name}
-                          className="img-fluid mx-auto d-block rounded"
-                          style={{
-                            maxHeight: "400px",
-                            objectFit: "contain",
-                            width: "100%",
-                          }}
-                        />
-                      </Tab.Pane>
-                    </Tab.Content>
-                  </Tab.Container>
+                  {images.length === 0 ? (
+                    <ProductImage
+                      src={null}
+                      alt={product.name}
+                      className="img-fluid mx-auto d-block rounded"
+                      style={{ height: "400px", width: "100%" }}
+                    />
+                  ) : (
+                    <Tab.Container id="product-images" defaultActiveKey={`image-${images.indexOf(primaryImage)}`}>
+                      <Tab.Content className="p-0">
+                        {images.map((image, index) => (
+                          <Tab.Pane key={index} eventKey={`image-${index}`}>
+                            <GlightBox href={image.url} data-gallery="product" data-title={image.alt_text}>
+                              <ProductImage
+                                src={image.url}
+                                alt={image.alt_text || product.name}
+                                className="img-fluid mx-auto d-block rounded"
+                                style={{
+                                  maxHeight: "400px",
+                                  objectFit: "contain",
+                                  width: "100%",
+                                }}
+                              />
+                            </GlightBox>
+                          </Tab.Pane>
+                        ))}
+                      </Tab.Content>
+
+                      {images.length > 1 && (
+                        <Nav variant="pills" className="nav-justified mt-2">
+                          {images.map((image, index) => (
+                            <Nav.Item key={index}>
+                              <Nav.Link eventKey={`image-${index}`} className="product-thumb p-1 cursor-pointer">
+                                <img
+                                  src={image.url}
+                                  alt={image.alt_text || product.name}
+                                  className="img-fluid mx-auto d-block rounded"
+                                  style={{ height: "64px", objectFit: "cover" }}
+                                />
+                              </Nav.Link>
+                            </Nav.Item>
+                          ))}
+                        </Nav>
+                      )}
+                    </Tab.Container>
+                  )}
                 </Col>
 
                 <Col lg={7}>
@@ -268,23 +300,31 @@ const ProductDetails = () => {
                       >
                         {hasStock ? "In Stock" : "Out of Stock"}
                       </span>
+                      <Badge bg={getProductStatusVariant(status)} className="ms-2 mb-4">
+                        {getProductStatusLabel(status)}
+                        {status === PRODUCT_STATUS.SCHEDULED && ` · ${formatPublishAt(product.publish_at)}`}
+                      </Badge>
                     </h4>
 
                     {product.description && (
                       <p className="text-muted mb-4">{product.description}</p>
                     )}
 
+                    {/* Rendered as the storefront renders it: sanitized HTML */}
                     {product.long_description && (
-                      <p className="text-muted mb-4">
-                        {product.long_description}
-                      </p>
+                      <div
+                        className="text-muted mb-4"
+                        dangerouslySetInnerHTML={{
+                          __html: sanitizeHtml(toRichText(product.long_description)),
+                        }}
+                      />
                     )}
                   </div>
                 </Col>
               </Row>
 
               {product.variations && product.variations.length > 0 && (
-                <Stocks product={product} />
+                <Stocks product={product} images={images} />
               )}
             </Card.Body>
           </Card>
@@ -1,9 +1,22 @@
-import React, { useState, useEffect } from "react";
-import { useParams, useNavigate } from "react-router-dom"; 
-import { Row, Col, Card, Form, Button, Alert, Table } from "react-bootstrap";
-import { useForm, useFieldArray } from "react-hook-form";
+import React, { useState, useEffect, useMemo } from "react";
+import { useParams, useNavigate, useSearchParams } from "react-router-dom"; 
+import { Row, Col, Card, Form, Button, Alert, Table, Badge } from "react-bootstrap";
+import { useForm, useFieldArray, Controller } from "react-hook-form";
 import * as yup from "yup";
 import { yupResolver } from "@hookform/resolvers/yup";
+import { productsApi, productTemplatesApi, variationsApi } from "@/api";
+import { GST_RATES, DEFAULT_GST_RATE } from "@/constants/gst";
+import { PRODUCT_STATUS } from "@/constants/productStatus";
+import { DUPLICATE_SKU_SUFFIX } from "@/constants/productTemplates";
+import { getProductImages } from "@/helpers/productImages";
+import { isRichTextEmpty, sanitizeHtml, toRichText } from "@/helpers/richText";
+import { getSeoSchema, getSeoDefaults, getSeoPayload } from "@/helpers/seo";
+import { getProductStatus, getProductStatusLabel, toDateTimeLocal, fromDateTimeLocal } from "@/helpers/productStatus";
+import { getDuplicateValues, expandVariationMatrix, getMatrixFromVariations } from "@/helpers/productTemplates";
+import ProductImageGallery from "./ProductImageGallery";
+import RichTextEditor from "./RichTextEditor";
+import SeoFields from "./SeoFields";
+import ProductTemplateModal from "./ProductTemplateModal";
 
 // ====================================================================
 // FormInput Helper Component
@@ -35,29 +48,47 @@ const FormInput = ({ name, label, type, placeholder, containerClass, register, e
 const ProductEdit = () => {
     const { productId } = useParams();
     const navigate = useNavigate(); 
+    // Products > Duplicate opens a new product prefilled from ?duplicate=<id>
+    const [searchParams, setSearchParams] = useSearchParams();
+    const duplicateId = productId ? null : searchParams.get('duplicate');
 
     const [categories, setCategories] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
-    const [isProductLoading, setIsProductLoading] = useState(!!productId);
+    const [isProductLoading, setIsProductLoading] = useState(!!productId || !!duplicateId);
     const [productData, setProductData] = useState(null);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [submitStatus, setSubmitStatus] = useState({ message: '', variant: '' });
     const [error, setError] = useState(null);
-    const [previewImage, setPreviewImage] = useState(null);
+    const [galleryImages, setGalleryImages] = useState([]);
+    const [removedImageIds, setRemovedImageIds] = useState([]);
+    const [galleryError, setGalleryError] = useState(null);
+    const [templates, setTemplates] = useState([]);
+    const [templateId, setTemplateId] = useState('');
+    // Template being saved or edited; the modal is open while set
+    const [editingTemplate, setEditingTemplate] = useState(null);
 
-    const API_BASE_URL = "https://ecomm.braventra.in/api";
     const isEditing = !!productId;
 
+    // The product being edited may keep its own slug
+    const isSlugAvailable = (slug) => productsApi.isSlugAvailable(slug, productId);
+    const seoSchema = useMemo(() => getSeoSchema(isSlugAvailable), [productId]);
+
     // Form validation schema
     const schemaResolver = yupResolver(yup.object().shape({
         name: yup.string().required("Please enter the product name"),
         description: yup.string().required("Please enter a short description"),
-        long_description: yup.string().required("Please enter a product description"),
+        long_description: yup.string().test('notEmpty', "Please enter a product description", (value) => !isRichTextEmpty(value)),
         price: yup.number().required("Please enter the price").typeError("Price must be a number").min(0.01, "Price must be greater than 0"),
         stock_quantity: yup.number().required("Please enter the stock quantity").typeError("Stock must be a number").integer("Stock must be an integer").min(0, "Stock must be non-negative"),
         category_id: yup.string().required("Please select a category"),
-        image: yup.mixed().test('fileRequired', 'Product image is required for new products.', function(value) {
-            return isEditing || (value && value.length > 0);
+        hsn_code: yup.string().matches(/^(\d{4}|\d{6}|\d{8})$/, { message: "HSN/SAC code must be 4, 6 or 8 digits", excludeEmptyString: true }),
+        gst_rate: yup.number().oneOf(GST_RATES, "Please select a GST rate"),
+        status: yup.string().oneOf(Object.values(PRODUCT_STATUS)),
+        publish_at: yup.string().when('status', {
+            is: PRODUCT_STATUS.SCHEDULED,
+            then: (schema) => schema
+                .required("Please choose when to publish")
+                .test('future', "Publish time must be in the future", (value) => !value || new Date(value) > new Date()),
         }),
         variations: yup.array().of(
             yup.object().shape({
@@ -67,12 +98,16 @@ const ProductEdit = () => {
                 color: yup.string(),
             })
         ),
+        ...seoSchema,
     }));
 
     const {
         handleSubmit,
         register,
         control,
+        watch,
+        setValue,
+        getValues,
         formState: { errors },
         reset
     } = useForm({
@@ -84,11 +119,19 @@ const ProductEdit = () => {
             long_description: '',
             price: 0,
             stock_quantity: 0,
-            category_id: ''
+            category_id: '',
+            hsn_code: '',
+            gst_rate: DEFAULT_GST_RATE,
+            // New products stay off the storefront until they are published
+            status: PRODUCT_STATUS.DRAFT,
+            publish_at: '',
+            ...getSeoDefaults(null)
         },
     });
 
-    const { fields, append, remove } = useFieldArray({
+    const status = watch('status');
+
+    const { fields, append, remove, replace } = useFieldArray({
         control,
         name: "variations",
     });
@@ -97,19 +140,9 @@ const ProductEdit = () => {
     useEffect(() => {
         const fetchCategories = async () => {
             try {
-                // Fetch from the general product/category endpoint
-                const response = await fetch(`${API_BASE_URL}/products`); 
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-                const data = await response.json();
-                
-                if (data.data && data.data.categories) {
-                    setCategories(data.data.categories);
-                } else {
-                    throw new Error("Invalid category data format.");
-                }
-                
+                // Categories come bundled with the general product listing
+                const { categories } = await productsApi.list();
+                setCategories(categories);
                 setIsLoading(false);
             } catch (err) {
                 setError("Failed to fetch categories. Please try again later.");
@@ -118,7 +151,13 @@ const ProductEdit = () => {
             }
         };
         fetchCategories();
-    }, [API_BASE_URL]);
+    }, []);
+
+    useEffect(() => {
+        productTemplatesApi.list()
+            .then(setTemplates)
+            .catch((err) => console.error("Error fetching product templates:", err));
+    }, []);
 
 
     // 2. Fetch Existing Product Data for Editing
@@ -126,26 +165,24 @@ const ProductEdit = () => {
         if (isEditing) {
             const fetchProductData = async () => {
                 try {
-                    const response = await fetch(`${API_BASE_URL}/products/${productId}`);
-                    
-                    if (!response.ok) {
-                        const errorBody = await response.text();
-                        throw new Error(`HTTP error ${response.status}: Failed to fetch product data. Server said: ${errorBody.slice(0, 100)}...`);
-                    }
-                    const data = await response.json();
+                    const product = await productsApi.get(productId);
 
-                    if (data && data.data && typeof data.data === 'object') {
-                        const product = data.data; 
+                    if (product && typeof product === 'object') {
 
                         // Mapping API keys ('base_price', 'base_stock') to form field names ('price', 'stock_quantity')
                         reset({
                             name: product.name || '',
                             description: product.description || '',
-                            long_description: product.long_description || '',
+                            long_description: toRichText(product.long_description),
                             price: parseFloat(product.base_price) || 0, 
                             stock_quantity: product.base_stock || 0,     
                             category_id: product.category_id ? String(product.category_id) : '',
-                            variations: product.variations.map(v => ({
+                            hsn_code: product.hsn_code || '',
+                            gst_rate: product.gst_rate ?? DEFAULT_GST_RATE,
+                            status: getProductStatus(product),
+                            publish_at: toDateTimeLocal(product.publish_at),
+                            ...getSeoDefaults(product),
+                            variations: (product.variations || []).map(v => ({
                                 name: v.name,
                                 sku: v.sku,
                                 size: v.size,
@@ -153,10 +190,17 @@ const ProductEdit = () => {
                             })) || [],
                         });
 
-                        // For image preview
-                        if (product.image_url) {
-                            setPreviewImage(`https://ecomm.braventra.in${product.image_url}`);
-                        }
+                        setGalleryImages(getProductImages(product).map((image) => ({
+                            id: `image-${image.id ?? 'legacy'}`,
+                            image_id: image.id,
+                            url: image.url,
+                            alt_text: image.alt_text,
+                            is_primary: image.is_primary,
+                            variation_sku: image.variation_sku,
+                            // Saved before galleries existed; re-uploaded into the gallery on save
+                            legacy: image.id === null,
+                        })));
+                        setRemovedImageIds([]);
                         setProductData(product); 
                     } else {
                         throw new Error("Invalid product data format received.");
@@ -170,23 +214,162 @@ const ProductEdit = () => {
                 }
             };
             fetchProductData();
+        } else if (duplicateId) {
+            const fetchDuplicateSource = async () => {
+                try {
+                    const [product, variantSkus] = await Promise.all([
+                        productsApi.get(duplicateId),
+                        // Attribute variants are optional; copy the product without them if they fail to load
+                        variationsApi.listByProduct(duplicateId).catch((err) => {
+                            console.error("Error fetching variants to copy:", err);
+                            return [];
+                        }),
+                    ]);
+                    if (!product || typeof product !== 'object') {
+                        throw new Error("Invalid product data format received.");
+                    }
+                    const { values, images } = getDuplicateValues(product, variantSkus);
+                    reset(values);
+                    setGalleryImages(images);
+                    setRemovedImageIds([]);
+                    setSubmitStatus({
+                        message: `Copied from "${product.name}". Review the SKUs, which end in ${DUPLICATE_SKU_SUFFIX}, before saving.`,
+                        variant: 'info',
+                    });
+                } catch (err) {
+                    console.error("Error fetching product to duplicate:", err);
+                    setError(`Failed to load the product to duplicate: ${err.message}`);
+                } finally {
+                    setIsProductLoading(false);
+                }
+            };
+            fetchDuplicateSource();
         } else {
             setIsProductLoading(false);
         }
-    }, [isEditing, productId, API_BASE_URL, reset]);
+    }, [isEditing, productId, duplicateId, reset]);
 
+    const applyTemplate = () => {
+        const template = templates.find((item) => String(item.id) === templateId);
+        if (!template) return;
+        const current = getValues();
+        if ((current.variations.length > 0 || !isRichTextEmpty(current.long_description))
+            && !window.confirm(`Replace the description and variations with those of "${template.name}"?`)) {
+            return;
+        }
+        if (template.category_id) {
+            setValue('category_id', String(template.category_id), { shouldDirty: true });
+        }
+        setValue('long_description', template.description_skeleton || '', { shouldDirty: true });
+        replace(expandVariationMatrix(template.variation_matrix || [], template.sku_prefix));
+    };
 
-    const handleImageChange = (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            setPreviewImage(URL.createObjectURL(file));
-        } else if (productData && productData.image_url) {
-            setPreviewImage(`https://ecomm.braventra.in${productData.image_url}`);
-        } else {
-            setPreviewImage(null);
+    const openTemplateFromForm = () => {
+        const values = getValues();
+        setEditingTemplate({
+            name: '',
+            category_id: values.category_id,
+            description_skeleton: values.long_description,
+            sku_prefix: '',
+            variation_matrix: getMatrixFromVariations(values.variations),
+        });
+    };
+
+    const handleTemplateSaved = (template) => {
+        setTemplates((prev) => [...prev.filter((item) => item.id !== template.id), template]);
+        setTemplateId(String(template.id));
+        setEditingTemplate(null);
+    };
+
+    const deleteTemplate = async () => {
+        const template = templates.find((item) => String(item.id) === templateId);
+        if (!template || !window.confirm(`Delete the template "${template.name}"?`)) return;
+        try {
+            await productTemplatesApi.remove(template.id);
+            setTemplates((prev) => prev.filter((item) => item.id !== template.id));
+            setTemplateId('');
+        } catch (err) {
+            console.error("Error deleting template:", err);
+            alert(`Error: ${err.message}`);
         }
     };
 
+    // Variations from a template or a duplicate carry attributes, saved as variant SKUs
+    const createVariantSkus = async (id, variations) => {
+        const failed = [];
+        for (const variation of variations.filter((item) => item.attributes?.length > 0)) {
+            try {
+                await variationsApi.create({
+                    product_id: Number(id),
+                    sku: variation.sku,
+                    price_modifier: Number(variation.price_modifier) || 0,
+                    attributes: variation.attributes,
+                });
+            } catch (err) {
+                console.error(`Error creating variant ${variation.sku}:`, err);
+                failed.push(variation.sku);
+            }
+        }
+        return failed;
+    };
+
+
+    const handleImageRemoved = (image) => {
+        if (image.image_id) {
+            setRemovedImageIds((prev) => [...prev, image.image_id]);
+        }
+    };
+
+    // Legacy and duplicated images only exist as URLs, so fetch them to upload
+    // into the gallery. An error page must not be uploaded in place of the image.
+    const toUploadFile = async (image) => {
+        if (image.file) return image.file;
+        const response = await fetch(image.url);
+        if (!response.ok) throw new Error(`${image.url} returned ${response.status}`);
+        const blob = await response.blob();
+        if (!blob.type.startsWith('image/')) throw new Error(`${image.url} is not an image`);
+        return new File([blob], image.url.split('/').pop() || 'image', { type: blob.type });
+    };
+
+    // Applies removals, uploads new images, then saves order, primary, alt text and variations.
+    // Returns the names of images that could not be fetched and so were left out.
+    const syncGallery = async (id) => {
+        for (const imageId of removedImageIds) {
+            await productsApi.removeImage(id, imageId);
+        }
+
+        const pending = galleryImages.filter((image) => !image.image_id);
+        const fetched = await Promise.allSettled(pending.map(toUploadFile));
+        const ready = [];
+        const failed = [];
+        fetched.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                ready.push({ image: pending[index], file: result.value });
+            } else {
+                console.error('Error copying product image:', result.reason);
+                failed.push(pending[index]);
+            }
+        });
+        const uploaded = ready.length > 0 ? await productsApi.uploadImages(id, ready.map((item) => item.file)) : [];
+        const uploadedIds = new Map(ready.map((item, index) => [item.image.id, uploaded[index]?.id]));
+
+        const saved = galleryImages
+            .map((image) => ({ ...image, image_id: image.image_id ?? uploadedIds.get(image.id) ?? null }))
+            .filter((image) => image.image_id);
+        if (saved.length > 0) {
+            await productsApi.updateImages(id, saved.map((image, position) => ({
+                id: image.image_id,
+                position,
+                is_primary: image.is_primary,
+                alt_text: image.alt_text.trim(),
+                variation_sku: image.variation_sku,
+            })));
+        }
+        setRemovedImageIds([]);
+        setGalleryImages(saved.map((image) => ({ ...image, id: `image-${image.image_id}`, file: undefined, legacy: false })));
+        return failed.map((image) => image.alt_text.trim() || image.url.split('/').pop());
+    };
+
 
     // ====================================================================
     // Handle form submission: UPDATE/CREATE logic (FIXED for your backend)
@@ -196,24 +379,19 @@ const ProductEdit = () => {
         setSubmitStatus({ message: '', variant: '' });
         setError(null); 
 
-        let endpoint;
-        let method;
-        
-        if (isEditing) {
-            // FIX: Match the backend route: router.put('/edit/:id', ...)
-            endpoint = `${API_BASE_URL}/products/edit/${productId}`; 
-            // FIX: Match the backend method: router.put(...)
-            method = 'PUT'; 
-        } else {
-            endpoint = `${API_BASE_URL}/products/create`;
-            method = 'POST';
+        if (galleryImages.length === 0) {
+            setGalleryError('Add at least one product image.');
+            setIsSubmitting(false);
+            return;
         }
+        setGalleryError(null);
 
         const formData = new FormData();
         
         formData.append('name', data.name);
         formData.append('description', data.description);
-        formData.append('long_description', data.long_description);
+        // Sanitized again here in case the editor was bypassed
+        formData.append('long_description', sanitizeHtml(data.long_description));
         
         // Mapping form field names to DB columns (price, stock_quantity)
         // Note: Your backend uses 'price' and 'stock_quantity' directly in the PUT query,
@@ -222,16 +400,15 @@ const ProductEdit = () => {
         formData.append('stock_quantity', data.stock_quantity); 
         
         formData.append('category_id', data.category_id);
+        formData.append('hsn_code', data.hsn_code);
+        formData.append('gst_rate', data.gst_rate);
+        formData.append('status', data.status);
+        formData.append('publish_at', data.status === PRODUCT_STATUS.SCHEDULED ? fromDateTimeLocal(data.publish_at) : '');
+
+        // FormData has no null; empty strings clear the optional SEO fields
+        Object.entries(getSeoPayload(data)).forEach(([field, value]) => formData.append(field, value ?? ''));
         
-        // Handle image file
-        if (data.image && data.image[0]) {
-            formData.append('image', data.image[0]);
-        }
-        
-        // If editing and we have an existing image, send the old URL for deletion logic in the backend
-        if (isEditing && productData?.image_url) {
-            formData.append('old_image_url', productData.image_url);
-        }
+        // Images are saved through the gallery endpoints once the product exists
 
         // The variations logic is missing from your original backend PUT, but the frontend 
         // will still submit this data. It will be ignored by your current backend PUT route.
@@ -240,29 +417,43 @@ const ProductEdit = () => {
         }
         
         try {
-            const response = await fetch(endpoint, {
-                method: method,
-                body: formData,
-            });
-            
-            // FIX: Check response.ok (status 200-299) before attempting to parse JSON
-            if (!response.ok) {
-                // Read the response body as text to get the actual error message
-                const errorText = await response.text();
-                // This prevents the SyntaxError from non-JSON responses like "Endpoint Not Found."
-                throw new Error(`Server returned status ${response.status}. Error: ${errorText || response.statusText}`);
+            let savedId = productId;
+            if (isEditing) {
+                await productsApi.update(productId, formData);
+            } else {
+                const created = await productsApi.create(formData);
+                savedId = created?.product_id ?? created?.id ?? created?.insertId;
             }
 
-            // Parse JSON 
-            const result = await response.json();
-
-            const successMessage = isEditing ? 'Product updated successfully!' : 'Product added successfully!';
-            setSubmitStatus({ message: successMessage, variant: 'success' });
+            let successMessage = isEditing ? 'Product updated successfully!' : 'Product added successfully!';
+            let variant = 'success';
+            try {
+                if (!savedId) throw new Error('the new product id was not returned');
+                const failedImages = await syncGallery(savedId);
+                if (failedImages.length > 0) {
+                    successMessage += ` These images could not be copied and were left out: ${failedImages.join(', ')}.`;
+                    variant = 'warning';
+                }
+            } catch (galleryErr) {
+                console.error('Error saving product images:', galleryErr);
+                successMessage += ` Images could not be saved: ${galleryErr.message}`;
+                variant = 'warning';
+            }
+            if (!isEditing && savedId) {
+                const failedSkus = await createVariantSkus(savedId, data.variations);
+                if (failedSkus.length > 0) {
+                    successMessage += ` These variants could not be created: ${failedSkus.join(', ')}.`;
+                    variant = 'warning';
+                }
+            }
+            setSubmitStatus({ message: successMessage, variant });
             
             if (!isEditing) {
                 // Clear form for new product creation
                 reset();
-                setPreviewImage(null);
+                setGalleryImages([]);
+                setTemplateId('');
+                if (duplicateId) setSearchParams({});
             }
             
         } catch (error) {
@@ -326,16 +517,24 @@ const ProductEdit = () => {
                                     register={register}
                                     errors={errors}
                                 />
-                                <FormInput
-                                    type="textarea"
-                                    rows="5"
-                                    name="long_description"
-                                    label="Product Description"
-                                    placeholder="Please enter a detailed product description"
-                                    containerClass="mb-3"
-                                    register={register}
-                                    errors={errors}
-                                />
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Product Description</Form.Label>
+                                    <Controller
+                                        name="long_description"
+                                        control={control}
+                                        render={({ field }) => (
+                                            <RichTextEditor
+                                                value={field.value}
+                                                onChange={field.onChange}
+                                                placeholder="Please enter a detailed product description"
+                                                isInvalid={!!errors.long_description}
+                                            />
+                                        )}
+                                    />
+                                    {errors.long_description && (
+                                        <div className="invalid-feedback d-block">{errors.long_description.message}</div>
+                                    )}
+                                </Form.Group>
                                 <FormInput
                                     type="number"
                                     name="price"
@@ -345,6 +544,34 @@ const ProductEdit = () => {
                                     register={register}
                                     errors={errors}
                                 />
+                                <Row>
+                                    <Col md={6}>
+                                        <FormInput
+                                            name="hsn_code"
+                                            label="HSN / SAC Code"
+                                            placeholder="e.g. 30049099"
+                                            containerClass="mb-3"
+                                            register={register}
+                                            errors={errors}
+                                        />
+                                    </Col>
+                                    <Col md={6}>
+                                        <Form.Group className="mb-3">
+                                            <Form.Label>GST Rate</Form.Label>
+                                            <Form.Select
+                                                {...register("gst_rate")}
+                                                isInvalid={!!errors.gst_rate}
+                                            >
+                                                {GST_RATES.map((rate) => (
+                                                    <option key={rate} value={rate}>{rate}%</option>
+                                                ))}
+                                            </Form.Select>
+                                            <Form.Text className="text-muted">
+                                                Price above includes GST.
+                                            </Form.Text>
+                                        </Form.Group>
+                                    </Col>
+                                </Row>
                                 <FormInput
                                     type="number"
                                     name="stock_quantity"
@@ -374,32 +601,123 @@ const ProductEdit = () => {
                                 </Form.Group>
                             </Card.Body>
                         </Card>
+                        <Card className="mt-3">
+                            <Card.Body>
+                                <h5 className="text-uppercase mt-0 mb-3 bg-light p-2">
+                                    SEO
+                                </h5>
+                                <SeoFields
+                                    control={control}
+                                    register={register}
+                                    setValue={setValue}
+                                    errors={errors}
+                                    type="product"
+                                    nameField="name"
+                                    descriptionField="description"
+                                    isSlugAvailable={isSlugAvailable}
+                                    imageOptions={galleryImages
+                                        .filter((image) => image.image_id)
+                                        .map((image, index) => ({ url: image.url, label: image.alt_text || `Image ${index + 1}` }))}
+                                />
+                            </Card.Body>
+                        </Card>
                     </Col>
                     <Col lg={6}>
+                        {!isEditing && (
+                            <Card className="mb-3">
+                                <Card.Body>
+                                    <h5 className="text-uppercase mt-0 mb-3 bg-light p-2">
+                                        Start from a Template
+                                    </h5>
+                                    {templates.length === 0 ? (
+                                        <p className="text-muted mb-0">
+                                            No templates yet. Fill in a product and use "Save as Template" below to make one.
+                                        </p>
+                                    ) : (
+                                        <div className="d-flex">
+                                            <Form.Select value={templateId} onChange={(e) => setTemplateId(e.target.value)} className="me-2">
+                                                <option value="">Choose a template</option>
+                                                {templates.map((template) => (
+                                                    <option key={template.id} value={String(template.id)}>{template.name}</option>
+                                                ))}
+                                            </Form.Select>
+                                            <Button variant="primary" onClick={applyTemplate} disabled={!templateId} className="me-1 text-nowrap">
+                                                Apply
+                                            </Button>
+                                            <Button
+                                                variant="light"
+                                                title="Edit template"
+                                                onClick={() => setEditingTemplate(templates.find((template) => String(template.id) === templateId))}
+                                                disabled={!templateId}
+                                                className="me-1"
+                                            >
+                                                <i className="mdi mdi-pencil"></i>
+                                            </Button>
+                                            <Button variant="light" title="Delete template" onClick={deleteTemplate} disabled={!templateId}>
+                                                <i className="mdi mdi-delete text-danger"></i>
+                                            </Button>
+                                        </div>
+                                    )}
+                                    <Form.Text className="text-muted">
+                                        Fills in the category, a description skeleton and one variation per combination of attributes.
+                                    </Form.Text>
+                                </Card.Body>
+                            </Card>
+                        )}
+                        <Card className="mb-3">
+                            <Card.Body>
+                                <h5 className="text-uppercase mt-0 mb-3 bg-light p-2">
+                                    Publishing
+                                </h5>
+                                {status === PRODUCT_STATUS.ARCHIVED ? (
+                                    <Alert variant="dark" className="mb-0">
+                                        <i className="mdi mdi-archive me-2"></i>
+                                        This product is archived. Restore it from the Products list to publish it again.
+                                    </Alert>
+                                ) : (
+                                    <Row>
+                                        <Col md={6}>
+                                            <Form.Group className="mb-3 mb-md-0">
+                                                <Form.Label>Status</Form.Label>
+                                                <Form.Select {...register("status")} isInvalid={!!errors.status}>
+                                                    {[PRODUCT_STATUS.DRAFT, PRODUCT_STATUS.SCHEDULED, PRODUCT_STATUS.PUBLISHED].map((option) => (
+                                                        <option key={option} value={option}>{getProductStatusLabel(option)}</option>
+                                                    ))}
+                                                </Form.Select>
+                                            </Form.Group>
+                                        </Col>
+                                        {status === PRODUCT_STATUS.SCHEDULED && (
+                                            <Col md={6}>
+                                                <Form.Group>
+                                                    <Form.Label>Publish At</Form.Label>
+                                                    <Form.Control
+                                                        type="datetime-local"
+                                                        {...register("publish_at")}
+                                                        min={toDateTimeLocal(new Date().toISOString())}
+                                                        isInvalid={!!errors.publish_at}
+                                                    />
+                                                    <Form.Control.Feedback type="invalid">
+                                                        {errors.publish_at?.message}
+                                                    </Form.Control.Feedback>
+                                                </Form.Group>
+                                            </Col>
+                                        )}
+                                    </Row>
+                                )}
+                            </Card.Body>
+                        </Card>
                         <Card>
                             <Card.Body>
                                 <h5 className="text-uppercase mt-0 mb-3 bg-light p-2">
-                                    Product Image
+                                    Product Images
                                 </h5>
-                                <Form.Group className="mb-3">
-                                    <Form.Label>Product Image {isEditing && "(Optional to Change)"}</Form.Label>
-                                    <Form.Control 
-                                        type="file" 
-                                        name="image" 
-                                        {...register('image')}
-                                        onChange={handleImageChange}
-                                        isInvalid={!!errors.image}
-                                    />
-                                    <Form.Control.Feedback type="invalid">
-                                        {errors.image?.message}
-                                    </Form.Control.Feedback>
-                                    {previewImage && (
-                                        <div className="mt-3 text-center">
-                                            <h6>Image Preview:</h6>
-                                            <img src={previewImage} alt="Product Preview" style={{ maxWidth: '200px', maxHeight: '200px', objectFit: 'contain' }} />
-                                        </div>
-                                    )}
-                                </Form.Group>
+                                <ProductImageGallery
+                                    images={galleryImages}
+                                    onChange={setGalleryImages}
+                                    onRemove={handleImageRemoved}
+                                    variations={watch('variations') || []}
+                                    error={galleryError}
+                                />
                             </Card.Body>
                         </Card>
                         <Card className="mt-3">
@@ -437,6 +755,11 @@ const ProductEdit = () => {
                                                                  {...register(`variations.${index}.name`)}
                                                                  isInvalid={!!errors.variations?.[index]?.name}
                                                              />
+                                                             {field.attributes?.map((attribute) => (
+                                                                 <Badge key={attribute.type} bg="light" text="dark" className="me-1 mt-1">
+                                                                     {attribute.type}: {attribute.value}
+                                                                 </Badge>
+                                                             ))}
                                                          </td>
                                                          <td>
                                                              <Form.Control
@@ -481,6 +804,9 @@ const ProductEdit = () => {
                             <Button type="button" variant="light" className="me-1" onClick={() => navigate('/products')}>
                                 Cancel
                             </Button>
+                            <Button type="button" variant="outline-primary" className="me-1" onClick={openTemplateFromForm}>
+                                Save as Template
+                            </Button>
                             <Button type="submit" variant="success" className="me-1" disabled={isSubmitting}>
                                 {isSubmitting ? 'Saving...' : (isEditing ? 'Update Product' : 'Save Product')}
                             </Button>
@@ -488,6 +814,13 @@ const ProductEdit = () => {
                     </Col>
                 </Row>
             </form>
+
+            <ProductTemplateModal
+                template={editingTemplate}
+                categories={categories}
+                onSaved={handleTemplateSaved}
+                onHide={() => setEditingTemplate(null)}
+            />
         </div>
     );
 };
@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from "react";
+import { Row, Col, Modal, Button, Form, Alert, ProgressBar } from "react-bootstrap";
+
+import { productsApi, bulkUploadApi } from "@/api";
+import { EXPORT_FORMATS, EXPORT_FORMAT_LABELS, EXPORT_EXTRA_COLUMNS } from "@/constants/productExport";
+import { getImportColumns } from "@/helpers/productImport";
+import { buildProductRows, buildVariationRows, buildCatalogJson } from "@/helpers/productExport";
+import { toCsv, writeXlsx } from "@/helpers/spreadsheet";
+import { downloadFile } from "./orderDocuments";
+
+const getColumnNames = (templateInfo) => [
+    ...getImportColumns(templateInfo).map(column => column.name),
+    ...EXPORT_EXTRA_COLUMNS.map(column => column.name),
+];
+
+/**
+ * Exports the products currently shown in the list, with the filters and
+ * search applied. The column order follows the import template, but the
+ * import only creates products: it cannot update the ones exported here.
+ *
+ * @param {object} props
+ * @param {boolean} props.show
+ * @param {() => void} props.onHide
+ * @param {object[]} props.products - the filtered list
+ * @param {Object<string, string>} props.categoryNames
+ * @param {number} props.lowStockThreshold
+ */
+const ProductExportModal = ({ show, onHide, products, categoryNames, lowStockThreshold }) => {
+    const [columnNames, setColumnNames] = useState(() => getColumnNames(null));
+    // Unticked columns, so columns added by the template start ticked
+    const [excluded, setExcluded] = useState([]);
+    const [format, setFormat] = useState(EXPORT_FORMATS.CSV);
+    const [withVariations, setWithVariations] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [warning, setWarning] = useState(null);
+
+    useEffect(() => {
+        if (!show) return;
+        setWarning(null);
+        bulkUploadApi.getTemplateInfo()
+            .then((info) => setColumnNames(getColumnNames(info)))
+            .catch((err) => console.error('Template info error:', err));
+    }, [show]);
+
+    const columns = columnNames.filter(name => !excluded.includes(name));
+
+    const toggleColumn = (name) => {
+        setExcluded(prev => prev.includes(name) ? prev.filter(item => item !== name) : [...prev, name]);
+    };
+
+    // The list leaves out variations and galleries, so fetch each product in turn
+    const loadDetails = async () => {
+        const detailed = [];
+        let failed = 0;
+        for (const product of products) {
+            setProgress({ done: detailed.length, total: products.length });
+            try {
+                const details = await productsApi.get(product.product_id);
+                detailed.push({ ...details, ...product, variations: details?.variations || [], images: details?.images ?? product.images });
+            } catch (err) {
+                console.error(`Could not load product ${product.product_id}:`, err);
+                failed++;
+                detailed.push(product);
+            }
+        }
+        setProgress(null);
+        if (failed > 0) setWarning(`${failed} products could not be loaded in full and were exported without their variations.`);
+        return detailed;
+    };
+
+    const handleExport = async () => {
+        setWarning(null);
+        const exported = withVariations ? await loadDetails() : products;
+        const context = { categoryNames, lowStockThreshold };
+        const date = new Date().toISOString().split('T')[0];
+
+        if (format === EXPORT_FORMATS.JSON) {
+            downloadFile(
+                new Blob([buildCatalogJson(exported, columns, context, withVariations)], { type: 'application/json' }),
+                `catalog_${date}.json`
+            );
+        } else if (format === EXPORT_FORMATS.XLSX) {
+            const sheets = [{ name: 'Products', rows: buildProductRows(exported, columns, context) }];
+            if (withVariations) sheets.push({ name: 'Variations', rows: buildVariationRows(exported) });
+            downloadFile(writeXlsx(sheets), `catalog_${date}.xlsx`);
+        } else {
+            const csvType = { type: 'text/csv;charset=utf-8;' };
+            downloadFile(new Blob([toCsv(buildProductRows(exported, columns, context))], csvType), `catalog_${date}.csv`);
+            if (withVariations) {
+                downloadFile(new Blob([toCsv(buildVariationRows(exported))], csvType), `catalog_variations_${date}.csv`);
+            }
+        }
+    };
+
+    const exporting = progress !== null;
+
+    return (
+        <Modal show={show} onHide={() => !exporting && onHide()} centered size="lg">
+            <Modal.Header closeButton={!exporting} className="bg-light">
+                <Modal.Title>Export Catalog</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+                <p>
+                    Exporting <strong>{products.length}</strong> products that match the current filters and search.
+                </p>
+                {warning && <Alert variant="warning">{warning}</Alert>}
+
+                <Form.Group className="mb-3">
+                    <Form.Label>Format</Form.Label>
+                    <div>
+                        {Object.values(EXPORT_FORMATS).map(option => (
+                            <Form.Check
+                                key={option}
+                                inline
+                                type="radio"
+                                id={`export-format-${option}`}
+                                label={EXPORT_FORMAT_LABELS[option]}
+                                checked={format === option}
+                                onChange={() => setFormat(option)}
+                            />
+                        ))}
+                    </div>
+                </Form.Group>
+
+                <Form.Group className="mb-3">
+                    <Form.Check
+                        type="switch"
+                        id="export-variations"
+                        label="Include variations"
+                        checked={withVariations}
+                        onChange={(e) => setWithVariations(e.target.checked)}
+                    />
+                    <Form.Text className="text-muted">
+                        {format === EXPORT_FORMATS.XLSX && 'Variations go on a second sheet. '}
+                        {format === EXPORT_FORMATS.CSV && 'Variations are saved as a second CSV file. '}
+                        {format === EXPORT_FORMATS.JSON && 'Variations are nested under each product. '}
+                        Each product is loaded in full, which takes longer for large catalogs.
+                    </Form.Text>
+                </Form.Group>
+
+                <Form.Label className="d-flex justify-content-between">
+                    <span>Columns</span>
+                    <span>
+                        <Button variant="link" size="sm" className="p-0 me-2" onClick={() => setExcluded([])}>All</Button>
+                        <Button variant="link" size="sm" className="p-0" onClick={() => setExcluded(columnNames)}>None</Button>
+                    </span>
+                </Form.Label>
+                <Row>
+                    {columnNames.map(name => (
+                        <Col key={name} sm={4}>
+                            <Form.Check
+                                id={`export-column-${name}`}
+                                label={name}
+                                checked={!excluded.includes(name)}
+                                onChange={() => toggleColumn(name)}
+                            />
+                        </Col>
+                    ))}
+                </Row>
+                {format === EXPORT_FORMATS.CSV && (
+                    <Form.Text className="text-muted">
+                        Import only adds new products, so rows for products that already exist are rejected.
+                        {excluded.length > 0 && ' Some columns are left out, so the file may need them added back before it can be imported.'}
+                    </Form.Text>
+                )}
+
+                {exporting && (
+                    <div className="mt-3">
+                        <ProgressBar now={(progress.done / Math.max(progress.total, 1)) * 100} style={{ height: '8px' }} />
+                        <small className="text-muted">Loading product {progress.done + 1} of {progress.total}...</small>
+                    </div>
+                )}
+            </Modal.Body>
+            <Modal.Footer>
+                <Button variant="light" onClick={onHide} disabled={exporting}>Close</Button>
+                <Button variant="primary" onClick={handleExport} disabled={exporting || columns.length === 0 || products.length === 0}>
+                    <i className="mdi mdi-download me-1"></i> Export
+                </Button>
+            </Modal.Footer>
+        </Modal>
+    );
+};
+
+export default ProductExportModal;
@@ -0,0 +1,156 @@
+import React, { useState } from "react";
+import { Row, Col, Form, Button, Badge } from "react-bootstrap";
+import { ReactSortable } from "react-sortablejs";
+
+import { ACCEPTED_IMAGE_TYPES, IMAGE_PRESETS } from "@/constants/images";
+import ImageUploadModal from "./ImageUploadModal";
+
+let nextKey = 0;
+
+/**
+ * Wraps files picked in the browser as gallery entries. `id` is the
+ * sortable key; `image_id` is the saved image's id and stays null until upload.
+ * @param {File[]} files
+ */
+export const toGalleryEntries = (files) => files.map((file) => ({
+    id: `new-${nextKey++}`,
+    image_id: null,
+    file,
+    url: URL.createObjectURL(file),
+    alt_text: file.name.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' '),
+    is_primary: false,
+    variation_sku: null,
+}));
+
+// Keeps exactly one primary image, falling back to the first one
+const ensurePrimary = (images) => {
+    if (images.length === 0 || images.some((image) => image.is_primary)) return images;
+    return images.map((image, index) => ({ ...image, is_primary: index === 0 }));
+};
+
+/**
+ * Editable product gallery: drag to reorder, pick the primary image, set alt
+ * text and tie images to a variation. Changes are kept in the form until it is saved.
+ *
+ * @param {object} props
+ * @param {object[]} props.images - gallery entries, see toGalleryEntries
+ * @param {(images: object[]) => void} props.onChange
+ * @param {(image: object) => void} props.onRemove - called for each removed entry
+ * @param {{ sku: string, name: string }[]} props.variations - variations images can be assigned to
+ * @param {string} [props.error]
+ */
+const ProductImageGallery = ({ images, onChange, onRemove, variations, error }) => {
+    // Picked files waiting to be cropped and optimised
+    const [pendingFiles, setPendingFiles] = useState([]);
+
+    const handleFiles = (e) => {
+        setPendingFiles(Array.from(e.target.files || []));
+        e.target.value = '';
+    };
+
+    const handleProcessed = (files) => {
+        setPendingFiles([]);
+        if (files.length > 0) {
+            onChange(ensurePrimary([...images, ...toGalleryEntries(files)]));
+        }
+    };
+
+    const updateImage = (id, changes) => {
+        onChange(images.map((image) => (image.id === id ? { ...image, ...changes } : image)));
+    };
+
+    const setPrimary = (id) => {
+        onChange(images.map((image) => ({ ...image, is_primary: image.id === id })));
+    };
+
+    const removeImage = (image) => {
+        if (image.file) URL.revokeObjectURL(image.url);
+        onRemove(image);
+        onChange(ensurePrimary(images.filter((item) => item.id !== image.id)));
+    };
+
+    const skus = variations.filter((variation) => variation.sku);
+
+    return (
+        <>
+            <Form.Group className="mb-3">
+                <Form.Label>Product Images</Form.Label>
+                <Form.Control
+                    type="file"
+                    accept={ACCEPTED_IMAGE_TYPES.join(',')}
+                    multiple
+                    onChange={handleFiles}
+                    isInvalid={!!error}
+                />
+                <Form.Control.Feedback type="invalid">{error}</Form.Control.Feedback>
+                <Form.Text className="text-muted">
+                    Add front, back and label shots, at least {IMAGE_PRESETS.PRODUCT.minWidth} × {IMAGE_PRESETS.PRODUCT.minHeight} px.
+                    Drag to reorder; the primary image is used in listings.
+                </Form.Text>
+            </Form.Group>
+
+            {images.length > 0 && (
+                <ReactSortable list={images} setList={onChange} handle=".gallery-handle" animation={150}>
+                    {images.map((image) => (
+                        <Row key={image.id} className="g-2 align-items-center border rounded p-2 mb-2 mx-0">
+                            <Col xs="auto">
+                                <i className="mdi mdi-drag gallery-handle font-20 text-muted" style={{ cursor: 'grab' }} title="Drag to reorder"></i>
+                            </Col>
+                            <Col xs="auto">
+                                <img
+                                    src={image.url}
+                                    alt={image.alt_text}
+                                    className="rounded"
+                                    style={{ width: '64px', height: '64px', objectFit: 'cover' }}
+                                />
+                            </Col>
+                            <Col>
+                                <Form.Control
+                                    size="sm"
+                                    className="mb-1"
+                                    placeholder="Alt text, e.g. Back label with ingredients"
+                                    value={image.alt_text}
+                                    onChange={(e) => updateImage(image.id, { alt_text: e.target.value })}
+                                />
+                                <Form.Select
+                                    size="sm"
+                                    value={image.variation_sku || ''}
+                                    onChange={(e) => updateImage(image.id, { variation_sku: e.target.value || null })}
+                                    disabled={skus.length === 0}
+                                >
+                                    <option value="">All variations</option>
+                                    {skus.map((variation) => (
+                                        <option key={variation.sku} value={variation.sku}>
+                                            {variation.name ? `${variation.name} (${variation.sku})` : variation.sku}
+                                        </option>
+                                    ))}
+                                </Form.Select>
+                            </Col>
+                            <Col xs="auto" className="text-end">
+                                {image.is_primary ? (
+                                    <Badge bg="success" className="d-block mb-1">Primary</Badge>
+                                ) : (
+                                    <Button variant="outline-success" size="sm" className="d-block mb-1" onClick={() => setPrimary(image.id)}>
+                                        Make Primary
+                                    </Button>
+                                )}
+                                <Button variant="danger" size="sm" onClick={() => removeImage(image)}>
+                                    <i className="mdi mdi-delete"></i>
+                                </Button>
+                            </Col>
+                        </Row>
+                    ))}
+                </ReactSortable>
+            )}
+
+            <ImageUploadModal
+                files={pendingFiles}
+                preset={IMAGE_PRESETS.PRODUCT}
+                onDone={handleProcessed}
+                onCancel={() => setPendingFiles([])}
+            />
+        </>
+    );
+};
+
+export default ProductImageGallery;
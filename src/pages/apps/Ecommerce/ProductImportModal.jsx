@@ -0,0 +1,378 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { Modal, Button, Form, Alert, Badge, Table } from "react-bootstrap";
+
+import { bulkUploadApi } from "@/api";
+import { IMPORT_FILE_TYPES, MAX_IMPORT_BYTES } from "@/constants/productImport";
+import { formatBytes } from "@/helpers/images";
+import { readSpreadsheetFile } from "@/helpers/spreadsheet";
+import { getImportColumns, toImportRows, validateImportRows, buildImportCsv, buildImportErrorReport } from "@/helpers/productImport";
+import { downloadFile } from "./orderDocuments";
+
+const PREVIEW_PAGE_SIZE = 50;
+
+/**
+ * Row errors reported by the backend, matched back to the rows that were
+ * sent. The backend numbers rows the way a spreadsheet does, with the
+ * header as row 1.
+ */
+const getServerRejections = (result, submittedRows) => (result?.errors || []).map(error => {
+    const rowNumber = Number(error.row ?? error.row_number ?? error.line);
+    return {
+        row: submittedRows[rowNumber - 2] || null,
+        rowNumber,
+        messages: [error.error || error.message || error.details || 'Rejected by the server'],
+    };
+});
+
+/**
+ * Product import. The file is read and validated in the browser, shown in an
+ * editable grid with the problems highlighted, and only the valid rows are
+ * sent to the backend. Rejected rows can be downloaded as a CSV report.
+ * Import only creates products; a row whose SKU is already taken is rejected.
+ *
+ * @param {object} props
+ * @param {boolean} props.show
+ * @param {() => void} props.onHide
+ * @param {{ id: number, name: string }[]} props.categories
+ * @param {object[]} props.existingProducts - to catch SKUs that are already taken
+ * @param {() => void} props.onImported - called after the backend has taken some rows
+ */
+const ProductImportModal = ({ show, onHide, categories, existingProducts, onImported }) => {
+    const [columns, setColumns] = useState(() => getImportColumns(null));
+    const [file, setFile] = useState(null);
+    const [parsed, setParsed] = useState(null);
+    const [rows, setRows] = useState([]);
+    const [fileError, setFileError] = useState(null);
+    const [reading, setReading] = useState(false);
+    const [errorsOnly, setErrorsOnly] = useState(false);
+    const [page, setPage] = useState(0);
+    const [uploading, setUploading] = useState(false);
+    const [result, setResult] = useState(null);
+
+    // The backend's template decides the columns; keep the defaults if it cannot be reached
+    useEffect(() => {
+        if (!show) return;
+        bulkUploadApi.getTemplateInfo()
+            .then((info) => setColumns(getImportColumns(info)))
+            .catch((err) => console.error('Template info error:', err));
+    }, [show]);
+
+    const reset = () => {
+        setFile(null);
+        setParsed(null);
+        setRows([]);
+        setFileError(null);
+        setErrorsOnly(false);
+        setPage(0);
+        setResult(null);
+    };
+
+    const handleHide = () => {
+        if (uploading) return;
+        reset();
+        onHide();
+    };
+
+    const catalog = useMemo(() => ({
+        categoryIds: new Set(categories.map(category => String(category.id))),
+        existingSkus: new Set(existingProducts.flatMap(product => [product.sku, ...(product.variations || []).map(variation => variation.sku)])
+            .filter(Boolean)
+            .map(sku => String(sku).toLowerCase())),
+    }), [categories, existingProducts]);
+
+    const errors = useMemo(() => validateImportRows(rows, columns, catalog), [rows, columns, catalog]);
+    const validRows = rows.filter(row => !errors.has(row.line));
+    const shownRows = errorsOnly ? rows.filter(row => errors.has(row.line)) : rows;
+    const pageCount = Math.max(Math.ceil(shownRows.length / PREVIEW_PAGE_SIZE), 1);
+    const pageRows = shownRows.slice(page * PREVIEW_PAGE_SIZE, (page + 1) * PREVIEW_PAGE_SIZE);
+
+    const handleFileChange = async (e) => {
+        const picked = e.target.files[0];
+        reset();
+        if (!picked) return;
+        if (picked.size > MAX_IMPORT_BYTES) {
+            setFileError(`The file is ${formatBytes(picked.size)}; the limit is ${formatBytes(MAX_IMPORT_BYTES)}.`);
+            return;
+        }
+        setFile(picked);
+        setReading(true);
+        try {
+            const table = await readSpreadsheetFile(picked);
+            if (table.length < 2) throw new Error('The file has no product rows below the header.');
+            const imported = toImportRows(table, columns);
+            setParsed(imported);
+            setRows(imported.rows);
+        } catch (err) {
+            console.error('Import read error:', err);
+            setFileError(err.message || 'The file could not be read.');
+        } finally {
+            setReading(false);
+        }
+    };
+
+    const updateCell = (line, name, value) => {
+        setRows(prev => prev.map(row => row.line === line ? { ...row, values: { ...row.values, [name]: value } } : row));
+    };
+
+    const removeRow = (line) => setRows(prev => prev.filter(row => row.line !== line));
+
+    const getRejectedRows = () => [
+        ...rows.filter(row => errors.has(row.line)).map(row => ({
+            row,
+            messages: Object.entries(errors.get(row.line)).map(([name, message]) => `${name}: ${message}`),
+        })),
+        ...(result?.serverRejections || []).filter(rejection => rejection.row),
+    ];
+
+    const downloadErrorReport = () => {
+        const csv = buildImportErrorReport(getRejectedRows(), columns);
+        const baseName = file ? file.name.replace(/\.[^.]+$/, '') : 'products';
+        downloadFile(new Blob([csv], { type: 'text/csv;charset=utf-8;' }), `${baseName}_errors.csv`);
+    };
+
+    const handleImport = async () => {
+        const submitted = validRows;
+        const csvFile = new File([buildImportCsv(submitted, columns)], 'products_import.csv', { type: 'text/csv' });
+        setUploading(true);
+        try {
+            const data = await bulkUploadApi.uploadProducts(csvFile);
+            setResult({ ...data, serverRejections: getServerRejections(data, submitted) });
+            onImported();
+        } catch (err) {
+            console.error('Bulk Upload error:', err);
+            // The backend still sends its summary/errors body when it rejects the file
+            const data = err.data && typeof err.data === 'object'
+                ? err.data
+                : { error: 'A network or critical server error occurred.', details: err.message };
+            setResult({ ...data, failed: true, serverRejections: getServerRejections(data, submitted) });
+            if (data.summary?.successful > 0) onImported();
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    const downloadTemplate = async () => {
+        try {
+            const blob = await bulkUploadApi.downloadTemplate();
+            downloadFile(blob, 'product_bulk_upload_template.csv');
+        } catch (err) {
+            console.error('Download template error:', err);
+            alert('Error downloading template: ' + err.message);
+        }
+    };
+
+    const canImport = parsed && parsed.missingColumns.length === 0 && validRows.length > 0 && !result;
+    const rejectedCount = errors.size + (result?.serverRejections.length || 0);
+
+    return (
+        <Modal show={show} onHide={handleHide} backdrop="static" keyboard={false} size={parsed ? 'xl' : 'lg'}>
+            <Modal.Header closeButton={!uploading}>
+                <Modal.Title>Import Products from CSV or Excel</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+                {!parsed && (
+                    <>
+                        <Alert variant="info" className="mb-3">
+                            <h6>File Format:</h6>
+                            <small>
+                                <strong>Required columns:</strong> {columns.filter(column => column.required).map(column => column.name).join(', ')}<br />
+                                <strong>Optional columns:</strong> {columns.filter(column => !column.required).map(column => column.name).join(', ')}<br />
+                                The file is checked before anything is uploaded, and you can fix problems in the preview.
+                            </small>
+                        </Alert>
+                        <Form.Group controlId="importFile" className="mb-3">
+                            <Form.Label>Select a .csv or .xlsx file</Form.Label>
+                            <Form.Control type="file" accept={IMPORT_FILE_TYPES} onChange={handleFileChange} disabled={reading} />
+                            <Form.Text className="text-muted">
+                                Maximum file size: {formatBytes(MAX_IMPORT_BYTES)}. Only the first sheet of a workbook is read.
+                            </Form.Text>
+                        </Form.Group>
+                        {reading && (
+                            <div className="text-muted">
+                                <span className="spinner-border spinner-border-sm me-2" role="status"></span>
+                                Reading {file?.name}...
+                            </div>
+                        )}
+                        {fileError && <Alert variant="danger">{fileError}</Alert>}
+                        <Button variant="outline-primary" onClick={downloadTemplate}>
+                            <i className="mdi mdi-download me-1"></i> Download CSV Template
+                        </Button>
+                    </>
+                )}
+
+                {parsed && !result && (
+                    <>
+                        {parsed.missingColumns.length > 0 && (
+                            <Alert variant="danger">
+                                The file is missing required columns: <strong>{parsed.missingColumns.join(', ')}</strong>.
+                                Add them to the file and choose it again.
+                            </Alert>
+                        )}
+                        {parsed.ignoredHeaders.length > 0 && (
+                            <Alert variant="warning" className="py-2">
+                                These columns are not part of the template and will be ignored: {parsed.ignoredHeaders.join(', ')}
+                            </Alert>
+                        )}
+                        <div className="d-flex flex-wrap justify-content-between align-items-center mb-2">
+                            <div>
+                                <strong>{file.name}</strong>
+                                <Badge bg="success" className="ms-2">{validRows.length} ready</Badge>
+                                <Badge bg="danger" className="ms-1">{errors.size} with errors</Badge>
+                            </div>
+                            <Form.Check
+                                type="switch"
+                                id="import-errors-only"
+                                label="Show only rows with errors"
+                                checked={errorsOnly}
+                                onChange={(e) => {
+                                    setErrorsOnly(e.target.checked);
+                                    setPage(0);
+                                }}
+                            />
+                        </div>
+                        <div className="table-responsive" style={{ maxHeight: '55vh' }}>
+                            <Table size="sm" bordered className="mb-0 font-13">
+                                <thead className="table-light">
+                                    <tr>
+                                        <th>Row</th>
+                                        {columns.map(column => (
+                                            <th key={column.name} className="text-nowrap">
+                                                {column.name}{column.required && ' *'}
+                                            </th>
+                                        ))}
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {pageRows.map(row => {
+                                        const rowErrors = errors.get(row.line) || {};
+                                        return (
+                                            <tr key={row.line}>
+                                                <td className={errors.has(row.line) ? 'table-danger' : 'text-muted'}>{row.line}</td>
+                                                {columns.map(column => (
+                                                    <td key={column.name} className="p-1" style={{ minWidth: column.type === 'text' ? '140px' : '90px' }}>
+                                                        <Form.Control
+                                                            size="sm"
+                                                            value={row.values[column.name] ?? ''}
+                                                            onChange={(e) => updateCell(row.line, column.name, e.target.value)}
+                                                            isInvalid={!!rowErrors[column.name]}
+                                                            title={rowErrors[column.name]}
+                                                        />
+                                                        {rowErrors[column.name] && (
+                                                            <Form.Control.Feedback type="invalid">{rowErrors[column.name]}</Form.Control.Feedback>
+                                                        )}
+                                                    </td>
+                                                ))}
+                                                <td className="p-1">
+                                                    <Button variant="link" size="sm" className="text-danger p-0" title="Leave this row out" onClick={() => removeRow(row.line)}>
+                                                        <i className="mdi mdi-close"></i>
+                                                    </Button>
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                    {pageRows.length === 0 && (
+                                        <tr>
+                                            <td colSpan={columns.length + 2} className="text-center text-muted py-3">No rows to show</td>
+                                        </tr>
+                                    )}
+                                </tbody>
+                            </Table>
+                        </div>
+                        {pageCount > 1 && (
+                            <div className="d-flex justify-content-end align-items-center mt-2">
+                                <Button variant="light" size="sm" onClick={() => setPage(page - 1)} disabled={page === 0}>
+                                    <i className="mdi mdi-chevron-left"></i>
+                                </Button>
+                                <span className="mx-2">Page {page + 1} of {pageCount}</span>
+                                <Button variant="light" size="sm" onClick={() => setPage(page + 1)} disabled={page + 1 >= pageCount}>
+                                    <i className="mdi mdi-chevron-right"></i>
+                                </Button>
+                            </div>
+                        )}
+                    </>
+                )}
+
+                {result && (
+                    <>
+                        <Alert variant={result.failed ? 'danger' : rejectedCount > 0 ? 'warning' : 'success'}>
+                            {result.message || result.error}
+                            {result.details && <div className="font-13">{result.details}</div>}
+                        </Alert>
+                        {result.summary && (
+                            <div className="row text-center mb-3">
+                                <div className="col">
+                                    <strong>Sent</strong><br />
+                                    <Badge bg="secondary">{result.summary.total_processed}</Badge>
+                                </div>
+                                <div className="col">
+                                    <strong>Imported</strong><br />
+                                    <Badge bg="success">{result.summary.successful}</Badge>
+                                </div>
+                                <div className="col">
+                                    <strong>Rejected by the server</strong><br />
+                                    <Badge bg="danger">{result.summary.failed}</Badge>
+                                </div>
+                                <div className="col">
+                                    <strong>Held back in the preview</strong><br />
+                                    <Badge bg="warning">{errors.size}</Badge>
+                                </div>
+                            </div>
+                        )}
+                        {result.serverRejections.length > 0 && (
+                            <div style={{ maxHeight: '250px', overflowY: 'auto' }}>
+                                <Table size="sm" className="mb-0">
+                                    <thead className="table-light">
+                                        <tr>
+                                            <th>Row</th>
+                                            <th>Product</th>
+                                            <th>Error</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {result.serverRejections.map((rejection, index) => (
+                                            <tr key={index}>
+                                                <td>{rejection.row?.line ?? '—'}</td>
+                                                <td>{rejection.row?.values.name ?? '—'}</td>
+                                                <td className="text-danger">{rejection.messages.join('; ')}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </Table>
+                            </div>
+                        )}
+                    </>
+                )}
+            </Modal.Body>
+            <Modal.Footer>
+                {(errors.size > 0 || result?.serverRejections.some(rejection => rejection.row)) && (
+                    <Button variant="outline-danger" onClick={downloadErrorReport} className="me-auto">
+                        <i className="mdi mdi-file-alert-outline me-1"></i> Download Error Report
+                    </Button>
+                )}
+                {parsed && !result && (
+                    <Button variant="light" onClick={reset} disabled={uploading}>
+                        Choose Another File
+                    </Button>
+                )}
+                <Button variant="secondary" onClick={handleHide} disabled={uploading}>
+                    Close
+                </Button>
+                {parsed && !result && (
+                    <Button variant="success" onClick={handleImport} disabled={!canImport || uploading}>
+                        {uploading ? (
+                            <>
+                                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                                Importing...
+                            </>
+                        ) : (
+                            `Import ${validRows.length} Valid Rows`
+                        )}
+                    </Button>
+                )}
+            </Modal.Footer>
+        </Modal>
+    );
+};
+
+export default ProductImportModal;
@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from "react";
+import { Row, Col, Modal, Button, Form, Alert, Badge } from "react-bootstrap";
+
+import { productTemplatesApi } from "@/api";
+import { MAX_MATRIX_VARIATIONS } from "@/constants/productTemplates";
+import { sanitizeHtml } from "@/helpers/richText";
+import { parseMatrixValues, countMatrixVariations, expandVariationMatrix } from "@/helpers/productTemplates";
+import RichTextEditor from "./RichTextEditor";
+
+// Matrix axes are edited as comma separated text and parsed on save
+const toAxisRows = (matrix) => (matrix || []).map((axis) => ({ type: axis.type, values: axis.values.join(', ') }));
+const toMatrix = (rows) => rows
+    .map((row) => ({ type: row.type.trim(), values: parseMatrixValues(row.values) }))
+    .filter((axis) => axis.type && axis.values.length > 0);
+
+/**
+ * Creates or edits a product template: the category, description skeleton
+ * and variation matrix a new product can start from.
+ *
+ * @param {object} props
+ * @param {object|null} props.template - the template to edit, or initial values without an `id`; the modal is open while set
+ * @param {{ id: number, name: string }[]} props.categories
+ * @param {(template: object) => void} props.onSaved
+ * @param {() => void} props.onHide
+ */
+const ProductTemplateModal = ({ template, categories, onSaved, onHide }) => {
+    const [name, setName] = useState('');
+    const [categoryId, setCategoryId] = useState('');
+    const [skeleton, setSkeleton] = useState('');
+    const [skuPrefix, setSkuPrefix] = useState('');
+    const [axes, setAxes] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!template) return;
+        setName(template.name || '');
+        setCategoryId(template.category_id ? String(template.category_id) : '');
+        setSkeleton(template.description_skeleton || '');
+        setSkuPrefix(template.sku_prefix || '');
+        setAxes(toAxisRows(template.variation_matrix));
+        setError(null);
+    }, [template]);
+
+    const matrix = toMatrix(axes);
+    const variationCount = countMatrixVariations(matrix);
+    const sample = expandVariationMatrix(matrix, skuPrefix).slice(0, 4);
+
+    const updateAxis = (index, field, value) => {
+        setAxes((prev) => prev.map((axis, i) => i === index ? { ...axis, [field]: value } : axis));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) {
+            setError('Please give the template a name.');
+            return;
+        }
+        if (variationCount > MAX_MATRIX_VARIATIONS) {
+            setError(`The matrix makes ${variationCount} variations; the limit is ${MAX_MATRIX_VARIATIONS}.`);
+            return;
+        }
+        const payload = {
+            name: name.trim(),
+            category_id: categoryId || null,
+            description_skeleton: sanitizeHtml(skeleton),
+            sku_prefix: skuPrefix.trim(),
+            variation_matrix: matrix,
+        };
+        setSaving(true);
+        setError(null);
+        try {
+            const saved = template.id
+                ? await productTemplatesApi.update(template.id, payload)
+                : await productTemplatesApi.create(payload);
+            onSaved({ ...payload, ...saved, id: saved?.id ?? template.id });
+        } catch (err) {
+            console.error('Error saving template:', err);
+            setError(`Failed to save the template: ${err.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Modal show={!!template} onHide={() => !saving && onHide()} centered size="lg">
+            <Form onSubmit={handleSubmit}>
+                <Modal.Header closeButton={!saving} className="bg-light">
+                    <Modal.Title>{template?.id ? 'Edit Template' : 'Save as Template'}</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    {error && <Alert variant="danger">{error}</Alert>}
+                    <Row>
+                        <Col md={6}>
+                            <Form.Group className="mb-3">
+                                <Form.Label>Template Name *</Form.Label>
+                                <Form.Control value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g. Tablets, strip packs" />
+                            </Form.Group>
+                        </Col>
+                        <Col md={6}>
+                            <Form.Group className="mb-3">
+                                <Form.Label>Category</Form.Label>
+                                <Form.Select value={categoryId} onChange={(e) => setCategoryId(e.target.value)}>
+                                    <option value="">No category</option>
+                                    {categories.map((cat) => (
+                                        <option key={cat.id} value={String(cat.id)}>{cat.name}</option>
+                                    ))}
+                                </Form.Select>
+                            </Form.Group>
+                        </Col>
+                    </Row>
+
+                    <Form.Group className="mb-3">
+                        <Form.Label>Description Skeleton</Form.Label>
+                        <RichTextEditor
+                            value={skeleton}
+                            onChange={setSkeleton}
+                            placeholder="Headings and placeholder text every product of this kind starts with"
+                        />
+                    </Form.Group>
+
+                    <h6>Variation Matrix</h6>
+                    <p className="text-muted font-13">
+                        Each attribute lists its values separated by commas. A new product gets one variation per combination.
+                    </p>
+                    {axes.map((axis, index) => (
+                        <Row key={index} className="g-2 mb-2">
+                            <Col sm={4}>
+                                <Form.Control
+                                    size="sm"
+                                    value={axis.type}
+                                    onChange={(e) => updateAxis(index, 'type', e.target.value)}
+                                    placeholder="Attribute, e.g. Strength"
+                                />
+                            </Col>
+                            <Col sm={7}>
+                                <Form.Control
+                                    size="sm"
+                                    value={axis.values}
+                                    onChange={(e) => updateAxis(index, 'values', e.target.value)}
+                                    placeholder="Values, e.g. 250mg, 500mg"
+                                />
+                            </Col>
+                            <Col sm={1}>
+                                <Button variant="link" size="sm" className="text-danger" onClick={() => setAxes((prev) => prev.filter((_, i) => i !== index))}>
+                                    <i className="mdi mdi-close"></i>
+                                </Button>
+                            </Col>
+                        </Row>
+                    ))}
+                    <Row className="g-2 align-items-center">
+                        <Col sm={4}>
+                            <Button variant="outline-primary" size="sm" onClick={() => setAxes((prev) => [...prev, { type: '', values: '' }])}>
+                                <i className="mdi mdi-plus me-1"></i> Add Attribute
+                            </Button>
+                        </Col>
+                        <Col sm={4}>
+                            <Form.Control
+                                size="sm"
+                                value={skuPrefix}
+                                onChange={(e) => setSkuPrefix(e.target.value)}
+                                placeholder="SKU prefix, e.g. PCM"
+                            />
+                        </Col>
+                        <Col sm={4} className="text-end">
+                            <Badge bg={variationCount > MAX_MATRIX_VARIATIONS ? 'danger' : 'light'} text={variationCount > MAX_MATRIX_VARIATIONS ? undefined : 'dark'}>
+                                {variationCount} variations
+                            </Badge>
+                        </Col>
+                    </Row>
+                    {sample.length > 0 && (
+                        <div className="text-muted font-13 mt-2">
+                            e.g. {sample.map((variation) => `${variation.name} (${variation.sku})`).join(', ')}
+                            {variationCount > sample.length && ', ...'}
+                        </div>
+                    )}
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button variant="light" onClick={onHide} disabled={saving}>Cancel</Button>
+                    <Button type="submit" variant="primary" disabled={saving}>
+                        {saving ? 'Saving...' : 'Save Template'}
+                    </Button>
+                </Modal.Footer>
+            </Form>
+        </Modal>
+    );
+};
+
+export default ProductTemplateModal;
@@ -1,52 +1,84 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import { Link } from "react-router-dom";
-import { Row, Col, Card, Button, Alert, Badge, Modal, Form } from "react-bootstrap"; 
+import { Row, Col, Card, Button, ButtonGroup, Alert, Badge, Form, Nav, Dropdown } from "react-bootstrap"; 
+import Nouislider from "nouislider-react";
 import { useNavigate } from 'react-router-dom';
 
 // components
 import PageTitle from "../../../components/PageTitle";
+import { productsApi, inventoryApi, getAssetUrl, API_ROOT } from "@/api";
+import { useAuthContext } from "@/context/useAuthContext";
+import useLocalStorage from "@/hooks/useLocalStorage";
+import { PERMISSIONS } from "@/constants/permissions";
+import { PRODUCT_STATUS, RESTORED_STATUS } from "@/constants/productStatus";
+import { DEFAULT_LOW_STOCK_THRESHOLD, STOCK_STATUS, STOCK_STATUS_LABELS, STOCK_STATUS_VARIANTS } from "@/constants/inventory";
+import { getProductStatus, getProductStatusLabel, getProductStatusVariant, formatPublishAt } from "@/helpers/productStatus";
+import { getStockStatus, withVariantStock } from "@/helpers/inventory";
+import ProductsTable, { PRODUCT_COLUMNS } from "./ProductsTable";
+import ProductBulkEditModal from "./ProductBulkEditModal";
+import ProductImportModal from "./ProductImportModal";
+import ProductExportModal from "./ProductExportModal";
+
+// Status tabs; "All" leaves archived products out
+const STATUS_FILTERS = [
+    { key: 'all', label: 'All', matches: (status) => status !== PRODUCT_STATUS.ARCHIVED },
+    ...[PRODUCT_STATUS.PUBLISHED, PRODUCT_STATUS.SCHEDULED, PRODUCT_STATUS.DRAFT, PRODUCT_STATUS.ARCHIVED].map((status) => ({
+        key: status,
+        label: getProductStatusLabel(status),
+        matches: (productStatus) => productStatus === status,
+    })),
+];
+
+// View preferences kept per user in localStorage
+const DEFAULT_VIEW_PREFS = {
+    view: 'cards',
+    columns: PRODUCT_COLUMNS.map(column => column.id),
+    sortBy: [],
+    lowStockThreshold: DEFAULT_LOW_STOCK_THRESHOLD,
+};
+
+const NO_FILTERS = { category: '', stock: '', price: null };
 
 // main component
 const Products = () => {
+    const { can, user } = useAuthContext();
+    const canWrite = can(PERMISSIONS.PRODUCTS_WRITE);
+    const canDelete = can(PERMISSIONS.PRODUCTS_DELETE);
     const [products, setProducts] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [searchTerm, setSearchTerm] = useState("");
     const [allProducts, setAllProducts] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('all');
+    const [categories, setCategories] = useState([]);
+    const [filters, setFilters] = useState(NO_FILTERS);
+    const [selectedProducts, setSelectedProducts] = useState([]);
+    const [showBulkEdit, setShowBulkEdit] = useState(false);
+    const [storedPrefs, setStoredPrefs] = useLocalStorage(`products-view:${user?.id ?? 'guest'}`, DEFAULT_VIEW_PREFS);
+    // Preferences saved by older versions may lack newer keys
+    const prefs = { ...DEFAULT_VIEW_PREFS, ...storedPrefs };
+    const updatePrefs = (changes) => setStoredPrefs({ ...prefs, ...changes });
+    const [showImport, setShowImport] = useState(false);
+    const [showExport, setShowExport] = useState(false);
     const navigate = useNavigate();
 
-    // 🔥 UPDATED STATES FOR BULK UPLOAD
-    const [showModal, setShowModal] = useState(false);
-    const [csvFile, setCsvFile] = useState(null);
-    const [uploading, setUploading] = useState(false);
-    const [uploadResult, setUploadResult] = useState(null);
-
-    // The correct API endpoint for our backend
-    const API_BASE_URL = "https://ecomm.braventra.in/api";
-
     // --------------------------------------------------
     // API FETCH FUNCTION
     // --------------------------------------------------
-    const fetchProducts = async () => {
-        setLoading(true);
+    // A quiet refresh keeps the page, and any open dialog, on screen
+    const fetchProducts = async ({ quiet = false } = {}) => {
+        if (!quiet) setLoading(true);
         setError(null);
         try {
-            console.log("Fetching products from:", `${API_BASE_URL}/products`);
-            const response = await fetch(`${API_BASE_URL}/products`);
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-            console.log("API Response:", data);
-
-            if (data && data.data && data.data.products) {
-                setProducts(data.data.products);
-                setAllProducts(data.data.products);
-            } else {
-                throw new Error("Invalid data format received from API.");
-            }
+            // Inventory is optional here; without it the list keeps the product-level stock
+            const [{ products: listed, categories }, records] = await Promise.all([
+                productsApi.list(),
+                inventoryApi.list().catch(() => []),
+            ]);
+            const products = withVariantStock(listed, records);
+            setProducts(products);
+            setAllProducts(products);
+            setCategories(categories);
             setLoading(false);
         } catch (err) {
             console.error("Fetch error:", err);
@@ -60,129 +92,44 @@ const Products = () => {
     }, []);
 
     // --------------------------------------------------
-    // BULK UPLOAD LOGIC - CORRECTED ENDPOINTS
+    // OTHER LOGIC (Delete, Search, Sort) - UNCHANGED
     // --------------------------------------------------
-    const handleFileChange = (e) => {
-        setCsvFile(e.target.files[0]);
-        setUploadResult(null); // Clear previous results
+    // Patches a saved product in place instead of reloading the whole list
+    const applyProductChanges = (productId, changes) => {
+        const apply = (list) => list.map(p => p.product_id === productId ? { ...p, ...changes } : p);
+        setProducts(apply);
+        setAllProducts(apply);
     };
 
-    const handleBulkUpload = async (e) => {
-        e.preventDefault();
-        if (!csvFile) {
-            alert("Please select a CSV file to upload.");
-            return;
-        }
-
-        const formData = new FormData();
-        // The field name 'csvFile' MUST match the name in your Node.js code (upload.single('csvFile'))
-        formData.append('csvFile', csvFile);
-
-        setUploading(true);
-        setUploadResult(null);
-
-        try {
-            // 🔥 CORRECT ENDPOINT: /api/bulk-upload/products
-            const uploadUrl = `${API_BASE_URL}/bulk-upload/products`;
-            console.log("Uploading CSV to:", uploadUrl);
-            
-            const response = await fetch(uploadUrl, {
-                method: 'POST',
-                body: formData, // FormData automatically sets the correct 'Content-Type: multipart/form-data'
-                // No need to set headers like 'Content-Type: application/json'
-            });
-
-            const data = await response.json();
-            console.log("Upload API Response:", data);
-            
-            setUploading(false);
-            setUploadResult(data);
-            
-            // Re-fetch product list on successful completion (even if some rows had errors)
-            if (response.ok) {
-                fetchProducts();
-                // Auto-close modal after successful upload
-                setTimeout(() => setShowModal(false), 2000);
-            }
-
-        } catch (err) {
-            console.error("Bulk Upload error:", err);
-            setUploading(false);
-            setUploadResult({ 
-                status: 500,
-                error: 'A network or critical server error occurred.', 
-                details: err.message 
-            });
-        }
+    // Inline edits from the table; errors are shown in the cell
+    const saveProductFields = async (product, fields) => {
+        await productsApi.updateFields(product.product_id, fields);
+        applyProductChanges(product.product_id, fields);
     };
 
-    // 🔥 NEW: Download Template Function
-    const downloadTemplate = async () => {
+    // Products are archived rather than deleted, so they can be restored later
+    const changeProductStatus = async (product, status, confirmMessage) => {
+        if (!window.confirm(confirmMessage)) return;
         try {
-            // 🔥 CORRECT ENDPOINT: /api/bulk-upload/download-template
-            const response = await fetch(`${API_BASE_URL}/bulk-upload/download-template`);
-            
-            if (!response.ok) {
-                throw new Error('Failed to download template');
-            }
-
-            // Create blob and download
-            const blob = await response.blob();
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.style.display = 'none';
-            a.href = url;
-            a.download = 'product_bulk_upload_template.csv';
-            document.body.appendChild(a);
-            a.click();
-            window.URL.revokeObjectURL(url);
-            document.body.removeChild(a);
-            
+            await productsApi.updateStatus(product.product_id, status);
+            applyProductChanges(product.product_id, { status, publish_at: null });
         } catch (err) {
-            console.error('Download template error:', err);
-            alert('Error downloading template: ' + err.message);
+            console.error("Status update error:", err);
+            alert(`Error: ${err.message}`);
         }
     };
 
-    // 🔥 NEW: Get Template Info Function
-    const getTemplateInfo = async () => {
-        try {
-            // 🔥 CORRECT ENDPOINT: /api/bulk-upload/template
-            const response = await fetch(`${API_BASE_URL}/bulk-upload/template`);
-            const data = await response.json();
-            return data;
-        } catch (err) {
-            console.error('Template info error:', err);
-            return null;
-        }
-    };
+    const archiveProduct = (product) => changeProductStatus(
+        product,
+        PRODUCT_STATUS.ARCHIVED,
+        `Archive "${product.name}"? It will be removed from the storefront but can be restored later.`
+    );
 
-    // --------------------------------------------------
-    // OTHER LOGIC (Delete, Search, Sort) - UNCHANGED
-    // --------------------------------------------------
-    const deleteProduct = async (productId) => {
-        if (window.confirm("Are you sure you want to delete this product?")) {
-            try {
-                const response = await fetch(`${API_BASE_URL}/products/delete/${productId}`, {
-                    method: 'DELETE',
-                });
-
-                if (!response.ok) {
-                    throw new Error("Failed to delete product.");
-                }
-
-                const updatedProducts = products.filter(p => p.product_id !== productId);
-                setProducts(updatedProducts);
-                setAllProducts(updatedProducts);
-                console.log(`Product with ID ${productId} deleted successfully.`);
-                alert("Product deleted successfully!");
-
-            } catch (err) {
-                console.error("Delete error:", err);
-                alert(`Error: ${err.message}`);
-            }
-        }
-    };
+    const restoreProduct = (product) => changeProductStatus(
+        product,
+        RESTORED_STATUS,
+        `Restore "${product.name}" as a ${getProductStatusLabel(RESTORED_STATUS).toLowerCase()}?`
+    );
 
     const searchProduct = (value) => {
         setSearchTerm(value);
@@ -208,7 +155,7 @@ const Products = () => {
                 sortedProducts.sort((a, b) => b.price - a.price);
                 break;
             case "lowstock":
-                sortedProducts = sortedProducts.filter(product => product.stock_quantity < 10);
+                sortedProducts = sortedProducts.filter(product => Number(product.stock_quantity) < prefs.lowStockThreshold);
                 break;
             default:
                 setProducts(allProducts);
@@ -224,25 +171,82 @@ const Products = () => {
         setProducts(sortedProducts);
     };
 
-    const getStockStatus = (product) => {
-        if (product.stock_quantity === 0) return "out-of-stock";
-        if (product.stock_quantity < 10) return "low-stock";
-        return "in-stock";
+    const getStockBadge = (product) => {
+        const status = getStockStatus(product.stock_quantity, prefs.lowStockThreshold);
+        return (
+            <Badge bg={STOCK_STATUS_VARIANTS[status]} className="ms-2" text={status === STOCK_STATUS.LOW_STOCK ? 'dark' : undefined}>
+                {STOCK_STATUS_LABELS[status]}
+            </Badge>
+        );
     };
 
-    const getStockBadge = (product) => {
-        const status = getStockStatus(product);
-
-        switch (status) {
-            case "out-of-stock":
-                return <Badge bg="danger" className="ms-2">Out of Stock</Badge>;
-            case "low-stock":
-                return <Badge bg="warning" className="ms-2" text="dark">Low Stock</Badge>;
-            case "in-stock":
-                return <Badge bg="success" className="ms-2">In Stock</Badge>;
-            default:
-                return null;
-        }
+    const categoryNames = useMemo(
+        () => Object.fromEntries(categories.map(category => [category.id, category.name])),
+        [categories]
+    );
+
+    // The slider spans every product's price, whichever filters are on
+    const maxPrice = useMemo(
+        () => Math.max(0, ...allProducts.map(product => Math.ceil(Number(product.price) || 0))),
+        [allProducts]
+    );
+
+    const toggleColumn = (columnId) => {
+        updatePrefs({
+            columns: prefs.columns.includes(columnId)
+                ? prefs.columns.filter(id => id !== columnId)
+                : [...prefs.columns, columnId],
+        });
+    };
+
+    const updateFilter = (name, value) => setFilters(prev => ({ ...prev, [name]: value }));
+    const hasFilters = filters.category !== '' || filters.stock !== '' || filters.price !== null;
+
+    // Memoised so the table keeps its page and sort while unrelated state changes
+    const visibleProducts = useMemo(() => {
+        const activeFilter = STATUS_FILTERS.find(filter => filter.key === statusFilter);
+        return products.filter(product => {
+            const price = Number(product.price) || 0;
+            return activeFilter.matches(getProductStatus(product))
+                && (filters.category === '' || String(product.category_id) === filters.category)
+                && (filters.stock === '' || getStockStatus(product.stock_quantity, prefs.lowStockThreshold) === filters.stock)
+                && (filters.price === null || (price >= filters.price[0] && price <= filters.price[1]));
+        });
+    }, [products, statusFilter, filters, prefs.lowStockThreshold]);
+
+    const renderActions = (product) => {
+        const status = getProductStatus(product);
+        return (
+            <>
+                {canWrite && (
+                    <Button variant="success" size="xs" className="waves-effect waves-light me-1"
+                        onClick={() => navigate(`/apps/ecommerce/edit-product/${product.product_id}`)} >
+                        <i className="mdi mdi-pencil"></i>
+                    </Button>
+                )}
+                {canWrite && (
+                    <Button variant="secondary" size="xs" className="waves-effect waves-light me-1" title="Duplicate"
+                        onClick={() => navigate(`/apps/ecommerce/edit-product?duplicate=${product.product_id}`)}
+                    >
+                        <i className="mdi mdi-content-copy"></i>
+                    </Button>
+                )}
+                {canDelete && status !== PRODUCT_STATUS.ARCHIVED && (
+                    <Button variant="dark" size="xs" className="waves-effect waves-light" title="Archive"
+                        onClick={() => archiveProduct(product)}
+                    >
+                        <i className="mdi mdi-archive"></i>
+                    </Button>
+                )}
+                {canWrite && status === PRODUCT_STATUS.ARCHIVED && (
+                    <Button variant="info" size="xs" className="waves-effect waves-light" title="Restore"
+                        onClick={() => restoreProduct(product)}
+                    >
+                        <i className="mdi mdi-restore"></i>
+                    </Button>
+                )}
+            </>
+        );
     };
 
     // --------------------------------------------------
@@ -270,8 +274,8 @@ const Products = () => {
                         <h6>Troubleshooting steps:</h6>
                         <ol>
                             <li>Make sure your backend server is running.</li>
-                            <li>Check if <a href={`${API_BASE_URL}/products`} target="_blank" rel="noopener noreferrer">
-                                {`${API_BASE_URL}/products`}
+                            <li>Check if <a href={`${API_ROOT}/api/products`} target="_blank" rel="noopener noreferrer">
+                                {`${API_ROOT}/api/products`}
                             </a> works in your browser.</li>
                             <li>Check your browser console for detailed error messages.</li>
                         </ol>
@@ -300,18 +304,27 @@ const Products = () => {
                     <div className="d-flex">
                         <Button 
                             variant="success" 
-                            onClick={() => setShowModal(true)}
+                            onClick={() => setShowImport(true)}
                             className="me-2"
+                            disabled={!canWrite}
                         >
-                            <i className="mdi mdi-upload me-1"></i> Bulk Upload (CSV)
+                            <i className="mdi mdi-upload me-1"></i> Import (CSV / Excel)
                         </Button>
                         <Button 
                             variant="success" 
                             href="/apps/ecommerce/edit-product"
                             className="me-2"
+                            disabled={!canWrite}
                         >
                             <i className="mdi mdi-upload me-1"></i> Add Product
                         </Button>
+                        <Button
+                            variant="outline-primary"
+                            onClick={() => setShowExport(true)}
+                            className="me-2"
+                        >
+                            <i className="mdi mdi-download me-1"></i> Export
+                        </Button>
                         {/* <Button 
                             variant="outline-primary" 
                             onClick={downloadTemplate}
@@ -333,45 +346,182 @@ const Products = () => {
                 </Col>
             </Row>
 
-            {/* Sort Dropdown */}
+            {/* Status Filter and Sort Dropdown */}
             <Row className="mb-3">
-                <Col>
-                    <Form.Select 
-                        onChange={(e) => handleSortChange(e.target.value)}
-                        style={{ width: '200px' }}
-                    >
-                        <option value="">Sort by...</option>
-                        <option value="pricelow">Price: Low to High</option>
-                        <option value="pricehigh">Price: High to Low</option>
-                        <option value="lowstock">Low Stock</option>
-                    </Form.Select>
+                <Col className="d-flex flex-wrap justify-content-between align-items-center">
+                    <Nav variant="pills" activeKey={statusFilter} onSelect={setStatusFilter} className="mb-2 mb-md-0">
+                        {STATUS_FILTERS.map(filter => (
+                            <Nav.Item key={filter.key}>
+                                <Nav.Link eventKey={filter.key} className="py-1">
+                                    {filter.label}
+                                    <Badge bg="light" text="dark" className="ms-1">
+                                        {allProducts.filter(product => filter.matches(getProductStatus(product))).length}
+                                    </Badge>
+                                </Nav.Link>
+                            </Nav.Item>
+                        ))}
+                    </Nav>
+                    <div className="d-flex align-items-center">
+                        {prefs.view === 'cards' ? (
+                            <Form.Select 
+                                onChange={(e) => handleSortChange(e.target.value)}
+                                style={{ width: '200px' }}
+                            >
+                                <option value="">Sort by...</option>
+                                <option value="pricelow">Price: Low to High</option>
+                                <option value="pricehigh">Price: High to Low</option>
+                                <option value="lowstock">Low Stock</option>
+                            </Form.Select>
+                        ) : (
+                            <>
+                                {canWrite && (
+                                    <Button
+                                        variant="outline-primary"
+                                        className="me-2"
+                                        onClick={() => setShowBulkEdit(true)}
+                                        disabled={selectedProducts.length === 0}
+                                    >
+                                        <i className="mdi mdi-pencil-box-multiple me-1"></i> Bulk Edit
+                                        {selectedProducts.length > 0 && ` (${selectedProducts.length})`}
+                                    </Button>
+                                )}
+                                <Dropdown autoClose="outside">
+                                    <Dropdown.Toggle variant="light">
+                                        <i className="mdi mdi-table-column me-1"></i> Columns
+                                    </Dropdown.Toggle>
+                                    <Dropdown.Menu className="px-3">
+                                        {PRODUCT_COLUMNS.map(column => (
+                                            <Form.Check
+                                                key={column.id}
+                                                id={`column-${column.id}`}
+                                                label={column.label}
+                                                checked={prefs.columns.includes(column.id)}
+                                                onChange={() => toggleColumn(column.id)}
+                                            />
+                                        ))}
+                                    </Dropdown.Menu>
+                                </Dropdown>
+                            </>
+                        )}
+                        <ButtonGroup className="ms-2">
+                            <Button
+                                variant={prefs.view === 'cards' ? 'primary' : 'light'}
+                                onClick={() => updatePrefs({ view: 'cards' })}
+                                title="Card view"
+                            >
+                                <i className="mdi mdi-view-grid"></i>
+                            </Button>
+                            <Button
+                                variant={prefs.view === 'table' ? 'primary' : 'light'}
+                                onClick={() => updatePrefs({ view: 'table' })}
+                                title="Table view"
+                            >
+                                <i className="mdi mdi-table"></i>
+                            </Button>
+                        </ButtonGroup>
+                    </div>
                 </Col>
             </Row>
 
+            {/* Filters */}
+            <Card className="mb-3">
+                <Card.Body className="py-2">
+                    <Row className="align-items-center g-3">
+                        <Col md={3}>
+                            <Form.Label className="mb-1">Category</Form.Label>
+                            <Form.Select size="sm" value={filters.category} onChange={(e) => updateFilter('category', e.target.value)}>
+                                <option value="">All categories</option>
+                                {categories.map(category => (
+                                    <option key={category.id} value={String(category.id)}>{category.name}</option>
+                                ))}
+                            </Form.Select>
+                        </Col>
+                        <Col md={2}>
+                            <Form.Label className="mb-1">Stock</Form.Label>
+                            <Form.Select size="sm" value={filters.stock} onChange={(e) => updateFilter('stock', e.target.value)}>
+                                <option value="">Any stock</option>
+                                {Object.values(STOCK_STATUS).map(status => (
+                                    <option key={status} value={status}>{STOCK_STATUS_LABELS[status]}</option>
+                                ))}
+                            </Form.Select>
+                        </Col>
+                        <Col md={2}>
+                            <Form.Label className="mb-1">Low stock below</Form.Label>
+                            <Form.Control
+                                size="sm"
+                                type="number"
+                                min="1"
+                                value={prefs.lowStockThreshold}
+                                onChange={(e) => updatePrefs({ lowStockThreshold: Math.max(Number(e.target.value) || 0, 1) })}
+                            />
+                        </Col>
+                        <Col md={4}>
+                            <Form.Label className="mb-1 d-flex justify-content-between">
+                                <span>Price</span>
+                                <span className="text-muted">
+                                    ₹{(filters.price || [0, maxPrice])[0]} – ₹{(filters.price || [0, maxPrice])[1]}
+                                </span>
+                            </Form.Label>
+                            {maxPrice > 0 && (
+                                <Nouislider
+                                    range={{ min: 0, max: maxPrice }}
+                                    start={filters.price || [0, maxPrice]}
+                                    step={1}
+                                    connect
+                                    onChange={(values) => updateFilter('price', values.map(Number))}
+                                />
+                            )}
+                        </Col>
+                        <Col md={1} className="text-end">
+                            {hasFilters && (
+                                <Button variant="link" size="sm" className="p-0" onClick={() => setFilters(NO_FILTERS)}>
+                                    Reset
+                                </Button>
+                            )}
+                        </Col>
+                    </Row>
+                </Card.Body>
+            </Card>
+
+            {prefs.view === 'table' && (
+                <Card>
+                    <Card.Body>
+                        <ProductsTable
+                            products={visibleProducts}
+                            categoryNames={categoryNames}
+                            visibleColumns={prefs.columns}
+                            initialSortBy={prefs.sortBy}
+                            onSortByChange={(sortBy) => updatePrefs({ sortBy })}
+                            lowStockThreshold={prefs.lowStockThreshold}
+                            renderActions={renderActions}
+                            onSaveFields={canWrite ? saveProductFields : undefined}
+                            onSelectedRowsChange={canWrite ? setSelectedProducts : undefined}
+                        />
+                        <p className="text-muted font-13 mb-0">
+                            Shift-click column headers to sort by more than one column.
+                            {canWrite && ' Click a price or stock value to change it.'}
+                        </p>
+                    </Card.Body>
+                </Card>
+            )}
+
             {/* Products Grid */}
-            <Row className="mt-3">
-                {products.length > 0 ? (
-                    products.map((product) => {
+            {prefs.view === 'cards' && <Row className="mt-3">
+                {visibleProducts.length > 0 ? (
+                    visibleProducts.map((product) => {
+                        const status = getProductStatus(product);
                         return (
                             <Col key={product.product_id} md={6} xl={3} className="mb-4">
                                 <Card className="product-box h-100">
                                     <Card.Body className="d-flex flex-column">
                                         <div className="product-action">
-                                            <Button variant="success" size="xs" className="waves-effect waves-light me-1"
-                                                onClick={() => navigate(`/apps/ecommerce/edit-product/${product.product_id}`)} >
-                                                <i className="mdi mdi-pencil"></i>
-                                            </Button>
-                                            <Button variant="danger" size="xs" className="waves-effect waves-light"
-                                                onClick={() => deleteProduct(product.product_id)}
-                                            >
-                                                <i className="mdi mdi-close"></i>
-                                            </Button>
+                                            {renderActions(product)}
                                         </div>
 
                                         {/* Product image */}
                                         <div className="bg-light flex-grow-0 text-center" style={{ height: '200px', overflow: 'hidden' }}>
                                             <img
-                                                src={`https://ecomm.braventra.in${product.image_url}`}
+                                                src={getAssetUrl(product.image_url) || 'https://via.placeholder.com/300x200?text=Image+Not+Found'}
                                                 alt={product.name}
                                                 className="img-fluid h-100"
                                                 style={{ objectFit: 'contain', width: '100%' }}
@@ -384,6 +534,12 @@ const Products = () => {
                                         </div>
 
                                         <div className="product-info mt-3">
+                                            <div className="mb-1">
+                                                <Badge bg={getProductStatusVariant(status)}>{getProductStatusLabel(status)}</Badge>
+                                                {status === PRODUCT_STATUS.SCHEDULED && (
+                                                    <small className="text-muted ms-1">{formatPublishAt(product.publish_at)}</small>
+                                                )}
+                                            </div>
                                             <h5 className="font-16 mt-0 mb-2" title={product.name}>
                                                 <Link to={`/apps/ecommerce/product-details/${product.product_id}`} className="text-dark text-decoration-none">
                                                     {product.name}
@@ -396,6 +552,7 @@ const Products = () => {
                                                     <div className="mt-1">
                                                         <small className="text-muted">
                                                             Stock: {product.stock_quantity}
+                                                            {product.sku_count > 0 && ` across ${product.sku_count} SKUs`}
                                                         </small>
                                                         {getStockBadge(product)}
                                                     </div>
@@ -433,112 +590,32 @@ const Products = () => {
                         </div>
                     </Col>
                 )}
-            </Row>
+            </Row>}
+
+            <ProductBulkEditModal
+                show={showBulkEdit}
+                products={selectedProducts}
+                categories={categories}
+                canArchive={canDelete}
+                onProductUpdated={applyProductChanges}
+                onHide={() => setShowBulkEdit(false)}
+            />
 
-            {/* 🔥 UPDATED: Bulk Upload Modal */}
-            <Modal show={showModal} onHide={() => setShowModal(false)} backdrop="static" keyboard={false} size="lg">
-                <Modal.Header closeButton>
-                    <Modal.Title>Bulk Product Upload via CSV</Modal.Title>
-                </Modal.Header>
-                <Modal.Body>
-                    <Alert variant="info" className="mb-3">
-                        <h6>CSV Format Requirements:</h6>
-                        <small>
-                            <strong>Required fields:</strong> name, price<br/>
-                            <strong>Optional fields:</strong> description, long_description, image_url, stock_quantity,<br/>
-                            brand_id, brand_name, category_id, category_name, subcategory_id, subcategory_name<br/>
-                            <strong>Download the template for all available columns and examples.</strong>
-                        </small>
-                    </Alert>
-                    
-                    <Form onSubmit={handleBulkUpload}>
-                        <Form.Group controlId="csvFile" className="mb-3">
-                            <Form.Label>Select CSV File</Form.Label>
-                            <Form.Control 
-                                type="file" 
-                                accept=".csv" 
-                                onChange={handleFileChange} 
-                                required
-                            />
-                            <Form.Text className="text-muted">
-                                Maximum file size: 10MB. Only CSV files are allowed.
-                            </Form.Text>
-                        </Form.Group>
-                        
-                        <div className="d-grid gap-2">
-                            <Button 
-                                variant="success" 
-                                type="submit" 
-                                disabled={uploading || !csvFile}
-                            >
-                                {uploading ? (
-                                    <>
-                                        <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
-                                        Uploading...
-                                    </>
-                                ) : (
-                                    'Upload and Process CSV'
-                                )}
-                            </Button>
-                            
-                            <Button 
-                                variant="outline-primary" 
-                                onClick={downloadTemplate}
-                                type="button"
-                            >
-                                <i className="mdi mdi-download me-1"></i> Download CSV Template
-                            </Button>
-                        </div>
-                    </Form>
-                    
-                    {/* Upload Result Display */}
-                    {uploadResult && (
-                        <div className="mt-3 p-3 border rounded">
-                            <h6>Upload Results:</h6>
-                            <Alert variant={
-                                uploadResult.status === 200 ? 'success' : 
-                                uploadResult.status === 400 ? 'warning' : 'danger'
-                            } className="mb-2">
-                                {uploadResult.message || uploadResult.error}
-                            </Alert>
-                            
-                            {uploadResult.summary && (
-                                <div className="row text-center">
-                                    <div className="col">
-                                        <strong>Total Processed</strong><br/>
-                                        <Badge bg="secondary">{uploadResult.summary.total_processed}</Badge>
-                                    </div>
-                                    <div className="col">
-                                        <strong>Successful</strong><br/>
-                                        <Badge bg="success">{uploadResult.summary.successful}</Badge>
-                                    </div>
-                                    <div className="col">
-                                        <strong>Failed</strong><br/>
-                                        <Badge bg="danger">{uploadResult.summary.failed}</Badge>
-                                    </div>
-                                </div>
-                            )}
-                            
-                            {uploadResult.errors && uploadResult.errors.length > 0 && (
-                                <div className="mt-2">
-                                    <small className="text-muted">
-                                        Check browser console for detailed error information per row.
-                                    </small>
-                                </div>
-                            )}
-                        </div>
-                    )}
-                </Modal.Body>
-                <Modal.Footer>
-                    <Button variant="secondary" onClick={() => {
-                        setShowModal(false);
-                        setUploadResult(null);
-                        setCsvFile(null);
-                    }}>
-                        Close
-                    </Button>
-                </Modal.Footer>
-            </Modal>
+            <ProductImportModal
+                show={showImport}
+                onHide={() => setShowImport(false)}
+                categories={categories}
+                existingProducts={allProducts}
+                onImported={() => fetchProducts({ quiet: true })}
+            />
+
+            <ProductExportModal
+                show={showExport}
+                onHide={() => setShowExport(false)}
+                products={visibleProducts}
+                categoryNames={categoryNames}
+                lowStockThreshold={prefs.lowStockThreshold}
+            />
         </React.Fragment>
     );
 };
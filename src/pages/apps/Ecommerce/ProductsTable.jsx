@@ -0,0 +1,239 @@
+import React, { useState, useRef, useMemo } from "react";
+import { Link } from "react-router-dom";
+import { Badge, Form } from "react-bootstrap";
+
+// components
+import Table from "../../../components/Table";
+import { getAssetUrl } from "@/api";
+import { STOCK_STATUS_LABELS, STOCK_STATUS_VARIANTS } from "@/constants/inventory";
+import { getProductStatus, getProductStatusLabel, getProductStatusVariant } from "@/helpers/productStatus";
+import { getStockStatus } from "@/helpers/inventory";
+
+// Columns the user can show or hide; the name and actions are always shown
+export const PRODUCT_COLUMNS = [
+    { id: 'sku', label: 'SKU' },
+    { id: 'category', label: 'Category' },
+    { id: 'price', label: 'Price' },
+    { id: 'stock', label: 'Stock' },
+    { id: 'status', label: 'Status' },
+    { id: 'updated_at', label: 'Updated' },
+];
+
+const PAGE_SIZES = [10, 25, 50, 100];
+
+const formatPrice = (value) => `₹${value.toFixed(2)}`;
+
+/**
+ * Number shown as text that turns into an input when clicked. Enter or
+ * leaving the field saves, Escape cancels.
+ *
+ * @param {object} props
+ * @param {number} props.value
+ * @param {(value: number) => string} [props.format]
+ * @param {(value: number) => Promise} [props.onSave] - read-only when missing
+ */
+const InlineEditCell = ({ value, format = String, onSave }) => {
+    // null while not editing
+    const [draft, setDraft] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const cancelled = useRef(false);
+
+    if (!onSave) return format(value);
+
+    const startEditing = () => {
+        cancelled.current = false;
+        setError(null);
+        setDraft(String(value));
+    };
+
+    const save = async () => {
+        if (saving || cancelled.current) return;
+        const next = Number(draft);
+        if (draft.trim() === '' || !Number.isFinite(next) || next < 0) {
+            setError('Enter an amount of 0 or more.');
+            return;
+        }
+        if (next === value) {
+            setDraft(null);
+            return;
+        }
+        setSaving(true);
+        setError(null);
+        try {
+            await onSave(next);
+            setDraft(null);
+        } catch (err) {
+            setError(err.message || 'Could not save.');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            save();
+        } else if (e.key === 'Escape') {
+            cancelled.current = true;
+            setDraft(null);
+            setError(null);
+        }
+    };
+
+    if (draft === null) {
+        return (
+            <span role="button" className="text-nowrap" title="Click to edit" onClick={startEditing}>
+                {format(value)}
+                <i className="mdi mdi-pencil text-muted font-12 ms-1"></i>
+            </span>
+        );
+    }
+
+    return (
+        <div style={{ maxWidth: '120px' }}>
+            <Form.Control
+                size="sm"
+                type="number"
+                min="0"
+                step="0.01"
+                value={draft}
+                autoFocus
+                disabled={saving}
+                isInvalid={!!error}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={handleKeyDown}
+                onBlur={save}
+            />
+            {error && <Form.Control.Feedback type="invalid">{error}</Form.Control.Feedback>}
+        </div>
+    );
+};
+
+/**
+ * Table view of the product list. Sorting is done in the table; hold Shift
+ * while clicking headers to sort by several columns.
+ *
+ * @param {object} props
+ * @param {object[]} props.products - already filtered
+ * @param {Object<string, string>} props.categoryNames - category name by id
+ * @param {string[]} props.visibleColumns - ids from PRODUCT_COLUMNS
+ * @param {{ id: string, desc: boolean }[]} props.initialSortBy
+ * @param {(sortBy: { id: string, desc: boolean }[]) => void} props.onSortByChange
+ * @param {number} props.lowStockThreshold
+ * @param {(product: object) => React.ReactNode} props.renderActions
+ * @param {(product: object, fields: object) => Promise} [props.onSaveFields] - enables inline price editing
+ * @param {(products: object[]) => void} [props.onSelectedRowsChange] - enables row selection
+ */
+const ProductsTable = ({ products, categoryNames, visibleColumns, initialSortBy, onSortByChange, lowStockThreshold, renderActions, onSaveFields, onSelectedRowsChange }) => {
+    // The callbacks are new on every render of the page; reading them through refs
+    // keeps the columns stable, so react-table doesn't remount a cell being edited
+    const renderActionsRef = useRef(renderActions);
+    const onSaveFieldsRef = useRef(onSaveFields);
+    renderActionsRef.current = renderActions;
+    onSaveFieldsRef.current = onSaveFields;
+    const canEdit = !!onSaveFields;
+
+    const columns = useMemo(() => {
+        const saveField = (product, field) => canEdit ? ((value) => onSaveFieldsRef.current(product, { [field]: value })) : undefined;
+
+        const optionalColumns = {
+            sku: {
+                Header: 'SKU',
+                id: 'sku',
+                accessor: (product) => product.sku || product.variations?.[0]?.sku || '',
+                sort: true,
+            },
+            category: {
+                Header: 'Category',
+                id: 'category',
+                accessor: (product) => categoryNames[product.category_id] || product.category_name || '',
+                sort: true,
+            },
+            price: {
+                Header: 'Price',
+                id: 'price',
+                accessor: (product) => Number(product.price) || 0,
+                sort: true,
+                Cell: ({ row, value }) => (
+                    <InlineEditCell value={value} format={formatPrice} onSave={saveField(row.original, 'price')} />
+                ),
+            },
+            stock: {
+                Header: 'Stock',
+                id: 'stock',
+                accessor: (product) => Number(product.stock_quantity) || 0,
+                sort: true,
+                Cell: ({ row, value }) => {
+                    const stockStatus = getStockStatus(value, lowStockThreshold);
+                    return (
+                        <div className="d-flex align-items-center">
+                            {/* Stock changes go through movements in Inventory, never straight onto the product */}
+                            <span title={row.original.sku_count > 0 ? `Total across ${row.original.sku_count} SKUs; change it in Inventory` : 'Change it in Inventory'}>{value}</span>
+                            <Badge bg={STOCK_STATUS_VARIANTS[stockStatus]} className="ms-2">{STOCK_STATUS_LABELS[stockStatus]}</Badge>
+                        </div>
+                    );
+                },
+            },
+            status: {
+                Header: 'Status',
+                id: 'status',
+                accessor: (product) => getProductStatus(product),
+                sort: true,
+                Cell: ({ value }) => <Badge bg={getProductStatusVariant(value)}>{getProductStatusLabel(value)}</Badge>,
+            },
+            updated_at: {
+                Header: 'Updated',
+                id: 'updated_at',
+                accessor: (product) => product.updated_at || product.created_at || '',
+                sort: true,
+                Cell: ({ value }) => value ? new Date(value).toLocaleDateString('en-IN') : '—',
+            },
+        };
+
+        return [
+            {
+                Header: 'Product',
+                id: 'name',
+                accessor: 'name',
+                sort: true,
+                Cell: ({ row }) => (
+                    <div className="d-flex align-items-center">
+                        {row.original.image_url && (
+                            <img src={getAssetUrl(row.original.image_url)} alt="" className="rounded me-2" height="36" />
+                        )}
+                        <Link to={`/apps/ecommerce/product-details/${row.original.product_id}`} className="text-body fw-semibold">
+                            {row.original.name}
+                        </Link>
+                    </div>
+                ),
+            },
+            ...PRODUCT_COLUMNS.filter((column) => visibleColumns.includes(column.id)).map((column) => optionalColumns[column.id]),
+            {
+                Header: 'Action',
+                id: 'actions',
+                Cell: ({ row }) => renderActionsRef.current(row.original),
+            },
+        ];
+    }, [categoryNames, visibleColumns, lowStockThreshold, canEdit]);
+
+    return (
+        <Table
+            columns={columns}
+            data={products}
+            initialState={{ sortBy: initialSortBy }}
+            onSortByChange={onSortByChange}
+            getRowId={(product) => String(product.product_id)}
+            keepStateOnDataChange={true}
+            isSelectable={!!onSelectedRowsChange}
+            onSelectedRowsChange={onSelectedRowsChange}
+            pageSize={PAGE_SIZES[0]}
+            sizePerPageList={PAGE_SIZES.map((size) => ({ text: `${size}`, value: size }))}
+            isSortable={true}
+            pagination={true}
+            theadClass="table-light"
+        />
+    );
+};
+
+export default ProductsTable;
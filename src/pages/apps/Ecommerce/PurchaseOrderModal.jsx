@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from "react";
+import { Row, Col, Modal, Button, Form, Alert } from "react-bootstrap";
+import { FaPlus, FaTimes } from 'react-icons/fa';
+import { purchaseOrdersApi } from "@/api";
+import { PO_STATUS } from "@/constants/purchaseOrders";
+import { getStockKey } from "@/helpers/warehouses";
+import { getExpectedDate, getOrderTotal } from "@/helpers/purchaseOrders";
+
+// Items pick what to order by its product and SKU key
+const emptyItem = () => ({ stock_key: '', quantity: '', unit_cost: '' });
+
+/**
+ * Creates or edits a draft purchase order. Opened from the Purchase Orders
+ * tab, or from the low-stock alert with the lines already filled in.
+ *
+ * @param {object} props
+ * @param {object|null} props.draft - the modal is open while set; has an `id` when editing.
+ *   Reorder drafts also list the `unsupplied` products left out and their `sequence`, e.g. "1 of 2".
+ * @param {Supplier[]} props.suppliers
+ * @param {Warehouse[]} props.warehouses
+ * @param {object[]} props.products
+ * @param {InventoryRecord[]} props.inventory - for the SKUs each product is stocked as
+ * @param {(productId: number, sku?: string|null) => string} props.getProductName
+ * @param {(order: PurchaseOrder, sent: boolean) => void} props.onSaved
+ * @param {() => void} props.onHide
+ */
+const PurchaseOrderModal = ({ draft, suppliers, warehouses, products, inventory, getProductName, onSaved, onHide }) => {
+    const [supplierId, setSupplierId] = useState('');
+    const [warehouseId, setWarehouseId] = useState('');
+    const [expectedOn, setExpectedOn] = useState('');
+    const [note, setNote] = useState('');
+    const [items, setItems] = useState([emptyItem()]);
+    const [error, setError] = useState(null);
+    // Set once a new order is created, so a retry after a failed send updates it instead
+    const [savedId, setSavedId] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    useEffect(() => {
+        if (!draft) return;
+        setSupplierId(draft.supplier_id ? String(draft.supplier_id) : '');
+        setWarehouseId(draft.warehouse_id ? String(draft.warehouse_id) : '');
+        setExpectedOn(draft.expected_on || '');
+        setNote(draft.note || '');
+        setItems(draft.items?.length
+            ? draft.items.map(item => ({
+                stock_key: getStockKey(item.product_id, item.sku),
+                quantity: String(item.quantity),
+                unit_cost: item.unit_cost === '' || item.unit_cost == null ? '' : String(item.unit_cost),
+            }))
+            : [emptyItem()]);
+        setError(null);
+        setSavedId(null);
+    }, [draft]);
+
+    // Every SKU a product is stocked as, or the product itself before it has stock
+    const orderable = new Map();
+    products.forEach(product => {
+        const records = inventory.filter(record => record.product_id === product.product_id);
+        (records.length ? records : [{ product_id: product.product_id, sku: null }]).forEach(record => {
+            orderable.set(getStockKey(record.product_id, record.sku), { product_id: record.product_id, sku: record.sku || null });
+        });
+    });
+    // Lines prefilled for something no longer listed still need a label
+    items.forEach(item => {
+        if (item.stock_key && !orderable.has(item.stock_key)) {
+            const [productId, sku] = item.stock_key.split('|');
+            orderable.set(item.stock_key, { product_id: Number(productId), sku: sku || null });
+        }
+    });
+
+    const supplier = suppliers.find(s => s.id === Number(supplierId));
+    const unlisted = supplier
+        ? items.filter(item => item.stock_key && !(supplier.product_ids || []).includes(orderable.get(item.stock_key).product_id))
+        : [];
+
+    const updateItem = (index, field, value) => {
+        setItems(prev => prev.map((item, i) => i === index ? { ...item, [field]: value } : item));
+    };
+
+    const handleSupplierChange = (value) => {
+        setSupplierId(value);
+        setExpectedOn(getExpectedDate(suppliers.find(s => s.id === Number(value))));
+    };
+
+    const validateOrder = () => {
+        if (!supplierId) return 'Choose the supplier to order from.';
+        const filled = items.filter(item => item.stock_key);
+        if (filled.length === 0) return 'Add at least one product to order.';
+        const keys = filled.map(item => item.stock_key);
+        if (new Set(keys).size !== keys.length) return 'Each product can only be listed once.';
+        for (const item of filled) {
+            const { product_id, sku } = orderable.get(item.stock_key);
+            const quantity = Number(item.quantity);
+            if (!Number.isInteger(quantity) || quantity <= 0) {
+                return `Enter a whole quantity above zero for ${getProductName(product_id, sku)}.`;
+            }
+            if (item.unit_cost === '' || Number(item.unit_cost) < 0) {
+                return `Enter the unit cost for ${getProductName(product_id, sku)}.`;
+            }
+        }
+        return null;
+    };
+
+    const save = async (send) => {
+        const validationError = validateOrder();
+        setError(validationError);
+        if (validationError) return;
+
+        const payload = {
+            supplier_id: Number(supplierId),
+            warehouse_id: warehouseId ? Number(warehouseId) : null,
+            expected_on: expectedOn || null,
+            note: note.trim(),
+            items: items.filter(item => item.stock_key).map(item => ({
+                ...orderable.get(item.stock_key),
+                quantity: Number(item.quantity),
+                unit_cost: Number(item.unit_cost),
+            })),
+        };
+
+        setIsSubmitting(true);
+        try {
+            const id = draft.id ?? savedId;
+            let order = id
+                ? await purchaseOrdersApi.update(id, payload)
+                : await purchaseOrdersApi.create(payload);
+            if (!id) setSavedId(order?.id ?? null);
+            if (send) {
+                order = await purchaseOrdersApi.updateStatus(order?.id ?? id, PO_STATUS.SENT);
+            }
+            onSaved(order, send);
+        } catch (err) {
+            setError(`Failed to save the purchase order: ${err.message}`);
+            console.error('Purchase order save error:', err);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <Modal show={!!draft} onHide={() => !isSubmitting && onHide()} backdrop="static" size="lg">
+            <Form onSubmit={(e) => { e.preventDefault(); save(false); }}>
+                <Modal.Header closeButton={!isSubmitting}>
+                    <Modal.Title>
+                        {draft?.id ? `Edit ${draft.po_number || 'Purchase Order'}` : 'New Purchase Order'}
+                        {draft?.sequence && <small className="text-muted ms-2">({draft.sequence})</small>}
+                    </Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    {error && <Alert variant="danger">{error}</Alert>}
+                    {draft?.unsupplied?.length > 0 && (
+                        <Alert variant="warning">
+                            Left out because the supplier does not carry them:{' '}
+                            {draft.unsupplied.map(item => getProductName(item.product_id, item.sku)).join(', ')}.
+                            Order them from another supplier separately.
+                        </Alert>
+                    )}
+                    {suppliers.length === 0 && (
+                        <Alert variant="info">Add a supplier on the Suppliers tab before raising a purchase order.</Alert>
+                    )}
+                    <Row>
+                        <Col md={5}>
+                            <Form.Group className="mb-3">
+                                <Form.Label>Supplier</Form.Label>
+                                <Form.Select value={supplierId} onChange={(e) => handleSupplierChange(e.target.value)}>
+                                    <option value="">Select a supplier</option>
+                                    {suppliers.map(s => (
+                                        <option key={s.id} value={s.id}>{s.name} ({s.lead_time_days} day lead time)</option>
+                                    ))}
+                                </Form.Select>
+                            </Form.Group>
+                        </Col>
+                        <Col md={4}>
+                            <Form.Group className="mb-3">
+                                <Form.Label>Deliver To</Form.Label>
+                                <Form.Select value={warehouseId} onChange={(e) => setWarehouseId(e.target.value)}>
+                                    <option value="">Choose on receipt</option>
+                                    {warehouses.map(warehouse => (
+                                        <option key={warehouse.id} value={warehouse.id}>{warehouse.code} - {warehouse.name}</option>
+                                    ))}
+                                </Form.Select>
+                            </Form.Group>
+                        </Col>
+                        <Col md={3}>
+                            <Form.Group className="mb-3">
+                                <Form.Label>Expected On</Form.Label>
+                                <Form.Control type="date" value={expectedOn} onChange={(e) => setExpectedOn(e.target.value)} />
+                            </Form.Group>
+                        </Col>
+                    </Row>
+
+                    <Row className="g-2">
+                        <Col sm={6}><Form.Label>Products</Form.Label></Col>
+                        <Col sm={2}><Form.Label>Quantity</Form.Label></Col>
+                        <Col sm={3}><Form.Label>Unit Cost (₹)</Form.Label></Col>
+                    </Row>
+                    {items.map((item, index) => (
+                        <Row key={index} className="g-2 mb-2 align-items-center">
+                            <Col sm={6}>
+                                <Form.Select size="sm" value={item.stock_key} onChange={(e) => updateItem(index, 'stock_key', e.target.value)}>
+                                    <option value="">Select a product</option>
+                                    {Array.from(orderable.entries()).map(([key, option]) => (
+                                        <option key={key} value={key}>{getProductName(option.product_id, option.sku)}</option>
+                                    ))}
+                                </Form.Select>
+                            </Col>
+                            <Col sm={2}>
+                                <Form.Control
+                                    size="sm"
+                                    type="number"
+                                    min="1"
+                                    value={item.quantity}
+                                    onChange={(e) => updateItem(index, 'quantity', e.target.value)}
+                                />
+                            </Col>
+                            <Col sm={3}>
+                                <Form.Control
+                                    size="sm"
+                                    type="number"
+                                    min="0"
+                                    step="0.01"
+                                    value={item.unit_cost}
+                                    onChange={(e) => updateItem(index, 'unit_cost', e.target.value)}
+                                />
+                            </Col>
+                            <Col sm={1}>
+                                <Button
+                                    variant="link"
+                                    size="sm"
+                                    className="text-danger"
+                                    onClick={() => setItems(prev => prev.length > 1 ? prev.filter((_, i) => i !== index) : [emptyItem()])}
+                                >
+                                    <FaTimes />
+                                </Button>
+                            </Col>
+                        </Row>
+                    ))}
+                    <div className="d-flex justify-content-between align-items-center mb-3">
+                        <Button variant="outline-primary" size="sm" onClick={() => setItems(prev => [...prev, emptyItem()])}>
+                            <FaPlus className="me-1" /> Add Product
+                        </Button>
+                        <strong>Total: ₹{getOrderTotal(items).toFixed(2)}</strong>
+                    </div>
+                    {unlisted.length > 0 && (
+                        <Alert variant="warning" className="py-2">
+                            {supplier.name} is not listed as supplying {unlisted.length} of these products.
+                        </Alert>
+                    )}
+
+                    <Form.Group>
+                        <Form.Label>Note (Optional)</Form.Label>
+                        <Form.Control
+                            as="textarea"
+                            rows={2}
+                            value={note}
+                            onChange={(e) => setNote(e.target.value)}
+                            placeholder="e.g. Deliver before 11am, ask for Ramesh at the gate"
+                        />
+                    </Form.Group>
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button variant="light" onClick={onHide} disabled={isSubmitting}>Cancel</Button>
+                    <Button type="submit" variant="outline-success" disabled={isSubmitting}>
+                        {isSubmitting ? 'Saving...' : 'Save Draft'}
+                    </Button>
+                    <Button variant="success" onClick={() => save(true)} disabled={isSubmitting}>
+                        {isSubmitting ? 'Saving...' : 'Save & Mark Sent'}
+                    </Button>
+                </Modal.Footer>
+            </Form>
+        </Modal>
+    );
+};
+
+export default PurchaseOrderModal;
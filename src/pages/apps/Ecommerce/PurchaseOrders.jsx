@@ -0,0 +1,318 @@
+import React, { useState } from "react";
+import { Card, Form, Button, Alert, Table, Modal, Badge } from "react-bootstrap";
+import { FaPlus, FaEdit, FaTrash, FaPaperPlane, FaTruckLoading } from 'react-icons/fa';
+import { purchaseOrdersApi } from "@/api";
+import { PO_STATUS, PO_STATUS_LABELS, PO_STATUS_VARIANTS, RECEIVABLE_PO_STATUSES } from "@/constants/purchaseOrders";
+import { getOutstandingQuantity, getOrderTotal } from "@/helpers/purchaseOrders";
+
+/**
+ * Purchase Orders tab of InventoryManagement. Drafts are edited in
+ * PurchaseOrderModal, which the parent owns so the low-stock alert can open
+ * it too. Receiving a delivery posts a receipt movement per item, with the
+ * batch it came in, into the chosen warehouse.
+ *
+ * @param {object} props
+ * @param {PurchaseOrder[]} props.purchaseOrders
+ * @param {Supplier[]} props.suppliers
+ * @param {Warehouse[]} props.warehouses
+ * @param {(productId: number, sku?: string|null) => string} props.getProductName
+ * @param {boolean} props.canWrite
+ * @param {boolean} props.canDelete
+ * @param {(draft: object) => void} props.onEdit - opens PurchaseOrderModal
+ * @param {(message: string, variant: string) => void} props.onStatus
+ * @param {() => void} props.onChange - reload stock and orders after a change
+ */
+const PurchaseOrders = ({ purchaseOrders, suppliers, warehouses, getProductName, canWrite, canDelete, onEdit, onStatus, onChange }) => {
+    const [receiving, setReceiving] = useState(null);
+    const [warehouseId, setWarehouseId] = useState('');
+    const [lines, setLines] = useState({});
+    const [formError, setFormError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const getSupplierName = (supplierId) => suppliers.find(s => s.id === supplierId)?.name || `Supplier ${supplierId}`;
+
+    const getWarehouseLabel = (id) => {
+        const warehouse = warehouses.find(w => w.id === id);
+        return warehouse ? `${warehouse.code} - ${warehouse.name}` : 'Not set';
+    };
+
+    const handleSend = async (order) => {
+        try {
+            await purchaseOrdersApi.updateStatus(order.id, PO_STATUS.SENT);
+            onStatus(`${order.po_number} marked as sent to ${getSupplierName(order.supplier_id)}.`, 'success');
+            onChange();
+        } catch (err) {
+            onStatus(`Failed to update the purchase order: ${err.message}`, 'danger');
+            console.error('Purchase order status error:', err);
+        }
+    };
+
+    const handleDelete = async (order) => {
+        if (!window.confirm(`Delete draft ${order.po_number}?`)) return;
+        try {
+            await purchaseOrdersApi.remove(order.id);
+            onStatus(`${order.po_number} deleted.`, 'success');
+            onChange();
+        } catch (err) {
+            onStatus(`Failed to delete the purchase order: ${err.message}`, 'danger');
+            console.error('Purchase order delete error:', err);
+        }
+    };
+
+    const openReceiveModal = (order) => {
+        setWarehouseId(order.warehouse_id ? String(order.warehouse_id) : '');
+        setLines(Object.fromEntries(order.items.filter(item => getOutstandingQuantity(item) > 0).map(item => [item.id, {
+            quantity: String(getOutstandingQuantity(item)),
+            batch_number: '',
+            manufactured_on: '',
+            expires_on: '',
+        }])));
+        setFormError(null);
+        setReceiving(order);
+    };
+
+    const updateLine = (itemId, field, value) => {
+        setLines(prev => ({ ...prev, [itemId]: { ...prev[itemId], [field]: value } }));
+    };
+
+    const validateReceipt = () => {
+        if (warehouses.length > 0 && !warehouseId) return 'Choose the warehouse the delivery arrived at.';
+        const arrived = receiving.items.filter(item => lines[item.id] && Number(lines[item.id].quantity) > 0);
+        if (arrived.length === 0) return 'Enter the quantity received for at least one product.';
+        for (const item of receiving.items.filter(item => lines[item.id])) {
+            const line = lines[item.id];
+            const quantity = Number(line.quantity);
+            const name = getProductName(item.product_id, item.sku);
+            if (!Number.isInteger(quantity) || quantity < 0 || quantity > getOutstandingQuantity(item)) {
+                return `Received quantity for ${name} must be a whole number up to the ${getOutstandingQuantity(item)} outstanding.`;
+            }
+            if (quantity === 0) continue;
+            if (!line.batch_number.trim() || !line.expires_on) {
+                return `Enter the batch number and expiry date for ${name}.`;
+            }
+            if (line.manufactured_on && line.manufactured_on >= line.expires_on) {
+                return `The expiry date for ${name} must be after its manufacture date.`;
+            }
+        }
+        return null;
+    };
+
+    const handleReceive = async () => {
+        const error = validateReceipt();
+        setFormError(error);
+        if (error) return;
+
+        setIsSubmitting(true);
+        try {
+            await purchaseOrdersApi.receive(receiving.id, {
+                warehouse_id: warehouseId ? Number(warehouseId) : null,
+                items: receiving.items
+                    .filter(item => lines[item.id] && Number(lines[item.id].quantity) > 0)
+                    .map(item => {
+                        const line = lines[item.id];
+                        return {
+                            id: item.id,
+                            quantity: Number(line.quantity),
+                            batch: {
+                                batch_number: line.batch_number.trim(),
+                                manufactured_on: line.manufactured_on || null,
+                                expires_on: line.expires_on,
+                            },
+                        };
+                    }),
+            });
+            onStatus(`Delivery against ${receiving.po_number} received into stock.`, 'success');
+            setReceiving(null);
+            onChange();
+        } catch (err) {
+            setFormError(`Failed to receive the delivery: ${err.message}`);
+            console.error('Purchase order receive error:', err);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <Card>
+            <Card.Header className="d-flex justify-content-between align-items-center bg-light">
+                <h5 className="mb-0">Purchase Orders</h5>
+                <Button variant="primary" onClick={() => onEdit({ items: [] })} disabled={!canWrite}>
+                    <FaPlus className="me-1" /> New Purchase Order
+                </Button>
+            </Card.Header>
+            <Card.Body>
+                {purchaseOrders.length === 0 ? (
+                    <Alert variant="info" className="text-center mb-0">
+                        No purchase orders yet. Use "Reorder" on the low stock alert to draft one for everything below its ROP.
+                    </Alert>
+                ) : (
+                    <div className="table-responsive">
+                        <Table striped bordered hover className="mb-0">
+                            <thead>
+                                <tr>
+                                    <th>PO No.</th>
+                                    <th>Supplier</th>
+                                    <th>Items</th>
+                                    <th>Total</th>
+                                    <th>Deliver To</th>
+                                    <th>Expected</th>
+                                    <th>Status</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {purchaseOrders.map((order) => (
+                                    <tr key={order.id}>
+                                        <td>
+                                            <strong>{order.po_number}</strong>
+                                            <small className="text-muted d-block">{new Date(order.created_at).toLocaleDateString()}</small>
+                                        </td>
+                                        <td>
+                                            {getSupplierName(order.supplier_id)}
+                                            {order.note && <small className="text-muted d-block">{order.note}</small>}
+                                        </td>
+                                        <td>
+                                            {order.items.map(item => (
+                                                <div key={item.id}>
+                                                    {getProductName(item.product_id, item.sku)} × {item.quantity}
+                                                    {order.status !== PO_STATUS.DRAFT && item.received_quantity > 0 && item.received_quantity < item.quantity && (
+                                                        <small className="text-muted ms-1">({item.received_quantity} received)</small>
+                                                    )}
+                                                </div>
+                                            ))}
+                                        </td>
+                                        <td>₹{getOrderTotal(order.items).toFixed(2)}</td>
+                                        <td>{getWarehouseLabel(order.warehouse_id)}</td>
+                                        <td>{order.expected_on || 'N/A'}</td>
+                                        <td>
+                                            <Badge bg={PO_STATUS_VARIANTS[order.status] || 'secondary'}>
+                                                {PO_STATUS_LABELS[order.status] || order.status}
+                                            </Badge>
+                                        </td>
+                                        <td style={{ minWidth: '150px' }}>
+                                            {order.status === PO_STATUS.DRAFT && canWrite && (
+                                                <>
+                                                    <Button variant="info" size="sm" className="me-2 mb-1" onClick={() => onEdit(order)}>
+                                                        <FaEdit /> Edit
+                                                    </Button>
+                                                    <Button variant="primary" size="sm" className="me-2 mb-1" onClick={() => handleSend(order)}>
+                                                        <FaPaperPlane /> Mark Sent
+                                                    </Button>
+                                                </>
+                                            )}
+                                            {order.status === PO_STATUS.DRAFT && canDelete && (
+                                                <Button variant="danger" size="sm" className="mb-1" onClick={() => handleDelete(order)}>
+                                                    <FaTrash /> Delete
+                                                </Button>
+                                            )}
+                                            {RECEIVABLE_PO_STATUSES.includes(order.status) && canWrite && (
+                                                <Button variant="success" size="sm" className="mb-1" onClick={() => openReceiveModal(order)}>
+                                                    <FaTruckLoading /> Receive
+                                                </Button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </Table>
+                    </div>
+                )}
+            </Card.Body>
+
+            <Modal show={!!receiving} onHide={() => !isSubmitting && setReceiving(null)} backdrop="static" size="lg">
+                <Modal.Header closeButton={!isSubmitting}>
+                    <Modal.Title>Receive {receiving?.po_number}</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    {formError && <Alert variant="danger">{formError}</Alert>}
+                    {receiving && (
+                        <>
+                            <p className="text-muted">
+                                Enter what arrived from {getSupplierName(receiving.supplier_id)} and the batch printed on it.
+                                Anything still outstanding can be received in a later delivery.
+                            </p>
+                            {warehouses.length > 0 && (
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Received At</Form.Label>
+                                    <Form.Select value={warehouseId} onChange={(e) => setWarehouseId(e.target.value)}>
+                                        <option value="">Select a warehouse</option>
+                                        {warehouses.map(warehouse => (
+                                            <option key={warehouse.id} value={warehouse.id}>{warehouse.code} - {warehouse.name}</option>
+                                        ))}
+                                    </Form.Select>
+                                </Form.Group>
+                            )}
+                            <Table size="sm" className="mb-0">
+                                <thead>
+                                    <tr>
+                                        <th>Product</th>
+                                        <th>Outstanding</th>
+                                        <th style={{ width: '100px' }}>Received</th>
+                                        <th>Batch No.</th>
+                                        <th>Mfg. Date</th>
+                                        <th>Expiry Date</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {receiving.items.filter(item => lines[item.id]).map(item => {
+                                        const line = lines[item.id];
+                                        return (
+                                            <tr key={item.id}>
+                                                <td>{getProductName(item.product_id, item.sku)}</td>
+                                                <td>{getOutstandingQuantity(item)}</td>
+                                                <td>
+                                                    <Form.Control
+                                                        size="sm"
+                                                        type="number"
+                                                        min="0"
+                                                        max={getOutstandingQuantity(item)}
+                                                        value={line.quantity}
+                                                        onChange={(e) => updateLine(item.id, 'quantity', e.target.value)}
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <Form.Control
+                                                        size="sm"
+                                                        value={line.batch_number}
+                                                        onChange={(e) => updateLine(item.id, 'batch_number', e.target.value)}
+                                                        placeholder="e.g. PCM2409A"
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <Form.Control
+                                                        size="sm"
+                                                        type="date"
+                                                        value={line.manufactured_on}
+                                                        max={line.expires_on || undefined}
+                                                        onChange={(e) => updateLine(item.id, 'manufactured_on', e.target.value)}
+                                                    />
+                                                </td>
+                                                <td>
+                                                    <Form.Control
+                                                        size="sm"
+                                                        type="date"
+                                                        value={line.expires_on}
+                                                        min={line.manufactured_on || undefined}
+                                                        onChange={(e) => updateLine(item.id, 'expires_on', e.target.value)}
+                                                    />
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </Table>
+                        </>
+                    )}
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button variant="light" onClick={() => setReceiving(null)} disabled={isSubmitting}>Cancel</Button>
+                    <Button variant="success" onClick={handleReceive} disabled={isSubmitting}>
+                        {isSubmitting ? 'Saving...' : 'Receive into Stock'}
+                    </Button>
+                </Modal.Footer>
+            </Modal>
+        </Card>
+    );
+};
+
+export default PurchaseOrders;
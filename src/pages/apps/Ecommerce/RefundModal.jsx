@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from "react";
+import { Button, Alert, Modal, Form, InputGroup } from "react-bootstrap";
+
+import { ordersApi, refundsApi, returnsApi } from "@/api";
+import { ORDER_STATUS } from "@/constants/orderStatus";
+import { RETURN_STATUS, REFUND_METHODS } from "@/constants/returns";
+import { canTransition } from "@/helpers/orderStatus";
+import { getRefundableAmount } from "@/helpers/returns";
+
+/**
+ * Records a full or partial refund of an order, optionally settling a return.
+ * Once nothing is left to refund the order itself moves to Refunded.
+ *
+ * @param {object} props
+ * @param {boolean} props.show
+ * @param {object} props.order
+ * @param {object[]} props.refunds - refunds already recorded for the order
+ * @param {object|null} [props.rma] - return being refunded
+ * @param {number} [props.defaultAmount] - prefilled amount, capped at what is still refundable
+ * @param {() => void} props.onHide
+ * @param {(refund: object) => void} props.onSaved
+ */
+const RefundModal = ({ show, order, refunds, rma = null, defaultAmount, onHide, onSaved }) => {
+  const [amount, setAmount] = useState('');
+  const [method, setMethod] = useState(REFUND_METHODS[0]);
+  const [reference, setReference] = useState('');
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  // The refund once it is recorded, with which status updates are done, so a
+  // retry after a failed status update cannot record the refund twice
+  const [recorded, setRecorded] = useState(null);
+
+  const refundable = order ? getRefundableAmount(order, refunds) : 0;
+
+  useEffect(() => {
+    if (show) {
+      setAmount(String(Math.min(defaultAmount ?? refundable, refundable)));
+      setMethod(REFUND_METHODS[0]);
+      setReference('');
+      setNote('');
+      setError(null);
+      setRecorded(null);
+    }
+  }, [show]);
+
+  // Settles the return and the order, skipping whatever a previous attempt
+  // already did; `progress` is updated as each step succeeds
+  const applyStatuses = async (progress) => {
+    const { value } = progress;
+    if (rma && !progress.returnUpdated) {
+      await returnsApi.updateStatus(rma.id, RETURN_STATUS.REFUNDED);
+      progress.returnUpdated = true;
+      setRecorded({ ...progress });
+    }
+    if (!progress.orderUpdated && value >= refundable && canTransition(order.status, ORDER_STATUS.REFUNDED)) {
+      await ordersApi.updateStatus(order.order_id, ORDER_STATUS.REFUNDED, `Refunded ₹${value.toFixed(2)} via ${progress.method}${progress.reference ? ` (${progress.reference})` : ''}`);
+      progress.orderUpdated = true;
+      setRecorded({ ...progress });
+    }
+  };
+
+  // Closing after the refund was recorded still has to refresh the order
+  const handleHide = () => recorded ? onSaved(recorded.refund) : onHide();
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    let done = recorded;
+    if (!done) {
+      const value = Math.round(Number(amount) * 100) / 100;
+      if (!(value > 0)) {
+        setError('Please enter an amount greater than zero.');
+        return;
+      }
+      if (value > refundable) {
+        setError(`At most ₹${refundable.toFixed(2)} can still be refunded on this order.`);
+        return;
+      }
+
+      setSaving(true);
+      setError(null);
+      try {
+        const refund = await refundsApi.create(order.order_id, {
+          amount: value,
+          method,
+          reference: reference.trim() || null,
+          note: note.trim() || null,
+          return_id: rma?.id ?? null
+        });
+        done = { refund: { amount: value, method, reference, ...refund }, value, method, reference: reference.trim(), returnUpdated: false, orderUpdated: false };
+        setRecorded(done);
+      } catch (err) {
+        console.error('Error recording refund:', err);
+        setError(err.message || 'Failed to record refund. Please try again.');
+        setSaving(false);
+        return;
+      }
+    }
+
+    const progress = { ...done };
+    setSaving(true);
+    setError(null);
+    try {
+      await applyStatuses(progress);
+      onSaved(progress.refund);
+    } catch (err) {
+      console.error('Error updating status after refund:', err);
+      setError(`The refund was recorded, but updating the ${progress.returnUpdated || !rma ? 'order' : 'return'} status failed: ${err.message || 'please try again'}. Retrying only repeats the status update.`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={handleHide} centered>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton className="bg-light">
+          <Modal.Title>
+            <i className="mdi mdi-cash-refund me-2"></i>
+            {rma ? `Refund Return ${rma.rma_number}` : `Refund Order #${order?.order_id}`}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && (
+            <Alert variant="danger" onClose={() => setError(null)} dismissible className="mb-3">
+              <i className="mdi mdi-alert-circle me-2"></i>
+              {error}
+            </Alert>
+          )}
+
+          <div className="mb-3">
+            <Form.Label>Amount *</Form.Label>
+            <InputGroup>
+              <InputGroup.Text>₹</InputGroup.Text>
+              <Form.Control
+                type="number"
+                step="0.01"
+                min="0.01"
+                max={refundable}
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                disabled={saving || !!recorded}
+              />
+            </InputGroup>
+            <Form.Text className="text-muted">
+              ₹{refundable.toFixed(2)} of ₹{parseFloat(order?.total_amount || 0).toFixed(2)} is still refundable.
+            </Form.Text>
+          </div>
+          <div className="mb-3">
+            <Form.Label>Method *</Form.Label>
+            <Form.Select value={method} onChange={(e) => setMethod(e.target.value)} disabled={saving || !!recorded}>
+              {REFUND_METHODS.map(option => (
+                <option key={option} value={option}>{option}</option>
+              ))}
+            </Form.Select>
+          </div>
+          <div className="mb-3">
+            <Form.Label>Reference</Form.Label>
+            <Form.Control
+              value={reference}
+              onChange={(e) => setReference(e.target.value)}
+              placeholder="UTR / transaction ID"
+              disabled={saving || !!recorded}
+            />
+          </div>
+          <div className="mb-0">
+            <Form.Label>Note</Form.Label>
+            <Form.Control as="textarea" rows={2} value={note} onChange={(e) => setNote(e.target.value)} disabled={saving || !!recorded} />
+          </div>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="light" onClick={handleHide} disabled={saving}>
+            {recorded ? 'Close' : 'Cancel'}
+          </Button>
+          <Button type="submit" variant="primary" disabled={saving || (!recorded && refundable <= 0)}>
+            {saving ? (
+              <>
+                <span className="spinner-border spinner-border-sm me-2" role="status"></span>
+                Saving...
+              </>
+            ) : (
+              <>
+                <i className="mdi mdi-content-save me-1"></i>
+                {recorded ? 'Retry Status Update' : 'Record Refund'}
+              </>
+            )}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default RefundModal;
@@ -0,0 +1,101 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Button, ButtonGroup } from "react-bootstrap";
+import ReactQuill from "react-quill-new";
+
+import { sanitizeHtml, isRichTextEmpty } from "@/helpers/richText";
+
+// styles
+import 'react-quill-new/dist/quill.snow.css';
+
+// Defined once: ReactQuill rebuilds the editor whenever `modules` changes
+const MODULES = {
+    table: true,
+    toolbar: {
+        container: [
+            [{ header: [2, 3, 4, false] }],
+            ['bold', 'italic', 'underline', 'strike'],
+            [{ list: 'ordered' }, { list: 'bullet' }],
+            ['blockquote', 'link', 'table'],
+            ['clean'],
+        ],
+        handlers: {
+            table: function () {
+                this.quill.getModule('table').insertTable(3, 3);
+            },
+        },
+    },
+};
+
+const TABLE_ACTIONS = [
+    { title: 'Add row', icon: 'mdi-table-row-plus-after', action: 'insertRowBelow' },
+    { title: 'Add column', icon: 'mdi-table-column-plus-after', action: 'insertColumnRight' },
+    { title: 'Delete row', icon: 'mdi-table-row-remove', action: 'deleteRow' },
+    { title: 'Delete column', icon: 'mdi-table-column-remove', action: 'deleteColumn' },
+    { title: 'Delete table', icon: 'mdi-table-remove', action: 'deleteTable' },
+];
+
+/**
+ * Rich text field for product descriptions. Emits sanitized semantic HTML
+ * (see sanitizeHtml), or '' when the editor is empty.
+ *
+ * @param {object} props
+ * @param {string} props.value
+ * @param {(html: string) => void} props.onChange
+ * @param {string} [props.placeholder]
+ * @param {boolean} [props.isInvalid]
+ */
+const RichTextEditor = ({ value, onChange, placeholder, isInvalid }) => {
+    const quillRef = useRef(null);
+    const emitted = useRef(null);
+    const [editorValue, setEditorValue] = useState(value);
+
+    // Only outside changes, such as loading a product, are pushed back into the editor
+    useEffect(() => {
+        if (value !== emitted.current) {
+            setEditorValue(value);
+        }
+    }, [value]);
+
+    const handleChange = (html, delta, source, editor) => {
+        setEditorValue(html);
+        emitted.current = isRichTextEmpty(html) ? '' : sanitizeHtml(editor.getSemanticHTML());
+        onChange(emitted.current);
+    };
+
+    // The table module acts on the cell holding the cursor, so keep the editor focused
+    const runTableAction = (e, action) => {
+        e.preventDefault();
+        quillRef.current?.getEditor().getModule('table')[action]();
+    };
+
+    return (
+        <div className={isInvalid ? 'border border-danger rounded' : undefined}>
+            <ReactQuill
+                ref={quillRef}
+                theme="snow"
+                modules={MODULES}
+                value={editorValue}
+                onChange={handleChange}
+                placeholder={placeholder}
+                style={{ minHeight: '200px' }}
+            />
+            <div className="d-flex align-items-center p-1 border-top bg-light">
+                <span className="text-muted font-12 me-2">Table:</span>
+                <ButtonGroup size="sm">
+                    {TABLE_ACTIONS.map(({ title, icon, action }) => (
+                        <Button
+                            key={action}
+                            variant="light"
+                            title={title}
+                            onMouseDown={(e) => runTableAction(e, action)}
+                        >
+                            <i className={`mdi ${icon}`}></i>
+                        </Button>
+                    ))}
+                </ButtonGroup>
+            </div>
+        </div>
+    );
+};
+
+export default RichTextEditor;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Row, Col, Form, Button, InputGroup } from "react-bootstrap";
+import { useWatch } from "react-hook-form";
+
+import { META_TITLE_LIMIT, META_DESCRIPTION_LIMIT, SLUG_PATTERN } from "@/constants/seo";
+import { slugify, getStorefrontUrl, truncateText } from "@/helpers/seo";
+
+const CUSTOM_IMAGE = 'custom';
+
+const LengthCounter = ({ length, limit }) => (
+    <small className={`float-end ${length > limit ? 'text-danger' : 'text-muted'}`}>
+        {length}/{limit}
+    </small>
+);
+
+const SLUG_STATUS = {
+    checking: { className: 'text-muted', text: 'Checking availability...' },
+    available: { className: 'text-success', text: 'This slug is available.' },
+    taken: { className: 'text-danger', text: 'This slug is already in use.' },
+};
+
+/**
+ * SEO block shared by ProductEdit and CategoryManagement. Works on the
+ * owning form's `slug`, `meta_title`, `meta_description`, `canonical_url`
+ * and `og_image_url` fields (see getSeoSchema) and previews the search result.
+ *
+ * @param {object} props
+ * @param {object} props.control - from the owning useForm
+ * @param {Function} props.register
+ * @param {Function} props.setValue
+ * @param {object} props.errors
+ * @param {"product"|"category"} props.type - picks the storefront path
+ * @param {string} props.nameField - the slug follows this field until it is edited by hand
+ * @param {string} [props.descriptionField] - fallback for the snippet's description
+ * @param {(slug: string) => Promise<boolean>} props.isSlugAvailable
+ * @param {{ url: string, label: string }[]} [props.imageOptions] - images offered for sharing
+ */
+const SeoFields = ({ control, register, setValue, errors, type, nameField, descriptionField, isSlugAvailable, imageOptions = [] }) => {
+    const [name, slug, metaTitle, metaDescription, ogImageUrl, description] = useWatch({
+        control,
+        name: [nameField, 'slug', 'meta_title', 'meta_description', 'og_image_url', descriptionField || nameField],
+    });
+    const [slugStatus, setSlugStatus] = useState(null);
+    const [customImage, setCustomImage] = useState(false);
+    const previousName = useRef(name);
+
+    // Keep the slug in step with the name while it still matches the generated one
+    useEffect(() => {
+        if (!slug || slug === slugify(previousName.current)) {
+            setValue('slug', slugify(name), { shouldDirty: true });
+        }
+        previousName.current = name;
+    }, [name]);
+
+    useEffect(() => {
+        if (!SLUG_PATTERN.test(slug || '')) {
+            setSlugStatus(null);
+            return;
+        }
+        let cancelled = false;
+        setSlugStatus('checking');
+        const timer = setTimeout(() => {
+            isSlugAvailable(slug)
+                .then((available) => !cancelled && setSlugStatus(available ? 'available' : 'taken'))
+                .catch(() => !cancelled && setSlugStatus(null));
+        }, 400);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [slug]);
+
+    const url = getStorefrontUrl(type, slug);
+    const imageChoice = customImage || (ogImageUrl && !imageOptions.some((option) => option.url === ogImageUrl))
+        ? CUSTOM_IMAGE
+        : ogImageUrl || '';
+
+    const handleImageChoice = (e) => {
+        const { value } = e.target;
+        setCustomImage(value === CUSTOM_IMAGE);
+        setValue('og_image_url', value === CUSTOM_IMAGE ? '' : value, { shouldDirty: true });
+    };
+
+    return (
+        <>
+            <Form.Group className="mb-3">
+                <Form.Label>URL Slug</Form.Label>
+                <InputGroup hasValidation>
+                    <InputGroup.Text className="text-truncate" style={{ maxWidth: '45%' }}>
+                        {getStorefrontUrl(type, '')}
+                    </InputGroup.Text>
+                    <Form.Control {...register('slug')} isInvalid={!!errors.slug} />
+                    <Button
+                        variant="light"
+                        title="Generate from the name"
+                        onClick={() => setValue('slug', slugify(name), { shouldDirty: true, shouldValidate: true })}
+                    >
+                        <i className="mdi mdi-refresh"></i>
+                    </Button>
+                    <Form.Control.Feedback type="invalid">{errors.slug?.message}</Form.Control.Feedback>
+                </InputGroup>
+                {!errors.slug && slugStatus && (
+                    <Form.Text className={SLUG_STATUS[slugStatus].className}>{SLUG_STATUS[slugStatus].text}</Form.Text>
+                )}
+            </Form.Group>
+
+            <Form.Group className="mb-3">
+                <Form.Label className="w-100">
+                    Meta Title
+                    <LengthCounter length={(metaTitle || '').length} limit={META_TITLE_LIMIT} />
+                </Form.Label>
+                <Form.Control {...register('meta_title')} placeholder={name} isInvalid={!!errors.meta_title} />
+                <Form.Control.Feedback type="invalid">{errors.meta_title?.message}</Form.Control.Feedback>
+            </Form.Group>
+
+            <Form.Group className="mb-3">
+                <Form.Label className="w-100">
+                    Meta Description
+                    <LengthCounter length={(metaDescription || '').length} limit={META_DESCRIPTION_LIMIT} />
+                </Form.Label>
+                <Form.Control as="textarea" rows={3} {...register('meta_description')} isInvalid={!!errors.meta_description} />
+                <Form.Control.Feedback type="invalid">{errors.meta_description?.message}</Form.Control.Feedback>
+            </Form.Group>
+
+            <Row>
+                <Col md={6}>
+                    <Form.Group className="mb-3">
+                        <Form.Label>Canonical URL</Form.Label>
+                        <Form.Control {...register('canonical_url')} placeholder={url} isInvalid={!!errors.canonical_url} />
+                        <Form.Control.Feedback type="invalid">{errors.canonical_url?.message}</Form.Control.Feedback>
+                        <Form.Text className="text-muted">Leave empty to use this page's own URL.</Form.Text>
+                    </Form.Group>
+                </Col>
+                <Col md={6}>
+                    <Form.Group className="mb-3">
+                        <Form.Label>Open Graph Image</Form.Label>
+                        {imageOptions.length > 0 && (
+                            <Form.Select value={imageChoice} onChange={handleImageChoice} className="mb-2">
+                                <option value="">Primary image (default)</option>
+                                {imageOptions.map((option) => (
+                                    <option key={option.url} value={option.url}>{option.label}</option>
+                                ))}
+                                <option value={CUSTOM_IMAGE}>Custom URL</option>
+                            </Form.Select>
+                        )}
+                        {(imageOptions.length === 0 || imageChoice === CUSTOM_IMAGE) && (
+                            <Form.Control {...register('og_image_url')} placeholder="https://" isInvalid={!!errors.og_image_url} />
+                        )}
+                        <Form.Control.Feedback type="invalid">{errors.og_image_url?.message}</Form.Control.Feedback>
+                    </Form.Group>
+                </Col>
+            </Row>
+
+            <h6 className="text-muted">Search Preview</h6>
+            <div className="border rounded p-3">
+                <div className="font-13 text-muted text-truncate">
+                    {url.replace(/^https?:\/\//, '').split('/').filter(Boolean).join(' › ')}
+                </div>
+                <div className="font-18 text-truncate" style={{ color: '#1a0dab' }}>
+                    {truncateText(metaTitle || name, META_TITLE_LIMIT) || 'Page title'}
+                </div>
+                <div className="font-13" style={{ color: '#4d5156' }}>
+                    {truncateText(metaDescription || (descriptionField ? description : ''), META_DESCRIPTION_LIMIT)
+                        || 'Add a meta description to control the text shown here.'}
+                </div>
+            </div>
+        </>
+    );
+};
+
+export default SeoFields;
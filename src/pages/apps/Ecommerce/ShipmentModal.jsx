@@ -0,0 +1,311 @@
+import React, { useState, useEffect } from "react";
+import { Row, Col, Button, Alert, Modal, Form, Table } from "react-bootstrap";
+
+import { shipmentsApi, inventoryApi } from "@/api";
+import { CARRIERS, SHIPMENT_STATUS } from "@/constants/shipping";
+import { getCarrier, getOrderItemKey, getRemainingQuantities } from "@/helpers/shipments";
+import { allocateFefo } from "@/helpers/batches";
+
+// Local date, not UTC, so early-morning shipments get today's date
+const today = () => new Date().toLocaleDateString('en-CA');
+
+const emptyShipment = () => ({
+  carrier: CARRIERS[0].id,
+  tracking_number: '',
+  tracking_url: '',
+  shipped_at: today(),
+  expected_delivery: '',
+  weight_kg: '',
+  length_cm: '',
+  width_cm: '',
+  height_cm: ''
+});
+
+const toNumberOrNull = (value) => value === '' ? null : Number(value);
+
+/**
+ * Records a shipment for some or all of the items still waiting to ship.
+ *
+ * @param {object} props
+ * @param {boolean} props.show
+ * @param {object} props.order - with its `items`
+ * @param {object[]} props.shipments - shipments already recorded for the order
+ * @param {() => void} props.onHide
+ * @param {(shipment: object) => void} props.onSaved
+ */
+const ShipmentModal = ({ show, order, shipments, onHide, onSaved }) => {
+  const [form, setForm] = useState(emptyShipment);
+  const [quantities, setQuantities] = useState({});
+  // null until loaded; the FEFO picks and the expiry check depend on them
+  const [batches, setBatches] = useState(null);
+  const [batchError, setBatchError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const items = order?.items || [];
+  const remaining = getRemainingQuantities(items, shipments);
+  const carrier = getCarrier(form.carrier);
+
+  const loadBatches = () => {
+    setBatches(null);
+    setBatchError(null);
+    inventoryApi.batches()
+      .then(setBatches)
+      .catch((err) => {
+        console.error('Error loading batches:', err);
+        setBatchError(err.message || 'Failed to load stock batches.');
+      });
+  };
+
+  // Default to shipping everything that is left
+  useEffect(() => {
+    if (show) {
+      setForm(emptyShipment());
+      setQuantities(getRemainingQuantities(items, shipments));
+      setError(null);
+      loadBatches();
+    }
+  }, [show]);
+
+  // FEFO picks for batch-tracked products; lines of the same SKU draw on the
+  // same batches, and batches of the product without a SKU serve any line
+  const batchLeft = new Map((batches || []).map(batch => [batch.id, batch.quantity]));
+  const picks = Object.fromEntries(items.map(item => {
+    const key = getOrderItemKey(item);
+    const tracked = (batches || [])
+      .filter(batch => batch.product_id === item.product_id && (!batch.sku || batch.sku === item.sku))
+      .map(batch => ({ ...batch, quantity: batchLeft.get(batch.id) }));
+    if (tracked.length === 0) return [key, null];
+    const allocation = allocateFefo(tracked, Number(quantities[key]) || 0);
+    allocation.picks.forEach(pick => batchLeft.set(pick.batch.id, batchLeft.get(pick.batch.id) - pick.quantity));
+    return [key, allocation];
+  }));
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleQuantityChange = (key, value) => {
+    setQuantities(prev => ({ ...prev, [key]: value === '' ? '' : Math.min(Math.max(Number(value), 0), remaining[key]) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if (!batches) return;
+    const shipmentItems = items
+      .map(item => ({
+        order_item_id: item.order_item_id ?? item.id ?? null,
+        sku: item.sku,
+        product_name: item.product_name,
+        quantity: Number(quantities[getOrderItemKey(item)]) || 0,
+        ...(picks[getOrderItemKey(item)] && {
+          batches: picks[getOrderItemKey(item)].picks.map(pick => ({ batch_id: pick.batch.id, quantity: pick.quantity }))
+        })
+      }))
+      .filter(item => item.quantity > 0);
+
+    if (!form.tracking_number.trim()) {
+      setError('Tracking number is required.');
+      return;
+    }
+    if (items.length > 0 && shipmentItems.length === 0) {
+      setError('Select at least one item to include in this shipment.');
+      return;
+    }
+    const short = items.find(item => picks[getOrderItemKey(item)]?.shortfall > 0);
+    if (short) {
+      setError(`Not enough unexpired stock of ${short.product_name || short.sku}. Expired batches cannot be shipped.`);
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const payload = {
+        carrier: form.carrier,
+        tracking_number: form.tracking_number.trim(),
+        tracking_url: carrier?.trackingUrl ? null : form.tracking_url.trim() || null,
+        shipped_at: form.shipped_at,
+        expected_delivery: form.expected_delivery || null,
+        weight_kg: toNumberOrNull(form.weight_kg),
+        length_cm: toNumberOrNull(form.length_cm),
+        width_cm: toNumberOrNull(form.width_cm),
+        height_cm: toNumberOrNull(form.height_cm),
+        status: SHIPMENT_STATUS.LABEL_CREATED,
+        items: shipmentItems
+      };
+      const saved = await shipmentsApi.create(order.order_id, payload);
+      onSaved({ ...payload, ...saved });
+    } catch (err) {
+      console.error('Error creating shipment:', err);
+      setError(err.message || 'Failed to save shipment. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide} centered size="lg">
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton className="bg-light">
+          <Modal.Title>
+            <i className="mdi mdi-truck-fast me-2"></i>
+            New Shipment for Order #{order?.order_id}
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && (
+            <Alert variant="danger" onClose={() => setError(null)} dismissible className="mb-3">
+              <i className="mdi mdi-alert-circle me-2"></i>
+              {error}
+            </Alert>
+          )}
+          {batchError && (
+            <Alert variant="warning" className="mb-3">
+              <i className="mdi mdi-alert me-2"></i>
+              Stock batches could not be loaded ({batchError}), so batches cannot be picked or checked for expiry.{' '}
+              <Button variant="link" className="p-0 align-baseline" onClick={loadBatches}>Try again</Button>
+            </Alert>
+          )}
+
+          <Row>
+            <Col md={6} className="mb-3">
+              <Form.Label>Carrier *</Form.Label>
+              <Form.Select name="carrier" value={form.carrier} onChange={handleChange} disabled={saving}>
+                {CARRIERS.map(option => (
+                  <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+              </Form.Select>
+            </Col>
+            <Col md={6} className="mb-3">
+              <Form.Label>Tracking / AWB Number *</Form.Label>
+              <Form.Control name="tracking_number" value={form.tracking_number} onChange={handleChange} disabled={saving} />
+            </Col>
+            {!carrier?.trackingUrl && (
+              <Col md={12} className="mb-3">
+                <Form.Label>Tracking URL</Form.Label>
+                <Form.Control
+                  type="url"
+                  name="tracking_url"
+                  value={form.tracking_url}
+                  onChange={handleChange}
+                  placeholder="https://"
+                  disabled={saving}
+                />
+              </Col>
+            )}
+            <Col md={6} className="mb-3">
+              <Form.Label>Ship Date *</Form.Label>
+              <Form.Control type="date" name="shipped_at" value={form.shipped_at} onChange={handleChange} required disabled={saving} />
+            </Col>
+            <Col md={6} className="mb-3">
+              <Form.Label>Expected Delivery</Form.Label>
+              <Form.Control
+                type="date"
+                name="expected_delivery"
+                value={form.expected_delivery}
+                min={form.shipped_at}
+                onChange={handleChange}
+                disabled={saving}
+              />
+            </Col>
+            <Col md={3} className="mb-3">
+              <Form.Label>Weight (kg)</Form.Label>
+              <Form.Control type="number" step="0.01" min="0" name="weight_kg" value={form.weight_kg} onChange={handleChange} disabled={saving} />
+            </Col>
+            <Col md={9} className="mb-3">
+              <Form.Label>Dimensions L × W × H (cm)</Form.Label>
+              <div className="d-flex align-items-center">
+                <Form.Control type="number" step="0.1" min="0" name="length_cm" placeholder="L" value={form.length_cm} onChange={handleChange} disabled={saving} />
+                <span className="mx-1">×</span>
+                <Form.Control type="number" step="0.1" min="0" name="width_cm" placeholder="W" value={form.width_cm} onChange={handleChange} disabled={saving} />
+                <span className="mx-1">×</span>
+                <Form.Control type="number" step="0.1" min="0" name="height_cm" placeholder="H" value={form.height_cm} onChange={handleChange} disabled={saving} />
+              </div>
+            </Col>
+          </Row>
+
+          {items.length > 0 && (
+            <>
+              <h5 className="mb-2">Items in this shipment</h5>
+              <Table size="sm" bordered className="mb-0">
+                <thead className="table-light">
+                  <tr>
+                    <th>Product</th>
+                    <th>SKU</th>
+                    <th>Ordered</th>
+                    <th>Left to Ship</th>
+                    <th style={{ width: '120px' }}>Ship Now</th>
+                    <th>Pick From (FEFO)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {items.map(item => {
+                    const key = getOrderItemKey(item);
+                    return (
+                      <tr key={key}>
+                        <td>{item.product_name || 'Product'}</td>
+                        <td>{item.sku || 'N/A'}</td>
+                        <td>{item.quantity}</td>
+                        <td>{remaining[key]}</td>
+                        <td>
+                          <Form.Control
+                            type="number"
+                            size="sm"
+                            min="0"
+                            max={remaining[key]}
+                            value={quantities[key] ?? 0}
+                            onChange={(e) => handleQuantityChange(key, e.target.value)}
+                            disabled={saving || remaining[key] === 0}
+                          />
+                        </td>
+                        <td className="font-13">
+                          {!picks[key] ? (
+                            <span className="text-muted">Not batch tracked</span>
+                          ) : (
+                            <>
+                              {picks[key].picks.map(pick => (
+                                <div key={pick.batch.id}>
+                                  {pick.batch.batch_number} × {pick.quantity}
+                                  <small className="text-muted ms-1">(exp {pick.batch.expires_on || 'N/A'})</small>
+                                </div>
+                              ))}
+                              {picks[key].shortfall > 0 && (
+                                <div className="text-danger">{picks[key].shortfall} short of unexpired stock</div>
+                              )}
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </Table>
+            </>
+          )}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="light" onClick={onHide} disabled={saving}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" disabled={saving || !batches}>
+            {saving ? (
+              <>
+                <span className="spinner-border spinner-border-sm me-2" role="status"></span>
+                Saving...
+              </>
+            ) : (
+              <>
+                <i className="mdi mdi-content-save me-1"></i>
+                Save Shipment
+              </>
+            )}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default ShipmentModal;
@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from "react";
+import { Row, Col, Card, Form, Alert, Table, Badge, Dropdown } from "react-bootstrap";
+import { FaDownload } from 'react-icons/fa';
+import { inventoryApi } from "@/api";
+import { MOVEMENT_TYPE_LABELS, MOVEMENT_TYPE_VARIANTS } from "@/constants/stockMovements";
+import { withRunningBalance, isWithinDates, buildMovementRows } from "@/helpers/stockMovements";
+import { toCsv, writeXlsx } from "@/helpers/spreadsheet";
+import { downloadFile } from "./orderDocuments";
+
+/**
+ * Movements tab of InventoryManagement. With a product chosen it shows that
+ * product's ledger with the running balance; without one it lists every
+ * movement in the date range. The export uses the same filters.
+ *
+ * @param {object} props
+ * @param {object[]} props.products
+ * @param {Warehouse[]} props.warehouses
+ * @param {string} props.productId - '' for all products
+ * @param {(productId: string) => void} props.onProductChange
+ * @param {(productId: number, sku?: string|null) => string} props.getProductName
+ */
+const StockLedger = ({ products, warehouses, productId, onProductChange, getProductName }) => {
+    const [warehouseId, setWarehouseId] = useState('');
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [movements, setMovements] = useState([]);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    // A product's ledger loads in full so the balance starts from its first
+    // movement; the date range then only limits the rows shown
+    useEffect(() => {
+        setIsLoading(true);
+        setError(null);
+        inventoryApi.movements(productId ? { product_id: productId } : { from, to })
+            .then(setMovements)
+            .catch((err) => {
+                console.error('Error fetching stock movements:', err);
+                setError(`Failed to fetch stock movements: ${err.message}`);
+                setMovements([]);
+            })
+            .finally(() => setIsLoading(false));
+    }, [productId, from, to]);
+
+    const getWarehouseCode = (id) => id === null ? 'Unassigned' : warehouses.find(w => w.id === id)?.code || `Warehouse ${id}`;
+
+    const inWarehouse = warehouseId
+        ? movements.filter(movement => movement.warehouse_id === Number(warehouseId))
+        : movements;
+    // The balance covers every SKU of the product
+    const rows = (productId ? withRunningBalance(inWarehouse) : inWarehouse)
+        .filter(movement => isWithinDates(movement.created_at, from, to));
+
+    const handleExport = async (format) => {
+        setError(null);
+        try {
+            const exported = await inventoryApi.movements({ product_id: productId, warehouse_id: warehouseId, from, to });
+            const data = buildMovementRows(exported, { getProductName, getWarehouseCode });
+            const filename = `stock_movements_${from || 'start'}_to_${to || new Date().toISOString().split('T')[0]}`;
+            if (format === 'xlsx') {
+                downloadFile(writeXlsx([{ name: 'Movements', rows: data }]), `${filename}.xlsx`);
+            } else {
+                downloadFile(new Blob([toCsv(data)], { type: 'text/csv;charset=utf-8;' }), `${filename}.csv`);
+            }
+        } catch (err) {
+            console.error('Error exporting stock movements:', err);
+            setError(`Failed to export stock movements: ${err.message}`);
+        }
+    };
+
+    return (
+        <Card>
+            <Card.Header className="d-flex justify-content-between align-items-center bg-light">
+                <h5 className="mb-0">Stock Movements</h5>
+                <Dropdown>
+                    <Dropdown.Toggle variant="outline-primary" size="sm">
+                        <FaDownload className="me-1" /> Export
+                    </Dropdown.Toggle>
+                    <Dropdown.Menu align="end">
+                        <Dropdown.Item onClick={() => handleExport('csv')}>CSV</Dropdown.Item>
+                        <Dropdown.Item onClick={() => handleExport('xlsx')}>Excel (.xlsx)</Dropdown.Item>
+                    </Dropdown.Menu>
+                </Dropdown>
+            </Card.Header>
+            <Card.Body>
+                <Row className="g-2 mb-3">
+                    <Col md={4}>
+                        <Form.Select value={productId} onChange={(e) => onProductChange(e.target.value)}>
+                            <option value="">All products</option>
+                            {products.map(product => (
+                                <option key={product.product_id} value={product.product_id}>{product.name}</option>
+                            ))}
+                        </Form.Select>
+                    </Col>
+                    <Col md={3}>
+                        <Form.Select value={warehouseId} onChange={(e) => setWarehouseId(e.target.value)}>
+                            <option value="">All warehouses</option>
+                            {warehouses.map(warehouse => (
+                                <option key={warehouse.id} value={warehouse.id}>{warehouse.code} - {warehouse.name}</option>
+                            ))}
+                        </Form.Select>
+                    </Col>
+                    <Col md={5} className="d-flex align-items-center gap-2">
+                        <Form.Control type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} />
+                        <span className="text-muted">to</span>
+                        <Form.Control type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} />
+                    </Col>
+                </Row>
+
+                {error && <Alert variant="danger">{error}</Alert>}
+                {isLoading ? (
+                    <div className="text-center py-4">
+                        <div className="spinner-border text-primary" role="status"></div>
+                        <span className="ms-2">Loading Movements...</span>
+                    </div>
+                ) : rows.length === 0 ? (
+                    <Alert variant="info" className="text-center mb-0">No stock movements match these filters.</Alert>
+                ) : (
+                    <div className="table-responsive">
+                        <Table striped bordered hover size="sm" className="mb-0">
+                            <thead>
+                                <tr>
+                                    <th>Date</th>
+                                    <th>Product</th>
+                                    <th>Warehouse</th>
+                                    <th>Type</th>
+                                    <th>Reason</th>
+                                    <th>Reference</th>
+                                    <th>User</th>
+                                    <th className="text-end">In</th>
+                                    <th className="text-end">Out</th>
+                                    {productId && <th className="text-end">Balance</th>}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map(movement => (
+                                    <tr key={movement.id}>
+                                        <td>{new Date(movement.created_at).toLocaleString()}</td>
+                                        <td>{getProductName(movement.product_id, movement.sku)}</td>
+                                        <td>{getWarehouseCode(movement.warehouse_id ?? null)}</td>
+                                        <td>
+                                            <Badge bg={MOVEMENT_TYPE_VARIANTS[movement.type] || 'secondary'}>
+                                                {MOVEMENT_TYPE_LABELS[movement.type] || movement.type}
+                                            </Badge>
+                                        </td>
+                                        <td>{movement.reason || '—'}</td>
+                                        <td>
+                                            {movement.reference || '—'}
+                                            {movement.batch_number && <small className="text-muted d-block">Batch {movement.batch_number}</small>}
+                                        </td>
+                                        <td>{movement.user_name || '—'}</td>
+                                        <td className="text-end text-success">{movement.quantity > 0 ? movement.quantity : ''}</td>
+                                        <td className="text-end text-danger">{movement.quantity < 0 ? -movement.quantity : ''}</td>
+                                        {productId && <td className="text-end"><strong>{movement.balance}</strong></td>}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </Table>
+                    </div>
+                )}
+            </Card.Body>
+        </Card>
+    );
+};
+
+export default StockLedger;
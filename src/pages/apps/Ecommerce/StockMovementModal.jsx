@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from "react";
+import { Row, Col, Modal, Button, Form, Alert } from "react-bootstrap";
+import { inventoryApi } from "@/api";
+import { MOVEMENT_TYPE, MOVEMENT_TYPE_LABELS, MANUAL_MOVEMENT_TYPES, MOVEMENT_DIRECTION, REASON_REQUIRED_TYPES } from "@/constants/stockMovements";
+import { getSignedQuantity } from "@/helpers/stockMovements";
+import { isExpired, sortByExpiry } from "@/helpers/batches";
+
+/**
+ * Records a receipt, write-off or correction against one inventory record.
+ * This is the only way stock levels change from InventoryManagement, so
+ * every change has a reason in the ledger.
+ *
+ * @param {object} props
+ * @param {InventoryRecord|null} props.record - the modal is open while set
+ * @param {string} props.title - product and warehouse the record belongs to
+ * @param {Batch[]} props.batches - the record's batches
+ * @param {(record: InventoryRecord) => void} props.onSaved
+ * @param {() => void} props.onHide
+ */
+const StockMovementModal = ({ record, title, batches, onSaved, onHide }) => {
+    const [type, setType] = useState(MOVEMENT_TYPE.RECEIPT);
+    const [quantity, setQuantity] = useState('');
+    const [reason, setReason] = useState('');
+    const [reference, setReference] = useState('');
+    const [batchNumber, setBatchNumber] = useState('');
+    const [manufacturedOn, setManufacturedOn] = useState('');
+    const [expiresOn, setExpiresOn] = useState('');
+    const [batchId, setBatchId] = useState('');
+    const [error, setError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    useEffect(() => {
+        if (!record) return;
+        setType(MOVEMENT_TYPE.RECEIPT);
+        setQuantity('');
+        setReason('');
+        setReference('');
+        setBatchNumber('');
+        setManufacturedOn('');
+        setExpiresOn('');
+        setBatchId('');
+        setError(null);
+    }, [record]);
+
+    const change = getSignedQuantity(type, quantity);
+    const current = record?.quantity_in_stock ?? 0;
+    const isCorrection = MOVEMENT_DIRECTION[type] === 0;
+    const isReceipt = type === MOVEMENT_TYPE.RECEIPT;
+    const stockedBatches = sortByExpiry(batches.filter(batch => batch.quantity > 0));
+    const selectedBatch = stockedBatches.find(batch => batch.id === Number(batchId));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!Number.isInteger(Number(quantity)) || change === 0) {
+            setError(isCorrection ? 'Enter a whole number, negative to remove stock.' : 'Enter a whole quantity above zero.');
+            return;
+        }
+        if (current + change < 0) {
+            setError(`Only ${current} in stock; the movement would take it below zero.`);
+            return;
+        }
+        if (REASON_REQUIRED_TYPES.includes(type) && !reason.trim()) {
+            setError(`Please give a reason for the ${MOVEMENT_TYPE_LABELS[type].toLowerCase()}.`);
+            return;
+        }
+        if (isReceipt && (!batchNumber.trim() || !expiresOn)) {
+            setError('Enter the batch number and expiry date printed on the stock received.');
+            return;
+        }
+        if (isReceipt && manufacturedOn && manufacturedOn >= expiresOn) {
+            setError('The expiry date must be after the manufacture date.');
+            return;
+        }
+        if (selectedBatch && selectedBatch.quantity + change < 0) {
+            setError(`Batch ${selectedBatch.batch_number} only has ${selectedBatch.quantity} left.`);
+            return;
+        }
+
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            const updated = await inventoryApi.recordMovement(record.id, {
+                type,
+                quantity: change,
+                reason: reason.trim(),
+                reference: reference.trim(),
+                ...(isReceipt
+                    ? { batch: { batch_number: batchNumber.trim(), manufactured_on: manufacturedOn || null, expires_on: expiresOn } }
+                    : { batch_id: selectedBatch?.id ?? null }),
+            });
+            onSaved({ ...record, quantity_in_stock: current + change, ...updated });
+        } catch (err) {
+            setError(`Failed to record the movement: ${err.message}`);
+            console.error('Stock movement error:', err);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <Modal show={!!record} onHide={() => !isSubmitting && onHide()} backdrop="static" centered>
+            <Form onSubmit={handleSubmit}>
+                <Modal.Header closeButton={!isSubmitting}>
+                    <Modal.Title>Record Stock Movement</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    <p className="mb-3"><strong>{title}</strong></p>
+                    {error && <Alert variant="danger">{error}</Alert>}
+                    <Row>
+                        <Col sm={6}>
+                            <Form.Group className="mb-3">
+                                <Form.Label>Type</Form.Label>
+                                <Form.Select value={type} onChange={(e) => setType(e.target.value)}>
+                                    {MANUAL_MOVEMENT_TYPES.map(option => (
+                                        <option key={option} value={option}>{MOVEMENT_TYPE_LABELS[option]}</option>
+                                    ))}
+                                </Form.Select>
+                            </Form.Group>
+                        </Col>
+                        <Col sm={6}>
+                            <Form.Group className="mb-3">
+                                <Form.Label>{isCorrection ? 'Change (+/-)' : 'Quantity'}</Form.Label>
+                                <Form.Control
+                                    type="number"
+                                    min={isCorrection ? undefined : 1}
+                                    value={quantity}
+                                    onChange={(e) => setQuantity(e.target.value)}
+                                    placeholder={isCorrection ? 'e.g. -3' : 'e.g. 50'}
+                                />
+                            </Form.Group>
+                        </Col>
+                    </Row>
+                    {isReceipt ? (
+                        <Row>
+                            <Col sm={4}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Batch No.</Form.Label>
+                                    <Form.Control value={batchNumber} onChange={(e) => setBatchNumber(e.target.value)} placeholder="e.g. PCM2409A" />
+                                </Form.Group>
+                            </Col>
+                            <Col sm={4}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Mfg. Date</Form.Label>
+                                    <Form.Control type="date" value={manufacturedOn} max={expiresOn || undefined} onChange={(e) => setManufacturedOn(e.target.value)} />
+                                </Form.Group>
+                            </Col>
+                            <Col sm={4}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Expiry Date</Form.Label>
+                                    <Form.Control type="date" value={expiresOn} min={manufacturedOn || undefined} onChange={(e) => setExpiresOn(e.target.value)} />
+                                </Form.Group>
+                            </Col>
+                        </Row>
+                    ) : stockedBatches.length > 0 && (
+                        <Form.Group className="mb-3">
+                            <Form.Label>Batch</Form.Label>
+                            <Form.Select value={batchId} onChange={(e) => setBatchId(e.target.value)}>
+                                <option value="">Earliest expiry first</option>
+                                {stockedBatches.map(batch => (
+                                    <option key={batch.id} value={batch.id}>
+                                        {batch.batch_number} · Exp {batch.expires_on || 'N/A'} · {batch.quantity} left{isExpired(batch) ? ' (expired)' : ''}
+                                    </option>
+                                ))}
+                            </Form.Select>
+                        </Form.Group>
+                    )}
+                    <Form.Group className="mb-3">
+                        <Form.Label>Reason{REASON_REQUIRED_TYPES.includes(type) ? '' : ' (Optional)'}</Form.Label>
+                        <Form.Control
+                            value={reason}
+                            onChange={(e) => setReason(e.target.value)}
+                            placeholder={type === MOVEMENT_TYPE.RECEIPT ? 'e.g. Restock from distributor' : 'e.g. Strips crushed in storage'}
+                        />
+                    </Form.Group>
+                    <Form.Group className="mb-3">
+                        <Form.Label>Reference Document (Optional)</Form.Label>
+                        <Form.Control
+                            value={reference}
+                            onChange={(e) => setReference(e.target.value)}
+                            placeholder="e.g. Supplier invoice INV-2231"
+                        />
+                    </Form.Group>
+                    <Alert variant={current + change < 0 ? 'danger' : 'info'} className="py-2 mb-0">
+                        <small>Stock: {current} → <strong>{current + change}</strong></small>
+                    </Alert>
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button variant="light" onClick={onHide} disabled={isSubmitting}>Cancel</Button>
+                    <Button type="submit" variant="success" disabled={isSubmitting}>
+                        {isSubmitting ? 'Saving...' : 'Record Movement'}
+                    </Button>
+                </Modal.Footer>
+            </Form>
+        </Modal>
+    );
+};
+
+export default StockMovementModal;
@@ -0,0 +1,390 @@
+import React, { useState } from "react";
+import { Row, Col, Card, Form, Button, Alert, Table, Modal, Badge } from "react-bootstrap";
+import { FaPlus, FaTimes, FaCheck, FaExchangeAlt } from 'react-icons/fa';
+import { stockTransfersApi } from "@/api";
+import { TRANSFER_STATUS, TRANSFER_STATUS_LABELS, TRANSFER_STATUS_VARIANTS } from "@/constants/warehouses";
+import { getStockKey } from "@/helpers/warehouses";
+
+// Items pick a source record by its product and SKU key
+const emptyItem = () => ({ stock_key: '', quantity: '' });
+
+/**
+ * Transfers tab of InventoryManagement. A transfer takes stock out of the
+ * source warehouse when it is created and adds it to the destination once
+ * someone there confirms what arrived.
+ *
+ * @param {object} props
+ * @param {StockTransfer[]} props.transfers
+ * @param {Warehouse[]} props.warehouses
+ * @param {InventoryRecord[]} props.inventory
+ * @param {(productId: number, sku?: string|null) => string} props.getProductName - with the SKU when given
+ * @param {boolean} props.canWrite
+ * @param {(message: string, variant: string) => void} props.onStatus
+ * @param {() => void} props.onChange - reload stock and transfers after a change
+ */
+const StockTransfers = ({ transfers, warehouses, inventory, getProductName, canWrite, onStatus, onChange }) => {
+    const [showCreate, setShowCreate] = useState(false);
+    const [sourceId, setSourceId] = useState('');
+    const [destinationId, setDestinationId] = useState('');
+    const [items, setItems] = useState([emptyItem()]);
+    const [note, setNote] = useState('');
+    const [formError, setFormError] = useState(null);
+    const [receiving, setReceiving] = useState(null);
+    const [received, setReceived] = useState({});
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const getWarehouseLabel = (warehouseId) => {
+        const warehouse = warehouses.find(w => w.id === warehouseId);
+        return warehouse ? `${warehouse.code} - ${warehouse.name}` : `Warehouse ${warehouseId}`;
+    };
+
+    // Products the source warehouse holds, with what is available to send
+    const sourceStock = sourceId
+        ? inventory.filter(record => record.warehouse_id === Number(sourceId) && record.quantity_in_stock > 0)
+        : [];
+
+    const getSourceRecord = (key) => sourceStock.find(record => getStockKey(record.product_id, record.sku) === key);
+
+    const openCreateModal = () => {
+        setSourceId('');
+        setDestinationId('');
+        setItems([emptyItem()]);
+        setNote('');
+        setFormError(null);
+        setShowCreate(true);
+    };
+
+    const updateItem = (index, field, value) => {
+        setItems(prev => prev.map((item, i) => i === index ? { ...item, [field]: value } : item));
+    };
+
+    const validateTransfer = () => {
+        if (!sourceId || !destinationId) return 'Choose the source and destination warehouses.';
+        if (sourceId === destinationId) return 'The source and destination must be different warehouses.';
+        const filled = items.filter(item => item.stock_key);
+        if (filled.length === 0) return 'Add at least one product to transfer.';
+        const keys = filled.map(item => item.stock_key);
+        if (new Set(keys).size !== keys.length) return 'Each product can only be listed once.';
+        for (const item of filled) {
+            const quantity = Number(item.quantity);
+            const record = getSourceRecord(item.stock_key);
+            const name = getProductName(record.product_id, record.sku);
+            if (!Number.isInteger(quantity) || quantity <= 0) {
+                return `Enter a whole quantity above zero for ${name}.`;
+            }
+            if (quantity > record.quantity_in_stock) {
+                return `Only ${record.quantity_in_stock} of ${name} are available at the source.`;
+            }
+        }
+        return null;
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const error = validateTransfer();
+        setFormError(error);
+        if (error) return;
+
+        setIsSubmitting(true);
+        try {
+            await stockTransfersApi.create({
+                source_warehouse_id: Number(sourceId),
+                destination_warehouse_id: Number(destinationId),
+                note: note.trim(),
+                items: items.filter(item => item.stock_key).map(item => {
+                    const record = getSourceRecord(item.stock_key);
+                    return { product_id: record.product_id, sku: record.sku || null, quantity: Number(item.quantity) };
+                }),
+            });
+            onStatus('Transfer created. The stock is in transit until the destination receives it.', 'success');
+            setShowCreate(false);
+            onChange();
+        } catch (err) {
+            setFormError(`Failed to create the transfer: ${err.message}`);
+            console.error('Transfer create error:', err);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const openReceiveModal = (transfer) => {
+        setReceived(Object.fromEntries(transfer.items.map(item => [item.id, String(item.quantity)])));
+        setFormError(null);
+        setReceiving(transfer);
+    };
+
+    const handleReceive = async () => {
+        const receivedItems = receiving.items.map(item => ({ id: item.id, received_quantity: Number(received[item.id]) }));
+        const invalid = receivedItems.find((item, index) =>
+            !Number.isInteger(item.received_quantity) || item.received_quantity < 0 || item.received_quantity > receiving.items[index].quantity);
+        if (invalid) {
+            setFormError('Received quantities must be whole numbers between zero and the quantity sent.');
+            return;
+        }
+
+        setIsSubmitting(true);
+        try {
+            await stockTransfersApi.receive(receiving.id, receivedItems);
+            onStatus(`Transfer #${receiving.id} received at ${getWarehouseLabel(receiving.destination_warehouse_id)}.`, 'success');
+            setReceiving(null);
+            onChange();
+        } catch (err) {
+            setFormError(`Failed to receive the transfer: ${err.message}`);
+            console.error('Transfer receive error:', err);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleCancel = async (transfer) => {
+        if (!window.confirm(`Cancel transfer #${transfer.id}? The stock goes back to ${getWarehouseLabel(transfer.source_warehouse_id)}.`)) return;
+        try {
+            await stockTransfersApi.cancel(transfer.id);
+            onStatus(`Transfer #${transfer.id} cancelled.`, 'success');
+            onChange();
+        } catch (err) {
+            onStatus(`Failed to cancel the transfer: ${err.message}`, 'danger');
+            console.error('Transfer cancel error:', err);
+        }
+    };
+
+    return (
+        <Card>
+            <Card.Header className="d-flex justify-content-between align-items-center bg-light">
+                <h5 className="mb-0">Stock Transfers</h5>
+                <Button variant="primary" onClick={openCreateModal} disabled={!canWrite || warehouses.length < 2}>
+                    <FaPlus className="me-1" /> New Transfer
+                </Button>
+            </Card.Header>
+            <Card.Body>
+                {warehouses.length < 2 && (
+                    <Alert variant="info">Add at least two warehouses to move stock between them.</Alert>
+                )}
+                {transfers.length === 0 ? (
+                    <Alert variant="info" className="text-center mb-0">No stock transfers yet.</Alert>
+                ) : (
+                    <div className="table-responsive">
+                        <Table striped bordered hover className="mb-0">
+                            <thead>
+                                <tr>
+                                    <th>#</th>
+                                    <th>Route</th>
+                                    <th>Items</th>
+                                    <th>Created</th>
+                                    <th>Status</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {transfers.map((transfer) => (
+                                    <tr key={transfer.id}>
+                                        <td>{transfer.id}</td>
+                                        <td>
+                                            {getWarehouseLabel(transfer.source_warehouse_id)}
+                                            <FaExchangeAlt className="mx-2 text-muted" />
+                                            {getWarehouseLabel(transfer.destination_warehouse_id)}
+                                            {transfer.note && <small className="text-muted d-block">{transfer.note}</small>}
+                                        </td>
+                                        <td>
+                                            {transfer.items.map(item => (
+                                                <div key={item.id}>
+                                                    {getProductName(item.product_id, item.sku)} × {item.quantity}
+                                                    {item.received_quantity != null && item.received_quantity !== item.quantity && (
+                                                        <small className="text-danger ms-1">({item.received_quantity} received)</small>
+                                                    )}
+                                                </div>
+                                            ))}
+                                        </td>
+                                        <td>
+                                            {new Date(transfer.created_at).toLocaleString()}
+                                            {transfer.received_at && (
+                                                <small className="text-muted d-block">Received {new Date(transfer.received_at).toLocaleString()}</small>
+                                            )}
+                                        </td>
+                                        <td>
+                                            <Badge bg={TRANSFER_STATUS_VARIANTS[transfer.status] || 'secondary'}>
+                                                {TRANSFER_STATUS_LABELS[transfer.status] || transfer.status}
+                                            </Badge>
+                                        </td>
+                                        <td style={{ minWidth: '150px' }}>
+                                            {transfer.status === TRANSFER_STATUS.IN_TRANSIT && canWrite && (
+                                                <>
+                                                    <Button variant="success" size="sm" className="me-2 mb-1" onClick={() => openReceiveModal(transfer)}>
+                                                        <FaCheck /> Receive
+                                                    </Button>
+                                                    <Button variant="outline-danger" size="sm" className="mb-1" onClick={() => handleCancel(transfer)}>
+                                                        <FaTimes /> Cancel
+                                                    </Button>
+                                                </>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </Table>
+                    </div>
+                )}
+            </Card.Body>
+
+            <Modal show={showCreate} onHide={() => !isSubmitting && setShowCreate(false)} backdrop="static" size="lg">
+                <Form onSubmit={handleCreate}>
+                    <Modal.Header closeButton={!isSubmitting}>
+                        <Modal.Title>New Stock Transfer</Modal.Title>
+                    </Modal.Header>
+                    <Modal.Body>
+                        {formError && <Alert variant="danger">{formError}</Alert>}
+                        <Row>
+                            <Col md={6}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>From</Form.Label>
+                                    <Form.Select
+                                        value={sourceId}
+                                        onChange={(e) => { setSourceId(e.target.value); setItems([emptyItem()]); }}
+                                    >
+                                        <option value="">Select the source warehouse</option>
+                                        {warehouses.map(warehouse => (
+                                            <option key={warehouse.id} value={warehouse.id}>{warehouse.code} - {warehouse.name}</option>
+                                        ))}
+                                    </Form.Select>
+                                </Form.Group>
+                            </Col>
+                            <Col md={6}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>To</Form.Label>
+                                    <Form.Select value={destinationId} onChange={(e) => setDestinationId(e.target.value)}>
+                                        <option value="">Select the destination warehouse</option>
+                                        {warehouses.filter(warehouse => String(warehouse.id) !== sourceId).map(warehouse => (
+                                            <option key={warehouse.id} value={warehouse.id}>{warehouse.code} - {warehouse.name}</option>
+                                        ))}
+                                    </Form.Select>
+                                </Form.Group>
+                            </Col>
+                        </Row>
+
+                        <Form.Label>Products</Form.Label>
+                        {sourceId && sourceStock.length === 0 && (
+                            <Alert variant="warning" className="py-2">This warehouse has no stock to transfer.</Alert>
+                        )}
+                        {items.map((item, index) => (
+                            <Row key={index} className="g-2 mb-2 align-items-center">
+                                <Col sm={7}>
+                                    <Form.Select
+                                        size="sm"
+                                        value={item.stock_key}
+                                        onChange={(e) => updateItem(index, 'stock_key', e.target.value)}
+                                        disabled={!sourceId}
+                                    >
+                                        <option value="">Select a product</option>
+                                        {sourceStock.map(record => (
+                                            <option key={record.id} value={getStockKey(record.product_id, record.sku)}>
+                                                {getProductName(record.product_id, record.sku)} ({record.quantity_in_stock} available)
+                                            </option>
+                                        ))}
+                                    </Form.Select>
+                                </Col>
+                                <Col sm={4}>
+                                    <Form.Control
+                                        size="sm"
+                                        type="number"
+                                        min="1"
+                                        placeholder="Quantity"
+                                        value={item.quantity}
+                                        onChange={(e) => updateItem(index, 'quantity', e.target.value)}
+                                    />
+                                </Col>
+                                <Col sm={1}>
+                                    <Button
+                                        variant="link"
+                                        size="sm"
+                                        className="text-danger"
+                                        onClick={() => setItems(prev => prev.length > 1 ? prev.filter((_, i) => i !== index) : [emptyItem()])}
+                                    >
+                                        <FaTimes />
+                                    </Button>
+                                </Col>
+                            </Row>
+                        ))}
+                        <Button
+                            variant="outline-primary"
+                            size="sm"
+                            className="mb-3"
+                            onClick={() => setItems(prev => [...prev, emptyItem()])}
+                            disabled={!sourceId}
+                        >
+                            <FaPlus className="me-1" /> Add Product
+                        </Button>
+
+                        <Form.Group>
+                            <Form.Label>Note (Optional)</Form.Label>
+                            <Form.Control
+                                as="textarea"
+                                rows={2}
+                                value={note}
+                                onChange={(e) => setNote(e.target.value)}
+                                placeholder="e.g. Lorry KA-01-AB-1234, expected Thursday"
+                            />
+                        </Form.Group>
+                    </Modal.Body>
+                    <Modal.Footer>
+                        <Button variant="light" onClick={() => setShowCreate(false)} disabled={isSubmitting}>Cancel</Button>
+                        <Button type="submit" variant="success" disabled={isSubmitting}>
+                            {isSubmitting ? 'Creating...' : 'Send Stock'}
+                        </Button>
+                    </Modal.Footer>
+                </Form>
+            </Modal>
+
+            <Modal show={!!receiving} onHide={() => !isSubmitting && setReceiving(null)} backdrop="static" centered>
+                <Modal.Header closeButton={!isSubmitting}>
+                    <Modal.Title>Receive Transfer #{receiving?.id}</Modal.Title>
+                </Modal.Header>
+                <Modal.Body>
+                    {formError && <Alert variant="danger">{formError}</Alert>}
+                    {receiving && (
+                        <>
+                            <p className="text-muted">
+                                Confirm what arrived at {getWarehouseLabel(receiving.destination_warehouse_id)}.
+                                Anything short of the quantity sent is recorded as lost in transit.
+                            </p>
+                            <Table size="sm" className="mb-0">
+                                <thead>
+                                    <tr>
+                                        <th>Product</th>
+                                        <th>Sent</th>
+                                        <th style={{ width: '130px' }}>Received</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {receiving.items.map(item => (
+                                        <tr key={item.id}>
+                                            <td>{getProductName(item.product_id, item.sku)}</td>
+                                            <td>{item.quantity}</td>
+                                            <td>
+                                                <Form.Control
+                                                    size="sm"
+                                                    type="number"
+                                                    min="0"
+                                                    max={item.quantity}
+                                                    value={received[item.id] ?? ''}
+                                                    onChange={(e) => setReceived(prev => ({ ...prev, [item.id]: e.target.value }))}
+                                                />
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </Table>
+                        </>
+                    )}
+                </Modal.Body>
+                <Modal.Footer>
+                    <Button variant="light" onClick={() => setReceiving(null)} disabled={isSubmitting}>Cancel</Button>
+                    <Button variant="success" onClick={handleReceive} disabled={isSubmitting}>
+                        {isSubmitting ? 'Saving...' : 'Confirm Receipt'}
+                    </Button>
+                </Modal.Footer>
+            </Modal>
+        </Card>
+    );
+};
+
+export default StockTransfers;
@@ -0,0 +1,245 @@
+import React, { useState } from "react";
+import { Row, Col, Card, Form, Button, Alert, Table, Modal, Badge } from "react-bootstrap";
+import Select from "react-select";
+import { useForm } from "react-hook-form";
+import * as yup from "yup";
+import { yupResolver } from "@hookform/resolvers/yup";
+import { FaEdit, FaTrash, FaPlus } from 'react-icons/fa';
+import { suppliersApi } from "@/api";
+import { GSTIN_PATTERN } from "@/constants/gst";
+
+const schemaResolver = yupResolver(yup.object().shape({
+    name: yup.string().trim().required("Name is required").max(150, "Name cannot exceed 150 characters"),
+    contact_name: yup.string().max(100, "Contact name cannot exceed 100 characters"),
+    phone: yup.string().matches(/^[0-9+\-\s]*$/, "Use digits, spaces, + and - only"),
+    email: yup.string().email("Enter a valid email"),
+    gstin: yup.string().trim().uppercase()
+        .test("gstin", "Enter a 15 character GSTIN, e.g. 29ABCDE1234F1Z5", (value) => !value || GSTIN_PATTERN.test(value)),
+    address: yup.string().max(500, "Address cannot exceed 500 characters"),
+    lead_time_days: yup.number().typeError("Lead time must be a number").required("Lead time is required")
+        .integer("Use whole days").min(0, "Cannot be negative"),
+}));
+
+const emptySupplier = { name: '', contact_name: '', phone: '', email: '', gstin: '', address: '', lead_time_days: 7 };
+
+/**
+ * Suppliers tab of InventoryManagement: who stock is bought from, how long
+ * they take to deliver and which products they supply.
+ *
+ * @param {object} props
+ * @param {Supplier[]} props.suppliers
+ * @param {object[]} props.products
+ * @param {(productId: number) => string} props.getProductName
+ * @param {boolean} props.canWrite
+ * @param {boolean} props.canDelete
+ * @param {(message: string, variant: string) => void} props.onStatus
+ * @param {() => void} props.onChange - reload after a change
+ */
+const SupplierManager = ({ suppliers, products, getProductName, canWrite, canDelete, onStatus, onChange }) => {
+    const [editing, setEditing] = useState(null);
+    const [productIds, setProductIds] = useState([]);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const { handleSubmit, register, reset, formState: { errors } } = useForm({
+        resolver: schemaResolver,
+        defaultValues: emptySupplier,
+    });
+
+    const productOptions = products.map(product => ({ value: product.product_id, label: product.name }));
+
+    const openModal = (supplier) => {
+        setEditing(supplier || {});
+        setProductIds(supplier?.product_ids || []);
+        reset(supplier ? {
+            name: supplier.name || '',
+            contact_name: supplier.contact_name || '',
+            phone: supplier.phone || '',
+            email: supplier.email || '',
+            gstin: supplier.gstin || '',
+            address: supplier.address || '',
+            lead_time_days: supplier.lead_time_days ?? 7,
+        } : emptySupplier);
+    };
+
+    const onSubmit = async (data) => {
+        setIsSubmitting(true);
+        const payload = { ...data, name: data.name.trim(), gstin: data.gstin || null, product_ids: productIds };
+        try {
+            if (editing.id) {
+                await suppliersApi.update(editing.id, payload);
+            } else {
+                await suppliersApi.create(payload);
+            }
+            onStatus(`Supplier ${payload.name} saved.`, 'success');
+            setEditing(null);
+            onChange();
+        } catch (error) {
+            onStatus(`Failed to save supplier: ${error.message}`, 'danger');
+            console.error('Supplier save error:', error);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleDelete = async (supplier) => {
+        if (!window.confirm(`Delete supplier ${supplier.name}?`)) return;
+        try {
+            await suppliersApi.remove(supplier.id);
+            onStatus(`Supplier ${supplier.name} deleted.`, 'success');
+            onChange();
+        } catch (error) {
+            onStatus(`Failed to delete supplier: ${error.message}`, 'danger');
+            console.error('Supplier delete error:', error);
+        }
+    };
+
+    return (
+        <Card>
+            <Card.Header className="d-flex justify-content-between align-items-center bg-light">
+                <h5 className="mb-0">Suppliers</h5>
+                <Button variant="primary" onClick={() => openModal(null)} disabled={!canWrite}>
+                    <FaPlus className="me-1" /> Add Supplier
+                </Button>
+            </Card.Header>
+            <Card.Body>
+                {suppliers.length === 0 ? (
+                    <Alert variant="info" className="text-center mb-0">
+                        No suppliers yet. Add the distributors you buy from to raise purchase orders.
+                    </Alert>
+                ) : (
+                    <div className="table-responsive">
+                        <Table striped bordered hover className="mb-0">
+                            <thead>
+                                <tr>
+                                    <th>Name</th>
+                                    <th>Contact</th>
+                                    <th>GSTIN</th>
+                                    <th>Lead Time</th>
+                                    <th>Products Supplied</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {suppliers.map((supplier) => (
+                                    <tr key={supplier.id}>
+                                        <td>
+                                            <strong>{supplier.name}</strong>
+                                            {supplier.address && <small className="text-muted d-block" style={{ whiteSpace: 'pre-line' }}>{supplier.address}</small>}
+                                        </td>
+                                        <td>
+                                            {supplier.contact_name || 'N/A'}
+                                            {supplier.phone && <small className="d-block">{supplier.phone}</small>}
+                                            {supplier.email && <small className="d-block">{supplier.email}</small>}
+                                        </td>
+                                        <td>{supplier.gstin || 'N/A'}</td>
+                                        <td>{supplier.lead_time_days} days</td>
+                                        <td>
+                                            {(supplier.product_ids || []).slice(0, 3).map(productId => (
+                                                <Badge key={productId} bg="light" text="dark" className="me-1 mb-1">{getProductName(productId)}</Badge>
+                                            ))}
+                                            {(supplier.product_ids || []).length > 3 && (
+                                                <small className="text-muted">+{supplier.product_ids.length - 3} more</small>
+                                            )}
+                                        </td>
+                                        <td style={{ minWidth: '150px' }}>
+                                            <Button variant="info" size="sm" className="me-2 mb-1" onClick={() => openModal(supplier)} disabled={!canWrite}>
+                                                <FaEdit /> Edit
+                                            </Button>
+                                            {canDelete && (
+                                                <Button variant="danger" size="sm" className="mb-1" onClick={() => handleDelete(supplier)}>
+                                                    <FaTrash /> Delete
+                                                </Button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </Table>
+                    </div>
+                )}
+            </Card.Body>
+
+            <Modal show={!!editing} onHide={() => setEditing(null)} backdrop="static" size="lg">
+                <Form onSubmit={handleSubmit(onSubmit)}>
+                    <Modal.Header closeButton>
+                        <Modal.Title>{editing?.id ? `Edit Supplier ${editing.name}` : 'Add Supplier'}</Modal.Title>
+                    </Modal.Header>
+                    <Modal.Body>
+                        <Row>
+                            <Col md={6}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Name</Form.Label>
+                                    <Form.Control placeholder="e.g. Sri Lakshmi Pharma Distributors" {...register('name')} isInvalid={!!errors.name} />
+                                    <Form.Control.Feedback type="invalid">{errors.name?.message}</Form.Control.Feedback>
+                                </Form.Group>
+                            </Col>
+                            <Col md={6}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>GSTIN (Optional)</Form.Label>
+                                    <Form.Control placeholder="e.g. 29ABCDE1234F1Z5" {...register('gstin')} isInvalid={!!errors.gstin} />
+                                    <Form.Control.Feedback type="invalid">{errors.gstin?.message}</Form.Control.Feedback>
+                                </Form.Group>
+                            </Col>
+                            <Col md={4}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Contact Person</Form.Label>
+                                    <Form.Control {...register('contact_name')} isInvalid={!!errors.contact_name} />
+                                    <Form.Control.Feedback type="invalid">{errors.contact_name?.message}</Form.Control.Feedback>
+                                </Form.Group>
+                            </Col>
+                            <Col md={4}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Phone</Form.Label>
+                                    <Form.Control {...register('phone')} isInvalid={!!errors.phone} />
+                                    <Form.Control.Feedback type="invalid">{errors.phone?.message}</Form.Control.Feedback>
+                                </Form.Group>
+                            </Col>
+                            <Col md={4}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Email</Form.Label>
+                                    <Form.Control type="email" {...register('email')} isInvalid={!!errors.email} />
+                                    <Form.Control.Feedback type="invalid">{errors.email?.message}</Form.Control.Feedback>
+                                </Form.Group>
+                            </Col>
+                            <Col md={8}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Address</Form.Label>
+                                    <Form.Control as="textarea" rows={2} {...register('address')} isInvalid={!!errors.address} />
+                                    <Form.Control.Feedback type="invalid">{errors.address?.message}</Form.Control.Feedback>
+                                </Form.Group>
+                            </Col>
+                            <Col md={4}>
+                                <Form.Group className="mb-3">
+                                    <Form.Label>Lead Time (days)</Form.Label>
+                                    <Form.Control type="number" min="0" {...register('lead_time_days')} isInvalid={!!errors.lead_time_days} />
+                                    <Form.Control.Feedback type="invalid">{errors.lead_time_days?.message}</Form.Control.Feedback>
+                                </Form.Group>
+                            </Col>
+                        </Row>
+                        <Form.Group>
+                            <Form.Label>Products Supplied</Form.Label>
+                            <Select
+                                isMulti
+                                className="react-select react-select-container"
+                                classNamePrefix="react-select"
+                                placeholder="Search products..."
+                                options={productOptions}
+                                value={productOptions.filter(option => productIds.includes(option.value))}
+                                onChange={(selected) => setProductIds((selected || []).map(option => option.value))}
+                            />
+                            <Form.Text className="text-muted">Reorders pick the supplier that supplies the most of the low-stock products.</Form.Text>
+                        </Form.Group>
+                    </Modal.Body>
+                    <Modal.Footer>
+                        <Button variant="light" onClick={() => setEditing(null)}>Cancel</Button>
+                        <Button type="submit" variant="success" disabled={isSubmitting}>
+                            {isSubmitting ? 'Saving...' : 'Save Supplier'}
+                        </Button>
+                    </Modal.Footer>
+                </Form>
+            </Modal>
+        </Card>
+    );
+};
+
+export default SupplierManager;
@@ -4,11 +4,9 @@ import { useForm, useFieldArray } from "react-hook-form";
 import * as yup from "yup";
 import { yupResolver } from "@hookform/resolvers/yup";
 import { FaEdit, FaTrash, FaPlus, FaTimes, FaTags } from 'react-icons/fa';
-
-// Define the base URL for the API
-const API_BASE_URL = "https://ecomm.braventra.in/api"; 
-const VARIATION_API_URL = `${API_BASE_URL}/variations`;
-const PRODUCT_API_URL = `${API_BASE_URL}/products`; // Assuming this exists to fetch product names
+import { productsApi, variationsApi } from "@/api";
+import { useAuthContext } from "@/context/useAuthContext";
+import { PERMISSIONS } from "@/constants/permissions";
 
 // ====================================================================
 // FormInput Helper Component (Re-used for consistency)
@@ -45,6 +43,9 @@ const FormInput = ({ name, label, type, placeholder, containerClass, register, e
 // Variation Manager Component
 // ====================================================================
 const Variation = () => {
+    const { can } = useAuthContext();
+    const canWrite = can(PERMISSIONS.VARIATIONS_WRITE);
+    const canDelete = can(PERMISSIONS.VARIATIONS_DELETE);
     const [products, setProducts] = useState([]); 
     const [selectedProductId, setSelectedProductId] = useState('');
     const [variants, setVariants] = useState([]); 
@@ -98,12 +99,8 @@ const Variation = () => {
     const fetchProducts = async () => {
         setIsProductsLoading(true);
         try {
-            // NOTE: Assuming your /api/products returns data.data.products or data.products
-            const response = await fetch(PRODUCT_API_URL);
-            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-            const data = await response.json();
-            // Adjust this line based on your actual product API response structure
-            setProducts(data.data && data.data.products ? data.data.products : data.data || []); 
+            const { products } = await productsApi.list();
+            setProducts(products);
         } catch (err) {
             console.error("Error fetching products:", err);
             setSubmitStatus({ message: `Failed to fetch products: ${err.message}`, variant: 'danger' });
@@ -122,14 +119,8 @@ const Variation = () => {
         setIsLoading(true);
         setSubmitStatus({ message: '', variant: '' });
         try {
-            const response = await fetch(`${VARIATION_API_URL}/${productId}`);
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({})); 
-                throw new Error(errorData.error || `Server returned status ${response.status}`);
-            }
-            const data = await response.json();
-            // The backend groups the data by SKU and returns an array in data.data
-            setVariants(data.data || []);
+            // The backend groups the data by SKU
+            setVariants(await variationsApi.listByProduct(productId));
         } catch (err) {
             console.error("Error fetching variations:", err);
             setSubmitStatus({ message: `Failed to fetch variations: ${err.message}`, variant: 'danger' });
@@ -211,20 +202,9 @@ const Variation = () => {
         };
 
         try {
-            const response = await fetch(`${VARIATION_API_URL}/create`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload),
-            });
-            
-            const responseData = await response.json().catch(() => ({ message: 'Successfully created variant, but no JSON response.' }));
-            
-            if (!response.ok) {
-                const errorMsg = responseData.error || `Server returned status ${response.status}`;
-                throw new Error(errorMsg);
-            }
+            await variationsApi.create(payload);
 
-            setSubmitStatus({ message: responseData.message || 'New variant created successfully!', variant: 'success' });
+            setSubmitStatus({ message: 'New variant created successfully!', variant: 'success' });
             // Select the new product ID to auto-refresh the table
             setSelectedProductId(String(data.product_id)); 
             handleCreateModalClose();
@@ -264,20 +244,9 @@ const Variation = () => {
         }
 
         try {
-            const response = await fetch(`${VARIATION_API_URL}/edit/${currentAttribute.id}`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload),
-            });
-            
-            const responseData = await response.json().catch(() => ({ message: 'Successfully updated attribute, but no JSON response.' }));
-            
-            if (!response.ok) {
-                const errorMsg = responseData.error || `Server returned status ${response.status}`;
-                throw new Error(errorMsg);
-            }
+            await variationsApi.updateAttribute(currentAttribute.id, payload);
 
-            setSubmitStatus({ message: responseData.message || 'Attribute updated successfully!', variant: 'success' });
+            setSubmitStatus({ message: 'Attribute updated successfully!', variant: 'success' });
             // Refresh variants for the currently selected product
             fetchVariations(selectedProductId); 
             handleEditModalClose();
@@ -299,18 +268,9 @@ const Variation = () => {
         setSubmitStatus({ message: 'Deleting variant...', variant: 'info' });
         
         try {
-            const response = await fetch(`${VARIATION_API_URL}/delete/${sku}`, {
-                method: 'DELETE',
-            });
-
-            const responseData = await response.json().catch(() => ({ message: 'Successfully deleted variant, but no JSON response.' }));
-            
-            if (!response.ok) {
-                const errorMsg = responseData.error || `Server returned status ${response.status}`;
-                throw new Error(errorMsg);
-            }
+            await variationsApi.removeSku(sku);
             
-            setSubmitStatus({ message: responseData.message || `Variant ${sku} deleted successfully.`, variant: 'success' });
+            setSubmitStatus({ message: `Variant ${sku} deleted successfully.`, variant: 'success' });
             fetchVariations(selectedProductId); 
             
         } catch (error) {
@@ -532,7 +492,7 @@ const Variation = () => {
                     </Card>
                 </Col>
                 <Col md={4} className="d-flex align-items-center">
-                    <Button variant="primary" onClick={openCreateModal} disabled={!selectedProductId || isProductsLoading} className="w-100">
+                    <Button variant="primary" onClick={openCreateModal} disabled={!canWrite || !selectedProductId || isProductsLoading} className="w-100">
                         <FaPlus className="me-1" /> 
                         {isProductsLoading ? 'Loading Products...' : 'Add New Variant (SKU)'}
                     </Button>
@@ -596,6 +556,7 @@ const Variation = () => {
                                                                         size="sm" 
                                                                         // Pass both the attribute row and the parent SKU details
                                                                         onClick={() => openEditModal(attr, variant)}
+                                                                        disabled={!canWrite}
                                                                     >
                                                                         <FaEdit />
                                                                     </Button>
@@ -604,13 +565,15 @@ const Variation = () => {
                                                         </ul>
                                                     </td>
                                                     <td style={{ minWidth: '100px' }}>
-                                                        <Button 
-                                                            variant="danger" 
-                                                            size="sm" 
-                                                            onClick={() => handleDeleteVariant(variant.sku)}
-                                                        >
-                                                            <FaTrash className="me-1" /> Delete SKU
-                                                        </Button>
+                                                        {canDelete && (
+                                                            <Button 
+                                                                variant="danger" 
+                                                                size="sm" 
+                                                                onClick={() => handleDeleteVariant(variant.sku)}
+                                                            >
+                                                                <FaTrash className="me-1" /> Delete SKU
+                                                            </Button>
+                                                        )}
                                                     </td>
                                                 </tr>
                                             ))}
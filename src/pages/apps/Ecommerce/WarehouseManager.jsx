@@ -0,0 +1,168 @@
+import React, { useState } from "react";
+import { Card, Form, Button, Alert, Table, Modal } from "react-bootstrap";
+import { useForm } from "react-hook-form";
+import * as yup from "yup";
+import { yupResolver } from "@hookform/resolvers/yup";
+import { FaEdit, FaTrash, FaPlus } from 'react-icons/fa';
+import { warehousesApi } from "@/api";
+
+const schemaResolver = yupResolver(yup.object().shape({
+    code: yup.string().trim().required("Code is required").max(20, "Code cannot exceed 20 characters")
+        .matches(/^[A-Z0-9-]+$/, "Use capital letters, digits and hyphens only"),
+    name: yup.string().trim().required("Name is required").max(100, "Name cannot exceed 100 characters"),
+    address: yup.string().max(500, "Address cannot exceed 500 characters"),
+}));
+
+/**
+ * Warehouses tab of InventoryManagement: lists the godowns stock is kept in
+ * and adds, edits and removes them.
+ *
+ * @param {object} props
+ * @param {Warehouse[]} props.warehouses
+ * @param {Map<number, number>} props.stockByWarehouse - units held, by warehouse id
+ * @param {boolean} props.canWrite
+ * @param {boolean} props.canDelete
+ * @param {(message: string, variant: string) => void} props.onStatus
+ * @param {() => void} props.onChange - reload after a change
+ */
+const WarehouseManager = ({ warehouses, stockByWarehouse, canWrite, canDelete, onStatus, onChange }) => {
+    const [editing, setEditing] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const { handleSubmit, register, reset, formState: { errors } } = useForm({
+        resolver: schemaResolver,
+        defaultValues: { code: '', name: '', address: '' },
+    });
+
+    const openModal = (warehouse) => {
+        setEditing(warehouse || {});
+        reset({ code: warehouse?.code || '', name: warehouse?.name || '', address: warehouse?.address || '' });
+    };
+
+    const onSubmit = async (data) => {
+        setIsSubmitting(true);
+        const payload = { code: data.code.trim(), name: data.name.trim(), address: data.address.trim() };
+        try {
+            if (editing.id) {
+                await warehousesApi.update(editing.id, payload);
+            } else {
+                await warehousesApi.create(payload);
+            }
+            onStatus(`Warehouse ${payload.code} saved.`, 'success');
+            setEditing(null);
+            onChange();
+        } catch (error) {
+            onStatus(`Failed to save warehouse: ${error.message}`, 'danger');
+            console.error('Warehouse save error:', error);
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleDelete = async (warehouse) => {
+        if (!window.confirm(`Delete warehouse ${warehouse.code} (${warehouse.name})?`)) return;
+        try {
+            await warehousesApi.remove(warehouse.id);
+            onStatus(`Warehouse ${warehouse.code} deleted.`, 'success');
+            onChange();
+        } catch (error) {
+            onStatus(`Failed to delete warehouse: ${error.message}`, 'danger');
+            console.error('Warehouse delete error:', error);
+        }
+    };
+
+    return (
+        <Card>
+            <Card.Header className="d-flex justify-content-between align-items-center bg-light">
+                <h5 className="mb-0">Warehouses</h5>
+                <Button variant="primary" onClick={() => openModal(null)} disabled={!canWrite}>
+                    <FaPlus className="me-1" /> Add Warehouse
+                </Button>
+            </Card.Header>
+            <Card.Body>
+                {warehouses.length === 0 ? (
+                    <Alert variant="info" className="text-center mb-0">
+                        No warehouses yet. Add one for each godown or store that holds stock.
+                    </Alert>
+                ) : (
+                    <div className="table-responsive">
+                        <Table striped bordered hover className="mb-0">
+                            <thead>
+                                <tr>
+                                    <th>Code</th>
+                                    <th>Name</th>
+                                    <th>Address</th>
+                                    <th>Units in Stock</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {warehouses.map((warehouse) => {
+                                    const units = stockByWarehouse.get(warehouse.id) || 0;
+                                    return (
+                                        <tr key={warehouse.id}>
+                                            <td><strong>{warehouse.code}</strong></td>
+                                            <td>{warehouse.name}</td>
+                                            <td style={{ whiteSpace: 'pre-line' }}>{warehouse.address || 'N/A'}</td>
+                                            <td>{units}</td>
+                                            <td style={{ minWidth: '150px' }}>
+                                                <Button variant="info" size="sm" className="me-2 mb-1" onClick={() => openModal(warehouse)} disabled={!canWrite}>
+                                                    <FaEdit /> Edit
+                                                </Button>
+                                                {canDelete && (
+                                                    <Button
+                                                        variant="danger"
+                                                        size="sm"
+                                                        className="mb-1"
+                                                        onClick={() => handleDelete(warehouse)}
+                                                        disabled={units > 0}
+                                                        title={units > 0 ? 'Move or write off its stock first' : undefined}
+                                                    >
+                                                        <FaTrash /> Delete
+                                                    </Button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </Table>
+                    </div>
+                )}
+            </Card.Body>
+
+            <Modal show={!!editing} onHide={() => setEditing(null)} backdrop="static" centered>
+                <Form onSubmit={handleSubmit(onSubmit)}>
+                    <Modal.Header closeButton>
+                        <Modal.Title>{editing?.id ? `Edit Warehouse ${editing.code}` : 'Add Warehouse'}</Modal.Title>
+                    </Modal.Header>
+                    <Modal.Body>
+                        <Form.Group className="mb-3">
+                            <Form.Label>Code</Form.Label>
+                            <Form.Control placeholder="e.g. BLR-1" {...register('code')} isInvalid={!!errors.code} />
+                            <Form.Control.Feedback type="invalid">{errors.code?.message}</Form.Control.Feedback>
+                        </Form.Group>
+                        <Form.Group className="mb-3">
+                            <Form.Label>Name</Form.Label>
+                            <Form.Control placeholder="e.g. Peenya Godown" {...register('name')} isInvalid={!!errors.name} />
+                            <Form.Control.Feedback type="invalid">{errors.name?.message}</Form.Control.Feedback>
+                        </Form.Group>
+                        <Form.Group>
+                            <Form.Label>Address (Optional)</Form.Label>
+                            <Form.Control as="textarea" rows={3} {...register('address')} isInvalid={!!errors.address} />
+                            <Form.Control.Feedback type="invalid">{errors.address?.message}</Form.Control.Feedback>
+                        </Form.Group>
+                    </Modal.Body>
+                    <Modal.Footer>
+                        <Button variant="light" onClick={() => setEditing(null)}>Cancel</Button>
+                        <Button type="submit" variant="success" disabled={isSubmitting}>
+                            {isSubmitting ? 'Saving...' : 'Save Warehouse'}
+                        </Button>
+                    </Modal.Footer>
+                </Form>
+            </Modal>
+        </Card>
+    );
+};
+
+export default WarehouseManager;
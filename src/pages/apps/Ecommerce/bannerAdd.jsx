@@ -3,13 +3,17 @@ import { Row, Col, Card, Form, Button, Alert, Modal, Container } from "react-boo
 import { useForm } from "react-hook-form";
 import * as yup from "yup";
 import { yupResolver } from "@hookform/resolvers/yup";
-// Removed: import axios from 'axios'; // No longer needed
-
-// --- Configuration ---
-const API_BASE_URL = "https://ecomm.braventra.in/api";
-const ROOT_URL = "https://ecomm.braventra.in"; // Used for image prefix
+import { bannersApi, getAssetUrl } from "@/api";
+import { useAuthContext } from "@/context/useAuthContext";
+import { PERMISSIONS } from "@/constants/permissions";
+import { ACCEPTED_IMAGE_TYPES, IMAGE_PRESETS } from "@/constants/images";
+import { formatBytes } from "@/helpers/images";
+import ImageUploadModal from "./ImageUploadModal";
 
 const bannerAdd = () => {
+    const { can } = useAuthContext();
+    const canWrite = can(PERMISSIONS.BANNERS_WRITE);
+    const canDelete = can(PERMISSIONS.BANNERS_DELETE);
     // State for managing the list of banners
     const [banners, setBanners] = useState([]);
     // State to track if the form is in 'edit' mode and which banner is being edited
@@ -21,82 +25,26 @@ const bannerAdd = () => {
     const [isSubmitting, setIsSubmitting] = useState(false);
     // State for the preview image URL
     const [previewImage, setPreviewImage] = useState(null);
+    // Picked file waiting to be cropped, and the optimised file that will be uploaded
+    const [pendingFiles, setPendingFiles] = useState([]);
+    const [bannerFile, setBannerFile] = useState(null);
+    const [imageError, setImageError] = useState(null);
     // State for the delete confirmation modal
     const [showDeleteModal, setShowDeleteModal] = useState(false);
     const [bannerToDelete, setBannerToDelete] = useState(null);
 
-    // --- API Integration Functions using fetch ---
-
     /**
-     * Fetches all banners from the backend API using fetch.
+     * Fetches all banners from the backend API.
      */
     const fetchBanners = async () => {
         try {
-            const response = await fetch(`${API_BASE_URL}/banners`);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
-            // Assuming your response structure is { data: [...] }
-            setBanners(data.data || []);
+            setBanners(await bannersApi.list());
         } catch (error) {
             console.error("Error fetching banners:", error);
             setSubmitStatus({ message: 'Error fetching banners from API.', variant: 'danger' });
         }
     };
 
-    /**
-     * Submits new banner data to the API using fetch.
-     * @param {FormData} formData - Form data including the image file.
-     */
-    const addBanner = async (formData) => {
-        const response = await fetch(`${API_BASE_URL}/banners/upload`, {
-            method: 'POST',
-            body: formData, // fetch handles FormData without setting Content-Type header
-        });
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to upload banner');
-        }
-        return await response.json();
-    };
-
-    /**
-     * Updates an existing banner's metadata on the API using fetch.
-     * @param {string} id - The banner ID.
-     * @param {object} data - Banner data (title, description).
-     */
-    const updateBanner = async (id, data) => {
-        const response = await fetch(`${API_BASE_URL}/banners/update/${id}`, {
-            method: 'PUT',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(data),
-        });
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to update banner');
-        }
-        return await response.json();
-    };
-
-
-    /**
-     * Deletes a banner from the API using fetch.
-     * @param {string} id - The banner ID.
-     */
-    const deleteBannerApi = async (id) => {
-        const response = await fetch(`${API_BASE_URL}/banners/delete/${id}`, {
-            method: 'DELETE',
-        });
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error || 'Failed to delete banner');
-        }
-        return await response.json();
-    };
-
     // --- useEffect hook to load banners on component mount ---
     useEffect(() => {
         fetchBanners();
@@ -106,12 +54,6 @@ const bannerAdd = () => {
     const schemaResolver = yupResolver(yup.object().shape({
         title: yup.string().required("Please enter the banner title"),
         description: yup.string().required("Please enter a short description"),
-        image: yup.mixed().test('required', 'Please upload a banner image', function(value) {
-             if (isEditing && previewImage) {
-                return true; 
-             }
-             return (value && value.length > 0);
-        }),
     }));
 
     const {
@@ -120,20 +62,24 @@ const bannerAdd = () => {
         formState: { errors },
         reset,
         setValue,
-        getValues,
     } = useForm({
         resolver: schemaResolver,
     });
 
-    // Handle image file selection for preview
+    // Picked images go through the crop and optimise step before they are previewed
     const handleImageChange = (e) => {
-        const file = e.target.files[0];
+        if (e.target.files.length > 0) {
+            setPendingFiles([e.target.files[0]]);
+        }
+        e.target.value = '';
+    };
+
+    const handleImageProcessed = ([file]) => {
+        setPendingFiles([]);
         if (file) {
+            setBannerFile(file);
             setPreviewImage(URL.createObjectURL(file));
-        } else {
-            if (!isEditing || !getValues('imageUrl')) {
-                setPreviewImage(null);
-            }
+            setImageError(null);
         }
     };
 
@@ -142,9 +88,10 @@ const bannerAdd = () => {
         reset({
             title: '',
             description: '',
-            image: null,
         });
         setPreviewImage(null);
+        setBannerFile(null);
+        setImageError(null);
         setIsEditing(false);
         setCurrentBannerId(null);
         setSubmitStatus({ message: '', variant: '' });
@@ -152,22 +99,26 @@ const bannerAdd = () => {
 
     // Handle form submission (add or edit)
     const onSubmit = async (data) => {
+        if (!isEditing && !bannerFile) {
+            setImageError('Please upload a banner image');
+            return;
+        }
         setIsSubmitting(true);
         setSubmitStatus({ message: '', variant: '' });
 
         try {
             if (isEditing) {
-                const file = data.image && data.image.length > 0 ? data.image[0] : null;
-
-                if (file) {
+                if (bannerFile) {
                     setSubmitStatus({ 
                         message: 'To update the image, please clear the form and add a new banner for a real-world scenario. Updating metadata now.', 
                         variant: 'warning' 
                     });
                 }
                 
-                // Call fetch-based update function
-                await updateBanner(currentBannerId, data);
+                await bannersApi.update(currentBannerId, {
+                    title: data.title,
+                    description: data.description,
+                });
                 setSubmitStatus({ message: 'Banner updated successfully!', variant: 'success' });
 
             } else {
@@ -175,10 +126,9 @@ const bannerAdd = () => {
                 const formData = new FormData();
                 formData.append('title', data.title);
                 formData.append('description', data.description);
-                formData.append('image', data.image[0]); 
+                formData.append('image', bannerFile);
                 
-                // Call fetch-based add function
-                await addBanner(formData);
+                await bannersApi.upload(formData);
                 setSubmitStatus({ message: 'Banner added successfully!', variant: 'success' });
             }
             
@@ -200,7 +150,7 @@ const bannerAdd = () => {
     const handleEdit = (banner) => {
         setValue('title', banner.title);
         setValue('description', banner.description);
-        setValue('image', null); 
+        setBannerFile(null);
         setPreviewImage(banner.image_url); // Use image_url from API response
         setIsEditing(true);
         setCurrentBannerId(banner.id);
@@ -219,8 +169,7 @@ const bannerAdd = () => {
             setIsSubmitting(true);
             setSubmitStatus({ message: '', variant: '' });
             try {
-                // Call fetch-based delete function
-                await deleteBannerApi(bannerToDelete.id);
+                await bannersApi.remove(bannerToDelete.id);
                 setSubmitStatus({ message: 'Banner deleted successfully!', variant: 'success' });
                 await fetchBanners(); // Refresh the list
             } catch (error) {
@@ -296,23 +245,30 @@ const bannerAdd = () => {
                                     <Form.Control 
                                         type="file" 
                                         name="image" 
-                                        {...register('image')} 
+                                        accept={ACCEPTED_IMAGE_TYPES.join(',')}
                                         onChange={handleImageChange}
-                                        isInvalid={!!errors.image}
-                                        value={undefined} 
+                                        isInvalid={!!imageError}
                                     />
                                     <Form.Control.Feedback type="invalid">
-                                        {errors.image?.message}
+                                        {imageError}
                                     </Form.Control.Feedback>
+                                    <Form.Text className="text-muted">
+                                        At least {IMAGE_PRESETS.BANNER.minWidth} × {IMAGE_PRESETS.BANNER.minHeight} px. Cropped to {IMAGE_PRESETS.BANNER.aspectRatios[0].label} and optimised before upload.
+                                    </Form.Text>
                                     {previewImage && (
                                         <div className="mt-3 text-center">
                                             <h6>Image Preview:</h6>
                                             <img 
-                                                src={previewImage.startsWith('blob:') ? previewImage : ROOT_URL + previewImage} 
+                                                src={getAssetUrl(previewImage)} 
                                                 alt="Banner Preview" 
                                                 style={{ maxWidth: '400px', maxHeight: '300px' }} 
                                                 className="img-fluid" 
                                             />
+                                            {bannerFile && (
+                                                <div className="text-muted font-13 mt-1">
+                                                    {bannerFile.name} · {formatBytes(bannerFile.size)}
+                                                </div>
+                                            )}
                                         </div>
                                     )}
                                 </Form.Group>
@@ -321,7 +277,7 @@ const bannerAdd = () => {
                                     <Button type="button" variant="light" className="me-2" onClick={resetForm} disabled={isSubmitting}>
                                         Cancel
                                     </Button>
-                                    <Button type="submit" variant="success" disabled={isSubmitting}>
+                                    <Button type="submit" variant="success" disabled={!canWrite || isSubmitting}>
                                         {isSubmitting ? 'Processing...' : (isEditing ? 'Update Banner' : 'Upload Banner')}
                                     </Button>
                                 </div>
@@ -347,8 +303,7 @@ const bannerAdd = () => {
                                             <Card className="h-100">
                                                 <Card.Img 
                                                     variant="top" 
-                                                    // Prepend base URL to relative image path
-                                                    src={ROOT_URL + banner.image_url} 
+                                                    src={getAssetUrl(banner.image_url)} 
                                                     alt={banner.title} 
                                                     style={{ height: '200px', objectFit: 'cover' }}
                                                 />
@@ -365,14 +320,16 @@ const bannerAdd = () => {
                                                         >
                                                             Edit
                                                         </Button> */}
-                                                        <Button 
-                                                            variant="danger" 
-                                                            size="sm" 
-                                                            onClick={() => handleShowDeleteModal(banner)}
-                                                            disabled={isSubmitting}
-                                                        >
-                                                            Delete
-                                                        </Button>
+                                                        {canDelete && (
+                                                            <Button 
+                                                                variant="danger" 
+                                                                size="sm" 
+                                                                onClick={() => handleShowDeleteModal(banner)}
+                                                                disabled={isSubmitting}
+                                                            >
+                                                                Delete
+                                                            </Button>
+                                                        )}
                                                     </div>
                                                 </Card.Body>
                                             </Card>
@@ -385,6 +342,13 @@ const bannerAdd = () => {
                 </Col>
             </Row>
 
+            <ImageUploadModal
+                files={pendingFiles}
+                preset={IMAGE_PRESETS.BANNER}
+                onDone={handleImageProcessed}
+                onCancel={() => setPendingFiles([])}
+            />
+
             {/* Delete Confirmation Modal (Unchanged) */}
             <Modal show={showDeleteModal} onHide={handleCloseDeleteModal}>
                 <Modal.Header closeButton>
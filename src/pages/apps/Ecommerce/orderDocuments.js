@@ -0,0 +1,311 @@
+// Order documents generated in the browser: CSV exports, packing slips and tax invoices.
+
+import { INVOICE_TYPE } from "@/constants/gst";
+import { amountInWords, getStateName, summarizeByHsn } from "@/helpers/gst";
+import { formatAddress } from "@/helpers/shipments";
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatAmount = (amount) => `₹${parseFloat(amount || 0).toFixed(2)}`;
+
+/**
+ * Saves a blob through a temporary link.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export const downloadFile = (blob, filename) => {
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Opens the empty window a document is printed from. Browsers only allow
+ * pop-ups during the click itself, so call this before any await and pass
+ * the window on once the document's data has loaded.
+ * @returns {Window}
+ * @throws {Error} when the pop-up was blocked
+ */
+export const openPrintWindow = () => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    throw new Error('The print window was blocked. Allow pop-ups for this site and try again.');
+  }
+  return printWindow;
+};
+
+/**
+ * Downloads the given orders as a CSV file.
+ * @param {object[]} orders
+ * @param {string} [filename]
+ */
+export const exportOrdersCsv = (orders, filename = `orders_${new Date().toISOString().split('T')[0]}.csv`) => {
+  // Create CSV content
+  const csvRows = [];
+
+  // Add headers
+  const headers = ['Order ID', 'Customer Email', 'Order Date', 'Source', 'Amount', 'Status'];
+  csvRows.push(headers.join(','));
+
+  // Add data rows
+  orders.forEach(order => {
+    const row = [
+      `ORD${order.order_id}`,
+      `"${order.user_email}"`,
+      new Date(order.order_date).toLocaleDateString('en-IN'),
+      order.order_source,
+      formatAmount(order.total_amount),
+      order.status
+    ];
+    csvRows.push(row.join(','));
+  });
+
+  downloadFile(new Blob([csvRows.join('\n')], { type: 'text/csv;charset=utf-8;' }), filename);
+};
+
+/**
+ * Opens one packing slip per order, each on its own printed page.
+ * Orders must include their `items`.
+ * @param {object[]} orders
+ * @param {Window} [printWindow] - from openPrintWindow, when the orders were loaded after the click
+ */
+export const printPackingSlips = (orders, printWindow = openPrintWindow()) => {
+
+  const slips = orders.map(order => `
+    <div class="slip">
+      <div class="slip-header">
+        <div class="company-name">Ecomm Store</div>
+        <div class="slip-title">PACKING SLIP</div>
+        <div>Order #${escapeHtml(order.order_id)}</div>
+      </div>
+      <div class="slip-details">
+        <div>
+          <strong>Ship To:</strong><br/>
+          ${escapeHtml(order.customer_email || order.user_email || 'N/A')}<br/>
+          ${escapeHtml(formatAddress(order.shipping_address)).replace(/\n/g, '<br/>')}
+        </div>
+        <div>
+          <strong>Order Date:</strong> ${order.order_date ? new Date(order.order_date).toLocaleDateString('en-IN') : 'N/A'}<br/>
+          <strong>Source:</strong> ${escapeHtml(order.order_source || 'N/A')}
+        </div>
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Product Name</th>
+            <th>SKU</th>
+            <th>Quantity</th>
+            <th>Packed</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${order.items && order.items.length > 0 ? order.items.map(item => `
+            <tr>
+              <td>${escapeHtml(item.product_name || 'Product')}</td>
+              <td>${escapeHtml(item.sku || 'N/A')}</td>
+              <td>${escapeHtml(item.quantity)}</td>
+              <td class="check"></td>
+            </tr>
+          `).join('') : '<tr><td colspan="4">No items found</td></tr>'}
+        </tbody>
+      </table>
+    </div>
+  `).join('');
+
+  printWindow.document.write(`
+    <html>
+      <head>
+        <title>Packing Slips (${orders.length})</title>
+        <style>
+          body { font-family: Arial, sans-serif; padding: 20px; }
+          .slip { page-break-after: always; }
+          .slip:last-child { page-break-after: auto; }
+          .slip-header {
+            text-align: center;
+            margin-bottom: 20px;
+            border-bottom: 2px solid #333;
+            padding-bottom: 10px;
+          }
+          .company-name { font-size: 22px; font-weight: bold; color: #333; }
+          .slip-title { font-size: 18px; margin: 6px 0; color: #666; }
+          .slip-details { display: flex; justify-content: space-between; margin-bottom: 20px; }
+          table { width: 100%; border-collapse: collapse; }
+          th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+          th { background-color: #f8f9fa; }
+          .check { width: 60px; }
+          @media print {
+            body { padding: 0; }
+          }
+        </style>
+      </head>
+      <body>${slips}</body>
+    </html>
+  `);
+  printWindow.document.close();
+  printWindow.print();
+};
+
+/**
+ * Opens a GST invoice or credit note for printing. Renders only what was
+ * stored when the document was issued, so a re-print matches the original.
+ * @param {import('@/api/invoices').Invoice} invoice
+ * @param {Window} [printWindow] - from openPrintWindow
+ */
+export const printInvoice = (invoice, printWindow = openPrintWindow()) => {
+  const isCreditNote = invoice.type === INVOICE_TYPE.CREDIT_NOTE;
+  const interState = invoice.inter_state;
+  const lines = invoice.lines || [];
+  const totals = invoice.totals || {};
+  const taxHeaders = interState ? '<th>IGST</th>' : '<th>CGST</th><th>SGST</th>';
+  const taxCells = (row) => interState
+    ? `<td class="text-end">${formatAmount(row.igst)}</td>`
+    : `<td class="text-end">${formatAmount(row.cgst)}</td><td class="text-end">${formatAmount(row.sgst)}</td>`;
+  const multiline = (value) => escapeHtml(value).replace(/\n/g, '<br/>');
+
+  printWindow.document.write(`
+    <html>
+      <head>
+        <title>${isCreditNote ? 'Credit Note' : 'Tax Invoice'} ${escapeHtml(invoice.invoice_number)}</title>
+        <style>
+          body { font-family: Arial, sans-serif; padding: 20px; font-size: 13px; }
+          .invoice-header {
+            display: flex;
+            justify-content: space-between;
+            border-bottom: 2px solid #333;
+            padding-bottom: 12px;
+            margin-bottom: 16px;
+          }
+          .company-name { font-size: 22px; font-weight: bold; color: #333; }
+          .invoice-title { font-size: 18px; font-weight: bold; text-align: right; }
+          .invoice-details { display: flex; justify-content: space-between; margin-bottom: 16px; }
+          .detail-section { flex: 1; }
+          table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+          th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; }
+          th { background-color: #f8f9fa; }
+          .text-end { text-align: right; }
+          .total-row { font-weight: bold; background-color: #f8f9fa; }
+          .words { margin: 12px 0; }
+          .footer { margin-top: 40px; display: flex; justify-content: space-between; color: #666; }
+          @media print {
+            body { padding: 0; }
+          }
+        </style>
+      </head>
+      <body>
+        <div class="invoice-header">
+          <div>
+            <div class="company-name">${escapeHtml(invoice.seller?.name)}</div>
+            <div>${multiline(invoice.seller?.address)}</div>
+            <div><strong>GSTIN:</strong> ${escapeHtml(invoice.seller?.gstin || 'N/A')}</div>
+            <div><strong>State:</strong> ${escapeHtml(getStateName(invoice.seller?.state_code))} (${escapeHtml(invoice.seller?.state_code)})</div>
+          </div>
+          <div>
+            <div class="invoice-title">${isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE'}</div>
+            <div><strong>No:</strong> ${escapeHtml(invoice.invoice_number)}</div>
+            <div><strong>Date:</strong> ${new Date(invoice.invoice_date).toLocaleDateString('en-IN')}</div>
+            <div><strong>Order:</strong> #${escapeHtml(invoice.order_id)}</div>
+            ${isCreditNote ? `<div><strong>Against Invoice:</strong> ${escapeHtml(invoice.original_invoice_number)}</div>` : ''}
+          </div>
+        </div>
+
+        <div class="invoice-details">
+          <div class="detail-section">
+            <strong>Bill To:</strong><br/>
+            ${escapeHtml(invoice.buyer?.name || invoice.buyer?.email)}<br/>
+            ${multiline(invoice.buyer?.address)}
+            ${invoice.buyer?.gstin ? `<br/><strong>GSTIN:</strong> ${escapeHtml(invoice.buyer.gstin)}` : ''}
+          </div>
+          <div class="detail-section">
+            <strong>Place of Supply:</strong> ${escapeHtml(getStateName(invoice.place_of_supply))} (${escapeHtml(invoice.place_of_supply)})<br/>
+            ${isCreditNote && invoice.reason ? `<strong>Reason:</strong> ${escapeHtml(invoice.reason)}` : ''}
+          </div>
+        </div>
+
+        <table>
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Description</th>
+              <th>HSN/SAC</th>
+              <th>Qty</th>
+              <th>Rate</th>
+              <th>Taxable Value</th>
+              <th>GST %</th>
+              ${taxHeaders}
+              <th>Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${lines.map((line, index) => `
+              <tr>
+                <td>${index + 1}</td>
+                <td>
+                  ${escapeHtml(line.description)}${line.sku ? `<br/><small>${escapeHtml(line.sku)}</small>` : ''}
+                  ${line.discount > 0 ? `<br/><small>Less discount ${formatAmount(line.discount)}</small>` : ''}
+                </td>
+                <td>${escapeHtml(line.hsn_code || '-')}</td>
+                <td>${escapeHtml(line.quantity)}</td>
+                <td class="text-end">${formatAmount(line.unit_price)}</td>
+                <td class="text-end">${formatAmount(line.taxable_value)}</td>
+                <td>${escapeHtml(line.gst_rate)}%</td>
+                ${taxCells(line)}
+                <td class="text-end">${formatAmount(line.total)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+          <tfoot>
+            <tr class="total-row">
+              <td colspan="5" class="text-end">Total</td>
+              <td class="text-end">${formatAmount(totals.taxable_value)}</td>
+              <td></td>
+              ${taxCells(totals)}
+              <td class="text-end">${formatAmount(totals.total)}</td>
+            </tr>
+          </tfoot>
+        </table>
+
+        <div class="words"><strong>Amount in words:</strong> ${amountInWords(totals.total)}</div>
+
+        <table>
+          <thead>
+            <tr>
+              <th>HSN/SAC</th>
+              <th>GST %</th>
+              <th>Taxable Value</th>
+              ${taxHeaders}
+            </tr>
+          </thead>
+          <tbody>
+            ${summarizeByHsn(lines).map(group => `
+              <tr>
+                <td>${escapeHtml(group.hsn_code || '-')}</td>
+                <td>${escapeHtml(group.gst_rate)}%</td>
+                <td class="text-end">${formatAmount(group.taxable_value)}</td>
+                ${taxCells(group)}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+
+        <div class="footer">
+          <div>This is a computer generated document.</div>
+          <div>For ${escapeHtml(invoice.seller?.name)}<br/><br/>Authorised Signatory</div>
+        </div>
+      </body>
+    </html>
+  `);
+  printWindow.document.close();
+  printWindow.print();
+};
@@ -1,6 +1,8 @@
 import { Row, Col } from "react-bootstrap";
 import { Link } from "react-router-dom";
 import { useTranslation } from "react-i18next";
+import { useEffect } from "react";
+import { useAuthContext } from "@/context/useAuthContext";
 
 // components
 import AuthLayout from "./AuthLayout";
@@ -28,6 +30,12 @@ const Logout = () => {
   const {
     t
   } = useTranslation();
+  const {
+    removeSession
+  } = useAuthContext();
+  useEffect(() => {
+    removeSession(false);
+  }, []);
   return <>
       <AuthLayout bottomLinks={<BottomLink />}>
         <div className="text-center">
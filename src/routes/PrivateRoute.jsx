@@ -1,5 +1,6 @@
 import { Navigate, Outlet, useLocation } from "react-router-dom";
 import { useAuthContext } from "@/context/useAuthContext.jsx";
+import { getLandingPath } from "@/helpers/permissions";
 
 /**
  * Private Route forces the authorization before the route can be accessed.
@@ -9,11 +10,13 @@ import { useAuthContext } from "@/context/useAuthContext.jsx";
  *
  * @param {object} props
  * @param {string[]} [props.roles] - Array of roles required to access the route.
+ * @param {string[]} [props.permissions] - Every permission required to access the route.
+ * @param {React.ReactNode} [props.children] - Rendered instead of the <Outlet /> when given.
  * @returns {JSX.Element}
  */
-const PrivateRoute = ({ roles }) => {
+const PrivateRoute = ({ roles, permissions, children }) => {
   // Use useAuthContext to get the current authentication state
-  const { isAuthenticated, user } = useAuthContext();
+  const { isAuthenticated, user, permissions: granted, can } = useAuthContext();
   // Get the current location to redirect back to after login
   const location = useLocation();
 
@@ -29,19 +32,19 @@ const PrivateRoute = ({ roles }) => {
     />;
   }
 
-  // 2. Check if the route is restricted by role
-  if (roles && !roles.includes(user?.role)) {
-    // If roles are defined and the user's role is not authorized,
-    // redirect to the desired default page (e.g., a dashboard or product list)
+  // 2. Check if the route is restricted by role or permission
+  if ((roles && !roles.includes(user?.role)) || !can(permissions)) {
+    // Send the user to the first page they are allowed to see, which can
+    // never be this one, so there is no redirect loop
     return <Navigate 
-      to="/apps/ecommerce/products" // <-- Redirect target for unauthorized role
+      to={getLandingPath(granted)}
       replace 
     />;
   }
 
   // 3. If authenticated and authorized, render the child routes/elements.
   // The <Outlet /> component is used in v6 to render the next match in the route hierarchy.
-  return <Outlet />;
+  return children ?? <Outlet />;
 };
 
 export default PrivateRoute;
\ No newline at end of file
@@ -7,6 +7,7 @@ import DetachedLayout from "@/layouts/Detached";
 import HorizontalLayout from "@/layouts/Horizontal/";
 import TwoColumnLayout from "@/layouts/TwoColumn/";
 import { authProtectedFlattenRoutes, publicProtectedFlattenRoutes } from "./index";
+import PrivateRoute from "./PrivateRoute";
 import { useLayoutContext } from "@/context/useLayoutContext.jsx";
 import { useAuthContext } from "@/context/useAuthContext.jsx";
 import React from "react";
@@ -49,7 +50,9 @@ const AllRoutes = props => {
           pathname: "/auth/login",
           // hash:route.path,
           search: "next=" + route.path
-        }} /> : <Layout {...props}>{route.element}</Layout>} key={idx} />)}
+        }} /> : <PrivateRoute roles={route.roles} permissions={route.permissions}>
+                                    <Layout {...props}>{route.element}</Layout>
+                                </PrivateRoute>} key={idx} />)}
                 </Route>
             </Routes>
         </React.Fragment>;
@@ -2,6 +2,7 @@ import { Route, Navigate } from "react-router-dom";
 
 // components
 import PrivateRoute from "./PrivateRoute";
+import { PERMISSIONS } from "../constants/permissions";
 import React from "react";
 // import Root from './Root';
 
@@ -222,54 +223,61 @@ const ecommerceAppRoutes = {
   path: "/apps/ecommerce",
   name: "eCommerce",
   route: PrivateRoute,
-  roles: ["Admin"],
   icon: "shopping-cart",
   children: [{
     path: "/apps/ecommerce/dashboard",
     name: "Products",
     element: <EcommerceDashboard />,
-    route: PrivateRoute
+    route: PrivateRoute,
+    roles: ["Admin"]
   }, {
     path: "/apps/ecommerce/products",
     name: "Products",
     element: <EcommerceProducts />,
-    route: PrivateRoute
+    route: PrivateRoute,
+    permissions: [PERMISSIONS.PRODUCTS_READ]
   }, {
     path: "/apps/ecommerce/product-details/:productId",
     name: "Product Details",
     element: <ProductDetails />,
-    route: PrivateRoute
+    route: PrivateRoute,
+    permissions: [PERMISSIONS.PRODUCTS_READ]
   }, // This is an older/less common way to define optional params, 
 // and may not work in all setups, especially with specific route wrappers.
 {
     path: "/apps/ecommerce/edit-product/:productId?", // The '?' makes the parameter optional
     name: "Product Form",
     element: <ProductEdit />,
-    route: PrivateRoute
+    route: PrivateRoute,
+    permissions: [PERMISSIONS.PRODUCTS_WRITE]
 },
   {
     path: "/apps/ecommerce/banner",
     name: "Banner",
     element: <BannerAdd />,
-    route: PrivateRoute
+    route: PrivateRoute,
+    permissions: [PERMISSIONS.BANNERS_READ]
   },
   {
     path: "/apps/ecommerce/category",
     name: "Category",
     element: <CategoryManagement />,
-    route: PrivateRoute
+    route: PrivateRoute,
+    permissions: [PERMISSIONS.CATEGORIES_READ]
   },
   {
     path: "/apps/ecommerce/inventory",
     name: "Inventory/Store",
     element: <InventoryManagement />,
-    route: PrivateRoute
+    route: PrivateRoute,
+    permissions: [PERMISSIONS.INVENTORY_READ]
   },
   {
     path: "/apps/ecommerce/variation",
     name: "Inventory/variation",
     element: <Variation />,
-    route: PrivateRoute
+    route: PrivateRoute,
+    permissions: [PERMISSIONS.VARIATIONS_READ]
   },
 
 
@@ -277,32 +285,38 @@ const ecommerceAppRoutes = {
     path: "/apps/ecommerce/customers",
     name: "Customers",
     element: <Customers />,
-    route: PrivateRoute
+    route: PrivateRoute,
+    permissions: [PERMISSIONS.CUSTOMERS_READ]
   }, {
     path: "/apps/ecommerce/orders",
     name: "Orders",
     element: <Orders />,
-    route: PrivateRoute
+    route: PrivateRoute,
+    permissions: [PERMISSIONS.ORDERS_READ]
+  }, {
+    path: "/apps/ecommerce/order/details/:id",
+    name: "Order Details",
+    element: <OrderDetails />,
+    route: PrivateRoute,
+    permissions: [PERMISSIONS.ORDERS_READ]
   }, {
-  path: "/apps/ecommerce/order/details/:id",
-  name: "Order Details",
-  element: <OrderDetails />,
-  route: PrivateRoute
-}, {
     path: "/apps/ecommerce/sellers",
     name: "Sellers",
     element: <Sellers />,
-    route: PrivateRoute
+    route: PrivateRoute,
+    roles: ["Admin"]
   }, {
     path: "/apps/ecommerce/shopping-cart",
     name: "Shopping Cart",
     element: <Cart />,
-    route: PrivateRoute
+    route: PrivateRoute,
+    roles: ["Admin"]
   }, {
-    path: "/apps/ecommerce/checkout",
-    name: "Checkout",
+    path: "/apps/ecommerce/orders/create",
+    name: "Create Order",
     element: <Checkout />,
-    route: PrivateRoute
+    route: PrivateRoute,
+    permissions: [PERMISSIONS.ORDERS_CREATE]
   }]
 };
 const crmAppRoutes = {